@@ -0,0 +1,152 @@
+/**
+ * Offline behavior of the production build, in a real browser against a local static server.
+ *
+ * Run with `npm run test:offline` (builds first). The server is stopped to go offline, so these tests check what
+ * the service worker (src/service-worker.js) actually precached, and that a new build is offered with a prompt.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { after, before, test } = require('node:test');
+const puppeteer = require('puppeteer');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+
+const CONTENT_TYPES = {
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.ico': 'image/x-icon',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+};
+
+// Serves the build like a static host: files as they are, and index.html for any other path.
+// `overrides` replaces the body of a path, e.g. to ship a new service worker.
+function startServer(overrides = {}) {
+  const server = http.createServer((request, response) => {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    if (pathname in overrides) {
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(pathname)], 'Cache-Control': 'no-cache' });
+      response.end(overrides[pathname]);
+      return;
+    }
+    let file = path.join(BUILD_DIR, pathname);
+    if (!file.startsWith(BUILD_DIR) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      file = path.join(BUILD_DIR, 'index.html');
+    }
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] ?? 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    fs.createReadStream(file).pipe(response);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/`;
+      resolve({
+        url,
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+let browser;
+
+before(async () => {
+  assert.ok(fs.existsSync(path.join(BUILD_DIR, 'service-worker.js')), 'Run `npm run build` first');
+  browser = await puppeteer.launch({
+    headless: true,
+    args: [
+      // Keep the tests hermetic: the web font is optional and is not fetched.
+      '--host-resolver-rules=MAP fonts.googleapis.com ~NOTFOUND, MAP fonts.gstatic.com ~NOTFOUND',
+      ...(process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []),
+    ],
+  });
+});
+
+after(async () => {
+  if (browser) await browser.close();
+});
+
+// A fresh profile per test, so no service worker or cache carries over.
+async function openPage(url) {
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
+  await page.goto(url, { waitUntil: 'load' });
+  return { context, page };
+}
+
+// Resolves once a service worker controls the page, which happens after everything has been precached.
+const waitForServiceWorker = (page) =>
+  page.evaluate(async () => {
+    await navigator.serviceWorker.ready;
+    if (navigator.serviceWorker.controller) return;
+    await new Promise((resolve) =>
+      navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true })
+    );
+  });
+
+async function calculate(page, labels) {
+  for (const label of labels) await page.click(`button[aria-label="${label}"]`);
+  return page.$eval('[data-testid="display"]', (element) => element.textContent);
+}
+
+test('works offline after the first visit', async () => {
+  const server = await startServer();
+  const { context, page } = await openPage(server.url);
+  try {
+    await waitForServiceWorker(page);
+    await server.close();
+
+    await page.reload({ waitUntil: 'load' });
+    assert.equal(await page.title(), 'Ocean Calculator');
+    assert.equal(await calculate(page, ['2', 'Add', '3', 'Equals']), '5');
+
+    // Any path opens the app, as it would online.
+    await page.goto(`${server.url}some/page`, { waitUntil: 'load' });
+    assert.equal(await calculate(page, ['6', 'Multiply', '7', 'Equals']), '42');
+
+    const manifest = await page.evaluate(async () => (await fetch('manifest.json')).json());
+    assert.equal(manifest.display, 'standalone');
+  } finally {
+    await server.close();
+    await context.close();
+  }
+});
+
+test('offers to reload when a new version ships', async () => {
+  const serviceWorker = fs.readFileSync(path.join(BUILD_DIR, 'service-worker.js'), 'utf8');
+  const overrides = {};
+  const server = await startServer(overrides);
+  const { context, page } = await openPage(server.url);
+  try {
+    await waitForServiceWorker(page);
+    assert.equal(await page.$('button[aria-label="Dismiss"]'), null);
+
+    // Any change to the service worker is a new version.
+    overrides['/service-worker.js'] = `${serviceWorker}\n// next build\n`;
+    await page.evaluate(async () => (await navigator.serviceWorker.ready).update());
+    await page.waitForSelector('::-p-text(A new version is available.)');
+
+    const reloaded = page.waitForNavigation({ waitUntil: 'load' });
+    await page.click('button::-p-text(Reload)');
+    await reloaded;
+    await page.waitForSelector('[data-testid="display"]');
+    assert.equal(await page.$('::-p-text(A new version is available.)'), null);
+    assert.equal(await page.evaluate(async () => (await navigator.serviceWorker.ready).waiting), null);
+  } finally {
+    await server.close();
+    await context.close();
+  }
+});
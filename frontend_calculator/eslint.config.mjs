@@ -1,5 +1,6 @@
 import pluginJs from "@eslint/js";
 import pluginReact from "eslint-plugin-react";
+import globals from "globals";
 
 export default [
   { files: ["**/*.{js,mjs,cjs,jsx}"] },
@@ -23,6 +24,24 @@ export default [
 
     }
   },
+  {
+    // App code runs in the browser (Intl is not in ESLint's ECMAScript list); the build replaces process.env.*.
+    files: ["src/**/*.js"],
+    languageOptions: { globals: { ...globals.browser, Intl: "readonly", process: "readonly" } }
+  },
+  {
+    files: ["src/service-worker.js"],
+    languageOptions: { globals: globals.serviceworker }
+  },
+  {
+    // Jest runs in Node, so tests may also read files next to them.
+    files: ["src/**/*.test.js", "src/setupTests.js"],
+    languageOptions: { globals: { ...globals.jest, ...globals.node } }
+  },
+  {
+    files: ["e2e/**/*.js"],
+    languageOptions: { globals: globals.node }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
@@ -1,8 +1,845 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
+import { localizeText } from './calculator/locale';
+import { SCENARIOS, expandKeys } from './calculator/scenarios';
 
-test('renders learn react link', () => {
+const BUTTON_LABELS = {
+  '+': 'Add',
+  '-': 'Subtract',
+  '*': 'Multiply',
+  '/': 'Divide',
+  '=': 'Equals',
+  '%': 'Percent',
+  '.': 'Decimal',
+  '±': 'Toggle sign',
+  AC: 'Clear all',
+  CE: 'Clear entry',
+  '⌫': 'Backspace',
+};
+
+const KEYBOARD_KEYS = { '=': 'Enter', AC: 'Escape', CE: 'Delete', '⌫': 'Backspace' };
+
+const button = (name) => screen.getByRole('button', { name });
+const click = (name) => fireEvent.click(button(name));
+// Keys, copy and paste are taken by the calculator widget, which has focus on load.
+const calculator = () => screen.getByRole('application', { name: 'Calculator' });
+const keyDown = (key, options = {}) => fireEvent.keyDown(calculator(), { key, ...options });
+
+const pressButtons = (keys) => expandKeys(keys).forEach((key) => click(BUTTON_LABELS[key] ?? key));
+// There is no keyboard shortcut for ±, so that one is clicked.
+const typeKeys = (keys) =>
+  expandKeys(keys).forEach((key) => (key === '±' ? click('Toggle sign') : keyDown(KEYBOARD_KEYS[key] ?? key)));
+
+const display = () => screen.getByTestId('display');
+const previousLine = () => screen.getByTestId('previous-line');
+
+beforeEach(() => {
+  window.localStorage.clear();
+  // The app keeps a permalink in the URL hash, which would otherwise carry over to the next test.
+  window.history.replaceState(null, '', '/');
+});
+
+test('starts at zero with the calculator keypad', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(display()).toHaveTextContent(/^0$/);
+  expect(previousLine()).toBeEmptyDOMElement();
+  expect(button('Equals')).toBeInTheDocument();
+  expect(screen.queryByText(/learn react/i)).not.toBeInTheDocument();
+});
+
+describe.each([
+  ['buttons', pressButtons],
+  ['keyboard', typeKeys],
+])('scenarios through the %s', (via, press) => {
+  describe.each(Object.entries(SCENARIOS))('%s', (name, scenarios) => {
+    test.each(scenarios)('$keys → $display', ({ keys, display: expected, previousLine: line, error }) => {
+      render(<App />);
+      press(keys);
+
+      // The UI shows engine values with the browser locale's separators (en-US in jsdom).
+      expect(display()).toHaveTextContent(localizeText(expected, 'en-US'), { normalizeWhitespace: false });
+      if (error) expect(previousLine()).toHaveTextContent(error);
+      else if (line !== undefined) expect(previousLine().textContent).toBe(localizeText(line, 'en-US'));
+    });
+  });
+});
+
+describe('keyboard', () => {
+  test('accepts the alternative operator and equals keys', () => {
+    render(<App />);
+    typeKeys('6');
+    keyDown('x');
+    typeKeys('7');
+    keyDown('=');
+    expect(display()).toHaveTextContent(/^42$/);
+  });
+
+  test('ignores keys typed into form fields', () => {
+    render(<App />);
+    click('History');
+    const search = screen.getByRole('searchbox', { name: 'Search history' });
+    fireEvent.keyDown(search, { key: '7' });
+    expect(display()).toHaveTextContent(/^0$/);
+  });
+
+  test('Ctrl+Z undoes an accidental clear and Ctrl+Shift+Z redoes it', () => {
+    render(<App />);
+    typeKeys('12 + 3');
+    keyDown('Escape');
+    expect(display()).toHaveTextContent(/^0$/);
+
+    keyDown('z', { ctrlKey: true });
+    expect(display()).toHaveTextContent(/^3$/);
+    expect(previousLine()).toHaveTextContent('12 +');
+
+    keyDown('Z', { ctrlKey: true, shiftKey: true });
+    expect(display()).toHaveTextContent(/^0$/);
+  });
+});
+
+describe('display', () => {
+  test('groups thousands while typing', () => {
+    render(<App />);
+    typeKeys('1234567.5');
+    expect(display()).toHaveTextContent('1,234,567.5');
+  });
+
+  test('recovers from the Error state with the next digit', () => {
+    render(<App />);
+    pressButtons('8 / 0 =');
+    expect(display()).toHaveTextContent('Error');
+    expect(previousLine()).toHaveTextContent('Cannot divide by zero');
+
+    pressButtons('4 + 1 =');
+    expect(display()).toHaveTextContent(/^5$/);
+    expect(previousLine()).toBeEmptyDOMElement();
+  });
+});
+
+describe('history and clipboard', () => {
+  test('completed calculations can be recalled from the history tape', () => {
+    render(<App />);
+    pressButtons('2 + 3 = AC');
+    click(/^History/);
+
+    const tape = screen.getByRole('listbox', { name: 'Calculation history' });
+    fireEvent.click(within(tape).getByText('2 + 3 ='));
+    expect(display()).toHaveTextContent(/^5$/);
+  });
+
+  test('a pasted expression becomes the operand; bad paste only warns', () => {
+    render(<App />);
+    pressButtons('10 +');
+
+    fireEvent.paste(calculator(), { clipboardData: { getData: () => '1,234.5 * (3 - 1)' } });
+    expect(display()).toHaveTextContent('2,469');
+
+    fireEvent.paste(calculator(), { clipboardData: { getData: () => '12 apples' } });
+    expect(display()).toHaveTextContent('2,469');
+    expect(screen.getByRole('status')).toHaveTextContent('Cannot paste: Unexpected character "a"');
+
+    click('Equals');
+    expect(display()).toHaveTextContent('2,479');
+  });
+});
+
+describe('financial mode', () => {
+  const financial = () => fireEvent.click(screen.getByRole('checkbox', { name: 'Financial' }));
+
+  test('TAX+ and TAX− use the tax rate set from the display, which is remembered', () => {
+    const { unmount } = render(<App />);
+    financial();
+    typeKeys('8.25');
+    click('Set tax rate from display');
+    pressButtons('200');
+    click('Add tax');
+    expect(display()).toHaveTextContent(/^216\.5$/);
+    click('Remove tax');
+    expect(display()).toHaveTextContent(/^200$/);
+    unmount();
+
+    render(<App />);
+    financial();
+    expect(screen.getByRole('region', { name: 'Financial settings' })).toHaveTextContent('Tax rate 8.25%');
+  });
+
+  test('markup and percent change are operators', () => {
+    render(<App />);
+    financial();
+    pressButtons('80');
+    click('Markup');
+    pressButtons('25 =');
+    expect(display()).toHaveTextContent(/^100$/);
+    pressButtons('AC 80');
+    click('Percent change');
+    expect(previousLine()).toHaveTextContent('80 Δ%');
+    pressButtons('100 =');
+    expect(display()).toHaveTextContent(/^25$/);
+  });
+
+  test('the TVM solver fills in the payment and lists the amortization schedule', () => {
+    render(<App />);
+    financial();
+    pressButtons('360');
+    click('Store Number of periods');
+    pressButtons('6');
+    click('Store Annual interest rate');
+    pressButtons('200000');
+    click('Store Present value');
+    click('Compute Payment');
+    expect(display()).toHaveTextContent(/^-1,199\.1010503055$/);
+
+    click('Amortization schedule');
+    const rows = within(screen.getByRole('table', { name: 'Amortization schedule' })).getAllByRole('row');
+    expect(rows).toHaveLength(361);
+    expect(
+      within(rows[1])
+        .getAllByRole('cell')
+        .map((cell) => cell.textContent)
+    ).toEqual(['-1,199.10', '1,000.00', '199.10', '199,800.90']);
+    expect(within(rows[360]).getAllByRole('cell')[3]).toHaveTextContent(/^0\.00$/);
+  });
+
+  test('an unsolvable TVM problem shows the Error state with its reason', () => {
+    render(<App />);
+    financial();
+    click('Compute Number of periods');
+    expect(display()).toHaveTextContent('Error');
+    expect(previousLine()).toHaveTextContent('No N solves these values');
+    pressButtons('5');
+    expect(display()).toHaveTextContent(/^5$/);
+  });
+});
+
+describe('statistics mode', () => {
+  const statistics = () => fireEvent.click(screen.getByRole('checkbox', { name: 'Statistics' }));
+  const panel = () => screen.getByRole('region', { name: 'Statistics' });
+
+  test('Σ+ builds a saved data list whose statistics become operands', () => {
+    const { unmount } = render(<App />);
+    statistics();
+    ['2', '4', '9'].forEach((value) => {
+      pressButtons(value);
+      click('Add to data');
+    });
+    expect(panel()).toHaveTextContent('3 values');
+    click('Mean');
+    expect(display()).toHaveTextContent(/^5$/);
+    pressButtons('+');
+    click('Use Maximum');
+    pressButtons('=');
+    expect(display()).toHaveTextContent(/^14$/);
+    unmount();
+
+    render(<App />);
+    statistics();
+    expect(panel()).toHaveTextContent('3 values');
+  });
+
+  test('the data list is edited in place', () => {
+    render(<App />);
+    statistics();
+    ['2', '4', '9'].forEach((value) => {
+      pressButtons(value);
+      click('Add to data');
+    });
+    const x3 = screen.getByRole('textbox', { name: 'x of point 3' });
+    fireEvent.change(x3, { target: { value: '3' } });
+    fireEvent.keyDown(x3, { key: 'Enter' });
+    fireEvent.blur(x3);
+    click('Use Median');
+    expect(display()).toHaveTextContent(/^3$/);
+
+    click('Delete point 1');
+    expect(panel()).toHaveTextContent('2 values');
+    expect(screen.getByRole('textbox', { name: 'x of point 1' })).toHaveValue('4');
+    click('Clear data');
+    expect(panel()).toHaveTextContent('0 values');
+    expect(button('Use Mean')).toBeDisabled();
+  });
+
+  test('x,y pairs give a regression line; Σ− of a missing value is an error', () => {
+    render(<App />);
+    statistics();
+    [
+      ['1', '3'],
+      ['2', '5'],
+      ['3', '7'],
+    ].forEach(([x, y]) => {
+      pressButtons(x);
+      click('Use as x of a pair');
+      pressButtons(y);
+      click('Add to data');
+    });
+    click('Regression slope');
+    expect(display()).toHaveTextContent(/^2$/);
+    click('Use Regression intercept');
+    expect(display()).toHaveTextContent(/^1$/);
+
+    pressButtons('8');
+    click('Remove from data');
+    expect(previousLine()).toHaveTextContent('Not in the data list');
+  });
+});
+
+describe('fraction mode', () => {
+  const fractions = () =>
+    fireEvent.change(screen.getByRole('combobox', { name: 'Arithmetic' }), { target: { value: 'fraction' } });
+
+  test('1 ÷ 3 × 3 is exactly 1, and results show as mixed numbers', () => {
+    render(<App />);
+    fractions();
+    pressButtons('1 / 3 *');
+    expect(display()).toHaveTextContent(/^1\/3$/);
+    pressButtons('3 =');
+    expect(display()).toHaveTextContent(/^1$/);
+
+    pressButtons('7');
+    click('Fraction bar');
+    pressButtons('3');
+    expect(display()).toHaveTextContent(/^7\/3$/);
+    pressButtons('+');
+    expect(previousLine()).toHaveTextContent('2 1/3 +');
+  });
+
+  test('a b/c enters mixed numbers and F↔D switches to decimals, both saved', () => {
+    const { unmount } = render(<App />);
+    fractions();
+    pressButtons('1');
+    click('Fraction bar');
+    pressButtons('2');
+    click('Fraction bar');
+    pressButtons('3');
+    expect(display()).toHaveTextContent(/^1 2\/3$/);
+    pressButtons('=');
+    fireEvent.change(screen.getByRole('combobox', { name: 'Fractions' }), { target: { value: 'improper' } });
+    expect(display()).toHaveTextContent(/^5\/3$/);
+
+    click('Show as decimal');
+    expect(button('Show as decimal')).toHaveAttribute('aria-pressed', 'true');
+    expect(display()).toHaveTextContent(/^1.6666666667$/);
+    unmount();
+
+    render(<App />);
+    fractions();
+    expect(screen.getByRole('combobox', { name: 'Fractions' })).toHaveValue('improper');
+    expect(button('Show as decimal')).toHaveAttribute('aria-pressed', 'true');
+  });
+});
+
+describe('variables', () => {
+  const variableName = () => screen.getByRole('combobox', { name: 'Variable name' });
+
+  test('stores the display under a name, recalls it by name or from the list, and keeps ans', () => {
+    const { unmount } = render(<App />);
+    click('Variables');
+    pressButtons('1 2');
+    fireEvent.change(variableName(), { target: { value: 'qty' } });
+    click('Store display as variable');
+    expect(within(screen.getByRole('list', { name: 'Variable list' })).getByText('12')).toBeInTheDocument();
+
+    pressButtons('3 *');
+    click('Use qty');
+    pressButtons('=');
+    expect(display()).toHaveTextContent(/^36$/);
+
+    pressButtons('AC');
+    fireEvent.change(variableName(), { target: { value: 'ans' } });
+    fireEvent.keyDown(variableName(), { key: 'Enter' });
+    expect(display()).toHaveTextContent(/^36$/);
+    unmount();
+
+    render(<App />);
+    click('Variables');
+    expect(button('Use qty')).toBeInTheDocument();
+  });
+
+  test('a pasted expression may use variable names; reserved names are refused', () => {
+    render(<App />);
+    click('Variables');
+    pressButtons('4');
+    fireEvent.change(variableName(), { target: { value: 'x' } });
+    click('Store display as variable');
+    const panel = screen.getByRole('region', { name: 'Variables' });
+    expect(within(panel).getByRole('status')).toHaveTextContent('"x" is reserved');
+
+    fireEvent.change(variableName(), { target: { value: 'side' } });
+    click('Store display as variable');
+    fireEvent.paste(calculator(), { clipboardData: { getData: () => 'side x side + ans' } });
+    expect(display()).toHaveTextContent(/^16$/);
+  });
+});
+
+describe('adding-machine tape', () => {
+  const tape = () => screen.getByRole('region', { name: 'Tape' });
+  // Amounts are text boxes and operators are selects, each showing its value.
+  const values = (role) =>
+    within(tape())
+      .queryAllByRole(role)
+      .map((field) => field.value);
+  const amounts = () => values('textbox');
+  const grandTotal = () => screen.getByTestId('grand-total');
+
+  test('itemizes entries with running subtotals in place of the previous line', () => {
+    const { unmount } = render(<App />);
+    click('Adding-machine tape');
+    expect(button('Adding-machine tape')).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.queryByTestId('previous-line')).not.toBeInTheDocument();
+
+    pressButtons('1 2 . 5 + 3');
+    expect(within(tape()).getByLabelText('Entry in progress')).toHaveTextContent('+3');
+    pressButtons('- 4 =');
+    expect(amounts()).toEqual(['12.5', '3', '4']);
+    expect(values('combobox')).toEqual(['+', '-']);
+    // Each line ends with its running subtotal, then its delete button.
+    const rows = within(screen.getByRole('list', { name: 'Tape lines' })).getAllByRole('listitem');
+    expect(rows.map((row) => row.textContent.match(/([\d.]+)×$/)[1])).toEqual(['12.5', '15.5', '11.5', '11.5']);
+    expect(rows[3]).toHaveTextContent('Subtotal');
+    expect(grandTotal()).toHaveTextContent('11.5');
+
+    pressButtons('7 * 2 =');
+    expect(grandTotal()).toHaveTextContent('25.5');
+    unmount();
+
+    // The tape is saved, and it is still on.
+    render(<App />);
+    expect(amounts()).toEqual(['12.5', '3', '4', '7', '2']);
+  });
+
+  test('editing or deleting a line recomputes everything after it', () => {
+    render(<App />);
+    click('Adding-machine tape');
+    pressButtons('1 0 + 5 + 1 = * 2 =');
+    expect(grandTotal()).toHaveTextContent(/^32$/);
+
+    const amount = screen.getByRole('textbox', { name: 'Amount of line 2' });
+    fireEvent.change(amount, { target: { value: '20' } });
+    fireEvent.keyDown(amount, { key: 'Enter' });
+    fireEvent.blur(amount);
+    expect(grandTotal()).toHaveTextContent(/^62$/);
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Operator of line 3' }), { target: { value: '-' } });
+    expect(grandTotal()).toHaveTextContent(/^58$/);
+
+    click('Delete line 1');
+    expect(amounts()).toEqual(['20', '1', '2']);
+    expect(grandTotal()).toHaveTextContent(/^38$/);
+
+    // An amount that is not a number is not taken; it stays in the field, reported, until corrected or dropped.
+    const first = screen.getByRole('textbox', { name: 'Amount of line 1' });
+    fireEvent.change(first, { target: { value: 'twenty' } });
+    fireEvent.blur(first);
+    expect(first).toHaveValue('twenty');
+    expect(first).toHaveAttribute('aria-invalid', 'true');
+    expect(within(tape()).getByRole('alert')).toHaveTextContent('Line 1: "twenty" is not a number, e.g. 1,234.5');
+    expect(grandTotal()).toHaveTextContent(/^38$/);
+    fireEvent.keyDown(first, { key: 'Escape' });
+    expect(first).toHaveValue('20');
+    expect(within(tape()).queryByRole('alert')).not.toBeInTheDocument();
+
+    click('Clear tape');
+    expect(amounts()).toEqual([]);
+    expect(grandTotal()).toHaveTextContent(/^0$/);
+  });
+
+  test('amounts are shown and typed with the chosen separators', () => {
+    render(<App />);
+    fireEvent.change(screen.getByRole('combobox', { name: 'Format' }), { target: { value: 'de-DE' } });
+    click('Adding-machine tape');
+    pressButtons('1 2 3 4 . 5 + 2 =');
+    expect(amounts()).toEqual(['1.234,5', '2']);
+
+    const second = screen.getByRole('textbox', { name: 'Amount of line 2' });
+    fireEvent.change(second, { target: { value: '1,5' } });
+    fireEvent.blur(second);
+    expect(amounts()).toEqual(['1.234,5', '1,5']);
+    expect(grandTotal()).toHaveTextContent(/^1\.236$/);
+
+    // "1.5" would be 15 read loosely; with German separators it is refused rather than guessed at.
+    fireEvent.change(second, { target: { value: '1.5' } });
+    fireEvent.blur(second);
+    expect(within(tape()).getByRole('alert')).toHaveTextContent('Line 2: "1.5" is not a number, e.g. 1.234,5');
+    fireEvent.change(second, { target: { value: '2,25' } });
+    fireEvent.blur(second);
+    expect(within(tape()).queryByRole('alert')).not.toBeInTheDocument();
+    expect(grandTotal()).toHaveTextContent(/^1\.236,75$/);
+  });
+
+  test('exports CSV and prints the tape on its own', async () => {
+    const print = jest.spyOn(window, 'print').mockImplementation(() => {
+      expect(document.body).toHaveClass('printing-tape');
+    });
+    // jsdom has no object URLs and does not download.
+    URL.createObjectURL = jest.fn(() => 'blob:tape');
+    URL.revokeObjectURL = jest.fn();
+    let link = null;
+    const download = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function capture() {
+      link = this;
+    });
+    render(<App />);
+    click('Adding-machine tape');
+    pressButtons('2 + 3 =');
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+
+    click('Export CSV');
+    expect(download).toHaveBeenCalledTimes(1);
+    expect([link.href, link.download]).toEqual(['blob:tape', 'calculator-tape.csv']);
+    const [[blob]] = URL.createObjectURL.mock.calls;
+    expect(blob.type).toBe('text/csv;charset=utf-8');
+    const csv = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(csv).toBe(
+      'Line,Operation,Amount,Subtotal,Note\r\n1,Entry,2,2,\r\n2,Add,3,5,\r\n3,Subtotal,,5,\r\n,Grand total,,5,\r\n'
+    );
+    await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:tape'));
+    download.mockRestore();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+
+    click('Print');
+    expect(print).toHaveBeenCalledTimes(1);
+    fireEvent(window, new Event('afterprint'));
+    expect(document.body).not.toHaveClass('printing-tape');
+    print.mockRestore();
+  });
+
+  test('turned off, the previous line is back and nothing more is recorded', () => {
+    render(<App />);
+    click('Adding-machine tape');
+    pressButtons('1 + 1 =');
+    click('Adding-machine tape');
+    expect(screen.queryByRole('region', { name: 'Tape' })).not.toBeInTheDocument();
+    pressButtons('2 +');
+    expect(previousLine()).toHaveTextContent('2 +');
+    pressButtons('2 =');
+    click('Adding-machine tape');
+    expect(amounts()).toEqual(['1', '1']);
+  });
+});
+
+describe('permalinks', () => {
+  const openLink = (hash) => window.history.replaceState(null, '', `/${hash}`);
+
+  test('the URL hash follows the calculation, unless turned off', () => {
+    render(<App />);
+    pressButtons('2 + 3 = * 4');
+    expect(window.location.hash).toBe('#display=4&op=*&prev=5&expr=2+%2B+3&result=5');
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Link in URL' }));
+    expect(window.location.hash).toBe('');
+    pressButtons('=');
+    expect(window.location.hash).toBe('');
+  });
+
+  test('opening a link restores the calculation and puts it on the history tape', () => {
+    openLink('#display=4&op=*&prev=5&expr=2+%2B+3&result=5');
+    render(<App />);
+    expect(display()).toHaveTextContent(/^4$/);
+    expect(previousLine()).toHaveTextContent('5 ×');
+    click(/^History/);
+    expect(within(screen.getByRole('listbox', { name: 'Calculation history' })).getByText('2 + 3 =')).toBeTruthy();
+
+    pressButtons('=');
+    expect(display()).toHaveTextContent(/^20$/);
+  });
+
+  test('a malformed link is ignored with a notice', () => {
+    openLink('#display=<img src=x onerror=alert(1)>');
+    render(<App />);
+    expect(display()).toHaveTextContent(/^0$/);
+    expect(screen.getByRole('status')).toHaveTextContent('Ignored the link: Invalid display value');
+  });
+
+  test('a link with a made-up result is ignored and stays off the history tape', () => {
+    openLink('#display=7&expr=1+%2B+2&result=7');
+    render(<App />);
+    expect(display()).toHaveTextContent(/^0$/);
+    expect(screen.getByRole('status')).toHaveTextContent('Ignored the link: The calculation does not give its result');
+    click(/^History/);
+    expect(screen.queryByText('1 + 2 =')).toBeNull();
+  });
+
+  test('a link pasted into the address bar of the open calculator is restored', () => {
+    render(<App />);
+    pressButtons('9');
+    openLink('#display=1.5&op=-&prev=10');
+    fireEvent(window, new Event('hashchange'));
+    expect(display()).toHaveTextContent(/^1.5$/);
+    pressButtons('=');
+    expect(display()).toHaveTextContent(/^8.5$/);
+  });
+});
+
+describe('themes', () => {
+  const shell = () => screen.getByRole('application', { name: 'Calculator' });
+
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  test('defaults to the system color scheme', () => {
+    window.matchMedia = (query) => ({
+      matches: query === '(prefers-color-scheme: dark)',
+      addEventListener: () => {},
+      removeEventListener: () => {},
+    });
+    render(<App />);
+    expect(screen.getByRole('combobox', { name: 'Theme' })).toHaveValue('system');
+    expect(shell()).toHaveStyle({ background: '#111827' });
+  });
+
+  test('the header picker switches and remembers the theme', () => {
+    const { unmount } = render(<App />);
+    expect(shell()).toHaveStyle({ background: '#ffffff' });
+    fireEvent.change(screen.getByRole('combobox', { name: 'Theme' }), { target: { value: 'contrast' } });
+    expect(shell()).toHaveStyle({ background: '#000000' });
+    unmount();
+
+    render(<App />);
+    expect(screen.getByRole('combobox', { name: 'Theme' })).toHaveValue('contrast');
+  });
+
+  test('a custom palette is applied only when it has enough contrast', () => {
+    render(<App />);
+    click('Custom palette');
+    const editor = screen.getByRole('textbox', { name: 'Palette JSON' });
+    const palette = JSON.parse(editor.value);
+
+    fireEvent.change(editor, { target: { value: JSON.stringify({ ...palette, text: '#dddddd' }) } });
+    click('Apply palette');
+    expect(screen.getByText(/^Too little contrast/)).toHaveTextContent('text on background');
+    expect(screen.queryByRole('option', { name: 'Custom' })).not.toBeInTheDocument();
+
+    fireEvent.change(editor, { target: { value: JSON.stringify({ ...palette, surface: '#fffbeb' }) } });
+    click('Apply palette');
+    expect(screen.getByText('Custom palette applied')).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Theme' })).toHaveValue('custom');
+    expect(shell()).toHaveStyle({ background: '#fffbeb' });
+  });
+});
+
+describe('accessibility', () => {
+  const announcer = () => screen.getByTestId('announcer');
+  const keypad = () => screen.getByRole('group', { name: 'Keypad' });
+
+  test('every control has an accessible name', () => {
+    render(<App />);
+    screen.getAllByRole('button').forEach((control) => expect(control).toHaveAccessibleName());
+    screen.getAllByRole('combobox').forEach((control) => expect(control).toHaveAccessibleName());
+  });
+
+  test('results are announced in words, not symbols', () => {
+    render(<App />);
+    pressButtons('12 +');
+    expect(announcer()).toHaveTextContent(/^12 plus$/);
+    pressButtons('7');
+    expect(announcer()).toHaveTextContent(/^7$/);
+    pressButtons('=');
+    expect(announcer()).toHaveTextContent(/^12 plus 7 equals 19$/);
+    pressButtons('=');
+    expect(announcer()).toHaveTextContent(/^19 plus 7 equals 26$/);
+    pressButtons('± *');
+    expect(announcer()).toHaveTextContent(/^negative 26 times$/);
+  });
+
+  test('errors are announced as alerts with their reason', () => {
+    render(<App />);
+    expect(screen.getByRole('alert')).toBeEmptyDOMElement();
+    pressButtons('8 / 0 =');
+    expect(screen.getByRole('alert')).toHaveTextContent('Cannot divide by zero');
+    pressButtons('5');
+    expect(screen.getByRole('alert')).toBeEmptyDOMElement();
+    expect(announcer()).toHaveTextContent(/^5$/);
+  });
+
+  test('each key pad is a single Tab stop', () => {
+    render(<App />);
+    const tabbable = within(keypad())
+      .getAllByRole('button')
+      .filter((key) => key.tabIndex === 0);
+    expect(tabbable).toEqual([button('Clear all')]);
+    expect(
+      within(screen.getByRole('group', { name: 'Memory keys' })).getByRole('button', { name: 'Memory clear' })
+    ).toHaveAttribute('tabindex', '0');
+  });
+
+  test('key groups are laid out in the columns their arrow keys follow', () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Financial' }));
+    const keys = screen.getByRole('group', { name: 'Financial keys' });
+    expect(keys).toHaveStyle({ gridTemplateColumns: 'repeat(5, 1fr)' });
+
+    within(keys).getByRole('button', { name: 'Add tax' }).focus();
+    fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+    expect(within(keys).getByRole('button', { name: 'Store Number of periods' })).toHaveFocus();
+  });
+
+  test('arrow keys move focus across the keypad grid', () => {
+    render(<App />);
+    const arrow = (key, options) => fireEvent.keyDown(document.activeElement, { key, ...options });
+    button('Clear all').focus();
+
+    arrow('ArrowRight');
+    expect(button('Clear entry')).toHaveFocus();
+    expect(button('Clear entry')).toHaveAttribute('tabindex', '0');
+    expect(button('Clear all')).toHaveAttribute('tabindex', '-1');
+
+    arrow('ArrowDown');
+    arrow('ArrowDown');
+    arrow('ArrowDown');
+    expect(button('2')).toHaveFocus();
+    arrow('ArrowDown');
+    expect(button('0')).toHaveFocus();
+    arrow('ArrowLeft');
+    expect(button('Toggle sign')).toHaveFocus();
+    arrow('ArrowRight');
+    arrow('ArrowRight');
+    expect(button('Decimal')).toHaveFocus();
+    arrow('ArrowUp');
+    expect(button('3')).toHaveFocus();
+    arrow('Home');
+    expect(button('1')).toHaveFocus();
+    arrow('End', { ctrlKey: true });
+    expect(button('Equals')).toHaveFocus();
+    arrow('ArrowRight');
+    expect(button('Equals')).toHaveFocus();
+  });
+
+  test('Enter on a focused key presses that key', () => {
+    render(<App />);
+    pressButtons('4 +');
+    button('7').focus();
+    fireEvent.keyDown(button('7'), { key: 'Enter' });
+    expect(display()).toHaveTextContent(/^4$/);
+  });
+
+  test('keys keep focus across re-renders', () => {
+    render(<App />);
+    const seven = button('7');
+    seven.focus();
+    click('7');
+    click('Add');
+    expect(button('7')).toBe(seven);
+    expect(seven).toHaveFocus();
+  });
+
+  test('hover lifts keys unless reduced motion is preferred', () => {
+    const { unmount } = render(<App />);
+    fireEvent.mouseEnter(button('5'));
+    expect(button('5').style.transform).toBe('translateY(-1px)');
+    unmount();
+
+    window.matchMedia = (query) => ({
+      matches: query === '(prefers-reduced-motion: reduce)',
+      addEventListener: () => {},
+      removeEventListener: () => {},
+    });
+    render(<App />);
+    fireEvent.mouseEnter(button('5'));
+    expect(button('5').style.transform).toBe('');
+    expect(button('5').style.transition).toBe('none');
+    delete window.matchMedia;
+  });
+});
+
+describe('keymap', () => {
+  const dialog = (name) => screen.getByRole('dialog', { name });
+
+  test('default bindings include negate and Ctrl+Backspace for AC', () => {
+    render(<App />);
+    typeKeys('12');
+    keyDown('n');
+    expect(display()).toHaveTextContent(/^-12$/);
+    typeKeys('+ 3');
+    keyDown('Backspace', { ctrlKey: true });
+    expect(display()).toHaveTextContent(/^0$/);
+    expect(previousLine()).toBeEmptyDOMElement();
+  });
+
+  test('memory keys use Alt and leave the browser shortcuts alone', () => {
+    render(<App />);
+    typeKeys('42');
+    keyDown('m', { altKey: true });
+    keyDown('Escape');
+    // Option+R on a Mac keyboard types "®"; the key's position still makes it Alt+R.
+    keyDown('®', { altKey: true, code: 'KeyR' });
+    expect(display()).toHaveTextContent(/^42$/);
+
+    ['l', 'r', 'p', 'q', 'm'].forEach((key) => expect(keyDown(key, { ctrlKey: true })).toBe(true));
+    expect(display()).toHaveTextContent(/^42$/);
+  });
+
+  test('? opens a cheat sheet generated from the keymap', () => {
+    render(<App />);
+    expect(screen.queryByText(/^Keyboard:/)).not.toBeInTheDocument();
+    keyDown('?');
+    const sheet = dialog('Keyboard shortcuts');
+    expect(sheet).toHaveFocus();
+    const operators = within(sheet).getByRole('region', { name: 'Operators' });
+    expect(within(operators).getByText('Multiply').nextSibling).toHaveTextContent('*XShift+X');
+
+    fireEvent.keyDown(sheet, { key: '?' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    click('Keyboard shortcuts');
+    fireEvent.keyDown(dialog('Keyboard shortcuts'), { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(display()).toHaveTextContent(/^0$/);
+  });
+
+  test('keys are rebound in the settings dialog and remembered', () => {
+    const { unmount } = render(<App />);
+    keyDown('?');
+    click('Customize…');
+    const settings = dialog('Shortcut settings');
+
+    click('Add key for Equals');
+    fireEvent.keyDown(settings, { key: 'k' });
+    click('Remove N from Toggle sign');
+    click('Add key for Toggle sign');
+    fireEvent.keyDown(settings, { key: 'Insert' });
+    // Keys typed while the dialog is open stay in the dialog.
+    expect(display()).toHaveTextContent(/^0$/);
+    click('Save');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    unmount();
+
+    render(<App />);
+    typeKeys('2 + 3');
+    keyDown('k');
+    expect(display()).toHaveTextContent(/^5$/);
+    keyDown('Insert');
+    expect(display()).toHaveTextContent(/^-5$/);
+    keyDown('n');
+    expect(display()).toHaveTextContent(/^-5$/);
+  });
+
+  test('conflicting keys are reported and block saving', () => {
+    render(<App />);
+    click('Keyboard shortcuts');
+    click('Customize…');
+    const settings = dialog('Shortcut settings');
+
+    click('Add key for Subtract');
+    fireEvent.keyDown(settings, { key: '+' });
+    expect(within(settings).getByRole('alert')).toHaveTextContent('Conflicts: + (Add, Subtract)');
+    expect(within(settings).getByRole('button', { name: 'Save' })).toBeDisabled();
+
+    click('Add key for Add');
+    fireEvent.keyDown(settings, { key: 'ArrowUp' });
+    expect(within(settings).getByRole('status')).toHaveTextContent('ArrowUp is kept for moving around');
+    fireEvent.keyDown(settings, { key: 'v', ctrlKey: true });
+    expect(within(settings).getByRole('status')).toHaveTextContent('Ctrl+V is kept for pasting and cannot be bound');
+    fireEvent.keyDown(settings, { key: 'p', metaKey: true });
+    expect(within(settings).getByRole('status')).toHaveTextContent('Ctrl+P is kept for printing');
+
+    click('Remove + from Subtract');
+    expect(within(settings).getByRole('alert')).toBeEmptyDOMElement();
+    click('Cancel');
+    keyDown('+');
+    expect(previousLine()).toHaveTextContent('0 +');
+  });
 });
@@ -0,0 +1,1486 @@
+import React, {
+  createContext,
+  forwardRef,
+  useCallback,
+  useContext,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import { flushSync } from "react-dom";
+import {
+  calculatorReducer,
+  displayValue,
+  evaluatePaste,
+  initialState,
+  looksSame,
+  shareableState,
+  tapeTotals,
+} from "./calculator/engine";
+import { ROUNDING_MODES } from "./calculator/bigDecimal";
+import { ANGLE_UNITS } from "./calculator/scientific";
+import { addHistoryEntry, loadHistory, removeHistoryEntry, saveHistory } from "./calculator/history";
+import { isZeroValue, loadMemory, saveMemory } from "./calculator/memory";
+import { BASES } from "./calculator/programmer";
+import { TVM_FIELDS, loadFinancial, saveFinancial } from "./calculator/financial";
+import { STATISTICS, loadStatistics, saveStatistics } from "./calculator/statistics";
+import { FRACTION_STYLES, formatFractionText, loadFractionView, saveFractionView } from "./calculator/fraction";
+import { loadVariables, saveVariables, variableValues } from "./calculator/variables";
+import { loadTape, saveTape } from "./calculator/tape";
+import {
+  LOCALE_OPTIONS,
+  getSeparators,
+  loadLocale,
+  localizeText,
+  parseLocalizedNumber,
+  resolveLocale,
+  saveLocale,
+} from "./calculator/locale";
+import {
+  MAX_NOTATION_DIGITS,
+  NOTATION_MODES,
+  applyNotationToText,
+  loadNotation,
+  normalizeNotation,
+  notationLabel,
+  saveNotation,
+} from "./calculator/notation";
+import { UNDO_LIMIT, createUndoHistory, undoable } from "./calculator/undo";
+import { describeChange } from "./calculator/speech";
+import { loadKeymap, resolveKey, saveKeymap } from "./calculator/keymap";
+import { COPY_FORMATS, loadCopyFormat, parsePaste, saveCopyFormat } from "./calculator/clipboard";
+import { decodePermalink, encodePermalink, loadPermalinkSetting, savePermalinkSetting } from "./calculator/permalink";
+import { pageStorage, scopedStorage } from "./calculator/storage";
+import {
+  THEME_OPTIONS,
+  buildTheme,
+  loadThemeSetting,
+  resolvePalette,
+  saveThemeSetting,
+  themeSettingFor,
+  withAlpha,
+} from "./calculator/theme";
+import Banner from "./components/Banner";
+import FinancialPanel from "./components/FinancialPanel";
+import HistoryPanel from "./components/HistoryPanel";
+import KeymapDialog from "./components/KeymapDialog";
+import KeypadGrid from "./components/KeypadGrid";
+import MemoryPanel from "./components/MemoryPanel";
+import ProgrammerPanel from "./components/ProgrammerPanel";
+import ShortcutSheet from "./components/ShortcutSheet";
+import StatisticsPanel from "./components/StatisticsPanel";
+import ThemePanel from "./components/ThemePanel";
+import UnitPanel from "./components/UnitPanel";
+import TapePanel from "./components/TapePanel";
+import VariablesPanel from "./components/VariablesPanel";
+
+/**
+ * Embeddable calculator widget; App shows it full page. Behaviors (see ./calculator/engine for the state machine):
+ * - Digits, decimal
+ * - +, -, ×, ÷
+ * - % (acts as "percent of previous value" if a binary op is active; otherwise divides by 100)
+ * - ± sign toggle
+ * - AC clears everything; CE (Delete) clears only the entry and keeps the pending operation
+ * - chaining ops (operator computes pending op first)
+ * - repeated equals (press '=' multiple times repeats last op)
+ * - division by zero => Error state, next digit starts fresh
+ * - expression entry with precedence and ( ) keys
+ * - scientific layout: trig (DEG/RAD/GRAD), logs, powers, roots, 1/x, n!, π, e
+ * - history tape (saved in localStorage) with search and recall
+ * - adding-machine tape in place of the previous line: entries, operators and running subtotals as editable,
+ *   deletable line items with a grand total, exported as CSV or printed as a receipt (see ./calculator/tape)
+ * - memory keys MC/MR/M+/M−/MS over ten named, saved registers (Alt+L/R/P/Q/M)
+ * - named, saved variables and ans (the last result), recalled from their panel or by name in a pasted expression;
+ *   imported and exported as JSON
+ * - display notation: auto, fixed decimals, scientific, engineering (optionally SI prefixes), shown in the header
+ * - locale-aware grouping and decimal separators (browser default or chosen; the locale's decimal key works)
+ * - unit conversion of the displayed value (length, area, volume, mass, temperature, speed, data, time)
+ * - fraction mode: exact fractions entered with a b/c, shown mixed or improper in lowest terms, F↔D shows decimals
+ * - programmer mode: HEX/DEC/OCT/BIN, A-F, AND/OR/XOR/NAND/NOT, shifts and rotates, 8-64 bit words, bit grid
+ * - financial mode: TAX+/TAX− with a saved tax rate, markup, margin, percent change, and a TVM solver
+ *   (N, I/Y, PV, PMT, FV) with an amortization schedule
+ * - statistics mode: Σ+/Σ− into an editable, saved data list (x,y pairs too), one-variable statistics and linear
+ *   regression, each usable as an operand
+ * - undo/redo of every action (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y, and the ↶ ↷ buttons)
+ * - clipboard: Ctrl/Cmd+C copies the display (formatted or raw), Ctrl/Cmd+V pastes a number or an expression
+ * - permalinks: the URL hash follows the display, pending operation and last calculation (unless turned off);
+ *   opening such a link restores them, and a malformed one is ignored with a notice
+ * - themes: light, dark, high contrast (WCAG AAA) or a custom JSON palette; defaults to the system color scheme
+ * - screen readers: results, pending operations and errors are announced in words ("12 plus 7 equals 19");
+ *   each key pad is one Tab stop with arrow-key navigation; hover motion honors prefers-reduced-motion
+ * - keyboard shortcuts from an editable, saved keymap (see ./calculator/keymap); ? shows the cheat sheet
+ *
+ * Keys, copy and paste are only taken while focus is inside the widget, so it can share a page with other content.
+ *
+ * Props (all optional):
+ * - initialValue: number or numeric string shown on the display at start; ignored unless the arithmetic can hold
+ *   it (1e400 is out of range in float mode)
+ * - mode: arithmetic, "float" | "decimal" | "programmer" | "fraction"; switched when the prop changes
+ * - theme: "system" | "light" | "dark" | "contrast" or a palette object (see ./calculator/theme); replaces the
+ *   theme picker. An unusable value is ignored.
+ * - onChange(snapshot): the display, pending operation, error, arithmetic or last calculation changed
+ * - onResult(result, calculation): a calculation completed; result is a plain decimal string
+ * - permalink: keep the calculation in the URL hash and restore it from there (see ./calculator/permalink)
+ * - storageKey: a namespace for everything saved in localStorage, so several widgets on one page (or site) keep
+ *   their own history, memory and settings; read at mount. Without it, widgets share the same saved data.
+ * - autoFocus: focus the widget on mount
+ * - fullPage: fill the page (background and centering) instead of only the calculator card
+ * - banner: { message, actionLabel, onAction, onDismiss } shown across the top, e.g. an update prompt
+ *   (see ./components/Banner)
+ *
+ * Ref API: setValue(value) (ignored, like initialValue, unless the arithmetic can hold it), press(action) with an
+ * engine action such as { type: "digit", value: 7 }, clear(), and getState(), which returns the snapshot { value,
+ * display, previousLine, pendingOp, error, arithmetic, calculation }: value is the display as a plain decimal string
+ * (null in Error), display and previousLine are the text as shown. Calls render right away, so getState() already
+ * reflects them.
+ */
+
+const MEMORY_KEYS = [
+  { label: "MC", ariaLabel: "Memory clear", command: "clear" },
+  { label: "MR", ariaLabel: "Memory recall", command: "recall" },
+  { label: "M+", ariaLabel: "Memory add", command: "add" },
+  { label: "M−", ariaLabel: "Memory subtract", command: "subtract" },
+  { label: "MS", ariaLabel: "Memory store", command: "store" },
+];
+
+const SCIENTIFIC_KEYS = [
+  { label: "sin", ariaLabel: "Sine", action: { type: "function", value: "sin" } },
+  { label: "cos", ariaLabel: "Cosine", action: { type: "function", value: "cos" } },
+  { label: "tan", ariaLabel: "Tangent", action: { type: "function", value: "tan" } },
+  { label: "ln", ariaLabel: "Natural logarithm", action: { type: "function", value: "ln" } },
+  { label: "sin⁻¹", ariaLabel: "Inverse sine", action: { type: "function", value: "asin" } },
+  { label: "cos⁻¹", ariaLabel: "Inverse cosine", action: { type: "function", value: "acos" } },
+  { label: "tan⁻¹", ariaLabel: "Inverse tangent", action: { type: "function", value: "atan" } },
+  { label: "log", ariaLabel: "Base-10 logarithm", action: { type: "function", value: "log10" } },
+  { label: "x²", ariaLabel: "Square", action: { type: "function", value: "square" } },
+  { label: "xʸ", ariaLabel: "Power", action: { type: "op", value: "^" } },
+  { label: "√", ariaLabel: "Square root", action: { type: "function", value: "sqrt" } },
+  { label: "ʸ√x", ariaLabel: "Root", action: { type: "op", value: "root" } },
+  { label: "1/x", ariaLabel: "Reciprocal", action: { type: "function", value: "reciprocal" } },
+  { label: "n!", ariaLabel: "Factorial", action: { type: "function", value: "factorial" } },
+  { label: "π", ariaLabel: "Pi", action: { type: "constant", value: "pi" } },
+  { label: "e", ariaLabel: "Euler's number", action: { type: "constant", value: "e" } },
+];
+
+const FINANCIAL_KEYS = [
+  { label: "TAX+", ariaLabel: "Add tax", action: { type: "tax", value: "add" } },
+  { label: "TAX−", ariaLabel: "Remove tax", action: { type: "tax", value: "remove" } },
+  { label: "MU", ariaLabel: "Markup", action: { type: "op", value: "markup" } },
+  { label: "MG", ariaLabel: "Margin", action: { type: "op", value: "margin" } },
+  { label: "Δ%", ariaLabel: "Percent change", action: { type: "op", value: "pctChange" } },
+  ...TVM_FIELDS.map(({ id, label, name }) => ({
+    label,
+    ariaLabel: `Store ${name}`,
+    action: { type: "tvm", value: "store", field: id },
+  })),
+  ...TVM_FIELDS.map(({ id, label, name }) => ({
+    label: `CPT ${label}`,
+    ariaLabel: `Compute ${name}`,
+    action: { type: "tvm", value: "compute", field: id },
+  })),
+];
+
+const STATISTICS_KEYS = [
+  { label: "Σ+", ariaLabel: "Add to data", action: { type: "stat", value: "add" } },
+  { label: "Σ−", ariaLabel: "Remove from data", action: { type: "stat", value: "remove" } },
+  { label: "x,y", ariaLabel: "Use as x of a pair", action: { type: "stat", value: "pair" } },
+  ...["count", "sum", "mean", "median", "popSd", "sampleSd", "slope"].map((id) => {
+    const { label, name } = STATISTICS.find((s) => s.id === id);
+    return { label, ariaLabel: name, action: { type: "stat", value: "recall", stat: id } };
+  }),
+];
+
+const HEX_DIGITS = ["A", "B", "C", "D", "E", "F"];
+
+const BITWISE_KEYS = [
+  { label: "AND", ariaLabel: "Bitwise and", action: { type: "op", value: "and" } },
+  { label: "OR", ariaLabel: "Bitwise or", action: { type: "op", value: "or" } },
+  { label: "XOR", ariaLabel: "Bitwise exclusive or", action: { type: "op", value: "xor" } },
+  { label: "NAND", ariaLabel: "Bitwise not and", action: { type: "op", value: "nand" } },
+  { label: "NOT", ariaLabel: "Bitwise not", action: { type: "function", value: "not" } },
+  { label: "<<", ariaLabel: "Shift left", action: { type: "op", value: "shl" } },
+  { label: ">>", ariaLabel: "Shift right", action: { type: "op", value: "shr" } },
+  { label: "ROL", ariaLabel: "Rotate left", action: { type: "op", value: "rol" } },
+  { label: "ROR", ariaLabel: "Rotate right", action: { type: "op", value: "ror" } },
+];
+
+// The engine with an undo stack: state is { past, present, future }.
+const undoableReducer = undoable(calculatorReducer, UNDO_LIMIT, looksSame);
+
+// Keys and clipboard shortcuts typed into form fields belong to those fields.
+const isTextField = (target) => ["INPUT", "TEXTAREA", "SELECT"].includes((target && target.tagName) || "");
+
+// How long copy/paste notices stay visible.
+const NOTICE_MS = 4000;
+
+// Whether a media query matches, kept current; false where matchMedia is unavailable (older browsers, tests).
+function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() =>
+    typeof window.matchMedia === "function" ? window.matchMedia(query).matches : false
+  );
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return undefined;
+    const list = window.matchMedia(query);
+    const onChange = (e) => setMatches(e.matches);
+    list.addEventListener("change", onChange);
+    return () => list.removeEventListener("change", onChange);
+  }, [query]);
+  return matches;
+}
+
+// Off-screen but still read by screen readers.
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+// What every key needs from App: { onPress(action), theme, reducedMotion }.
+const KeyContext = createContext(null);
+
+// Keys are defined at module level so re-renders update them in place instead of re-creating them (and
+// losing keyboard focus).
+// `onClick` replaces dispatching `action`, for keys that only change the presentation (with `pressed` state).
+function Button({ label, ariaLabel, style, action, onClick, pressed, disabled = false }) {
+  const { onPress, theme, reducedMotion } = useContext(KeyContext);
+  return (
+    <button
+      type="button"
+      style={disabled ? { ...style, opacity: 0.4, cursor: "not-allowed" } : style}
+      aria-label={ariaLabel ?? label}
+      aria-pressed={pressed}
+      disabled={disabled}
+      onClick={() => (onClick ? onClick() : onPress(action))}
+      onMouseDown={(e) => {
+        // Prevent focus loss / text selection.
+        e.preventDefault();
+      }}
+      onMouseEnter={(e) => {
+        if (!reducedMotion) e.currentTarget.style.transform = "translateY(-1px)";
+        e.currentTarget.style.boxShadow = `0 10px 22px ${withAlpha(theme.shade, 0.1)}`;
+      }}
+      onMouseLeave={(e) => {
+        e.currentTarget.style.transform = "translateY(0)";
+        e.currentTarget.style.boxShadow = style.boxShadow;
+      }}
+      onMouseUp={(e) => {
+        e.currentTarget.style.transform = "translateY(0)";
+      }}
+      onFocus={(e) => {
+        e.currentTarget.style.outline = `3px solid ${theme.focus}`;
+        e.currentTarget.style.outlineOffset = "2px";
+      }}
+      onBlur={(e) => {
+        e.currentTarget.style.outline = "none";
+      }}
+    >
+      {label}
+    </button>
+  );
+}
+
+// PUBLIC_INTERFACE
+const Calculator = forwardRef(function Calculator(
+  {
+    initialValue,
+    mode,
+    theme,
+    onChange,
+    onResult,
+    permalink = false,
+    storageKey,
+    autoFocus = false,
+    fullPage = false,
+    banner = null,
+  },
+  ref
+) {
+  // Where settings and data are saved; the namespace is taken once, when the widget mounts.
+  const [storage] = useState(() => scopedStorage(pageStorage(), storageKey));
+  // A permalink the page was opened with (see ./calculator/permalink): null, { ok, link } or { ok: false, error }
+  // The link's calculation is checked in the arithmetic the calculator opens in.
+  const [openedLink] = useState(() => {
+    if (!permalink) return null;
+    const start = mode ? calculatorReducer(initialState, { type: "setArithmetic", value: mode }) : initialState;
+    return decodePermalink(window.location.hash, (tokens) => evaluatePaste(start, tokens));
+  });
+  const [timeline, dispatch] = useReducer(undoableReducer, initialState, (init) => {
+    let opened = {
+      ...init,
+      memory: loadMemory(storage) ?? init.memory,
+      financial: loadFinancial(storage) ?? init.financial,
+      statistics: loadStatistics(storage) ?? init.statistics,
+      variables: loadVariables(storage) ?? init.variables,
+      tape: loadTape(storage) ?? init.tape,
+    };
+    if (mode) opened = calculatorReducer(opened, { type: "setArithmetic", value: mode });
+    if (initialValue !== undefined && initialValue !== null) {
+      opened = calculatorReducer(opened, { type: "setValue", value: String(initialValue) });
+    }
+    if (openedLink && openedLink.ok) opened = calculatorReducer(opened, { type: "restore", ...openedLink.link });
+    return createUndoHistory(opened);
+  });
+  const state = timeline.present;
+  const { display, previousLine, error, errorMessage, arithmetic, precision, rounding, entryMode, angleUnit } = state;
+  const programmer = arithmetic === "programmer";
+  const fraction = arithmetic === "fraction";
+  // Digits at or above the radix are disabled (and ignored by the engine).
+  const radix = programmer ? BASES[state.base] : 10;
+
+  // Scientific layout is purely presentational; the engine always understands the scientific actions.
+  const [scientific, setScientific] = useState(false);
+  const [financial, setFinancial] = useState(false);
+  const [statistics, setStatistics] = useState(false);
+
+  const [history, setHistory] = useState(() => loadHistory(storage));
+  const [showHistory, setShowHistory] = useState(false);
+  const [showMemory, setShowMemory] = useState(false);
+  const [showVariables, setShowVariables] = useState(false);
+  const [showUnits, setShowUnits] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showKeymap, setShowKeymap] = useState(false);
+  const [keymap, setKeymap] = useState(() => loadKeymap(storage));
+
+  // Separators and notation are presentation only: the engine keeps raw strings like "1234.5".
+  const [localeSetting, setLocaleSetting] = useState(() => loadLocale(storage));
+  const locale = resolveLocale(localeSetting);
+  const decimalKey = useMemo(() => getSeparators(locale).decimal, [locale]);
+  const [notation, setNotation] = useState(() => loadNotation(storage));
+  const notationIndicator = programmer || fraction ? "" : notationLabel(notation);
+  // Mixed or improper, and fraction or decimal (F↔D): fractions stay exact in the engine whatever is shown.
+  const [fractionView, setFractionView] = useState(() => loadFractionView(storage));
+
+  // Hex, octal and binary digits are shown ungrouped; programmer integers ignore the notation and fractions
+  // follow the fraction view instead.
+  const localize = (text) => (programmer && radix !== 10 ? text : localizeText(text, locale));
+  // Tape amounts are typed back the way localize shows them (ungrouped plain numbers read as en-US).
+  const delocalize = (text) => parseLocalizedNumber(text, programmer && radix !== 10 ? "en-US" : locale);
+  const notate = (text) => {
+    if (programmer) return text;
+    return fraction ? formatFractionText(text, fractionView) : applyNotationToText(text, notation);
+  };
+  // Results take the notation; an entry being typed is shown as typed.
+  const shownDisplay = localize(state.overwrite ? notate(display) : display);
+  const shownPreviousLine = error ? errorMessage : localize(notate(previousLine));
+
+  const [copyFormat, setCopyFormat] = useState(() => loadCopyFormat(storage));
+  const [shareLink, setShareLink] = useState(() => loadPermalinkSetting(storage));
+  // Transient, non-destructive feedback for copy/paste and links: { tone: "info" | "warning", message } | null
+  const [notice, setNotice] = useState(() =>
+    openedLink && !openedLink.ok ? { tone: "warning", message: `Ignored the link: ${openedLink.error}` } : null
+  );
+
+  // Screen-reader announcements of what changed on screen (see ./calculator/speech): { text, urgent } | null
+  const [announcement, setAnnouncement] = useState(null);
+  const spokenRef = useRef(null);
+  const spokenExpression = state.calculation ? localize(state.calculation.expression) : "";
+  useEffect(() => {
+    const snapshot = {
+      display: shownDisplay,
+      previousLine: error ? "" : shownPreviousLine,
+      error: error ? errorMessage : null,
+      calculation: state.calculation,
+      expression: spokenExpression,
+    };
+    const change = spokenRef.current && describeChange(spokenRef.current, snapshot);
+    spokenRef.current = snapshot;
+    if (change) setAnnouncement(change);
+  }, [shownDisplay, shownPreviousLine, error, errorMessage, state.calculation, spokenExpression]);
+
+  // For accessibility: keep focus on the main container so keyboard works naturally.
+  const containerRef = useRef(null);
+
+  const [themeSetting, setThemeSetting] = useState(() => loadThemeSetting(storage));
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const reducedMotion = useMediaQuery("(prefers-reduced-motion: reduce)");
+  // A theme given by the embedding page replaces the saved one (and the controls that change it).
+  const fixedTheme = useMemo(() => (theme === undefined ? null : themeSettingFor(theme)), [theme]);
+  const palette = resolvePalette(fixedTheme ?? themeSetting, prefersDark);
+  const THEME = useMemo(() => buildTheme(palette), [palette]);
+
+  // All calculator semantics live in the engine; the UI only dispatches actions.
+  const handleButton = useCallback((action) => dispatch(action), []);
+
+  const modeRef = useRef(mode);
+  useEffect(() => {
+    if (mode === modeRef.current) return;
+    modeRef.current = mode;
+    if (mode) handleButton({ type: "setArithmetic", value: mode });
+  }, [mode, handleButton]);
+
+  // What the embedding page sees, kept with the state and the latest callbacks for the ref API, change events and
+  // links opened later.
+  const snapshot = {
+    value: displayValue(state),
+    display: shownDisplay,
+    previousLine: error ? "" : shownPreviousLine,
+    pendingOp: state.pendingOp,
+    error: error ? errorMessage || "Error" : null,
+    arithmetic,
+    calculation: state.calculation,
+  };
+  const latestRef = useRef(null);
+  useLayoutEffect(() => {
+    latestRef.current = { state, snapshot, onChange, onResult };
+  });
+
+  const changeKey = JSON.stringify(snapshot);
+  const reportedRef = useRef(changeKey);
+  useEffect(() => {
+    if (changeKey === reportedRef.current) return;
+    reportedRef.current = changeKey;
+    const { snapshot: current, onChange: notify } = latestRef.current;
+    if (notify) notify(current);
+  }, [changeKey]);
+
+  useImperativeHandle(ref, () => {
+    const run = (action) => flushSync(() => dispatch(action));
+    return {
+      setValue: (value) => run({ type: "setValue", value: String(value) }),
+      press: (action) => run(action),
+      clear: () => run({ type: "clear" }),
+      getState: () => latestRef.current.snapshot,
+    };
+  }, []);
+
+  // Every completed calculation lands on the history tape, once: undo and redo bring back calculations
+  // that are already there.
+  const recordedRef = useRef(new WeakSet());
+  useEffect(() => {
+    const { calculation } = state;
+    if (!calculation || recordedRef.current.has(calculation)) return;
+    recordedRef.current.add(calculation);
+    setHistory((entries) => addHistoryEntry(entries, calculation));
+    if (latestRef.current.onResult) latestRef.current.onResult(calculation.result, calculation);
+  }, [state]);
+
+  useEffect(() => {
+    saveHistory(storage, history);
+  }, [history, storage]);
+
+  useEffect(() => {
+    saveMemory(storage, state.memory);
+  }, [state.memory, storage]);
+
+  useEffect(() => {
+    saveFinancial(storage, state.financial);
+  }, [state.financial, storage]);
+
+  useEffect(() => {
+    saveStatistics(storage, state.statistics);
+  }, [state.statistics, storage]);
+
+  useEffect(() => {
+    saveVariables(storage, state.variables);
+  }, [state.variables, storage]);
+
+  useEffect(() => {
+    saveTape(storage, state.tape);
+  }, [state.tape, storage]);
+
+  useEffect(() => {
+    saveLocale(storage, localeSetting);
+  }, [localeSetting, storage]);
+
+  useEffect(() => {
+    saveNotation(storage, notation);
+  }, [notation, storage]);
+
+  useEffect(() => {
+    saveFractionView(storage, fractionView);
+  }, [fractionView, storage]);
+
+  useEffect(() => {
+    saveThemeSetting(storage, themeSetting);
+  }, [themeSetting, storage]);
+
+  useEffect(() => {
+    saveKeymap(storage, keymap);
+  }, [keymap, storage]);
+
+  useEffect(() => {
+    saveCopyFormat(storage, copyFormat);
+  }, [copyFormat, storage]);
+
+  useEffect(() => {
+    savePermalinkSetting(storage, shareLink);
+  }, [shareLink, storage]);
+
+  // The URL hash follows the calculation so the address bar can be shared as is. replaceState keeps this out of
+  // the browser history and does not fire hashchange; turning sharing off removes the link but no other hash.
+  const link = encodePermalink(shareableState(state));
+  useEffect(() => {
+    if (!permalink) return;
+    const { pathname, search, hash: current } = window.location;
+    let next = current;
+    if (shareLink) next = link;
+    else if (decodePermalink(current) !== null) next = "";
+    if (next === current) return;
+    window.history.replaceState(window.history.state, "", `${pathname}${search}${next}`);
+  }, [link, shareLink, permalink]);
+
+  // A link pasted into the address bar of an open calculator.
+  useEffect(() => {
+    if (!permalink) return undefined;
+    const onHashChange = () => {
+      const opened = decodePermalink(window.location.hash, (tokens) => evaluatePaste(latestRef.current.state, tokens));
+      if (!opened) return;
+      if (opened.ok) handleButton({ type: "restore", ...opened.link });
+      else setNotice({ tone: "warning", message: `Ignored the link: ${opened.error}` });
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [handleButton, permalink]);
+
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = setTimeout(() => setNotice(null), NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  // Clipboard: the copy/paste events carry the clipboard data without extra permissions. Like keys, they are
+  // handled on the widget, so they only apply while focus is inside it.
+  const onCopy = (e) => {
+    // A real text selection (or a form field) copies as usual.
+    if (isTextField(e.target) || String(window.getSelection ? window.getSelection() : "")) return;
+    if (error) return;
+    e.preventDefault();
+    const text = copyFormat === "raw" ? display : shownDisplay;
+    e.clipboardData.setData("text/plain", text);
+    setNotice({ tone: "info", message: `Copied ${text}` });
+  };
+
+  const onPaste = (e) => {
+    if (isTextField(e.target)) return;
+    e.preventDefault();
+    const text = e.clipboardData ? e.clipboardData.getData("text/plain") : "";
+    const parsed = parsePaste(text, decimalKey, variableValues(state.variables));
+    const result = parsed.ok ? evaluatePaste(state, parsed.tokens) : parsed;
+    // Nothing changes on bad input; the current entry and pending operation stay as they were.
+    if (!result.ok) {
+      setNotice({ tone: "warning", message: result.error });
+      return;
+    }
+    handleButton({ type: "setValue", value: result.value, calculation: result.calculation });
+    setNotice(null);
+  };
+
+  const activeRegister = state.memory.registers[state.memory.active];
+
+  const recallHistory = useCallback(
+    (entry) => handleButton({ type: "setValue", value: entry.result }),
+    [handleButton]
+  );
+
+  // Keyboard support: keys pressed inside the widget go through the keymap (see ./calculator/keymap)
+  const onKeyDown = (e) => {
+    // Avoid hijacking typing in inputs and dialogs.
+    if (isTextField(e.target) || (e.target.closest && e.target.closest('[role="dialog"]'))) return;
+    // Enter on a focused key presses that key rather than "=".
+    if (e.key === "Enter" && e.target.tagName === "BUTTON") return;
+
+    const command = resolveKey(keymap, e, programmer ? "programmer" : "standard");
+    if (command) {
+      e.preventDefault();
+      if (command.action.type === "showShortcuts") setShowShortcuts(true);
+      else handleButton(command.action);
+      return;
+    }
+
+    // The locale's decimal key (e.g. "," in de-DE) always enters a decimal point.
+    if (e.key === decimalKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      handleButton({ type: "decimal" });
+    }
+  };
+
+  // Focus container on mount for immediate keyboard usability
+  useEffect(() => {
+    if (autoFocus && containerRef.current) containerRef.current.focus();
+  }, [autoFocus]);
+
+  const nextAngleUnit = ANGLE_UNITS[(ANGLE_UNITS.indexOf(angleUnit) + 1) % ANGLE_UNITS.length];
+
+  const buttonBase = {
+    appearance: "none",
+    border: `1px solid ${THEME.border}`,
+    background: THEME.surface,
+    color: THEME.text,
+    borderRadius: 14,
+    padding: "14px 10px",
+    fontSize: 16,
+    fontWeight: 700,
+    cursor: "pointer",
+    transition: reducedMotion
+      ? "none"
+      : "transform 120ms ease, box-shadow 120ms ease, background 120ms ease, border-color 120ms ease",
+    boxShadow: `0 2px 10px ${withAlpha(THEME.shade, 0.06)}`,
+    userSelect: "none",
+  };
+
+  const frame = {
+    color: THEME.text,
+    colorScheme: THEME.scheme,
+    fontFamily:
+      "Inter, ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, 'Apple Color Emoji', 'Segoe UI Emoji'",
+  };
+
+  const styles = {
+    frame,
+    page: {
+      ...frame,
+      minHeight: "100vh",
+      background: `linear-gradient(180deg, ${THEME.background} 0%, ${withAlpha(THEME.primary, 0.06)} 60%, ${THEME.background} 100%)`,
+      display: "grid",
+      placeItems: "center",
+      padding: 24,
+    },
+    shell: {
+      width: "min(420px, 100%)",
+      background: THEME.surface,
+      border: `1px solid ${THEME.border}`,
+      borderRadius: 22,
+      boxShadow: THEME.shadow,
+      overflow: "hidden",
+    },
+    header: {
+      padding: "18px 18px 8px 18px",
+      background: `linear-gradient(135deg, ${withAlpha(THEME.primary, 0.1)}, ${withAlpha(THEME.secondary, 0.1)})`,
+      borderBottom: `1px solid ${THEME.border}`,
+    },
+    titleRow: {
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "space-between",
+      gap: 12,
+      marginBottom: 10,
+    },
+    brand: {
+      display: "flex",
+      alignItems: "center",
+      gap: 10,
+      fontWeight: 800,
+      letterSpacing: "-0.02em",
+    },
+    dot: {
+      width: 12,
+      height: 12,
+      borderRadius: 999,
+      background: `linear-gradient(135deg, ${THEME.primary}, ${THEME.secondary})`,
+      boxShadow: `0 6px 18px ${withAlpha(THEME.primary, 0.25)}`,
+    },
+    helpButton: {
+      ...buttonBase,
+      width: 28,
+      height: 28,
+      padding: 0,
+      borderRadius: 999,
+      fontSize: 13,
+      fontWeight: 800,
+      color: THEME.subtle,
+    },
+    modeBar: {
+      display: "flex",
+      alignItems: "center",
+      flexWrap: "wrap",
+      gap: 8,
+      marginBottom: 10,
+      fontSize: 12,
+      color: THEME.subtle,
+    },
+    control: {
+      font: "inherit",
+      fontSize: 12,
+      color: THEME.text,
+      background: THEME.surface,
+      border: `1px solid ${THEME.border}`,
+      borderRadius: 8,
+      padding: "3px 6px",
+    },
+    displayWrap: {
+      background: THEME.surface,
+      border: `1px solid ${THEME.border}`,
+      borderRadius: 18,
+      padding: "14px 14px 12px 14px",
+      boxShadow: "inset 0 1px 0 rgba(255,255,255,0.6)",
+    },
+    notice: (tone) => ({
+      fontSize: 11,
+      fontWeight: 600,
+      minHeight: 14,
+      marginTop: 4,
+      textAlign: "right",
+      color: tone === "warning" ? THEME.error : THEME.subtle,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    }),
+    previousLine: {
+      fontSize: 12,
+      fontWeight: 600,
+      color: error ? THEME.error : THEME.subtle,
+      minHeight: 18,
+      textAlign: "right",
+      letterSpacing: "0.02em",
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+    mainDisplay: {
+      fontSize: 34,
+      fontWeight: 800,
+      textAlign: "right",
+      letterSpacing: "-0.02em",
+      lineHeight: 1.15,
+      marginTop: 6,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+      color: error ? THEME.error : THEME.text,
+    },
+    keypad: {
+      padding: 16,
+      gap: 12,
+      background: THEME.background,
+    },
+    // The smaller key groups above the keypad; KeypadGrid sets their columns.
+    keyPad: {
+      padding: "16px 16px 0 16px",
+      gap: 8,
+      background: THEME.background,
+    },
+    btnSci: {
+      ...buttonBase,
+      padding: "10px 6px",
+      fontSize: 14,
+      fontWeight: 600,
+    },
+    btnFinancial: {
+      ...buttonBase,
+      padding: "10px 4px",
+      fontSize: 13,
+      fontWeight: 600,
+      whiteSpace: "nowrap",
+    },
+    angleToggle: {
+      ...buttonBase,
+      padding: "4px 8px",
+      fontSize: 11,
+      fontWeight: 800,
+      letterSpacing: "0.04em",
+      borderRadius: 999,
+      color: THEME.primary,
+    },
+    btnMemory: {
+      ...buttonBase,
+      padding: "8px 4px",
+      fontSize: 13,
+      fontWeight: 700,
+      color: THEME.primary,
+    },
+    displayTop: {
+      display: "flex",
+      justifyContent: "space-between",
+      gap: 8,
+    },
+    memoryIndicator: {
+      fontSize: 11,
+      fontWeight: 800,
+      color: THEME.primary,
+      minHeight: 14,
+      textAlign: "left",
+    },
+    notationIndicator: {
+      fontSize: 11,
+      fontWeight: 800,
+      letterSpacing: "0.04em",
+      color: THEME.secondary,
+    },
+    btn: buttonBase,
+    btnPrimary: {
+      ...buttonBase,
+      background: THEME.primary,
+      borderColor: withAlpha(THEME.primary, 0.35),
+      color: THEME.onPrimary,
+      boxShadow: `0 10px 20px ${withAlpha(THEME.primary, 0.22)}`,
+    },
+    btnAccent: {
+      ...buttonBase,
+      background: THEME.secondary,
+      borderColor: withAlpha(THEME.secondary, 0.35),
+      color: THEME.onSecondary,
+      boxShadow: `0 10px 20px ${withAlpha(THEME.secondary, 0.22)}`,
+    },
+    btnDanger: {
+      ...buttonBase,
+      background: withAlpha(THEME.error, 0.1),
+      borderColor: withAlpha(THEME.error, 0.35),
+      color: THEME.error,
+      boxShadow: `0 10px 20px ${withAlpha(THEME.error, 0.1)}`,
+    },
+    btnWide: {
+      gridColumn: "span 2",
+    },
+    footer: {
+      padding: "0 16px 16px 16px",
+      background: THEME.background,
+      color: THEME.subtle,
+      fontSize: 12,
+      display: "flex",
+      flexWrap: "wrap",
+      justifyContent: "space-between",
+      gap: 12,
+      alignItems: "center",
+    },
+    // Footer buttons; a toggle is tinted while its panel or mode is on.
+    footerButton: (on = false) => ({
+      ...buttonBase,
+      padding: "8px 10px",
+      fontSize: 12,
+      fontWeight: 700,
+      background: on ? withAlpha(THEME.primary, 0.1) : THEME.surface,
+    }),
+    kbd: {
+      fontFamily:
+        "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+      fontSize: 11,
+      padding: "2px 6px",
+      borderRadius: 8,
+      border: `1px solid ${THEME.border}`,
+      background: THEME.surface,
+      color: THEME.text,
+    },
+  };
+
+  // Keyboard focus goes back to the calculator when a dialog closes.
+  const closeDialogs = () => {
+    setShowShortcuts(false);
+    setShowKeymap(false);
+    if (containerRef.current) containerRef.current.focus();
+  };
+
+  const keyContext = useMemo(
+    () => ({ onPress: handleButton, theme: THEME, reducedMotion }),
+    [handleButton, THEME, reducedMotion]
+  );
+
+  return (
+    <div style={fullPage ? styles.page : styles.frame}>
+      <KeyContext.Provider value={keyContext}>
+        <div
+          ref={containerRef}
+          tabIndex={0}
+          role="application"
+          aria-label="Calculator"
+          style={styles.shell}
+          onKeyDown={onKeyDown}
+          onCopy={onCopy}
+          onPaste={onPaste}
+        >
+          {banner && <Banner {...banner} theme={THEME} />}
+          <div style={styles.header}>
+            <div style={styles.titleRow}>
+              <div style={styles.brand}>
+                <span aria-hidden="true" style={styles.dot} />
+                <span>Ocean Calculator</span>
+                {scientific && (
+                  <button
+                    type="button"
+                    style={styles.angleToggle}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => handleButton({ type: "setAngleUnit", value: nextAngleUnit })}
+                    aria-label={`Angle unit ${angleUnit.toUpperCase()}, switch to ${nextAngleUnit.toUpperCase()}`}
+                    title="Angle unit"
+                  >
+                    {angleUnit.toUpperCase()}
+                  </button>
+                )}
+              </div>
+              {!fixedTheme && (
+                <select
+                  aria-label="Theme"
+                  style={{ ...styles.control, marginLeft: "auto" }}
+                  value={themeSetting.choice}
+                  onChange={(e) => setThemeSetting((current) => ({ ...current, choice: e.target.value }))}
+                >
+                  {THEME_OPTIONS.filter(({ value }) => value !== "custom" || themeSetting.custom).map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <button
+                type="button"
+                style={styles.helpButton}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => setShowShortcuts(true)}
+                aria-label="Keyboard shortcuts"
+                title="Keyboard shortcuts (?)"
+              >
+                ?
+              </button>
+            </div>
+
+            <div style={styles.modeBar}>
+              <label>
+                <input type="checkbox" checked={scientific} onChange={(e) => setScientific(e.target.checked)} />{" "}
+                Scientific
+              </label>
+              <label>
+                <input type="checkbox" checked={financial} onChange={(e) => setFinancial(e.target.checked)} />{" "}
+                Financial
+              </label>
+              <label>
+                <input type="checkbox" checked={statistics} onChange={(e) => setStatistics(e.target.checked)} />{" "}
+                Statistics
+              </label>
+              <label>
+                Entry{" "}
+                <select
+                  style={styles.control}
+                  value={entryMode}
+                  onChange={(e) => handleButton({ type: "setEntryMode", value: e.target.value })}
+                >
+                  <option value="immediate">Immediate</option>
+                  <option value="expression">Expression</option>
+                </select>
+              </label>
+              <label>
+                Arithmetic{" "}
+                <select
+                  style={styles.control}
+                  value={arithmetic}
+                  onChange={(e) => handleButton({ type: "setArithmetic", value: e.target.value })}
+                >
+                  <option value="float">Float</option>
+                  <option value="decimal">Exact decimal</option>
+                  <option value="programmer">Programmer</option>
+                  <option value="fraction">Fraction</option>
+                </select>
+              </label>
+              <label>
+                Format{" "}
+                <select style={styles.control} value={localeSetting} onChange={(e) => setLocaleSetting(e.target.value)}>
+                  {LOCALE_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Notation{" "}
+                <select
+                  style={styles.control}
+                  value={notation.mode}
+                  onChange={(e) => setNotation((current) => normalizeNotation({ ...current, mode: e.target.value }))}
+                >
+                  {NOTATION_MODES.map((mode) => (
+                    <option key={mode} value={mode}>
+                      {mode}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {notation.mode !== "auto" && (
+                <label>
+                  {notation.mode === "fixed" ? "Decimals" : "Digits"}{" "}
+                  <input
+                    type="number"
+                    min={notation.mode === "fixed" ? 0 : 1}
+                    max={MAX_NOTATION_DIGITS}
+                    style={{ ...styles.control, width: 44 }}
+                    value={notation.digits}
+                    onChange={(e) => {
+                      const digits = Number(e.target.value);
+                      const valid = Number.isInteger(digits) && digits <= MAX_NOTATION_DIGITS;
+                      if (valid && digits >= (notation.mode === "fixed" ? 0 : 1)) {
+                        setNotation((current) => ({ ...current, digits }));
+                      }
+                    }}
+                  />
+                </label>
+              )}
+              {notation.mode === "engineering" && (
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={notation.siPrefixes}
+                    onChange={(e) => setNotation((current) => ({ ...current, siPrefixes: e.target.checked }))}
+                  />{" "}
+                  SI prefixes
+                </label>
+              )}
+              <label>
+                Copy{" "}
+                <select style={styles.control} value={copyFormat} onChange={(e) => setCopyFormat(e.target.value)}>
+                  {COPY_FORMATS.map((format) => (
+                    <option key={format} value={format}>
+                      {format}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {permalink && (
+                <label>
+                  <input type="checkbox" checked={shareLink} onChange={(e) => setShareLink(e.target.checked)} />{" "}
+                  Link in URL
+                </label>
+              )}
+              {arithmetic === "decimal" && (
+                <>
+                  <label>
+                    Division digits{" "}
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      style={{ ...styles.control, width: 52 }}
+                      value={precision}
+                      onChange={(e) => handleButton({ type: "setPrecision", value: Number(e.target.value) })}
+                    />
+                  </label>
+                  <label>
+                    Rounding{" "}
+                    <select
+                      style={styles.control}
+                      value={rounding}
+                      onChange={(e) => handleButton({ type: "setRounding", value: e.target.value })}
+                    >
+                      {ROUNDING_MODES.map((mode) => (
+                        <option key={mode} value={mode}>
+                          {mode}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              )}
+              {fraction && (
+                <label>
+                  Fractions{" "}
+                  <select
+                    style={styles.control}
+                    value={fractionView.style}
+                    onChange={(e) => setFractionView((view) => ({ ...view, style: e.target.value }))}
+                  >
+                    {FRACTION_STYLES.map((style) => (
+                      <option key={style} value={style}>
+                        {style === "mixed" ? "Mixed" : "Improper"}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            <div style={styles.displayWrap}>
+              <div style={styles.displayTop}>
+                <div style={styles.memoryIndicator} title={`${activeRegister.name} = ${activeRegister.value}`}>
+                  {isZeroValue(activeRegister.value) ? "" : `M ${activeRegister.name}`}
+                </div>
+                {notationIndicator && (
+                  <div style={styles.notationIndicator} title="Display notation: shown values are rounded">
+                    {notationIndicator}
+                  </div>
+                )}
+              </div>
+              {state.tape.on && (
+                <TapePanel
+                  lines={state.tape.lines}
+                  totals={tapeTotals(state)}
+                  pending={
+                    state.pendingOp && entryMode === "immediate"
+                      ? { op: state.pendingOp, entry: state.overwrite ? "" : shownDisplay }
+                      : null
+                  }
+                  theme={THEME}
+                  format={localize}
+                  parse={delocalize}
+                  onEdit={(index, changes) => handleButton({ type: "editTapeLine", index, ...changes })}
+                  onDelete={(index) => handleButton({ type: "deleteTapeLine", index })}
+                  onClear={() => handleButton({ type: "tape", value: "clear" })}
+                />
+              )}
+              {/* The tape replaces the previous line, except for errors and expressions being built. */}
+              {(!state.tape.on || error || entryMode === "expression") && (
+                <div style={styles.previousLine} data-testid="previous-line">
+                  {shownPreviousLine}
+                </div>
+              )}
+              <div style={styles.mainDisplay} data-testid="display">
+                {shownDisplay}
+              </div>
+              <div role="status" style={styles.notice(notice && notice.tone)}>
+                {notice ? notice.message : ""}
+              </div>
+              <div aria-live="polite" aria-atomic="true" style={VISUALLY_HIDDEN} data-testid="announcer">
+                {announcement && !announcement.urgent ? announcement.text : ""}
+              </div>
+              <div role="alert" style={VISUALLY_HIDDEN}>
+                {announcement && announcement.urgent ? announcement.text : ""}
+              </div>
+            </div>
+          </div>
+
+          <KeypadGrid label="Memory keys" columns={5} style={styles.keyPad}>
+            {MEMORY_KEYS.map(({ label, ariaLabel, command }) => (
+              <Button
+                key={command}
+                label={label}
+                ariaLabel={ariaLabel}
+                style={styles.btnMemory}
+                action={{ type: "memory", value: command }}
+              />
+            ))}
+          </KeypadGrid>
+
+          {programmer && (
+            <>
+              <ProgrammerPanel
+                display={display}
+                base={state.base}
+                wordSize={state.wordSize}
+                signed={state.signed}
+                theme={THEME}
+                onSelectBase={(value) => handleButton({ type: "setBase", value })}
+                onWordSize={(value) => handleButton({ type: "setWordSize", value })}
+                onSigned={(value) => handleButton({ type: "setSigned", value })}
+                onToggleBit={(value) => handleButton({ type: "toggleBit", value })}
+              />
+              <KeypadGrid label="Programmer keys" columns={5} style={styles.keyPad}>
+                {HEX_DIGITS.map((digit, i) => (
+                  <Button
+                    key={digit}
+                    label={digit}
+                    style={styles.btnSci}
+                    action={{ type: "digit", value: 10 + i }}
+                    disabled={radix <= 10 + i}
+                  />
+                ))}
+                {BITWISE_KEYS.map(({ label, ariaLabel, action }) => (
+                  <Button key={label} label={label} ariaLabel={ariaLabel} style={styles.btnSci} action={action} />
+                ))}
+              </KeypadGrid>
+            </>
+          )}
+
+          {fraction && (
+            <KeypadGrid label="Fraction keys" columns={2} style={styles.keyPad}>
+              <Button label="a b/c" ariaLabel="Fraction bar" style={styles.btnSci} action={{ type: "fractionBar" }} />
+              <Button
+                label="F↔D"
+                ariaLabel="Show as decimal"
+                style={styles.btnSci}
+                pressed={fractionView.decimal}
+                onClick={() => setFractionView((view) => ({ ...view, decimal: !view.decimal }))}
+              />
+            </KeypadGrid>
+          )}
+
+          {scientific && !programmer && (
+            <KeypadGrid label="Scientific functions" columns={4} style={styles.keyPad}>
+              {SCIENTIFIC_KEYS.map(({ label, ariaLabel, action }) => (
+                <Button key={ariaLabel} label={label} ariaLabel={ariaLabel} style={styles.btnSci} action={action} />
+              ))}
+            </KeypadGrid>
+          )}
+
+          {financial && !programmer && (
+            <KeypadGrid label="Financial keys" columns={5} style={styles.keyPad}>
+              {FINANCIAL_KEYS.map(({ label, ariaLabel, action }) => (
+                <Button
+                  key={ariaLabel}
+                  label={label}
+                  ariaLabel={ariaLabel}
+                  style={styles.btnFinancial}
+                  action={action}
+                />
+              ))}
+            </KeypadGrid>
+          )}
+
+          {statistics && !programmer && (
+            <KeypadGrid label="Statistics keys" columns={5} style={styles.keyPad}>
+              {STATISTICS_KEYS.map(({ label, ariaLabel, action }) => (
+                <Button key={ariaLabel} label={label} ariaLabel={ariaLabel} style={styles.btnSci} action={action} />
+              ))}
+            </KeypadGrid>
+          )}
+
+          <KeypadGrid label="Keypad" columns={4} style={styles.keypad}>
+            {entryMode === "expression" && (
+              <>
+                <Button
+                  label="("
+                  ariaLabel="Open parenthesis"
+                  style={{ ...styles.btn, ...styles.btnWide }}
+                  action={{ type: "paren", value: "(" }}
+                />
+                <Button
+                  label=")"
+                  ariaLabel="Close parenthesis"
+                  style={{ ...styles.btn, ...styles.btnWide }}
+                  action={{ type: "paren", value: ")" }}
+                />
+              </>
+            )}
+            <Button label="AC" ariaLabel="Clear all" style={styles.btnDanger} action={{ type: "clear" }} />
+            <Button label="CE" ariaLabel="Clear entry" style={styles.btn} action={{ type: "clearEntry" }} />
+            <Button
+              label="%"
+              ariaLabel="Percent"
+              style={styles.btn}
+              action={{ type: "percent" }}
+              disabled={programmer}
+            />
+            <Button label="÷" ariaLabel="Divide" style={styles.btnAccent} action={{ type: "op", value: "/" }} />
+
+            <Button label="7" style={styles.btn} action={{ type: "digit", value: 7 }} disabled={radix <= 7} />
+            <Button label="8" style={styles.btn} action={{ type: "digit", value: 8 }} disabled={radix <= 8} />
+            <Button label="9" style={styles.btn} action={{ type: "digit", value: 9 }} disabled={radix <= 9} />
+            <Button label="×" ariaLabel="Multiply" style={styles.btnAccent} action={{ type: "op", value: "*" }} />
+
+            <Button label="4" style={styles.btn} action={{ type: "digit", value: 4 }} disabled={radix <= 4} />
+            <Button label="5" style={styles.btn} action={{ type: "digit", value: 5 }} disabled={radix <= 5} />
+            <Button label="6" style={styles.btn} action={{ type: "digit", value: 6 }} disabled={radix <= 6} />
+            <Button label="−" ariaLabel="Subtract" style={styles.btnAccent} action={{ type: "op", value: "-" }} />
+
+            <Button label="1" style={styles.btn} action={{ type: "digit", value: 1 }} />
+            <Button label="2" style={styles.btn} action={{ type: "digit", value: 2 }} disabled={radix <= 2} />
+            <Button label="3" style={styles.btn} action={{ type: "digit", value: 3 }} disabled={radix <= 3} />
+            <Button label="+" ariaLabel="Add" style={styles.btnAccent} action={{ type: "op", value: "+" }} />
+
+            <Button label="±" ariaLabel="Toggle sign" style={styles.btn} action={{ type: "sign" }} />
+            <Button label="0" style={styles.btn} action={{ type: "digit", value: 0 }} />
+            <Button
+              label={decimalKey}
+              ariaLabel="Decimal"
+              style={styles.btn}
+              action={{ type: "decimal" }}
+              disabled={programmer}
+            />
+            <Button label="=" ariaLabel="Equals" style={styles.btnPrimary} action={{ type: "equals" }} />
+          </KeypadGrid>
+
+          <div style={styles.footer}>
+            <div>
+              Tip: <span style={styles.kbd}>Backspace</span> to delete
+            </div>
+            <button
+              type="button"
+              style={{ ...styles.footerButton(showHistory), marginLeft: "auto" }}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => setShowHistory((shown) => !shown)}
+              aria-pressed={showHistory}
+              aria-label="History"
+              title="History"
+            >
+              History{history.length > 0 ? ` (${history.length})` : ""}
+            </button>
+            <button
+              type="button"
+              style={styles.footerButton(showMemory)}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => setShowMemory((shown) => !shown)}
+              aria-pressed={showMemory}
+              aria-label="Memory registers"
+              title="Memory registers"
+            >
+              Memory
+            </button>
+            <button
+              type="button"
+              style={styles.footerButton(showVariables)}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => setShowVariables((shown) => !shown)}
+              aria-pressed={showVariables}
+              aria-label="Variables"
+              title="Variables"
+            >
+              Vars
+            </button>
+            <button
+              type="button"
+              style={styles.footerButton(state.tape.on)}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => handleButton({ type: "tape", value: state.tape.on ? "off" : "on" })}
+              aria-pressed={state.tape.on}
+              aria-label="Adding-machine tape"
+              title="Adding-machine tape"
+            >
+              Tape
+            </button>
+            <button
+              type="button"
+              style={styles.footerButton(showUnits)}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => setShowUnits((shown) => !shown)}
+              aria-pressed={showUnits}
+              aria-label="Unit conversion"
+              title="Unit conversion"
+            >
+              Units
+            </button>
+            {!fixedTheme && (
+              <button
+                type="button"
+                style={styles.footerButton(showPalette)}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => setShowPalette((shown) => !shown)}
+                aria-pressed={showPalette}
+                aria-label="Custom palette"
+                title="Custom palette"
+              >
+                Palette
+              </button>
+            )}
+            <button
+              type="button"
+              style={{ ...styles.footerButton(), opacity: timeline.past.length ? 1 : 0.4 }}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => handleButton({ type: "undo" })}
+              disabled={timeline.past.length === 0}
+              aria-label="Undo"
+              title="Undo (Ctrl+Z)"
+            >
+              ↶
+            </button>
+            <button
+              type="button"
+              style={{ ...styles.footerButton(), opacity: timeline.future.length ? 1 : 0.4 }}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => handleButton({ type: "redo" })}
+              disabled={timeline.future.length === 0}
+              aria-label="Redo"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              ↷
+            </button>
+            <button
+              type="button"
+              style={styles.footerButton()}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => handleButton({ type: "backspace" })}
+              aria-label="Backspace"
+              title="Backspace"
+            >
+              ⌫
+            </button>
+          </div>
+
+          {showUnits && (
+            <UnitPanel
+              value={displayValue(state)}
+              theme={THEME}
+              onUse={(value) => handleButton({ type: "setValue", value })}
+            />
+          )}
+
+          {financial && !programmer && (
+            <FinancialPanel
+              financial={state.financial}
+              theme={THEME}
+              format={localize}
+              onSetTaxRate={() => handleButton({ type: "tax", value: "setRate" })}
+              onPeriodsPerYear={(value) => handleButton({ type: "setPeriodsPerYear", value })}
+              onTiming={(value) => handleButton({ type: "setPaymentTiming", value })}
+              onClearTvm={() => handleButton({ type: "tvm", value: "clear" })}
+            />
+          )}
+
+          {statistics && !programmer && (
+            <StatisticsPanel
+              statistics={state.statistics}
+              theme={THEME}
+              format={localize}
+              onEdit={(index, x, y) => handleButton({ type: "editDataPoint", index, x, y })}
+              onDelete={(index) => handleButton({ type: "deleteDataPoint", index })}
+              onClear={() => handleButton({ type: "stat", value: "clear" })}
+              onUse={(stat) => handleButton({ type: "stat", value: "recall", stat })}
+            />
+          )}
+
+          {showShortcuts && (
+            <ShortcutSheet
+              keymap={keymap}
+              decimalKey={decimalKey}
+              theme={THEME}
+              onClose={closeDialogs}
+              onCustomize={() => {
+                setShowShortcuts(false);
+                setShowKeymap(true);
+              }}
+            />
+          )}
+
+          {showKeymap && (
+            <KeymapDialog
+              keymap={keymap}
+              theme={THEME}
+              onClose={closeDialogs}
+              onSave={(edited) => {
+                setKeymap(edited);
+                closeDialogs();
+              }}
+            />
+          )}
+
+          {showPalette && !fixedTheme && (
+            <ThemePanel
+              palette={palette}
+              theme={THEME}
+              onApply={(custom) => setThemeSetting({ choice: "custom", custom })}
+            />
+          )}
+
+          {showMemory && (
+            <MemoryPanel
+              memory={state.memory}
+              theme={THEME}
+              onSelect={(index) => handleButton({ type: "selectRegister", value: index })}
+              onRename={(index, name) => handleButton({ type: "renameRegister", index, name })}
+            />
+          )}
+
+          {showVariables && (
+            <VariablesPanel
+              variables={state.variables}
+              theme={THEME}
+              format={localize}
+              onStore={(name) => handleButton({ type: "variable", value: "store", name })}
+              onRecall={(name) => handleButton({ type: "variable", value: "recall", name })}
+              onRename={(name, newName) => handleButton({ type: "renameVariable", name, newName })}
+              onDelete={(name) => handleButton({ type: "variable", value: "delete", name })}
+              onImport={(variables) => handleButton({ type: "importVariables", variables })}
+            />
+          )}
+
+          {showHistory && (
+            <HistoryPanel
+              entries={history}
+              theme={THEME}
+              onRecall={recallHistory}
+              onDelete={(id) => setHistory((entries) => removeHistoryEntry(entries, id))}
+              onClear={() => setHistory([])}
+            />
+          )}
+        </div>
+      </KeyContext.Provider>
+    </div>
+  );
+});
+
+export default Calculator;
@@ -0,0 +1,196 @@
+import { createRef } from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import Calculator from './Calculator';
+
+const button = (name, container = document.body) => within(container).getByRole('button', { name });
+const widgets = () => screen.getAllByRole('application', { name: 'Calculator' });
+const display = (container = document.body) => within(container).getByTestId('display');
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('starts from the initial value, mode and theme it is given', () => {
+  render(<Calculator initialValue="12.5" mode="fraction" theme="dark" />);
+  expect(display()).toHaveTextContent(/^12 1\/2$/);
+  expect(screen.getByRole('combobox', { name: 'Arithmetic' })).toHaveValue('fraction');
+  // The page chose the theme, so there is nothing to pick; links stay out of the URL.
+  expect(screen.queryByRole('combobox', { name: 'Theme' })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Custom palette' })).not.toBeInTheDocument();
+  expect(screen.queryByRole('checkbox', { name: 'Link in URL' })).not.toBeInTheDocument();
+  fireEvent.click(button('Add'));
+  expect(window.location.hash).toBe('');
+});
+
+test('an unusable theme is ignored', () => {
+  render(<Calculator theme="neon" />);
+  expect(screen.getByRole('combobox', { name: 'Theme' })).toBeInTheDocument();
+});
+
+test('follows the mode prop when it changes', () => {
+  const { rerender } = render(<Calculator mode="float" initialValue={3} />);
+  rerender(<Calculator mode="programmer" initialValue={3} />);
+  expect(screen.getByRole('combobox', { name: 'Arithmetic' })).toHaveValue('programmer');
+  expect(display()).toHaveTextContent(/^3$/);
+});
+
+test('the ref API sets values, presses keys, clears and reports the state right away', () => {
+  const ref = createRef();
+  render(<Calculator ref={ref} />);
+
+  act(() => ref.current.setValue('1234.5'));
+  expect(ref.current.getState()).toMatchObject({ value: '1234.5', display: '1,234.5', pendingOp: null });
+
+  act(() => {
+    ref.current.press({ type: 'op', value: '*' });
+    ref.current.press({ type: 'digit', value: 2 });
+  });
+  expect(ref.current.getState()).toMatchObject({ value: '2', previousLine: '1,234.5 ×', pendingOp: '*' });
+
+  act(() => ref.current.press({ type: 'equals' }));
+  expect(ref.current.getState()).toEqual({
+    value: '2469',
+    display: '2,469',
+    previousLine: '',
+    pendingOp: null,
+    error: null,
+    arithmetic: 'float',
+    calculation: { expression: '1234.5 × 2', operands: ['1234.5', '2'], operators: ['*'], result: '2469' },
+  });
+  expect(display()).toHaveTextContent('2,469');
+
+  act(() => ref.current.press({ type: 'op', value: '/' }));
+  act(() => ref.current.press({ type: 'digit', value: 0 }));
+  act(() => ref.current.press({ type: 'equals' }));
+  expect(ref.current.getState()).toMatchObject({ value: null, error: 'Cannot divide by zero' });
+
+  act(() => ref.current.clear());
+  expect(ref.current.getState()).toMatchObject({ value: '0', error: null, calculation: null });
+});
+
+test('values the arithmetic cannot hold are ignored', () => {
+  const ref = createRef();
+  render(<Calculator ref={ref} initialValue="1e400" />);
+  expect(display()).toHaveTextContent(/^0$/);
+  expect(ref.current.getState()).toMatchObject({ value: '0', error: null });
+
+  act(() => ref.current.setValue(5));
+  act(() => ref.current.setValue('1e400'));
+  expect(ref.current.getState()).toMatchObject({ value: '5', display: '5', error: null });
+});
+
+test('reports changes and results', () => {
+  const onChange = jest.fn();
+  const onResult = jest.fn();
+  render(<Calculator onChange={onChange} onResult={onResult} />);
+  expect(onChange).not.toHaveBeenCalled();
+
+  fireEvent.click(button('2'));
+  expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ value: '2', display: '2' }));
+  fireEvent.click(button('Add'));
+  fireEvent.click(button('3'));
+  fireEvent.click(button('Equals'));
+  expect(onResult).toHaveBeenCalledTimes(1);
+  expect(onResult).toHaveBeenCalledWith('5', expect.objectContaining({ expression: '2 + 3', result: '5' }));
+  expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ value: '5', pendingOp: null }));
+
+  // Saving the result to memory does not change what the page sees.
+  const calls = onChange.mock.calls.length;
+  fireEvent.click(button('Memory store'));
+  expect(onChange).toHaveBeenCalledTimes(calls);
+});
+
+test('keys, copy and paste only reach the widget that has focus', () => {
+  render(
+    <>
+      <Calculator />
+      <Calculator />
+    </>
+  );
+  const [first, second] = widgets();
+
+  fireEvent.keyDown(document.body, { key: '7' });
+  fireEvent.paste(document.body, { clipboardData: { getData: () => '40 + 2' } });
+  expect(display(first)).toHaveTextContent(/^0$/);
+  expect(display(second)).toHaveTextContent(/^0$/);
+
+  fireEvent.keyDown(first, { key: '7' });
+  fireEvent.paste(second, { clipboardData: { getData: () => '40 + 2' } });
+  expect(display(first)).toHaveTextContent(/^7$/);
+  expect(display(second)).toHaveTextContent(/^42$/);
+
+  // A key pressed on one of the widget's buttons still counts.
+  fireEvent.keyDown(button('Add', second), { key: '*' });
+  expect(within(second).getByTestId('previous-line')).toHaveTextContent('42 ×');
+});
+
+test('widgets with their own storageKey keep their saved data apart', () => {
+  const { unmount } = render(
+    <>
+      <Calculator storageKey="invoice" />
+      <Calculator storageKey="tips" />
+    </>
+  );
+  const [invoice] = widgets();
+  fireEvent.click(button('6', invoice));
+  fireEvent.click(button('Memory store', invoice));
+  fireEvent.click(button('Add', invoice));
+  fireEvent.click(button('1', invoice));
+  fireEvent.click(button('Equals', invoice));
+  unmount();
+
+  const saved = (key) => JSON.parse(window.localStorage.getItem(key));
+  expect(saved('invoice.ocean-calculator.history')).toEqual([expect.objectContaining({ expression: '6 + 1' })]);
+  expect(saved('tips.ocean-calculator.history')).toEqual([]);
+  expect(window.localStorage.getItem('ocean-calculator.history')).toBeNull();
+
+  render(
+    <>
+      <Calculator storageKey="invoice" />
+      <Calculator storageKey="tips" />
+    </>
+  );
+  const [reopened, other] = widgets();
+  fireEvent.click(button('Memory recall', reopened));
+  fireEvent.click(button('Memory recall', other));
+  expect(display(reopened)).toHaveTextContent(/^6$/);
+  expect(display(other)).toHaveTextContent(/^0$/);
+});
+
+test('mounts and works where the page may not use localStorage', () => {
+  const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+    throw new DOMException('The operation is insecure.', 'SecurityError');
+  });
+  render(<Calculator storageKey="sandboxed" />);
+  fireEvent.click(button('4'));
+  fireEvent.click(button('Memory store'));
+  fireEvent.click(button('9'));
+  fireEvent.click(button('Memory recall'));
+  expect(display()).toHaveTextContent(/^4$/);
+  blocked.mockRestore();
+});
+
+test('autoFocus is off unless asked for', () => {
+  const { unmount } = render(<Calculator />);
+  expect(widgets()[0]).not.toHaveFocus();
+  unmount();
+  render(<Calculator autoFocus />);
+  expect(widgets()[0]).toHaveFocus();
+});
+
+test('shows the banner it is given until the page takes it away', () => {
+  const onAction = jest.fn();
+  const onDismiss = jest.fn();
+  const banner = { message: 'A new version is available.', actionLabel: 'Reload', onAction, onDismiss };
+  const { rerender } = render(<Calculator banner={banner} />);
+  expect(screen.getByText('A new version is available.')).toBeInTheDocument();
+
+  fireEvent.click(button('Reload'));
+  expect(onAction).toHaveBeenCalledTimes(1);
+  fireEvent.click(button('Dismiss'));
+  expect(onDismiss).toHaveBeenCalledTimes(1);
+
+  rerender(<Calculator />);
+  expect(screen.queryByText('A new version is available.')).not.toBeInTheDocument();
+});
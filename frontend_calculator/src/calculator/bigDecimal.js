@@ -0,0 +1,135 @@
+/**
+ * Minimal arbitrary-precision decimal arithmetic.
+ *
+ * A decimal is { unscaled, scale } meaning unscaled × 10^-scale, where unscaled is a BigInt and
+ * scale is a non-negative integer. Values enter and leave this module as plain digit strings
+ * ("-12.5", "0.3"), so callers never deal with the internal representation.
+ *
+ * Addition, subtraction and multiplication are exact. Division is rounded to `precision` digits
+ * after the decimal point using one of ROUNDING_MODES.
+ */
+
+// PUBLIC_INTERFACE
+export const ROUNDING_MODES = ["half-even", "half-up", "truncate"];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_DECIMAL_OPTIONS = Object.freeze({ precision: 20, rounding: "half-even" });
+
+const ZERO = Object.freeze({ unscaled: BigInt(0), scale: 0 });
+
+// Built from a string rather than `**`, which transpilers may rewrite to Math.pow (not BigInt-safe).
+const pow10 = (n) => BigInt("1" + "0".repeat(n));
+const abs = (n) => (n < 0 ? -n : n);
+
+const DECIMAL_RE = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+// Exponents beyond this are rejected instead of expanding into millions of digits.
+const MAX_EXPONENT = 10000;
+
+// PUBLIC_INTERFACE
+export function parseDecimal(str) {
+  /** Parse "12", "-0.5", "1.", "2e-3" into a decimal; returns null if str is not a number. */
+  const match = DECIMAL_RE.exec(String(str).trim());
+  if (!match) return null;
+
+  const [, sign, intPart = "", fracPart = "", exp] = match;
+  if (intPart === "" && fracPart === "") return null;
+  if (exp && Math.abs(Number(exp)) > MAX_EXPONENT) return null;
+
+  let unscaled = BigInt((intPart + fracPart) || "0");
+  let scale = fracPart.length - (exp ? Number(exp) : 0);
+  if (scale < 0) {
+    unscaled *= pow10(-scale);
+    scale = 0;
+  }
+  return { unscaled: sign === "-" ? -unscaled : unscaled, scale };
+}
+
+// PUBLIC_INTERFACE
+export function toDecimalString(d) {
+  /** Render a decimal as a plain digit string without trailing fractional zeros (never "-0"). */
+  let digits = abs(d.unscaled).toString();
+  let s = digits;
+  if (d.scale > 0) {
+    digits = digits.padStart(d.scale + 1, "0");
+    const intPart = digits.slice(0, -d.scale);
+    const fracPart = digits.slice(-d.scale).replace(/0+$/, "");
+    s = fracPart ? `${intPart}.${fracPart}` : intPart;
+  }
+  return d.unscaled < 0 && s !== "0" ? "-" + s : s;
+}
+
+const align = (a, b) => {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.unscaled * pow10(scale - a.scale), b.unscaled * pow10(scale - b.scale), scale];
+};
+
+const add = (a, b) => {
+  const [x, y, scale] = align(a, b);
+  return { unscaled: x + y, scale };
+};
+
+const subtract = (a, b) => {
+  const [x, y, scale] = align(a, b);
+  return { unscaled: x - y, scale };
+};
+
+const multiply = (a, b) => ({ unscaled: a.unscaled * b.unscaled, scale: a.scale + b.scale });
+
+// Integer division n / d, rounded according to `rounding`.
+const divideRounded = (n, d, rounding) => {
+  const q = n / d; // BigInt division truncates toward zero
+  const r = n % d;
+  if (r === BigInt(0) || rounding === "truncate") return q;
+
+  const twiceRemainder = abs(r) * BigInt(2);
+  const divisor = abs(d);
+  const awayFromZero =
+    twiceRemainder > divisor ||
+    (twiceRemainder === divisor && (rounding === "half-up" || abs(q) % BigInt(2) === BigInt(1)));
+  if (!awayFromZero) return q;
+  return (n < 0) === (d < 0) ? q + BigInt(1) : q - BigInt(1);
+};
+
+const divide = (a, b, { precision, rounding }) => {
+  // a / b = (ua / ub) × 10^(sb - sa); scale the numerator so the quotient has `precision` decimals.
+  const shift = precision + b.scale - a.scale;
+  let n = a.unscaled;
+  let d = b.unscaled;
+  if (shift >= 0) n *= pow10(shift);
+  else d *= pow10(-shift);
+  return { unscaled: divideRounded(n, d, rounding), scale: precision };
+};
+
+// PUBLIC_INTERFACE
+export function computeDecimal(a, op, b, options = DEFAULT_DECIMAL_OPTIONS) {
+  /**
+   * Apply a binary operator to two decimal strings.
+   * Returns { ok, value } where value is a decimal string; ok is false (with an error message) for
+   * invalid input or division by zero.
+   */
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  if (!x || !y) return { ok: false, value: null, error: "Invalid operand" };
+
+  switch (op) {
+    case "+":
+      return { ok: true, value: toDecimalString(add(x, y)) };
+    case "-":
+      return { ok: true, value: toDecimalString(subtract(x, y)) };
+    case "*":
+      return { ok: true, value: toDecimalString(multiply(x, y)) };
+    case "/":
+      if (y.unscaled === ZERO.unscaled) return { ok: false, value: null, error: "Cannot divide by zero" };
+      return { ok: true, value: toDecimalString(divide(x, y, { ...DEFAULT_DECIMAL_OPTIONS, ...options })) };
+    default:
+      return { ok: false, value: null, error: "Unknown operator" };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function movePointLeft(a, places) {
+  /** Exact a × 10^-places for a decimal string (used for percentages). */
+  const x = parseDecimal(a) || ZERO;
+  return toDecimalString({ unscaled: x.unscaled, scale: x.scale + places });
+}
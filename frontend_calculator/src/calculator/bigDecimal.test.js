@@ -0,0 +1,68 @@
+import { computeDecimal, movePointLeft, parseDecimal, toDecimalString } from './bigDecimal';
+
+const roundTrip = (s) => toDecimalString(parseDecimal(s));
+
+describe('parseDecimal / toDecimalString', () => {
+  test.each([
+    ['12', '12'],
+    ['-0.50', '-0.5'],
+    ['1.', '1'],
+    ['.25', '0.25'],
+    ['-0', '0'],
+    ['2e-3', '0.002'],
+    ['1e+21', '1000000000000000000000'],
+  ])('%s normalizes to %s', (input, expected) => {
+    expect(roundTrip(input)).toBe(expected);
+  });
+
+  test.each(['', '-', '.', 'abc', '1.2.3', '1e99999'])('rejects %p', (input) => {
+    expect(parseDecimal(input)).toBeNull();
+  });
+});
+
+describe('computeDecimal', () => {
+  test('adds without floating point error', () => {
+    expect(computeDecimal('0.1', '+', '0.2')).toEqual({ ok: true, value: '0.3' });
+  });
+
+  test('keeps every digit above 2^53', () => {
+    expect(computeDecimal('9007199254740993', '+', '1').value).toBe('9007199254740994');
+    expect(computeDecimal('123456789012345678901234567890', '*', '10').value).toBe(
+      '1234567890123456789012345678900'
+    );
+  });
+
+  test('subtracts and multiplies exactly', () => {
+    expect(computeDecimal('1', '-', '0.9').value).toBe('0.1');
+    expect(computeDecimal('-1.5', '*', '0.2').value).toBe('-0.3');
+  });
+
+  test('divides to the requested precision', () => {
+    expect(computeDecimal('1', '/', '3', { precision: 5, rounding: 'half-even' }).value).toBe('0.33333');
+    expect(computeDecimal('2', '/', '3', { precision: 5, rounding: 'half-even' }).value).toBe('0.66667');
+    expect(computeDecimal('10', '/', '4').value).toBe('2.5');
+  });
+
+  test.each([
+    ['half-even', '0.125', '0.12'],
+    ['half-even', '0.135', '0.14'],
+    ['half-up', '0.125', '0.13'],
+    ['truncate', '0.129', '0.12'],
+    ['half-even', '-0.125', '-0.12'],
+    ['half-up', '-0.125', '-0.13'],
+    ['truncate', '-0.129', '-0.12'],
+  ])('%s rounds %s to %s', (rounding, value, expected) => {
+    expect(computeDecimal(value, '/', '1', { precision: 2, rounding }).value).toBe(expected);
+  });
+
+  test('rejects division by zero and unknown operators', () => {
+    expect(computeDecimal('1', '/', '0').ok).toBe(false);
+    expect(computeDecimal('1', '^', '2').ok).toBe(false);
+    expect(computeDecimal('x', '+', '2').ok).toBe(false);
+  });
+});
+
+test('movePointLeft shifts exactly', () => {
+  expect(movePointLeft('5', 2)).toBe('0.05');
+  expect(movePointLeft('-1234.5', 2)).toBe('-12.345');
+});
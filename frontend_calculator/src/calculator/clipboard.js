@@ -0,0 +1,104 @@
+/**
+ * Clipboard helpers: the copy-format setting and turning pasted text into expression tokens.
+ *
+ * Pasted numbers may use any common grouping ("1,234.5", "1.234,5", "1 234,5", "1'234.5"); each number is
+ * normalized on its own, using the locale's decimal separator only where the text itself is ambiguous.
+ * Variable names in pasted text ("rate * qty", "ans + 1") are replaced by their values.
+ */
+
+import { tokenize } from "./expression";
+import { readItem, writeItem } from "./storage";
+
+// PUBLIC_INTERFACE
+export const COPY_FORMAT_STORAGE_KEY = "ocean-calculator.copy-format";
+
+// PUBLIC_INTERFACE
+export const COPY_FORMATS = ["formatted", "raw"];
+
+// Longer pastes are almost certainly not a calculation.
+const MAX_PASTE_LENGTH = 500;
+
+// Thin and no-break spaces and apostrophes only ever group digits.
+const GROUPING_MARKS = /['’\u00a0\u202f]/g;
+
+// A run of digits with separators inside it, e.g. "1,234.5" or "1.234,5".
+const NUMBER_RUN = /\d[\d.,'’\u00a0\u202f]*\d|\d/g;
+
+function normalizeNumber(run, decimal) {
+  const text = run.replace(GROUPING_MARKS, "");
+  const commas = (text.match(/,/g) || []).length;
+  const dots = (text.match(/\./g) || []).length;
+
+  let point = null;
+  if (commas && dots) point = text.lastIndexOf(",") > text.lastIndexOf(".") ? "," : ".";
+  else if (commas + dots === 1) {
+    const mark = commas ? "," : ".";
+    // "1,234" in a dot-decimal locale is grouping; "1,5" is still a decimal comma.
+    point = mark === decimal || !/^\d{1,3}[.,]\d{3}$/.test(text) ? mark : null;
+  }
+  // Repeated marks ("1.234.567") are grouping.
+
+  const digitsOnly = (part) => part.replace(/[.,]/g, "");
+  if (point === null) return digitsOnly(text);
+  const at = text.lastIndexOf(point);
+  return `${digitsOnly(text.slice(0, at))}.${text.slice(at + 1)}`;
+}
+
+// PUBLIC_INTERFACE
+export function sanitizePaste(text, decimal = ".") {
+  /** Normalize pasted text: plain "." decimals, no grouping, no trailing "=" or surrounding whitespace. */
+  return String(text)
+    .trim()
+    .replace(/=\s*$/, "")
+    .replace(NUMBER_RUN, (run) => normalizeNumber(run, decimal))
+    .trim();
+}
+
+const NAME = /[A-Za-z_][A-Za-z0-9_]*/g;
+
+// PUBLIC_INTERFACE
+export function parsePaste(text, decimal = ".", variables = {}) {
+  /**
+   * Turn pasted text into expression tokens (numbers stay raw decimal strings). `variables` maps names to
+   * plain decimal strings; words that are not variable names are left to the tokenizer ("x" is still times).
+   * Returns { ok: true, tokens } or { ok: false, error } describing why the text cannot be used.
+   */
+  if (String(text).length > MAX_PASTE_LENGTH) return { ok: false, error: "Pasted text is too long" };
+
+  const sanitized = sanitizePaste(text, decimal);
+  if (!sanitized) return { ok: false, error: "Nothing to paste" };
+
+  // Split the text around variable names: strings are tokenized, names become number tokens.
+  const pieces = [];
+  let rest = 0;
+  for (const match of sanitized.matchAll(NAME)) {
+    if (!Object.prototype.hasOwnProperty.call(variables, match[0])) continue;
+    pieces.push(sanitized.slice(rest, match.index), { type: "number", value: variables[match[0]] });
+    rest = match.index + match[0].length;
+  }
+  pieces.push(sanitized.slice(rest));
+
+  const tokens = [];
+  for (const piece of pieces) {
+    if (typeof piece !== "string") tokens.push(piece);
+    else {
+      const result = tokenize(piece);
+      if (!result.ok) return { ok: false, error: `Cannot paste: ${result.error}` };
+      tokens.push(...result.tokens);
+    }
+  }
+  return { ok: true, tokens };
+}
+
+// PUBLIC_INTERFACE
+export function loadCopyFormat(storage) {
+  /** Saved copy format; "formatted" when nothing usable is stored. */
+  const saved = readItem(storage, COPY_FORMAT_STORAGE_KEY);
+  return COPY_FORMATS.includes(saved) ? saved : COPY_FORMATS[0];
+}
+
+// PUBLIC_INTERFACE
+export function saveCopyFormat(storage, format) {
+  /** Persist the copy format. */
+  writeItem(storage, COPY_FORMAT_STORAGE_KEY, format);
+}
@@ -0,0 +1,65 @@
+import { COPY_FORMAT_STORAGE_KEY, loadCopyFormat, parsePaste, saveCopyFormat, sanitizePaste } from './clipboard';
+import { fakeStorage } from './fakeStorage';
+
+describe('sanitizePaste', () => {
+  test.each([
+    ['1,234.5 * (3 - 1)', '.', '1234.5 * (3 - 1)'],
+    ['1.234,5 × 2', ',', '1234.5 × 2'],
+    ['1.234,5', '.', '1234.5'],
+    ['1,234', '.', '1234'],
+    ['1,5', '.', '1.5'],
+    ['1.234', ',', '1234'],
+    ['1.5', ',', '1.5'],
+    ['1,234,567', '.', '1234567'],
+    ["1'234.5", '.', '1234.5'],
+    ['1 234,5', ',', '1234.5'],
+    ['  42 =  ', '.', '42'],
+  ])('%p with decimal %p → %p', (text, decimal, expected) => {
+    expect(sanitizePaste(text, decimal)).toBe(expected);
+  });
+});
+
+describe('parsePaste', () => {
+  test('tokenizes numbers and expressions', () => {
+    expect(parsePaste('1,234.5')).toEqual({ ok: true, tokens: [{ type: 'number', value: '1234.5' }] });
+    expect(parsePaste('2 × (3 − 1)').tokens.map((t) => t.value ?? t.type)).toEqual([
+      '2',
+      '*',
+      'lparen',
+      '3',
+      '-',
+      '1',
+      'rparen',
+    ]);
+  });
+
+  test('explains unusable text', () => {
+    expect(parsePaste('   ')).toEqual({ ok: false, error: 'Nothing to paste' });
+    expect(parsePaste('12 apples')).toEqual({ ok: false, error: 'Cannot paste: Unexpected character "a"' });
+    expect(parsePaste('1+'.repeat(300))).toEqual({ ok: false, error: 'Pasted text is too long' });
+  });
+
+  test('replaces variable names with their values', () => {
+    const variables = { ans: '-4', rate: '1e-7', qty: '12' };
+    expect(parsePaste('rate*qty + ans', '.', variables).tokens.map((t) => t.value ?? t.type)).toEqual([
+      '1e-7',
+      '*',
+      '12',
+      '+',
+      '-4',
+    ]);
+    // "x" stays multiplication, and unknown names are still rejected.
+    expect(parsePaste('qty x 2', '.', variables).tokens.map((t) => t.value)).toEqual(['12', '*', '2']);
+    expect(parsePaste('qty * price', '.', variables).error).toBe('Cannot paste: Unexpected character "p"');
+  });
+});
+
+test('copy format round-trips through storage and defaults to formatted', () => {
+  const storage = fakeStorage();
+  const { data } = storage;
+  expect(loadCopyFormat(storage)).toBe('formatted');
+  saveCopyFormat(storage, 'raw');
+  expect(loadCopyFormat(storage)).toBe('raw');
+  data[COPY_FORMAT_STORAGE_KEY] = 'html';
+  expect(loadCopyFormat(storage)).toBe('formatted');
+});
@@ -0,0 +1,1330 @@
+/**
+ * Pure calculator engine.
+ *
+ * The whole calculator is modelled as a reducer: `calculatorReducer(state, action) => state`.
+ * It has no React or DOM dependencies, so it can be reused outside of `App` and unit-tested directly.
+ *
+ * Actions (the same ones the keypad and keyboard dispatch):
+ * - { type: "digit", value: 0-9 } (10-15 for A-F in hexadecimal programmer mode)
+ * - { type: "decimal" }
+ * - { type: "fractionBar" } (a b/c in fraction mode: "3" becomes "3/", then "3/4" becomes "3 4/" for 3 4/…)
+ * - { type: "op", value: "+" | "-" | "*" | "/" | "^" | "root" | one of FINANCIAL_OPERATORS | one of
+ *   BITWISE_OPERATORS (programmer mode) }
+ * - { type: "equals" }
+ * - { type: "clear" } (AC: everything but memory)
+ * - { type: "clearEntry" } (CE: only the entry; the pending operation and repeated-equals context stay)
+ * - { type: "sign" }
+ * - { type: "percent" }
+ * - { type: "backspace" }
+ * - { type: "paren", value: "(" | ")" } (expression entry only)
+ * - { type: "setEntryMode", value: "immediate" | "expression" }
+ * - { type: "function", value: one of FUNCTION_NAMES | "not" } (acts on the display, like percent; only "not"
+ *   in programmer mode)
+ * - { type: "constant", value: "pi" | "e" }
+ * - { type: "setAngleUnit", value: "deg" | "rad" | "grad" }
+ * - { type: "setValue", value: numeric string, calculation? } (replaces the entry, e.g. recalling a history
+ *   result; an optional calculation, as from evaluatePaste, is recorded as completed)
+ * - { type: "memory", value: "clear" | "recall" | "add" | "subtract" | "store" } (acts on the active register)
+ * - { type: "selectRegister", value: index }
+ * - { type: "renameRegister", index, name }
+ * - { type: "setArithmetic", value: "float" | "decimal" | "programmer" | "fraction" }
+ * - { type: "setPrecision", value: integer 0-100 } (decimal division digits)
+ * - { type: "setRounding", value: one of ROUNDING_MODES }
+ * - { type: "setBase", value: "hex" | "dec" | "oct" | "bin" } (programmer display base)
+ * - { type: "setWordSize", value: one of WORD_SIZES }
+ * - { type: "setSigned", value: boolean }
+ * - { type: "toggleBit", value: bit index, 0 = least significant } (programmer mode)
+ * - { type: "tax", value: "add" | "remove" | "setRate" } (TAX+ and TAX− act on the display like percent;
+ *   "setRate" takes the display as the tax rate)
+ * - { type: "tvm", value: "store" | "compute", field: "n" | "rate" | "pv" | "pmt" | "fv" } (store the display in a
+ *   TVM register, or solve for it from the other four)
+ * - { type: "tvm", value: "clear" } (all TVM registers back to 0)
+ * - { type: "setPeriodsPerYear", value: integer 1-365 }
+ * - { type: "setPaymentTiming", value: "end" | "begin" }
+ * - { type: "stat", value: "add" | "remove" | "pair" } (Σ+ and Σ− push the display to or take it from the data
+ *   list; "pair" holds the display as the x of an x,y point whose y the next Σ+ or Σ− takes from the display)
+ * - { type: "stat", value: "recall", stat: one of the STATISTICS ids } (the statistic becomes the entry)
+ * - { type: "stat", value: "clear" } (empties the data list)
+ * - { type: "editDataPoint", index, x, y } (x and y as numeric strings, y null for a single value)
+ * - { type: "deleteDataPoint", index }
+ * - { type: "variable", value: "store" | "recall" | "delete", name } (store the display in a named variable,
+ *   or recall one, "ans" included, as the entry)
+ * - { type: "renameVariable", name, newName }
+ * - { type: "importVariables", variables: [{ name, value }] } (replaces same-named variables, adds the rest)
+ * - { type: "tape", value: "on" | "off" | "clear" } (start or stop recording the adding-machine tape, or empty it)
+ * - { type: "editTapeLine", index, value?, op? } (a new amount as a numeric string and/or one of TAPE_OPERATORS;
+ *   a line that starts a group or a subtotal line keeps its kind)
+ * - { type: "deleteTapeLine", index }
+ * - { type: "restore", display, pendingOp, prevValue, calculation } (a shared calculation, e.g. from a permalink;
+ *   numeric strings as shareableState returns them, ignored unless valid in the current arithmetic)
+ *
+ * Behaviors:
+ * - chaining ops (operator computes pending op first)
+ * - repeated equals (press '=' multiple times repeats last op)
+ * - division by zero => Error state, next digit starts fresh
+ * - decimal arithmetic mode: operands stay exact digit strings (see ./bigDecimal)
+ * - expression entry mode: input builds a token list evaluated with precedence on '=' (see ./expression)
+ * - scientific functions and constants with domain errors (see ./scientific)
+ * - fraction mode: exact rationals in lowest terms, entered as fractions or mixed numbers (see ./fraction)
+ * - programmer mode: wrapped integers in a chosen base and word size with bitwise operators (see ./programmer)
+ * - financial functions: tax, markup and margin, percent change and a TVM solver (see ./financial)
+ * - statistics on a data list, one-variable and x,y linear regression (see ./statistics)
+ * - named variables and an automatic ans holding the last '=' result (see ./variables)
+ * - adding-machine tape: while on, entries, operators and '=' are itemized with running subtotals (see ./tape)
+ */
+
+import {
+  DEFAULT_DECIMAL_OPTIONS,
+  ROUNDING_MODES,
+  computeDecimal,
+  movePointLeft,
+  parseDecimal,
+  toDecimalString,
+} from "./bigDecimal";
+import { evaluateTokens, formatTokens } from "./expression";
+import { ANGLE_UNITS, CONSTANTS, applyFunction, power, root } from "./scientific";
+import { createMemory, normalizeRegisterName } from "./memory";
+import {
+  computeFraction,
+  fractionFromDecimal,
+  fractionToDecimal,
+  fractionToNumber,
+  isWholeFraction,
+  normalizeFraction,
+} from "./fraction";
+import {
+  FINANCIAL_OPERATORS,
+  MAX_PERIODS_PER_YEAR,
+  MAX_TAX_RATE,
+  PAYMENT_TIMINGS,
+  TVM_FIELDS,
+  addTax,
+  computeFinancial,
+  createFinancial,
+  normalizeTaxRate,
+  removeTax,
+  solveTvm,
+} from "./financial";
+import { MAX_DATA_POINTS, computeStatistic, createStatistics } from "./statistics";
+import { MAX_VARIABLES, createVariables, validateVariableName, variableValue } from "./variables";
+import { MAX_TAPE_LINES, TAPE_OPERATORS, addTapeLines, computeTape, createTape, tapeLine } from "./tape";
+import {
+  BASES,
+  BITWISE_OPERATORS,
+  WORD_SIZES,
+  bitwiseNot,
+  computeInteger,
+  fitsWord,
+  formatInteger,
+  parseInteger,
+  toggleBit,
+  wrap,
+} from "./programmer";
+import { opSymbol } from "./symbols";
+
+export { opSymbol };
+
+/**
+ * Core state.
+ * display: current number being entered OR result shown (string to preserve user typing like "0." / "0002")
+ * prevValue: stored value used as left operand for pending operation
+ *   (number in float arithmetic, decimal string in decimal and programmer arithmetic, fraction string such as
+ *   "7/3" in fraction arithmetic, or null)
+ * pendingOp: "+", "-", "*", "/", "^", "root", a financial or bitwise operator | null
+ * lastOp: for repeated equals: { op, rhs } where rhs has the same type as prevValue
+ * previousLine: UI helper (e.g., "12 +")
+ * overwrite: whether next digit should start a new entry (after equals or after operator press)
+ * error: whether calculator is in Error state
+ * arithmetic: "float" (native numbers, display rounded to 10 decimals) | "decimal" (exact digit strings)
+ *   | "programmer" (integers wrapped to a machine word) | "fraction" (exact rationals)
+ * precision / rounding: digits after the point and rounding mode for decimal division
+ * base / wordSize / signed: programmer display base, word width in bits and two's complement vs unsigned
+ * entryMode: "immediate" (each operator evaluates left to right) | "expression" (precedence and parentheses)
+ * tokens: expression entry only; tokens committed so far (the entry being typed stays in display)
+ * errorMessage: what went wrong while in Error state (e.g. "Cannot divide by zero") | null
+ * angleUnit: "deg" | "rad" | "grad" for trigonometric functions
+ * calculation: the last completed calculation, replaced (new object) on every successful '=' | null
+ *   { expression, operands, operators, result } with operands/result as plain decimal strings
+ * memory: { registers: [{ name, value }], active } (see ./memory); survives AC and errors
+ * financial: { taxRate, tvm, periodsPerYear, timing } (see ./financial); survives AC and errors
+ * statistics: { data: [{ x, y }], pendingX } (see ./statistics); the data survives AC and errors, a pair in
+ *   progress does not survive AC
+ * variables: { ans, named: [{ name, value }] } (see ./variables); survives AC and errors
+ * tape: { on, lines } (see ./tape); survives AC and errors. Immediate entry itemizes each operand with its
+ *   operator and each '='; expression entry adds each result as one line, noted with its expression
+ */
+// PUBLIC_INTERFACE
+export const initialState = Object.freeze({
+  display: "0",
+  prevValue: null,
+  pendingOp: null,
+  lastOp: null,
+  previousLine: "",
+  overwrite: false,
+  error: false,
+  arithmetic: "float",
+  precision: DEFAULT_DECIMAL_OPTIONS.precision,
+  rounding: DEFAULT_DECIMAL_OPTIONS.rounding,
+  base: "dec",
+  wordSize: 64,
+  signed: true,
+  entryMode: "immediate",
+  tokens: [],
+  errorMessage: null,
+  angleUnit: "deg",
+  calculation: null,
+  memory: createMemory(),
+  financial: createFinancial(),
+  statistics: createStatistics(),
+  variables: createVariables(),
+  tape: createTape(),
+});
+
+const isFiniteNumber = (n) => typeof n === "number" && Number.isFinite(n);
+
+// PUBLIC_INTERFACE
+export function parseDisplayToNumber(valueStr) {
+  /** Convert the display string into a number; partial entries like "-" or "." count as 0. */
+  // Accepts "0.", "-0.", etc. parseFloat handles trailing dot => number,
+  // but keep special case for lone "-" which can happen during sign toggle transitions.
+  if (valueStr === "-" || valueStr === "" || valueStr === ".") return 0;
+  const n = Number(valueStr);
+  if (Number.isNaN(n)) return 0;
+  return n;
+}
+
+// PUBLIC_INTERFACE
+export function formatNumber(n) {
+  /** Format a computed number for the display, hiding floating point tails. */
+  if (!isFiniteNumber(n)) return "Error";
+
+  // Round to ~10 decimal places then trim trailing zeros.
+  // Use toFixed to combat floating precision tails.
+  const rounded = Math.round((n + Number.EPSILON) * 1e10) / 1e10;
+
+  // Avoid "-0"
+  const normalized = Object.is(rounded, -0) ? 0 : rounded;
+
+  // Convert to string without long tails. If integer, keep as integer.
+  let s = String(normalized);
+
+  // If scientific notation, keep it (still readable)
+  if (s.includes("e") || s.includes("E")) return s;
+
+  // Trim trailing zeros for decimals
+  if (s.includes(".")) {
+    s = s.replace(/\.?0+$/, "");
+  }
+  return s;
+}
+
+// PUBLIC_INTERFACE
+export function compute(a, op, b) {
+  /**
+   * Apply a binary operator. Returns { ok, value }; ok is false (with an error message) for invalid
+   * input or division by zero.
+   */
+  // Safe evaluation, no eval.
+  if (!isFiniteNumber(a) || !isFiniteNumber(b)) return { ok: false, value: NaN, error: "Invalid operand" };
+
+  switch (op) {
+    case "+":
+      return { ok: true, value: a + b };
+    case "-":
+      return { ok: true, value: a - b };
+    case "*":
+      return { ok: true, value: a * b };
+    case "/":
+      if (b === 0) return { ok: false, value: NaN, error: "Cannot divide by zero" };
+      return { ok: true, value: a / b };
+    case "^":
+      return power(a, b);
+    case "root":
+      return root(a, b);
+    default:
+      return { ok: false, value: NaN, error: "Unknown operator" };
+  }
+}
+
+// Arithmetic adapters. parse/format convert between display strings and values; serialize/deserialize use
+// plain decimal strings, the portable form for memory, history and switching between arithmetics.
+const FLOAT_ARITHMETIC = {
+  zero: 0,
+  radix: 10,
+  parse: parseDisplayToNumber,
+  format: formatNumber,
+  serialize: formatNumber,
+  deserialize: parseDisplayToNumber,
+  supports: (op) => !BITWISE_OPERATORS.includes(op),
+  compute: (a, op, b) => {
+    const result = compute(a, op, b);
+    if (result.ok && !isFiniteNumber(result.value)) return { ok: false, value: NaN, error: "Result out of range" };
+    return result;
+  },
+  percent: (value) => value / 100,
+  percentOf: (base, value) => base * (value / 100),
+  toNumber: (value) => value,
+  fromNumber: (n) => n,
+};
+
+const parseDecimalString = (valueStr) => {
+  const d = parseDecimal(valueStr);
+  return d ? toDecimalString(d) : "0";
+};
+
+// Transcendental results have no exact decimal form; they come back from float math display-rounded.
+const decimalFromNumber = (n) => parseDecimalString(formatNumber(n));
+
+const decimalArithmetic = (options) => ({
+  zero: "0",
+  radix: 10,
+  parse: parseDecimalString,
+  format: (value) => value,
+  serialize: (value) => value,
+  deserialize: parseDecimalString,
+  supports: FLOAT_ARITHMETIC.supports,
+  compute: (a, op, b) => {
+    if (op !== "^" && op !== "root") return computeDecimal(a, op, b, options);
+    const result = FLOAT_ARITHMETIC.compute(Number(a), op, Number(b));
+    return result.ok ? { ok: true, value: decimalFromNumber(result.value) } : result;
+  },
+  percent: (value) => movePointLeft(value, 2),
+  percentOf: (base, value) => computeDecimal(base, "*", movePointLeft(value, 2), options).value,
+  toNumber: Number,
+  fromNumber: decimalFromNumber,
+});
+
+// Fraction values are lowest-terms strings ("7/3"). The four operators and whole powers stay exact; roots and
+// fractional powers go through float math and come back as the simplest fraction of the rounded result.
+const fractionFromNumber = (n) => fractionFromDecimal(formatNumber(n)) ?? "0";
+
+const FRACTION_ARITHMETIC = {
+  zero: "0",
+  radix: 10,
+  fraction: true,
+  parse: (display) => normalizeFraction(display) ?? "0",
+  format: (value) => value,
+  serialize: (value) => fractionToDecimal(value),
+  deserialize: (valueStr) => fractionFromDecimal(valueStr) ?? "0",
+  supports: FLOAT_ARITHMETIC.supports,
+  compute: (a, op, b) => {
+    if (op !== "root" && (op !== "^" || isWholeFraction(b))) return computeFraction(a, op, b);
+    const result = FLOAT_ARITHMETIC.compute(fractionToNumber(a), op, fractionToNumber(b));
+    return result.ok ? { ok: true, value: fractionFromNumber(result.value) } : result;
+  },
+  percent: (value) => computeFraction(value, "/", "100").value,
+  percentOf: (base, value) => computeFraction(base, "*", computeFraction(value, "/", "100").value).value,
+  toNumber: fractionToNumber,
+  fromNumber: fractionFromNumber,
+};
+
+// Fractions are dropped (truncated toward zero) when a value enters programmer mode.
+const integerFromDecimal = (valueStr) => {
+  const d = parseDecimal(valueStr);
+  return d ? BigInt(toDecimalString(d).split(".")[0]) : BigInt(0);
+};
+
+// Programmer values are decimal strings of the wrapped integer; the display uses the chosen base.
+const programmerArithmetic = ({ base, wordSize, signed }) => {
+  const word = { wordSize, signed };
+  const radix = BASES[base];
+  const fromInteger = (n) => wrap(n, word).toString();
+  return {
+    zero: "0",
+    radix,
+    integer: true,
+    parse: (display) => fromInteger(parseInteger(display, radix) ?? BigInt(0)),
+    format: (value) => formatInteger(BigInt(value), radix, word),
+    fits: (display) => fitsWord(display, radix, word),
+    serialize: (value) => value,
+    deserialize: (valueStr) => fromInteger(integerFromDecimal(valueStr)),
+    supports: (op) => op !== "^" && op !== "root" && !FINANCIAL_OPERATORS.includes(op),
+    compute: (a, op, b) => {
+      const result = computeInteger(BigInt(a), op, BigInt(b), word);
+      return result.ok ? { ok: true, value: result.value.toString() } : result;
+    },
+    not: (value) => bitwiseNot(BigInt(value), word).toString(),
+    toggleBit: (value, bit) => toggleBit(BigInt(value), bit, word).toString(),
+  };
+};
+
+// Financial operators are built from the four basic ones of the arithmetic they run in.
+const withFinancial = (arith) => ({
+  ...arith,
+  compute: (a, op, b) =>
+    FINANCIAL_OPERATORS.includes(op) ? computeFinancial(arith, a, op, b) : arith.compute(a, op, b),
+});
+
+const FLOAT_WITH_FINANCIAL = withFinancial(FLOAT_ARITHMETIC);
+const FRACTION_WITH_FINANCIAL = withFinancial(FRACTION_ARITHMETIC);
+
+// Value parsing, formatting and operators for the state's arithmetic mode.
+const arithmeticFor = (state) => {
+  if (state.arithmetic === "decimal")
+    return withFinancial(decimalArithmetic({ precision: state.precision, rounding: state.rounding }));
+  if (state.arithmetic === "programmer") return programmerArithmetic(state);
+  if (state.arithmetic === "fraction") return FRACTION_WITH_FINANCIAL;
+  return FLOAT_WITH_FINANCIAL;
+};
+
+const errorState = (state, message = null) => ({
+  ...state,
+  error: true,
+  display: "Error",
+  prevValue: null,
+  pendingOp: null,
+  previousLine: "",
+  lastOp: null,
+  overwrite: true,
+  tokens: [],
+  errorMessage: message,
+});
+
+const clearAll = (state) => ({
+  ...state,
+  statistics: state.statistics.pendingX === null ? state.statistics : { ...state.statistics, pendingX: null },
+  error: false,
+  display: "0",
+  prevValue: null,
+  pendingOp: null,
+  lastOp: null,
+  previousLine: "",
+  overwrite: false,
+  tokens: [],
+  errorMessage: null,
+  calculation: null,
+});
+
+function appendDigit(state, char) {
+  if (state.error) {
+    // Any digit starts fresh from error.
+    return { ...clearAll(state), display: char };
+  }
+
+  const prev = state.display;
+  if (state.overwrite) return { ...state, display: char, overwrite: false };
+  if (prev === "0") return { ...state, display: char };
+  if (prev === "-0") return { ...state, display: "-" + char };
+  return { ...state, display: prev + char };
+}
+
+function inputDigit(state, digit) {
+  const arith = arithmeticFor(state);
+  // Digits above 9 only exist in hexadecimal; octal and binary allow fewer.
+  if (!Number.isInteger(digit) || digit < 0 || digit >= arith.radix) return state;
+  // A denominator cannot start with 0 (so it can never be 0).
+  if (digit === 0 && !state.error && !state.overwrite && state.display.endsWith("/")) return state;
+
+  const next = appendDigit(state, digit.toString(16).toUpperCase());
+  // Programmer entry stops at the word's width instead of wrapping mid-number.
+  if (arith.fits && !arith.fits(next.display)) return state;
+  return next;
+}
+
+function inputDecimal(state) {
+  const arith = arithmeticFor(state);
+  if (arith.integer) return state;
+  if (state.error) {
+    // Start fresh from error with "0."
+    return { ...clearAll(state), display: "0." };
+  }
+
+  const prev = state.display;
+  if (state.overwrite) return { ...state, display: "0.", overwrite: false };
+  // A fraction is typed as a decimal or as a fraction, not both.
+  if (prev.includes(".") || (arith.fraction && /[ /]/.test(prev))) return state;
+  if (prev === "Error") return { ...state, display: "0." };
+  if (prev === "-" || prev === "") return { ...state, display: "0." };
+  return { ...state, display: prev + "." };
+}
+
+function inputFractionBar(state) {
+  if (!arithmeticFor(state).fraction || state.error || state.overwrite) return state;
+  const prev = state.display;
+  // The first a b/c makes the entry a numerator; the second turns the fraction typed so far into a whole part
+  // and a numerator, for a mixed number.
+  if (/^-?\d+$/.test(prev)) return { ...state, display: prev + "/" };
+  if (/^-?\d+\/\d+$/.test(prev)) return { ...state, display: prev.replace("/", " ") + "/" };
+  return state;
+}
+
+function toggleSign(state) {
+  if (state.error) return state;
+
+  const arith = arithmeticFor(state);
+  if (arith.integer) {
+    // Two's complement negation; unsigned words wrap (-1 becomes the largest value).
+    const negated = arith.compute(arith.zero, "-", arith.parse(state.display)).value;
+    return { ...state, display: arith.format(negated) };
+  }
+
+  const prev = state.display;
+  let display;
+  if (prev === "0" || prev === "0.") display = "-0" + (prev.endsWith(".") ? "." : "");
+  else if (prev === "-0" || prev === "-0.") display = "0" + (prev.endsWith(".") ? "." : "");
+  else if (prev.startsWith("-")) display = prev.slice(1);
+  else display = "-" + prev;
+  return { ...state, display };
+}
+
+function backspace(state) {
+  if (state.error) {
+    // Backspace clears error like AC-lite.
+    return clearAll(state);
+  }
+
+  const prev = state.display;
+  if (state.overwrite) return { ...state, display: "0" };
+  if (prev.length <= 1) return { ...state, display: "0" };
+  if (prev.length === 2 && prev.startsWith("-")) return { ...state, display: "0" };
+  // Undo the second a b/c of a mixed number: "3 4/" goes back to "3/4".
+  if (prev.endsWith("/") && prev.includes(" ")) return { ...state, display: prev.slice(0, -1).replace(" ", "/") };
+  return { ...state, display: prev.slice(0, -1) };
+}
+
+function clearEntry(state) {
+  if (state.error) return clearAll(state);
+  // After ")" the expression already has its operand; "0" is only shown, not typed.
+  const afterParen = state.entryMode === "expression" && !needsOperand(state.tokens);
+  if (state.display === "0" && state.overwrite === afterParen) return state;
+  return { ...state, display: "0", overwrite: afterParen };
+}
+
+// What % takes a percentage of in expression entry: like the running value in immediate entry, everything before
+// the last operator (inside the innermost open parenthesis), e.g. 150 for "100 + 50 +". Null unless the expression
+// ends in an operator after an operand.
+function percentBase(tokens, arith) {
+  const end = tokens.length - 1;
+  if (end < 1 || tokens[end].type !== "op") return null;
+  let start = end;
+  for (let depth = 0; start > 0; start -= 1) {
+    const { type } = tokens[start - 1];
+    if (type === "rparen") depth += 1;
+    else if (type === "lparen") {
+      if (depth === 0) break;
+      depth -= 1;
+    }
+  }
+  if (start === end) return null;
+  const result = evaluateTokens(tokens.slice(start, end), arith);
+  return result.ok ? result.value : null;
+}
+
+function applyPercent(state) {
+  const arith = arithmeticFor(state);
+  if (state.error || arith.integer) return state;
+
+  const current = arith.parse(state.display);
+
+  // If we have a pending binary operation, many calculators treat % as "percent of prevValue"
+  // e.g., "200 + 10 %" => 200 + (200 * 0.10) => 220
+  // In expression entry the left operand is worked out from the tokens (see percentBase).
+  const base =
+    state.entryMode === "expression" ? percentBase(state.tokens, arith) : state.pendingOp ? state.prevValue : null;
+  if (base !== null) {
+    const pctValue = arith.percentOf(base, current);
+    // treat as computed operand; next digit starts new number
+    return { ...state, display: arith.format(pctValue), overwrite: true };
+  }
+
+  // Otherwise just divide by 100
+  return { ...state, display: arith.format(arith.percent(current)), overwrite: true };
+}
+
+const lastToken = (tokens) => tokens[tokens.length - 1];
+
+const needsOperand = (tokens) => {
+  const last = lastToken(tokens);
+  return !last || last.type === "op" || last.type === "lparen";
+};
+
+const withTokens = (state, tokens, arith) => ({
+  ...state,
+  tokens,
+  previousLine: formatTokens(tokens, arith.format),
+});
+
+// Append the entry on the display to the token list when the expression is waiting for an operand.
+function commitEntry(state, arith) {
+  const { tokens } = state;
+  const entry = { type: "number", value: arith.parse(state.display) };
+  if (needsOperand(tokens)) return [...tokens, entry];
+  // A number typed right after ")" multiplies, e.g. "(2 + 3) 4".
+  if (!state.overwrite) return [...tokens, { type: "op", value: "*" }, entry];
+  return tokens;
+}
+
+function expressionOperator(state, op) {
+  const arith = arithmeticFor(state);
+  const last = lastToken(state.tokens);
+
+  // Pressing operators repeatedly replaces the last one.
+  if (state.overwrite && last && last.type === "op") {
+    return withTokens(state, [...state.tokens.slice(0, -1), { type: "op", value: op }], arith);
+  }
+  return { ...withTokens(state, [...commitEntry(state, arith), { type: "op", value: op }], arith), overwrite: true };
+}
+
+function inputParen(state, paren) {
+  if (state.error || state.entryMode !== "expression") return state;
+
+  const arith = arithmeticFor(state);
+  if (paren === ")") {
+    return { ...withTokens(state, [...commitEntry(state, arith), { type: "rparen" }], arith), overwrite: true };
+  }
+  if (paren !== "(") return state;
+
+  let { tokens } = state;
+  const typedEntry = !state.overwrite && state.display !== "0";
+  // "5 (" and ") (" imply multiplication.
+  if (lastToken(tokens)?.type === "rparen") tokens = [...tokens, { type: "op", value: "*" }];
+  else if (typedEntry) tokens = [...commitEntry(state, arith), { type: "op", value: "*" }];
+  return { ...withTokens(state, [...tokens, { type: "lparen" }], arith), display: "0", overwrite: true };
+}
+
+function evaluateExpression(state) {
+  const arith = arithmeticFor(state);
+  const tokens = commitEntry(state, arith);
+  const result = evaluateTokens(tokens, arith);
+  if (!result.ok) return errorState(state, result.error);
+
+  const operators = tokens.filter((t) => t.type === "op").map((t) => t.value);
+  const next = {
+    ...state,
+    tokens: [],
+    display: arith.format(result.value),
+    previousLine: `${formatTokens(tokens, arith.format)} =`,
+    overwrite: true,
+    calculation: operators.length
+      ? {
+          expression: formatTokens(tokens, arith.serialize),
+          operands: tokens.filter((t) => t.type === "number").map((t) => arith.serialize(t.value)),
+          operators,
+          result: arith.serialize(result.value),
+        }
+      : state.calculation,
+  };
+  // Precedence has no running subtotal, so the tape gets the result, noted with the expression.
+  if (!operators.length) return next;
+  const { expression, result: value } = next.calculation;
+  return recordTape(state, next, [{ op: null, value, note: expression }, { op: "=" }]);
+}
+
+// The tape's running subtotal as a plain decimal string, or null when it has none.
+function tapeSubtotal(state) {
+  const { total } = computeTape(state.tape.lines, arithmeticFor(state));
+  return total && total.ok ? total.value : null;
+}
+
+// Tape lines for applying op and rhs to lhs (plain decimal strings). lhs starts a new group unless the tape
+// already stands at it, as when a calculation goes on from its result or the tape recorded lhs as it was entered.
+function tapeStep(state, lhs, op, rhs) {
+  if (!state.tape.on) return [];
+  const start = tapeSubtotal(state) === lhs ? [] : [{ op: null, value: lhs }];
+  return [...start, { op, value: rhs }];
+}
+
+// Adds the lines a successful step itemizes to the tape, while it is on. A full tape stops the step instead.
+function recordTape(before, after, lines) {
+  if (!before.tape.on || after.error || lines.length === 0) return after;
+  const recorded = before.tape.lines;
+  if (recorded.length + lines.length > MAX_TAPE_LINES) {
+    return errorState(before, `The tape is full (${MAX_TAPE_LINES} lines)`);
+  }
+  return { ...after, tape: { ...after.tape, lines: addTapeLines(recorded, lines) } };
+}
+
+function setOperator(state, op) {
+  if (state.error || !arithmeticFor(state).supports(op)) return state;
+  if (state.entryMode === "expression") return expressionOperator(state, op);
+
+  const { pendingOp, prevValue } = state;
+  const arith = arithmeticFor(state);
+  const current = arith.parse(state.display);
+
+  // If user presses an operator repeatedly, update pending op without changing values,
+  // but keep previousLine accurate.
+  if (pendingOp && state.overwrite) {
+    return {
+      ...state,
+      pendingOp: op,
+      previousLine: `${arith.format(prevValue ?? arith.zero)} ${opSymbol(op)}`,
+    };
+  }
+
+  // If there is already a pending op and prevValue set, compute chaining
+  if (pendingOp && prevValue !== null) {
+    const result = arith.compute(prevValue, pendingOp, current);
+    if (!result.ok) return errorState(state, result.error);
+
+    const formatted = arith.format(result.value);
+
+    const next = {
+      ...state,
+      prevValue: arith.parse(formatted),
+      display: formatted,
+      pendingOp: op,
+      previousLine: `${formatted} ${opSymbol(op)}`,
+      overwrite: true,
+      lastOp: null, // starting a new chain resets repeated-equals context
+    };
+    return recordTape(state, next, tapeStep(state, arith.serialize(prevValue), pendingOp, arith.serialize(current)));
+  }
+
+  // No pending op: store current as prevValue and set pendingOp
+  const next = {
+    ...state,
+    prevValue: current,
+    pendingOp: op,
+    previousLine: `${arith.format(current)} ${opSymbol(op)}`,
+    overwrite: true,
+    lastOp: null,
+  };
+  // A typed number starts a new group on the tape; a result the tape already stands at carries on.
+  const value = arith.serialize(current);
+  const starts = state.tape.on && (!state.overwrite || tapeSubtotal(state) !== value);
+  return recordTape(state, next, starts ? [{ op: null, value }] : []);
+}
+
+const describeCalculation = (arith, lhs, op, rhs, result) => {
+  const operands = [arith.serialize(lhs), arith.serialize(rhs)];
+  return {
+    expression: `${operands[0]} ${opSymbol(op)} ${operands[1]}`,
+    operands,
+    operators: [op],
+    result: arith.serialize(result),
+  };
+};
+
+function evaluateEquals(state) {
+  if (state.error) return state;
+  if (state.entryMode === "expression") return evaluateExpression(state);
+
+  const { pendingOp, prevValue, lastOp } = state;
+  const arith = arithmeticFor(state);
+  const current = arith.parse(state.display);
+
+  // If we have a pending op, compute with current rhs.
+  if (pendingOp && prevValue !== null) {
+    const result = arith.compute(prevValue, pendingOp, current);
+    if (!result.ok) return errorState(state, result.error);
+
+    const formatted = arith.format(result.value);
+
+    const next = {
+      ...state,
+      display: formatted,
+      previousLine: "", // result displayed; previous line can clear for clean look
+      prevValue: arith.parse(formatted),
+      pendingOp: null,
+      overwrite: true,
+      // Store last operation for repeated equals:
+      lastOp: { op: pendingOp, rhs: current },
+      calculation: describeCalculation(arith, prevValue, pendingOp, current, result.value),
+    };
+    const lines = tapeStep(state, arith.serialize(prevValue), pendingOp, arith.serialize(current));
+    return recordTape(state, next, [...lines, { op: "=" }]);
+  }
+
+  // Repeated equals: apply lastOp to the current display value.
+  if (!pendingOp && lastOp) {
+    const result = arith.compute(current, lastOp.op, lastOp.rhs);
+    if (!result.ok) return errorState(state, result.error);
+
+    const formatted = arith.format(result.value);
+    const next = {
+      ...state,
+      display: formatted,
+      overwrite: true,
+      calculation: describeCalculation(arith, current, lastOp.op, lastOp.rhs, result.value),
+    };
+    const lines = tapeStep(state, arith.serialize(current), lastOp.op, arith.serialize(lastOp.rhs));
+    return recordTape(state, next, [...lines, { op: "=" }]);
+  }
+
+  // If nothing to do, no-op.
+  return { ...state, overwrite: true };
+}
+
+// Apply arithmetic or word settings, carrying stored operands across so a pending calculation survives.
+function reconfigure(state, changes) {
+  const next = { ...state, ...changes };
+  if (state.error) return next;
+
+  const from = arithmeticFor(state);
+  const to = arithmeticFor(next);
+  const convert = (value) => (value === null ? null : to.deserialize(from.serialize(value)));
+  // Between float and decimal an entry in progress is kept as typed; anything else is re-rendered.
+  const keepEntry = !state.overwrite && !from.integer && !to.integer && !from.fraction && !to.fraction;
+  const display = keepEntry ? state.display : to.format(convert(from.parse(state.display)));
+
+  // Bitwise operators do not exist outside programmer mode (nor powers inside it): start over from the display.
+  const ops = [state.pendingOp, state.lastOp?.op, ...state.tokens.filter((t) => t.type === "op").map((t) => t.value)];
+  if (!ops.every((op) => !op || to.supports(op))) return { ...clearAll(next), display, overwrite: true };
+
+  const prevValue = convert(state.prevValue);
+  const tokens = state.tokens.map((t) => (t.type === "number" ? { ...t, value: convert(t.value) } : t));
+  let { previousLine } = state;
+  if (tokens.length) previousLine = formatTokens(tokens, to.format);
+  else if (state.pendingOp && prevValue !== null) previousLine = `${to.format(prevValue)} ${opSymbol(state.pendingOp)}`;
+
+  return {
+    ...next,
+    prevValue,
+    lastOp: state.lastOp && { ...state.lastOp, rhs: convert(state.lastOp.rhs) },
+    tokens,
+    previousLine,
+    display,
+  };
+}
+
+const ARITHMETICS = ["float", "decimal", "programmer", "fraction"];
+
+function setArithmetic(state, arithmetic) {
+  if (!ARITHMETICS.includes(arithmetic) || arithmetic === state.arithmetic) return state;
+  return reconfigure(state, { arithmetic });
+}
+
+function setBase(state, base) {
+  if (!(base in BASES) || base === state.base) return state;
+  return reconfigure(state, { base });
+}
+
+function setWordSize(state, wordSize) {
+  if (!WORD_SIZES.includes(wordSize) || wordSize === state.wordSize) return state;
+  return reconfigure(state, { wordSize });
+}
+
+function setSigned(state, signed) {
+  if (typeof signed !== "boolean" || signed === state.signed) return state;
+  return reconfigure(state, { signed });
+}
+
+function toggleDisplayBit(state, bit) {
+  const arith = arithmeticFor(state);
+  if (state.error || !arith.integer) return state;
+  return { ...state, display: arith.format(arith.toggleBit(arith.parse(state.display), bit)), overwrite: true };
+}
+
+function setEntryMode(state, entryMode) {
+  if (entryMode !== "immediate" && entryMode !== "expression") return state;
+  if (entryMode === state.entryMode) return state;
+
+  // A half-built calculation does not carry across entry modes; the shown value does.
+  const cleared = { ...clearAll(state), entryMode };
+  return state.error ? cleared : { ...cleared, display: state.display, overwrite: true };
+}
+
+function applyScientific(state, name) {
+  if (state.error) return state;
+
+  const arith = arithmeticFor(state);
+  const current = arith.parse(state.display);
+  if (arith.integer) {
+    // Programmer mode has one unary function: flip every bit of the word.
+    return name === "not" ? { ...state, display: arith.format(arith.not(current)), overwrite: true } : state;
+  }
+
+  // Squares and reciprocals go through the active arithmetic so they stay exact in decimal mode.
+  let result;
+  if (name === "square") result = arith.compute(current, "*", current);
+  else if (name === "reciprocal") result = arith.compute(arith.parse("1"), "/", current);
+  else {
+    result = applyFunction(name, arith.toNumber(current), state.angleUnit);
+    if (result.ok) result = { ...result, value: arith.fromNumber(result.value) };
+  }
+  if (!result.ok) return errorState(state, result.error);
+
+  // Like percent: the result becomes the operand; next digit starts a new number.
+  return { ...state, display: arith.format(result.value), overwrite: true };
+}
+
+// A value put in right after ")" is a new operand; like a typed number, it multiplies, e.g. "(2) π".
+function operandBase(state, arith) {
+  if (state.error) return clearAll(state);
+  if (state.entryMode !== "expression" || lastToken(state.tokens)?.type !== "rparen") return state;
+  return withTokens(state, [...state.tokens, { type: "op", value: "*" }], arith);
+}
+
+function inputConstant(state, name) {
+  const arith = arithmeticFor(state);
+  if (!(name in CONSTANTS) || arith.integer) return state;
+  const base = operandBase(state, arith);
+  return { ...base, display: arith.format(arith.fromNumber(CONSTANTS[name])), overwrite: true };
+}
+
+// A numeric string as a value of the arithmetic; null when it is not a number or beyond what the arithmetic holds
+// (float overflows past about 1.8e308, where the display could only show "Error").
+function readValue(arith, text) {
+  if (parseDecimal(String(text)) === null) return null;
+  const value = arith.deserialize(String(text));
+  return typeof value === "number" && !isFiniteNumber(value) ? null : value;
+}
+
+function setValue(state, value, calculation = null) {
+  const arith = arithmeticFor(state);
+  const entry = readValue(arith, value);
+  if (entry === null) return state;
+  const base = operandBase(state, arith);
+  // Behaves like a computed operand: the next digit starts a new number.
+  const next = { ...base, display: arith.format(entry), overwrite: true };
+  return calculation ? { ...next, calculation } : next;
+}
+
+function restore(state, { display, pendingOp = null, prevValue = null, calculation = null }) {
+  const base = clearAll(state);
+  const arith = arithmeticFor(base);
+  const value = readValue(arith, display);
+  const prev = pendingOp ? readValue(arith, prevValue) : null;
+  if (value === null || (pendingOp && (!arith.supports(pendingOp) || prev === null))) return state;
+
+  // Like a recalled value, the restored display is complete: the next digit starts a new number.
+  const next = { ...base, display: arith.format(value), overwrite: true, calculation };
+  if (!pendingOp) return next;
+  if (base.entryMode === "expression") {
+    return withTokens(
+      next,
+      [
+        { type: "number", value: prev },
+        { type: "op", value: pendingOp },
+      ],
+      arith
+    );
+  }
+  return { ...next, prevValue: prev, pendingOp, previousLine: `${arith.format(prev)} ${opSymbol(pendingOp)}` };
+}
+
+const withRegister = (state, index, changes) => ({
+  ...state,
+  memory: {
+    ...state.memory,
+    registers: state.memory.registers.map((r, i) => (i === index ? { ...r, ...changes } : r)),
+  },
+});
+
+function applyMemory(state, command) {
+  const { registers, active } = state.memory;
+  const register = registers[active];
+
+  if (command === "clear") return withRegister(state, active, { value: "0" });
+  if (command === "recall") return setValue(state, register.value);
+
+  // Storing needs a real operand; the Error display is not one.
+  if (state.error) return state;
+
+  const arith = arithmeticFor(state);
+  const current = arith.parse(state.display);
+  let value;
+  if (command === "store") value = current;
+  else if (command === "add" || command === "subtract") {
+    const result = arith.compute(arith.deserialize(register.value), command === "add" ? "+" : "-", current);
+    if (!result.ok) return errorState(state, result.error);
+    value = result.value;
+  } else return state;
+
+  // Like other classic calculators, the entry is finished: the next digit starts a new number.
+  return { ...withRegister(state, active, { value: arith.serialize(value) }), overwrite: true };
+}
+
+function selectRegister(state, index) {
+  if (!Number.isInteger(index) || !state.memory.registers[index]) return state;
+  return { ...state, memory: { ...state.memory, active: index } };
+}
+
+function renameRegister(state, index, name) {
+  const normalized = normalizeRegisterName(name ?? "");
+  if (!normalized || !Number.isInteger(index) || !state.memory.registers[index]) return state;
+  return withRegister(state, index, { name: normalized });
+}
+
+const withFinancialSettings = (state, changes) => ({ ...state, financial: { ...state.financial, ...changes } });
+
+function applyTax(state, command) {
+  const arith = arithmeticFor(state);
+  if (state.error || arith.integer) return state;
+
+  const current = arith.parse(state.display);
+  if (command === "setRate") {
+    const taxRate = normalizeTaxRate(arith.serialize(current));
+    if (taxRate === null) return errorState(state, `Tax rate must be between 0 and ${MAX_TAX_RATE}%`);
+    return { ...withFinancialSettings(state, { taxRate }), overwrite: true };
+  }
+  if (command !== "add" && command !== "remove") return state;
+
+  const rate = arith.deserialize(state.financial.taxRate);
+  const result = command === "add" ? addTax(arith, current, rate) : removeTax(arith, current, rate);
+  if (!result.ok) return errorState(state, result.error);
+  // Like percent: the result becomes the operand; next digit starts a new number.
+  return { ...state, display: arith.format(result.value), overwrite: true };
+}
+
+function applyTvm(state, command, field) {
+  if (command === "clear") return withFinancialSettings(state, { tvm: createFinancial().tvm });
+
+  const arith = arithmeticFor(state);
+  if (state.error || arith.integer || !TVM_FIELDS.some((f) => f.id === field)) return state;
+
+  const { tvm } = state.financial;
+  if (command === "store") {
+    const value = arith.serialize(arith.parse(state.display));
+    return { ...withFinancialSettings(state, { tvm: { ...tvm, [field]: value } }), overwrite: true };
+  }
+  if (command !== "compute") return state;
+
+  const result = solveTvm(field, state.financial);
+  if (!result.ok) return errorState(state, result.error);
+  const value = arith.fromNumber(result.value);
+  return {
+    ...withFinancialSettings(state, { tvm: { ...tvm, [field]: arith.serialize(value) } }),
+    display: arith.format(value),
+    overwrite: true,
+  };
+}
+
+function setPeriodsPerYear(state, periodsPerYear) {
+  if (!Number.isInteger(periodsPerYear) || periodsPerYear < 1 || periodsPerYear > MAX_PERIODS_PER_YEAR) return state;
+  return withFinancialSettings(state, { periodsPerYear });
+}
+
+function setPaymentTiming(state, timing) {
+  if (!PAYMENT_TIMINGS.includes(timing)) return state;
+  return withFinancialSettings(state, { timing });
+}
+
+const withData = (state, data) => ({ ...state, statistics: { ...state.statistics, data } });
+
+// A data point whose values are numeric strings (y may be null); values are normalized, null if invalid.
+const dataPoint = (x, y) => {
+  const px = parseDecimal(String(x));
+  const py = y === null ? null : parseDecimal(String(y));
+  if (!px || (y !== null && !py)) return null;
+  return { x: toDecimalString(px), y: py && toDecimalString(py) };
+};
+
+function applyStatistics(state, command, stat) {
+  const { data, pendingX } = state.statistics;
+  if (command === "clear") return { ...state, statistics: createStatistics() };
+  const arith = arithmeticFor(state);
+  // Statistics are decimal; programmer mode has no place to put them.
+  if (arith.integer) return state;
+  if (command === "recall") {
+    const result = computeStatistic(stat, data);
+    if (!result.ok) return errorState(state, result.error);
+    const base = state.error ? clearAll(state) : state;
+    // Like MR: the statistic is a computed operand; the next digit starts a new number.
+    return { ...base, display: arith.format(arith.fromNumber(result.value)), overwrite: true };
+  }
+
+  if (state.error) return state;
+  const current = arith.serialize(arith.parse(state.display));
+  if (command === "pair") return { ...state, statistics: { data, pendingX: current }, overwrite: true };
+
+  const point = pendingX === null ? { x: current, y: null } : { x: pendingX, y: current };
+  let next;
+  if (command === "add") {
+    if (data.length >= MAX_DATA_POINTS) return errorState(state, `The data list is full (${MAX_DATA_POINTS} points)`);
+    next = [...data, point];
+  } else if (command === "remove") {
+    const same = (a, b) => (a === null || b === null ? a === b : Number(a) === Number(b));
+    const index = data.map((p) => same(p.x, point.x) && same(p.y, point.y)).lastIndexOf(true);
+    if (index < 0) return errorState(state, "Not in the data list");
+    next = data.filter((_, i) => i !== index);
+  } else return state;
+  // Like M+: the entry is finished and the next digit starts a new number.
+  return { ...state, statistics: { data: next, pendingX: null }, overwrite: true };
+}
+
+function editDataPoint(state, index, x, y) {
+  const { data } = state.statistics;
+  const point = dataPoint(x, y);
+  if (!point || !Number.isInteger(index) || !data[index]) return state;
+  const edited = data.map((p, i) => (i === index ? point : p));
+  return withData(state, edited);
+}
+
+function deleteDataPoint(state, index) {
+  const { data } = state.statistics;
+  if (!Number.isInteger(index) || !data[index]) return state;
+  const remaining = data.filter((_, i) => i !== index);
+  return withData(state, remaining);
+}
+
+const withVariables = (state, named) => ({ ...state, variables: { ...state.variables, named } });
+
+function applyVariable(state, command, name) {
+  const { named } = state.variables;
+  if (command === "recall") {
+    const value = variableValue(state.variables, name);
+    // Like MR: the value becomes the entry, even from the Error state.
+    return value === null ? errorState(state, `No variable named ${name}`) : setValue(state, value);
+  }
+  if (command === "delete") {
+    const remaining = named.filter((v) => v.name !== name);
+    return remaining.length === named.length ? state : withVariables(state, remaining);
+  }
+  if (command !== "store" || state.error) return state;
+
+  const checked = validateVariableName(name);
+  if (!checked.ok) return state;
+  const value = displayValue(state);
+  const exists = named.some((v) => v.name === checked.name);
+  if (!exists && named.length >= MAX_VARIABLES)
+    return errorState(state, `There are already ${MAX_VARIABLES} variables`);
+  const next = exists
+    ? named.map((v) => (v.name === checked.name ? { ...v, value } : v))
+    : [...named, { name: checked.name, value }];
+  // Like MS: the entry is finished and the next digit starts a new number.
+  return { ...withVariables(state, next), overwrite: true };
+}
+
+function renameVariable(state, name, newName) {
+  const { named } = state.variables;
+  const checked = validateVariableName(newName);
+  if (!checked.ok || !named.some((v) => v.name === name)) return state;
+  if (named.some((v) => v.name === checked.name)) return state;
+  const renamed = named.map((v) => (v.name === name ? { ...v, name: checked.name } : v));
+  return withVariables(state, renamed);
+}
+
+function importVariables(state, variables) {
+  if (!Array.isArray(variables)) return state;
+  let next = state.variables.named;
+  variables.forEach(({ name, value }) => {
+    const checked = validateVariableName(name);
+    const d = parseDecimal(String(value));
+    if (!checked.ok || d === null) return;
+    const variable = { name: checked.name, value: toDecimalString(d) };
+    if (next.some((v) => v.name === variable.name)) next = next.map((v) => (v.name === variable.name ? variable : v));
+    else if (next.length < MAX_VARIABLES) next = [...next, variable];
+  });
+  return next === state.variables.named ? state : withVariables(state, next);
+}
+
+function applyTape(state, command) {
+  const { tape } = state;
+  if (command === "on" || command === "off") {
+    const on = command === "on";
+    return on === tape.on ? state : { ...state, tape: { ...tape, on } };
+  }
+  if (command === "clear") return tape.lines.length ? { ...state, tape: { ...tape, lines: [] } } : state;
+  return state;
+}
+
+const withTapeLines = (state, lines) => ({ ...state, tape: { ...state.tape, lines } });
+
+function editTapeLine(state, index, { value, op }) {
+  const { lines } = state.tape;
+  const line = Number.isInteger(index) ? lines[index] : undefined;
+  if (!line || line.op === "=") return state;
+
+  let edited = line;
+  if (value !== undefined) {
+    const parsed = parseDecimal(String(value));
+    if (!parsed) return state;
+    // A new amount no longer is the result of the noted expression.
+    if (toDecimalString(parsed) !== line.value) edited = { op: line.op, value: toDecimalString(parsed) };
+  }
+  if (op !== undefined && op !== line.op) {
+    // Only an operator between + − × ÷ changes; the line that starts a group has none.
+    if (line.op === null || !TAPE_OPERATORS.includes(op)) return state;
+    edited = { ...edited, op };
+  }
+  return edited === line
+    ? state
+    : withTapeLines(
+        state,
+        lines.map((l, i) => (i === index ? { ...tapeLine(edited), id: line.id } : l))
+      );
+}
+
+function deleteTapeLine(state, index) {
+  const { lines } = state.tape;
+  if (!Number.isInteger(index) || !lines[index]) return state;
+  return withTapeLines(
+    state,
+    lines.filter((_, i) => i !== index)
+  );
+}
+
+// ans follows every "=" that leaves a result on the display.
+function recordAns(next) {
+  if (next.error) return next;
+  const ans = displayValue(next);
+  return ans === next.variables.ans ? next : { ...next, variables: { ...next.variables, ans } };
+}
+
+function setAngleUnit(state, angleUnit) {
+  if (!ANGLE_UNITS.includes(angleUnit)) return state;
+  return { ...state, angleUnit };
+}
+
+// Upper bound on decimal division digits; keeps quotients (and the display) a sane length.
+const MAX_PRECISION = 100;
+
+function setPrecision(state, precision) {
+  if (!Number.isInteger(precision) || precision < 0 || precision > MAX_PRECISION) return state;
+  return { ...state, precision };
+}
+
+function setRounding(state, rounding) {
+  if (!ROUNDING_MODES.includes(rounding)) return state;
+  return { ...state, rounding };
+}
+
+// PUBLIC_INTERFACE
+export function displayValue(state) {
+  /** The entry or result on the display as a plain decimal string, whatever the arithmetic or base; null in Error. */
+  if (state.error) return null;
+  const arith = arithmeticFor(state);
+  return arith.serialize(arith.parse(state.display));
+}
+
+// PUBLIC_INTERFACE
+export function looksSame(a, b) {
+  /** Whether two states show the same thing: they differ at most in whether the next digit starts a new entry. */
+  const keys = Object.keys(b);
+  return keys.length === Object.keys(a).length && keys.every((key) => key === "overwrite" || a[key] === b[key]);
+}
+
+// PUBLIC_INTERFACE
+export function tapeTotals(state) {
+  /** The tape's running subtotals, total and grand total in the state's arithmetic (see computeTape in ./tape). */
+  return computeTape(state.tape.lines, arithmeticFor(state));
+}
+
+// PUBLIC_INTERFACE
+export function shareableState(state) {
+  /**
+   * The calculation on screen as plain decimal strings, { display, pendingOp, prevValue, calculation }, for
+   * the "restore" action (e.g. through a permalink). Null in Error or partway through a longer expression.
+   */
+  if (state.error) return null;
+  const arith = arithmeticFor(state);
+  const link = { display: displayValue(state), pendingOp: null, prevValue: null, calculation: state.calculation };
+  if (state.entryMode === "expression") {
+    if (!state.tokens.length) return link;
+    const [first, op] = state.tokens;
+    if (state.tokens.length !== 2 || first.type !== "number" || op.type !== "op") return null;
+    return { ...link, pendingOp: op.value, prevValue: arith.serialize(first.value) };
+  }
+  if (!state.pendingOp) return link;
+  return { ...link, pendingOp: state.pendingOp, prevValue: arith.serialize(state.prevValue ?? arith.zero) };
+}
+
+// PUBLIC_INTERFACE
+export function evaluatePaste(state, tokens) {
+  /**
+   * Evaluate pasted expression tokens (numbers as plain decimal strings) in the state's arithmetic without
+   * changing the state, so bad input can be reported instead of entering the Error state.
+   * Returns { ok: true, value, calculation } (calculation is null for a lone number) or { ok: false, error }.
+   */
+  const arith = arithmeticFor(state);
+  const unsupported = tokens.find((t) => t.type === "op" && !arith.supports(t.value));
+  if (unsupported) return { ok: false, error: `${opSymbol(unsupported.value)} is not available in this mode` };
+
+  const parsed = tokens.map((t) => (t.type === "number" ? { ...t, value: arith.deserialize(t.value) } : t));
+  const result = evaluateTokens(parsed, arith);
+  if (!result.ok) return result;
+
+  const value = arith.serialize(result.value);
+  // Only a real calculation (an operator after an operand) goes on the tape; "-5" is just a number.
+  const binary = parsed.some((t, i) => t.type === "op" && i > 0 && ["number", "rparen"].includes(parsed[i - 1].type));
+  const calculation = binary
+    ? {
+        expression: formatTokens(parsed, arith.serialize),
+        operands: parsed.filter((t) => t.type === "number").map((t) => arith.serialize(t.value)),
+        operators: parsed.filter((t) => t.type === "op").map((t) => t.value),
+        result: value,
+      }
+    : null;
+  return { ok: true, value, calculation };
+}
+
+// PUBLIC_INTERFACE
+export function calculatorReducer(state, action) {
+  /** Pure state transition: returns the next calculator state for an action. Unknown actions are ignored. */
+  switch (action.type) {
+    case "digit":
+      return inputDigit(state, action.value);
+    case "decimal":
+      return inputDecimal(state);
+    case "fractionBar":
+      return inputFractionBar(state);
+    case "op":
+      return setOperator(state, action.value);
+    case "equals":
+      return recordAns(evaluateEquals(state));
+    case "clear":
+      return clearAll(state);
+    case "clearEntry":
+      return clearEntry(state);
+    case "sign":
+      return toggleSign(state);
+    case "percent":
+      return applyPercent(state);
+    case "backspace":
+      return backspace(state);
+    case "paren":
+      return inputParen(state, action.value);
+    case "setEntryMode":
+      return setEntryMode(state, action.value);
+    case "function":
+      return applyScientific(state, action.value);
+    case "constant":
+      return inputConstant(state, action.value);
+    case "setAngleUnit":
+      return setAngleUnit(state, action.value);
+    case "setValue":
+      return setValue(state, action.value, action.calculation);
+    case "memory":
+      return applyMemory(state, action.value);
+    case "selectRegister":
+      return selectRegister(state, action.value);
+    case "renameRegister":
+      return renameRegister(state, action.index, action.name);
+    case "setArithmetic":
+      return setArithmetic(state, action.value);
+    case "setPrecision":
+      return setPrecision(state, action.value);
+    case "setRounding":
+      return setRounding(state, action.value);
+    case "setBase":
+      return setBase(state, action.value);
+    case "setWordSize":
+      return setWordSize(state, action.value);
+    case "setSigned":
+      return setSigned(state, action.value);
+    case "toggleBit":
+      return toggleDisplayBit(state, action.value);
+    case "tax":
+      return applyTax(state, action.value);
+    case "tvm":
+      return applyTvm(state, action.value, action.field);
+    case "setPeriodsPerYear":
+      return setPeriodsPerYear(state, action.value);
+    case "setPaymentTiming":
+      return setPaymentTiming(state, action.value);
+    case "stat":
+      return applyStatistics(state, action.value, action.stat);
+    case "editDataPoint":
+      return editDataPoint(state, action.index, action.x, action.y);
+    case "deleteDataPoint":
+      return deleteDataPoint(state, action.index);
+    case "variable":
+      return applyVariable(state, action.value, action.name);
+    case "renameVariable":
+      return renameVariable(state, action.name, action.newName);
+    case "importVariables":
+      return importVariables(state, action.variables);
+    case "restore":
+      return restore(state, action);
+    case "tape":
+      return applyTape(state, action.value);
+    case "editTapeLine":
+      return editTapeLine(state, action.index, action);
+    case "deleteTapeLine":
+      return deleteTapeLine(state, action.index);
+    default:
+      return state;
+  }
+}
@@ -0,0 +1,1155 @@
+import {
+  calculatorReducer,
+  compute,
+  displayValue,
+  evaluatePaste,
+  formatNumber,
+  initialState,
+  parseDisplayToNumber,
+  shareableState,
+  tapeTotals,
+} from './engine';
+import { tapeLine } from './tape';
+
+const digit = (value) => ({ type: 'digit', value });
+const op = (value) => ({ type: 'op', value });
+const equals = { type: 'equals' };
+const clearEntry = { type: 'clearEntry' };
+
+// Feed a sequence of actions through the reducer, starting from the initial state.
+const run = (...actions) => actions.reduce(calculatorReducer, initialState);
+
+describe('calculatorReducer', () => {
+  test('enters digits and a single decimal point', () => {
+    const state = run(digit(0), digit(1), { type: 'decimal' }, digit(5), { type: 'decimal' }, digit(0));
+    expect(state.display).toBe('1.50');
+  });
+
+  test('does not mutate the previous state', () => {
+    const before = run(digit(7));
+    const snapshot = { ...before };
+    calculatorReducer(before, op('+'));
+    expect(before).toEqual(snapshot);
+  });
+
+  test('chains operators left to right', () => {
+    const state = run(digit(2), op('+'), digit(3), op('*'));
+    expect(state.display).toBe('5');
+    expect(state.prevValue).toBe(5);
+    expect(state.previousLine).toBe('5 ×');
+
+    expect(calculatorReducer(calculatorReducer(state, digit(4)), equals).display).toBe('20');
+  });
+
+  test('replaces the pending operator when pressed twice', () => {
+    const state = run(digit(9), op('+'), op('-'));
+    expect(state.pendingOp).toBe('-');
+    expect(state.previousLine).toBe('9 −');
+    expect(calculatorReducer(calculatorReducer(state, digit(4)), equals).display).toBe('5');
+  });
+
+  test('repeats the last operation on repeated equals', () => {
+    const state = run(digit(2), op('+'), digit(3), equals, equals, equals);
+    expect(state.display).toBe('11');
+    expect(state.previousLine).toBe('');
+    expect(state.lastOp).toEqual({ op: '+', rhs: 3 });
+  });
+
+  test('equals without a pending operation only marks the display for overwrite', () => {
+    const state = run(digit(4), equals);
+    expect(state.display).toBe('4');
+    expect(state.overwrite).toBe(true);
+    expect(calculatorReducer(state, digit(6)).display).toBe('6');
+  });
+
+  test('division by zero enters the error state and a digit recovers', () => {
+    const errored = run(digit(8), op('/'), digit(0), equals);
+    expect(errored).toMatchObject({ error: true, display: 'Error', prevValue: null, pendingOp: null, lastOp: null });
+
+    expect(calculatorReducer(errored, op('+'))).toBe(errored);
+    expect(calculatorReducer(errored, { type: 'sign' })).toBe(errored);
+    expect(calculatorReducer(errored, { type: 'percent' })).toBe(errored);
+    expect(calculatorReducer(errored, digit(3))).toEqual({ ...initialState, display: '3' });
+    expect(calculatorReducer(errored, { type: 'decimal' })).toEqual({ ...initialState, display: '0.' });
+    expect(calculatorReducer(errored, { type: 'backspace' })).toEqual(initialState);
+  });
+
+  test('chaining into a division by zero enters the error state', () => {
+    expect(run(digit(1), op('/'), digit(0), op('+')).error).toBe(true);
+  });
+
+  test('percent uses the previous value when an operation is pending', () => {
+    const state = run(digit(2), digit(0), digit(0), op('+'), digit(1), digit(0), { type: 'percent' });
+    expect(state.display).toBe('20');
+    expect(calculatorReducer(state, equals).display).toBe('220');
+  });
+
+  test('percent divides by 100 without a pending operation', () => {
+    expect(run(digit(5), { type: 'percent' }).display).toBe('0.05');
+  });
+
+  test.each([
+    ['0', '-0'],
+    ['0.', '-0.'],
+    ['-0', '0'],
+    ['-0.', '0.'],
+    ['12', '-12'],
+    ['-12', '12'],
+  ])('sign toggle turns %s into %s', (display, expected) => {
+    expect(calculatorReducer({ ...initialState, display }, { type: 'sign' }).display).toBe(expected);
+  });
+
+  test('typing after a negative zero keeps the sign', () => {
+    expect(run({ type: 'sign' }, digit(5)).display).toBe('-5');
+  });
+
+  test('backspace trims the entry and resets to 0 after a result', () => {
+    expect(run(digit(1), digit(2), { type: 'backspace' }).display).toBe('1');
+    expect(run(digit(7), { type: 'sign' }, { type: 'backspace' }).display).toBe('0');
+    expect(run(digit(2), op('+'), digit(3), equals, { type: 'backspace' }).display).toBe('0');
+  });
+
+  test('clear resets everything but ans', () => {
+    expect(run(digit(2), op('+'), digit(3), equals, { type: 'clear' })).toEqual({
+      ...initialState,
+      variables: { ...initialState.variables, ans: '5' },
+    });
+  });
+
+  test('clear entry resets only the entry', () => {
+    const pending = run(digit(1), digit(2), op('+'), digit(3), digit(4));
+    expect(calculatorReducer(pending, clearEntry)).toEqual({ ...pending, display: '0' });
+
+    const repeated = run(digit(2), op('+'), digit(3), equals, equals);
+    expect(calculatorReducer(repeated, clearEntry)).toMatchObject({
+      display: '0',
+      overwrite: false,
+      lastOp: { op: '+', rhs: 3 },
+      calculation: repeated.calculation,
+    });
+
+    const cleared = calculatorReducer(pending, clearEntry);
+    expect(calculatorReducer(cleared, clearEntry)).toBe(cleared);
+  });
+
+  test('clear entry leaves the Error state', () => {
+    const state = run(digit(8), op('/'), digit(0), equals, clearEntry);
+    expect(state).toMatchObject({ error: false, display: '0', errorMessage: null, pendingOp: null });
+  });
+
+  test('ignores unknown actions', () => {
+    const state = run(digit(1));
+    expect(calculatorReducer(state, { type: 'unknown' })).toBe(state);
+  });
+});
+
+describe('decimal arithmetic', () => {
+  const decimal = { type: 'setArithmetic', value: 'decimal' };
+  const type = (text) => [...text].map((ch) => (ch === '.' ? { type: 'decimal' } : digit(Number(ch))));
+
+  test('0.1 + 0.2 is exactly 0.3 with string operands', () => {
+    const state = run(decimal, ...type('0.1'), op('+'), ...type('0.2'), equals);
+    expect(state.display).toBe('0.3');
+    expect(state.prevValue).toBe('0.3');
+    expect(state.lastOp).toEqual({ op: '+', rhs: '0.2' });
+  });
+
+  test('keeps integers above 2^53 intact through chaining and repeated equals', () => {
+    const state = run(decimal, ...type('9007199254740993'), op('+'), digit(1), op('*'), digit(2), equals, equals);
+    expect(state.display).toBe('36028797018963976');
+  });
+
+  test('divides using the configured precision and rounding', () => {
+    const base = run(decimal, { type: 'setPrecision', value: 2 }, { type: 'setRounding', value: 'truncate' });
+    const result = [digit(2), op('/'), digit(3), equals].reduce(calculatorReducer, base);
+    expect(result.display).toBe('0.66');
+  });
+
+  test('division by zero still enters the error state', () => {
+    expect(run(decimal, digit(1), op('/'), digit(0), equals).display).toBe('Error');
+  });
+
+  test('percent is exact', () => {
+    expect(run(decimal, ...type('200'), op('+'), ...type('10'), { type: 'percent' }, equals).display).toBe('220');
+    expect(run(decimal, ...type('0.3'), { type: 'percent' }).display).toBe('0.003');
+  });
+
+  test('switching arithmetic converts stored operands', () => {
+    const pending = run(digit(5), op('+'));
+    const switched = calculatorReducer(pending, decimal);
+    expect(switched.prevValue).toBe('5');
+    expect(calculatorReducer(calculatorReducer(switched, digit(2)), equals).display).toBe('7');
+
+    const back = calculatorReducer(run(decimal, digit(5), op('+'), digit(2), equals), {
+      type: 'setArithmetic',
+      value: 'float',
+    });
+    expect(back).toMatchObject({ prevValue: 7, lastOp: { op: '+', rhs: 2 }, display: '7' });
+  });
+
+  test('rejects invalid settings', () => {
+    expect(run({ type: 'setArithmetic', value: 'hex' }).arithmetic).toBe('float');
+    expect(run({ type: 'setPrecision', value: -1 }).precision).toBe(initialState.precision);
+    expect(run({ type: 'setPrecision', value: 1.5 }).precision).toBe(initialState.precision);
+    expect(run({ type: 'setRounding', value: 'ceiling' }).rounding).toBe(initialState.rounding);
+  });
+
+  test('clear keeps the arithmetic settings', () => {
+    expect(run(decimal, digit(4), { type: 'clear' }).arithmetic).toBe('decimal');
+  });
+});
+
+describe('expression entry', () => {
+  const expression = { type: 'setEntryMode', value: 'expression' };
+  const paren = (value) => ({ type: 'paren', value });
+  const type = (text) => [...text].map((ch) => (ch === '.' ? { type: 'decimal' } : digit(Number(ch))));
+
+  test('respects operator precedence', () => {
+    const state = run(expression, digit(2), op('+'), digit(3), op('*'), digit(4), equals);
+    expect(state.display).toBe('14');
+    expect(state.previousLine).toBe('2 + 3 × 4 =');
+  });
+
+  test('shows the whole expression while it is built', () => {
+    const state = run(expression, digit(2), op('*'), paren('('), digit(3), op('-'), digit(1));
+    expect(state.previousLine).toBe('2 × (3 −');
+    expect(state.display).toBe('1');
+    expect(calculatorReducer(state, paren(')')).previousLine).toBe('2 × (3 − 1)');
+  });
+
+  test('evaluates parentheses and implicit multiplication', () => {
+    expect(
+      run(expression, paren('('), digit(2), op('+'), digit(3), paren(')'), op('*'), digit(4), equals).display
+    ).toBe('20');
+    expect(run(expression, digit(5), paren('('), digit(2), paren(')'), equals).display).toBe('10');
+    expect(run(expression, paren('('), digit(2), paren(')'), digit(3), equals).display).toBe('6');
+  });
+
+  test('clear entry keeps the expression built so far', () => {
+    const state = run(expression, digit(2), op('*'), paren('('), digit(3), op('-'), digit(7), clearEntry);
+    expect(state).toMatchObject({ display: '0', previousLine: '2 × (3 −' });
+    expect([digit(1), paren(')'), equals].reduce(calculatorReducer, state).display).toBe('4');
+
+    const afterParen = run(expression, paren('('), digit(2), op('+'), digit(3), paren(')'), clearEntry);
+    expect(calculatorReducer(afterParen, equals).display).toBe('5');
+  });
+
+  test('replaces an operator pressed twice', () => {
+    expect(run(expression, digit(6), op('+'), op('/'), digit(3), equals).display).toBe('2');
+  });
+
+  test('continues from the result after equals', () => {
+    expect(run(expression, digit(2), op('+'), digit(3), equals, op('*'), digit(2), equals).display).toBe('10');
+  });
+
+  test('reports a specific error for unbalanced parentheses', () => {
+    const state = run(expression, paren('('), digit(2), op('+'), digit(3), equals);
+    expect(state).toMatchObject({ error: true, display: 'Error', errorMessage: "Unbalanced parenthesis: missing ')'" });
+    expect(calculatorReducer(state, digit(1))).toMatchObject({ error: false, errorMessage: null, tokens: [] });
+  });
+
+  test('reports division by zero', () => {
+    expect(run(expression, digit(1), op('/'), digit(0), equals).errorMessage).toBe('Cannot divide by zero');
+  });
+
+  test('works with exact decimal arithmetic', () => {
+    const decimal = { type: 'setArithmetic', value: 'decimal' };
+    const state = run(
+      decimal,
+      expression,
+      { type: 'decimal' },
+      digit(1),
+      op('+'),
+      { type: 'decimal' },
+      digit(2),
+      op('*'),
+      digit(3),
+      equals
+    );
+    expect(state.display).toBe('0.7');
+  });
+
+  test('percent takes a percentage of everything before the last operator, like immediate entry', () => {
+    const percent = { type: 'percent' };
+    expect(run(expression, ...type('200'), op('+'), ...type('10'), percent, equals).display).toBe('220');
+    const chained = run(expression, ...type('100'), op('+'), ...type('50'), op('+'), ...type('10'), percent, equals);
+    expect(chained.display).toBe('165');
+    const nested = [digit(2), op('*'), paren('('), ...type('50'), op('-'), ...type('10'), percent, paren(')'), equals];
+    expect(run(expression, ...nested).display).toBe('90');
+    expect(run(expression, ...type('50'), percent).display).toBe('0.5');
+    expect(run(expression, digit(2), op('*'), paren('('), ...type('50'), percent).display).toBe('0.5');
+  });
+
+  test('parentheses are ignored in immediate entry', () => {
+    const state = run(digit(1));
+    expect(calculatorReducer(state, paren('('))).toBe(state);
+  });
+
+  test('switching entry mode drops the pending calculation but keeps the value', () => {
+    const state = calculatorReducer(run(digit(2), op('+'), digit(7)), expression);
+    expect(state).toMatchObject({ entryMode: 'expression', display: '7', pendingOp: null, prevValue: null });
+  });
+});
+
+describe('scientific functions', () => {
+  const fn = (value) => ({ type: 'function', value });
+
+  test('act on the display like percent', () => {
+    const state = run(digit(9), fn('sqrt'));
+    expect(state).toMatchObject({ display: '3', overwrite: true });
+    expect(calculatorReducer(state, digit(4)).display).toBe('4');
+  });
+
+  test('can supply the right-hand operand of a pending operation', () => {
+    expect(run(digit(2), op('+'), digit(3), fn('square'), equals).display).toBe('11');
+  });
+
+  test('use the selected angle unit', () => {
+    expect(run(digit(3), digit(0), fn('sin')).display).toBe('0.5');
+    expect(run({ type: 'setAngleUnit', value: 'grad' }, digit(1), digit(0), digit(0), fn('sin')).display).toBe('1');
+    expect(run({ type: 'setAngleUnit', value: 'turns' }).angleUnit).toBe('deg');
+  });
+
+  test('domain errors enter the error state with a message', () => {
+    const state = run(digit(1), { type: 'sign' }, fn('ln'));
+    expect(state).toMatchObject({
+      error: true,
+      display: 'Error',
+      errorMessage: 'ln is undefined for zero or negative numbers',
+    });
+    expect(run(digit(9), digit(0), fn('tan')).errorMessage).toBe('tan is undefined at odd multiples of 90°');
+    expect(calculatorReducer(state, fn('sqrt'))).toBe(state);
+  });
+
+  test('power and root are binary operators', () => {
+    expect(run(digit(2), op('^'), digit(1), digit(0), equals).display).toBe('1024');
+    expect(run(digit(8), op('root'), digit(3), equals).display).toBe('2');
+  });
+
+  test('power binds tighter than multiplication in expression entry', () => {
+    const state = run(
+      { type: 'setEntryMode', value: 'expression' },
+      digit(2),
+      op('*'),
+      digit(3),
+      op('^'),
+      digit(2),
+      equals
+    );
+    expect(state.display).toBe('18');
+  });
+
+  test('constants replace the entry and recover from errors', () => {
+    expect(run(digit(4), { type: 'constant', value: 'pi' }).display).toBe('3.1415926536');
+    const errored = run(digit(1), op('/'), digit(0), equals);
+    expect(calculatorReducer(errored, { type: 'constant', value: 'e' })).toMatchObject({
+      error: false,
+      display: '2.7182818285',
+    });
+  });
+
+  test('square and reciprocal stay exact in decimal arithmetic', () => {
+    const decimal = { type: 'setArithmetic', value: 'decimal' };
+    expect(run(decimal, digit(3), fn('reciprocal')).display).toBe('0.33333333333333333333');
+    expect(run(decimal, { type: 'decimal' }, digit(1), fn('square')).display).toBe('0.01');
+    expect(run(decimal, digit(2), op('^'), digit(3), equals).display).toBe('8');
+  });
+});
+
+describe('completed calculations', () => {
+  test('equals records operands, operator and result', () => {
+    expect(run(digit(1), digit(2), op('*'), digit(3), equals).calculation).toEqual({
+      expression: '12 × 3',
+      operands: ['12', '3'],
+      operators: ['*'],
+      result: '36',
+    });
+  });
+
+  test('repeated equals records each repetition as a new object', () => {
+    const first = run(digit(2), op('+'), digit(3), equals);
+    const second = calculatorReducer(first, equals);
+    expect(second.calculation).not.toBe(first.calculation);
+    expect(second.calculation).toMatchObject({ expression: '5 + 3', result: '8' });
+  });
+
+  test('expression entry records the whole expression', () => {
+    const state = run(
+      { type: 'setEntryMode', value: 'expression' },
+      digit(2),
+      op('+'),
+      digit(3),
+      op('*'),
+      digit(4),
+      equals
+    );
+    expect(state.calculation).toEqual({
+      expression: '2 + 3 × 4',
+      operands: ['2', '3', '4'],
+      operators: ['+', '*'],
+      result: '14',
+    });
+  });
+
+  test('nothing is recorded without an operation or on error', () => {
+    expect(run(digit(4), equals).calculation).toBeNull();
+    expect(run(digit(4), op('/'), digit(0), equals).calculation).toBeNull();
+  });
+});
+
+describe('setValue', () => {
+  test('replaces the entry as a computed operand', () => {
+    const state = run(digit(2), op('+'), { type: 'setValue', value: '40' });
+    expect(state).toMatchObject({ display: '40', overwrite: true, pendingOp: '+' });
+    expect(calculatorReducer(state, equals).display).toBe('42');
+  });
+
+  test('recovers from the error state and ignores non-numbers', () => {
+    const errored = run(digit(1), op('/'), digit(0), equals);
+    expect(calculatorReducer(errored, { type: 'setValue', value: '7' })).toMatchObject({ error: false, display: '7' });
+    expect(calculatorReducer(errored, { type: 'setValue', value: 'abc' })).toBe(errored);
+  });
+
+  test('ignores values beyond what the arithmetic holds', () => {
+    const state = run(digit(7));
+    expect(calculatorReducer(state, { type: 'setValue', value: '1e400' })).toBe(state);
+    expect(calculatorReducer(state, { type: 'setValue', value: '-1e400' })).toBe(state);
+    const decimal = run({ type: 'setArithmetic', value: 'decimal' }, { type: 'setValue', value: '1e30' });
+    expect(decimal.display).toBe(`1${'0'.repeat(30)}`);
+  });
+
+  test('multiplies when recalled right after a closing parenthesis', () => {
+    const expression = { type: 'setEntryMode', value: 'expression' };
+    const paren = (value) => ({ type: 'paren', value });
+    const state = run(expression, paren('('), digit(2), paren(')'), { type: 'setValue', value: '5' });
+    expect(state.previousLine).toBe('(2) ×');
+    expect(calculatorReducer(state, equals).display).toBe('10');
+    expect(calculatorReducer(state, { type: 'setValue', value: '4' }).previousLine).toBe('(2) ×');
+    expect(run(expression, paren('('), digit(2), paren(')'), { type: 'constant', value: 'pi' }, equals).display).toBe(
+      formatNumber(2 * Math.PI)
+    );
+  });
+});
+
+describe('evaluatePaste', () => {
+  const num = (value) => ({ type: 'number', value });
+  const opToken = (value) => ({ type: 'op', value });
+
+  test('evaluates with precedence and describes the calculation', () => {
+    const tokens = [
+      num('1234.5'),
+      opToken('*'),
+      { type: 'lparen' },
+      num('3'),
+      opToken('-'),
+      num('1'),
+      { type: 'rparen' },
+    ];
+    const result = evaluatePaste(initialState, tokens);
+    expect(result).toEqual({
+      ok: true,
+      value: '2469',
+      calculation: {
+        expression: '1234.5 × (3 − 1)',
+        operands: ['1234.5', '3', '1'],
+        operators: ['*', '-'],
+        result: '2469',
+      },
+    });
+    const state = calculatorReducer(initialState, {
+      type: 'setValue',
+      value: result.value,
+      calculation: result.calculation,
+    });
+    expect(state).toMatchObject({ display: '2469', overwrite: true, calculation: result.calculation });
+  });
+
+  test('a lone or negated number is not a calculation', () => {
+    expect(evaluatePaste(initialState, [opToken('-'), num('5')])).toEqual({ ok: true, value: '-5', calculation: null });
+  });
+
+  test('reports errors without touching state', () => {
+    expect(evaluatePaste(initialState, [num('1'), opToken('/'), num('0')])).toEqual({
+      ok: false,
+      error: 'Cannot divide by zero',
+    });
+    expect(evaluatePaste(initialState, [{ type: 'lparen' }, num('1')]).ok).toBe(false);
+    const programmer = calculatorReducer(initialState, { type: 'setArithmetic', value: 'programmer' });
+    expect(evaluatePaste(programmer, [num('2'), opToken('^'), num('3')])).toEqual({
+      ok: false,
+      error: '^ is not available in this mode',
+    });
+  });
+});
+
+describe('memory', () => {
+  const mem = (value) => ({ type: 'memory', value });
+  const active = (state) => state.memory.registers[state.memory.active];
+
+  test('MS stores and MR recalls as an operand', () => {
+    const stored = run(digit(4), digit(2), mem('store'));
+    expect(active(stored).value).toBe('42');
+    expect(stored.overwrite).toBe(true);
+
+    const recalled = [{ type: 'clear' }, digit(1), op('+'), mem('recall'), equals].reduce(calculatorReducer, stored);
+    expect(recalled.display).toBe('43');
+  });
+
+  test('M+ and M− accumulate and MC clears', () => {
+    const state = run(digit(5), mem('add'), digit(8), mem('add'), digit(3), mem('subtract'));
+    expect(active(state).value).toBe('10');
+    expect(active(calculatorReducer(state, mem('clear'))).value).toBe('0');
+  });
+
+  test('accumulates exactly in decimal arithmetic', () => {
+    const state = run(
+      { type: 'setArithmetic', value: 'decimal' },
+      { type: 'decimal' },
+      digit(1),
+      mem('add'),
+      { type: 'decimal' },
+      digit(2),
+      mem('add')
+    );
+    expect(active(state).value).toBe('0.3');
+  });
+
+  test('registers are independent and survive AC', () => {
+    const state = run(digit(7), mem('store'), { type: 'selectRegister', value: 2 }, digit(9), mem('store'), {
+      type: 'clear',
+    });
+    expect(state.memory.registers.map((r) => r.value).slice(0, 3)).toEqual(['7', '0', '9']);
+    expect(state.memory.active).toBe(2);
+    expect(run({ type: 'selectRegister', value: 10 }).memory.active).toBe(0);
+  });
+
+  test('renames registers and rejects blank names', () => {
+    const state = run({ type: 'renameRegister', index: 1, name: ' rate ' });
+    expect(state.memory.registers[1].name).toBe('rate');
+    expect(calculatorReducer(state, { type: 'renameRegister', index: 1, name: '  ' })).toBe(state);
+    expect(calculatorReducer(state, { type: 'renameRegister', index: 12, name: 'x' })).toBe(state);
+  });
+
+  test('in the error state, storing is ignored while MC and MR still work', () => {
+    const errored = run(digit(6), mem('store'), digit(1), op('/'), digit(0), equals);
+    expect(calculatorReducer(errored, mem('store'))).toBe(errored);
+    expect(calculatorReducer(errored, mem('add'))).toBe(errored);
+    expect(calculatorReducer(errored, mem('recall'))).toMatchObject({ error: false, display: '6' });
+    expect(active(calculatorReducer(errored, mem('clear'))).value).toBe('0');
+  });
+});
+
+describe('financial functions', () => {
+  const decimal = { type: 'setArithmetic', value: 'decimal' };
+  const tax = (value) => ({ type: 'tax', value });
+  const tvm = (value, field) => ({ type: 'tvm', value, field });
+  const type = (text) => [...text].map((ch) => (ch === '.' ? { type: 'decimal' } : digit(Number(ch))));
+  // Sets the tax rate to 8.25%.
+  const taxed = run(...type('8.25'), tax('setRate'), { type: 'clear' });
+
+  test('TAX+ and TAX− act on the display like percent', () => {
+    expect(taxed.financial.taxRate).toBe('8.25');
+    const added = [...type('200'), tax('add')].reduce(calculatorReducer, taxed);
+    expect(added).toMatchObject({ display: '216.5', overwrite: true });
+    expect(calculatorReducer(added, tax('remove')).display).toBe('200');
+
+    const pending = [...type('10'), op('+'), ...type('100'), tax('add'), equals].reduce(calculatorReducer, taxed);
+    expect(pending.display).toBe('118.25');
+  });
+
+  test('tax is exact in decimal arithmetic and the rate survives AC', () => {
+    const state = [decimal, ...type('19.99'), tax('add')].reduce(calculatorReducer, taxed);
+    expect(state.display).toBe('21.639175');
+    expect(calculatorReducer(state, { type: 'clear' }).financial.taxRate).toBe('8.25');
+  });
+
+  test('an out-of-range tax rate is an error', () => {
+    const state = run(...type('150'), tax('setRate'));
+    expect(state).toMatchObject({ error: true, errorMessage: 'Tax rate must be between 0 and 100%' });
+    expect(state.financial.taxRate).toBe('0');
+  });
+
+  test('markup, margin and percent change are binary operators', () => {
+    expect(run(...type('80'), op('markup'), ...type('25'), equals).display).toBe('100');
+    expect(run(...type('80'), op('margin'), ...type('20'), equals).display).toBe('100');
+    const change = run(...type('80'), op('pctChange'), ...type('100'));
+    expect(change.previousLine).toBe('80 Δ%');
+    expect(calculatorReducer(change, equals)).toMatchObject({
+      display: '25',
+      calculation: { expression: '80 Δ% 100', operators: ['pctChange'], result: '25' },
+    });
+    expect(run(decimal, ...type('0.3'), op('pctChange'), ...type('0.4'), equals).display).toBe('33.333333333333333333');
+  });
+
+  test('margin and percent change report impossible input', () => {
+    expect(run(...type('80'), op('margin'), ...type('100'), equals).errorMessage).toBe('Margin must be below 100%');
+    expect(run(digit(0), op('pctChange'), digit(5), equals).errorMessage).toBe('Percent change from 0 is undefined');
+  });
+
+  test('financial operators take precedence like multiplication in expression entry', () => {
+    const expression = { type: 'setEntryMode', value: 'expression' };
+    expect(run(expression, ...type('10'), op('+'), ...type('80'), op('markup'), ...type('25'), equals).display).toBe(
+      '110'
+    );
+  });
+
+  test('TVM registers store the display and solve for the missing value', () => {
+    const loan = [
+      ...type('360'),
+      tvm('store', 'n'),
+      ...type('6'),
+      tvm('store', 'rate'),
+      ...type('200000'),
+      tvm('store', 'pv'),
+      tvm('compute', 'pmt'),
+    ].reduce(calculatorReducer, initialState);
+    expect(loan.display).toBe('-1199.1010503055');
+    expect(loan.financial.tvm).toEqual({ n: '360', rate: '6', pv: '200000', pmt: '-1199.1010503055', fv: '0' });
+    expect(loan.overwrite).toBe(true);
+
+    const yearly = [{ type: 'setPeriodsPerYear', value: 1 }, tvm('compute', 'pmt')].reduce(calculatorReducer, loan);
+    expect(Number(yearly.display)).toBeCloseTo(-12000, 2);
+    expect(calculatorReducer(loan, { type: 'clear' }).financial.tvm.pv).toBe('200000');
+    expect(calculatorReducer(loan, tvm('clear')).financial.tvm).toEqual(initialState.financial.tvm);
+  });
+
+  test('an unsolvable TVM problem enters the error state', () => {
+    const state = run(digit(5), tvm('store', 'pv'), digit(5), tvm('store', 'fv'), tvm('compute', 'n'));
+    expect(state).toMatchObject({ error: true, errorMessage: 'No N solves these values' });
+    expect(state.financial.tvm.n).toBe('0');
+  });
+
+  test('settings are validated and programmer mode ignores financial keys', () => {
+    expect(run({ type: 'setPaymentTiming', value: 'begin' }).financial.timing).toBe('begin');
+    expect(run({ type: 'setPaymentTiming', value: 'later' })).toBe(initialState);
+    expect(run({ type: 'setPeriodsPerYear', value: 0 })).toBe(initialState);
+    expect(run({ type: 'setPeriodsPerYear', value: 2.5 })).toBe(initialState);
+
+    const programmer = run({ type: 'setArithmetic', value: 'programmer' }, digit(9));
+    expect(calculatorReducer(programmer, tax('add'))).toBe(programmer);
+    expect(calculatorReducer(programmer, tvm('store', 'n'))).toBe(programmer);
+    expect(calculatorReducer(programmer, op('markup'))).toBe(programmer);
+  });
+});
+
+describe('statistics', () => {
+  const stat = (value, extra = {}) => ({ type: 'stat', value, ...extra });
+  const recall = (name) => stat('recall', { stat: name });
+  const type = (text) => [...text].map((ch) => (ch === '.' ? { type: 'decimal' } : digit(Number(ch))));
+  const data = (state) => state.statistics.data;
+
+  test('Σ+ pushes the display and statistics come back as operands', () => {
+    const state = run(digit(2), stat('add'), digit(4), stat('add'), digit(9), stat('add'));
+    expect(data(state)).toEqual([
+      { x: '2', y: null },
+      { x: '4', y: null },
+      { x: '9', y: null },
+    ]);
+    expect(state.overwrite).toBe(true);
+    expect(calculatorReducer(state, digit(1)).display).toBe('1');
+
+    expect(calculatorReducer(state, recall('mean')).display).toBe('5');
+    const doubled = [op('*'), recall('count'), equals].reduce(
+      calculatorReducer,
+      calculatorReducer(state, recall('sum'))
+    );
+    expect(doubled.display).toBe('45');
+  });
+
+  test('Σ− removes the last matching value and reports a missing one', () => {
+    const state = run(digit(3), stat('add'), digit(5), stat('add'), digit(3), stat('add'), digit(3), stat('remove'));
+    expect(data(state).map((p) => p.x)).toEqual(['3', '5']);
+    expect(calculatorReducer(state, digit(7))).toMatchObject({ display: '7' });
+    expect([digit(7), stat('remove')].reduce(calculatorReducer, state)).toMatchObject({
+      error: true,
+      errorMessage: 'Not in the data list',
+    });
+  });
+
+  test('x,y pairs feed linear regression', () => {
+    const state = run(
+      digit(1),
+      stat('pair'),
+      digit(3),
+      stat('add'),
+      digit(2),
+      stat('pair'),
+      digit(5),
+      stat('add'),
+      digit(3),
+      stat('pair'),
+      digit(7),
+      stat('add')
+    );
+    expect(data(state)[1]).toEqual({ x: '2', y: '5' });
+    expect(state.statistics.pendingX).toBeNull();
+    expect(calculatorReducer(state, recall('slope')).display).toBe('2');
+    expect(calculatorReducer(state, recall('intercept')).display).toBe('1');
+    expect(calculatorReducer(state, recall('r')).display).toBe('1');
+
+    const removed = [digit(2), stat('pair'), digit(5), stat('remove')].reduce(calculatorReducer, state);
+    expect(data(removed).map((p) => p.x)).toEqual(['1', '3']);
+  });
+
+  test('a statistic that does not exist is an error; recall leaves the Error state like MR', () => {
+    const empty = run(recall('mean'));
+    expect(empty).toMatchObject({ error: true, errorMessage: 'No data' });
+    const errored = run(digit(6), stat('add'), digit(1), op('/'), digit(0), equals);
+    expect(calculatorReducer(errored, stat('add'))).toBe(errored);
+    expect(calculatorReducer(errored, recall('max'))).toMatchObject({ error: false, display: '6' });
+  });
+
+  test('data survives AC but a pair in progress does not', () => {
+    const state = run(digit(4), stat('add'), digit(8), stat('pair'), { type: 'clear' });
+    expect(state.statistics).toEqual({ data: [{ x: '4', y: null }], pendingX: null });
+    const pushed = run(digit(4), stat('add'));
+    expect(calculatorReducer(pushed, { type: 'clear' }).statistics).toBe(pushed.statistics);
+    expect(calculatorReducer(state, stat('clear')).statistics).toEqual(initialState.statistics);
+  });
+
+  test('points are edited and deleted by index; invalid edits are ignored', () => {
+    const state = run(...type('1.5'), stat('add'), digit(2), stat('add'));
+    const edited = calculatorReducer(state, { type: 'editDataPoint', index: 0, x: '1.50', y: '-3' });
+    expect(data(edited)[0]).toEqual({ x: '1.5', y: '-3' });
+    expect(data(calculatorReducer(edited, { type: 'editDataPoint', index: 0, x: '2', y: null }))[0]).toEqual({
+      x: '2',
+      y: null,
+    });
+    expect(calculatorReducer(state, { type: 'editDataPoint', index: 0, x: 'abc', y: null })).toBe(state);
+    expect(calculatorReducer(state, { type: 'editDataPoint', index: 5, x: '1', y: null })).toBe(state);
+    expect(data(calculatorReducer(state, { type: 'deleteDataPoint', index: 0 }))).toEqual([{ x: '2', y: null }]);
+    expect(calculatorReducer(state, { type: 'deleteDataPoint', index: -1 })).toBe(state);
+  });
+
+  test('statistics use the active arithmetic', () => {
+    const decimal = run({ type: 'setArithmetic', value: 'decimal' }, digit(1), stat('add'), digit(2), stat('add'));
+    expect(calculatorReducer(decimal, recall('mean')).display).toBe('1.5');
+    const programmer = run({ type: 'setArithmetic', value: 'programmer' }, digit(9));
+    expect(calculatorReducer(programmer, stat('add'))).toBe(programmer);
+  });
+
+  test('recall is ignored in programmer mode, even with data', () => {
+    const data = run(digit(4), stat('add'), digit(8), stat('add'));
+    const programmer = calculatorReducer(data, { type: 'setArithmetic', value: 'programmer' });
+    expect(calculatorReducer(programmer, recall('count'))).toBe(programmer);
+    expect(calculatorReducer(programmer, recall('mean'))).toBe(programmer);
+  });
+});
+
+describe('variables', () => {
+  const variable = (value, name) => ({ type: 'variable', value, name });
+  const named = (state) => state.variables.named;
+
+  test('stores the display under a name and recalls it as an operand', () => {
+    const state = run(digit(1), digit(2), variable('store', 'qty'));
+    expect(named(state)).toEqual([{ name: 'qty', value: '12' }]);
+    expect(state.overwrite).toBe(true);
+
+    const total = [digit(3), op('*'), variable('recall', 'qty'), equals].reduce(calculatorReducer, state);
+    expect(total.display).toBe('36');
+    // Storing an existing name replaces its value.
+    expect(named(calculatorReducer(total, variable('store', 'qty')))).toEqual([{ name: 'qty', value: '36' }]);
+  });
+
+  test('ans holds the last result of equals', () => {
+    expect(run(digit(2), op('+'), digit(3), equals).variables.ans).toBe('5');
+    expect(run(digit(2), op('+'), digit(3), equals, equals).variables.ans).toBe('8');
+    expect(run(digit(7), equals).variables.ans).toBe('7');
+    const failed = run(digit(2), op('+'), digit(3), equals, op('/'), digit(0), equals);
+    expect(failed).toMatchObject({ error: true, variables: { ans: '5' } });
+    // It survives AC and is recalled like any variable, even from the Error state.
+    const recalled = [{ type: 'clear' }, digit(1), op('+'), variable('recall', 'ans'), equals].reduce(
+      calculatorReducer,
+      failed
+    );
+    expect(recalled.display).toBe('6');
+  });
+
+  test('ans follows expression entry and every arithmetic', () => {
+    const expression = { type: 'setEntryMode', value: 'expression' };
+    expect(run(expression, digit(2), op('+'), digit(3), op('*'), digit(4), equals).variables.ans).toBe('14');
+    const fraction = { type: 'setArithmetic', value: 'fraction' };
+    expect(run(fraction, digit(1), op('/'), digit(4), equals).variables.ans).toBe('0.25');
+  });
+
+  test('recalling an unknown name is an error; invalid names are not stored', () => {
+    expect(run(variable('recall', 'price')).errorMessage).toBe('No variable named price');
+    expect(named(run(digit(5), variable('store', '2x')))).toEqual([]);
+    expect(named(run(digit(5), variable('store', 'ans')))).toEqual([]);
+    expect(named(run(digit(1), op('/'), digit(0), equals, variable('store', 'bad')))).toEqual([]);
+  });
+
+  test('variables are renamed, deleted and imported', () => {
+    const state = run(digit(1), variable('store', 'a'), digit(2), variable('store', 'b'));
+    const renamed = calculatorReducer(state, { type: 'renameVariable', name: 'a', newName: 'first' });
+    expect(named(renamed).map((v) => v.name)).toEqual(['first', 'b']);
+    expect(calculatorReducer(renamed, { type: 'renameVariable', name: 'first', newName: 'b' })).toBe(renamed);
+    expect(calculatorReducer(renamed, { type: 'renameVariable', name: 'first', newName: 'x' })).toBe(renamed);
+
+    expect(named(calculatorReducer(renamed, variable('delete', 'b')))).toEqual([{ name: 'first', value: '1' }]);
+    expect(calculatorReducer(renamed, variable('delete', 'nope'))).toBe(renamed);
+
+    const imported = calculatorReducer(renamed, {
+      type: 'importVariables',
+      variables: [
+        { name: 'b', value: '20' },
+        { name: 'c', value: '3.50' },
+        { name: 'bad name', value: '4' },
+      ],
+    });
+    expect(named(imported)).toEqual([
+      { name: 'first', value: '1' },
+      { name: 'b', value: '20' },
+      { name: 'c', value: '3.5' },
+    ]);
+  });
+
+  test('variables survive AC and the Error state', () => {
+    const state = run(digit(4), variable('store', 'n'), op('/'), digit(0), equals, { type: 'clear' });
+    expect(named(state)).toEqual([{ name: 'n', value: '4' }]);
+  });
+});
+
+describe('sharing', () => {
+  const restore = (link) => ({ type: 'restore', ...link });
+
+  test('shareableState and restore carry the display, the pending operation and the last calculation', () => {
+    const state = run(digit(2), op('+'), digit(3), equals, op('*'), digit(4));
+    const link = shareableState(state);
+    expect(link).toEqual({
+      display: '4',
+      pendingOp: '*',
+      prevValue: '5',
+      calculation: { expression: '2 + 3', operands: ['2', '3'], operators: ['+'], result: '5' },
+    });
+
+    const restored = run(restore(link));
+    expect(restored).toMatchObject({
+      display: '4',
+      prevValue: 5,
+      pendingOp: '*',
+      previousLine: '5 ×',
+      overwrite: true,
+    });
+    expect(restored.calculation).toEqual(link.calculation);
+    expect(calculatorReducer(restored, equals).display).toBe('20');
+  });
+
+  test('restore works in expression entry and the current arithmetic', () => {
+    const expression = { type: 'setEntryMode', value: 'expression' };
+    const state = run(expression, digit(1), digit(2), op('/'));
+    expect(shareableState(state)).toMatchObject({ display: '12', pendingOp: '/', prevValue: '12' });
+    expect(shareableState(calculatorReducer(state, { type: 'paren', value: '(' }))).toBeNull();
+
+    const restored = run(expression, restore({ display: '4', pendingOp: '/', prevValue: '12' }));
+    expect(restored.previousLine).toBe('12 ÷');
+    expect(calculatorReducer(restored, equals).display).toBe('3');
+
+    const fraction = { type: 'setArithmetic', value: 'fraction' };
+    const third = run(fraction, restore({ display: '0.3333333333', pendingOp: '*', prevValue: '3' }));
+    expect(calculatorReducer(third, equals).display).toBe('1');
+  });
+
+  test('restore ignores values and operators the arithmetic cannot take', () => {
+    const state = run(digit(7));
+    expect(calculatorReducer(state, restore({ display: 'abc' }))).toBe(state);
+    expect(calculatorReducer(state, restore({ display: '1', pendingOp: '+', prevValue: null }))).toBe(state);
+    const programmer = run({ type: 'setArithmetic', value: 'programmer' });
+    expect(calculatorReducer(programmer, restore({ display: '1', pendingOp: '^', prevValue: '2' }))).toBe(programmer);
+  });
+
+  test('restore refuses values beyond what the arithmetic holds', () => {
+    const state = run(digit(7));
+    expect(calculatorReducer(state, restore({ display: '1e400' }))).toBe(state);
+    expect(calculatorReducer(state, restore({ display: '1', pendingOp: '+', prevValue: '-1e400' }))).toBe(state);
+    const decimal = run({ type: 'setArithmetic', value: 'decimal' }, restore({ display: '1e400' }));
+    expect(decimal).toMatchObject({ display: `1${'0'.repeat(400)}`, error: false });
+  });
+
+  test('nothing is shared in the Error state', () => {
+    expect(shareableState(run(digit(1), op('/'), digit(0), equals))).toBeNull();
+  });
+});
+
+describe('tape', () => {
+  const tapeOn = { type: 'tape', value: 'on' };
+  // The lines without their ids.
+  const lines = (state) => state.tape.lines.map(tapeLine);
+  const subtotals = (state) => tapeTotals(state).subtotals.map((r) => (r.ok ? r.value : r.error));
+
+  test('itemizes every entry and operator with running subtotals while it is on', () => {
+    expect(lines(run(digit(1), op('+'), digit(2), equals))).toEqual([]);
+
+    const state = run(tapeOn, digit(1), digit(2), op('+'), digit(3), op('-'), digit(4), equals);
+    expect(lines(state)).toEqual([
+      { op: null, value: '12' },
+      { op: '+', value: '3' },
+      { op: '-', value: '4' },
+      { op: '=' },
+    ]);
+    expect(subtotals(state)).toEqual(['12', '15', '11', '11']);
+    expect(tapeTotals(state).grandTotal).toEqual({ ok: true, value: '11' });
+  });
+
+  test('a result carries on in its group; a typed number starts a new one for the grand total', () => {
+    const first = run(tapeOn, digit(5), op('+'), digit(5), equals);
+    const goingOn = [op('*'), digit(2), equals, equals].reduce(calculatorReducer, first);
+    expect(lines(goingOn).slice(3)).toEqual([
+      { op: '*', value: '2' },
+      { op: '=' },
+      { op: '*', value: '2' },
+      { op: '=' },
+    ]);
+    expect(tapeTotals(goingOn).grandTotal.value).toBe('40');
+
+    // 10 typed again is a new amount, even though the tape stands at 10.
+    const twoGroups = [digit(1), digit(0), op('+'), digit(1), equals].reduce(calculatorReducer, first);
+    expect(lines(twoGroups)[3]).toEqual({ op: null, value: '10' });
+    expect(tapeTotals(twoGroups).grandTotal.value).toBe('21');
+  });
+
+  test('a calculation already under way when the tape starts gets its first operand', () => {
+    const state = run(digit(7), op('*'), tapeOn, digit(6), equals);
+    expect(lines(state)).toEqual([{ op: null, value: '7' }, { op: '*', value: '6' }, { op: '=' }]);
+    expect(subtotals(state)).toEqual(['7', '42', '42']);
+  });
+
+  test('expression entry adds each result with its expression', () => {
+    const expression = { type: 'setEntryMode', value: 'expression' };
+    const state = run(tapeOn, expression, digit(2), op('+'), digit(3), op('*'), digit(4), equals);
+    expect(lines(state)).toEqual([{ op: null, value: '14', note: '2 + 3 × 4' }, { op: '=' }]);
+  });
+
+  test('editing or deleting a line recomputes everything after it', () => {
+    const state = run(
+      tapeOn,
+      digit(8),
+      op('+'),
+      digit(2),
+      op('/'),
+      digit(5),
+      equals,
+      digit(1),
+      op('+'),
+      digit(1),
+      equals
+    );
+    expect(subtotals(state)).toEqual(['8', '10', '2', '2', '1', '2', '2']);
+
+    const edited = calculatorReducer(state, { type: 'editTapeLine', index: 1, value: '12', op: '-' });
+    expect(lines(edited)[1]).toEqual({ op: '-', value: '12' });
+    expect(subtotals(edited)).toEqual(['8', '-4', '-0.8', '-0.8', '1', '2', '2']);
+    expect(tapeTotals(edited).grandTotal.value).toBe('1.2');
+
+    const deleted = calculatorReducer(edited, { type: 'deleteTapeLine', index: 0 });
+    expect(subtotals(deleted).slice(0, 3)).toEqual(['-12', '-2.4', '-2.4']);
+
+    const byZero = calculatorReducer(state, { type: 'editTapeLine', index: 2, value: '0' });
+    expect(subtotals(byZero)).toEqual(['8', '10', 'Cannot divide by zero', 'Cannot divide by zero', '1', '2', '2']);
+    expect(tapeTotals(byZero).grandTotal).toEqual({ ok: false, error: 'Cannot divide by zero' });
+  });
+
+  test('edits keep each line its kind and ignore what is not a number', () => {
+    const state = run(tapeOn, digit(3), op('+'), digit(4), equals);
+    const edit = (changes) => calculatorReducer(state, { type: 'editTapeLine', ...changes });
+    expect(edit({ index: 0, op: '+' })).toBe(state);
+    expect(edit({ index: 1, op: 'and' })).toBe(state);
+    expect(edit({ index: 1, value: 'abc' })).toBe(state);
+    expect(edit({ index: 3, value: '1' })).toBe(state);
+    expect(edit({ index: 9, value: '1' })).toBe(state);
+    expect(edit({ index: 1, value: '4.0' })).toBe(state);
+    expect(lines(edit({ index: 0, value: '-2.50' }))[0]).toEqual({ op: null, value: '-2.5' });
+  });
+
+  test('every line keeps its id through edits and deletions, and new lines get new ones', () => {
+    const ids = (state) => state.tape.lines.map((line) => line.id);
+    const state = run(tapeOn, digit(3), op('+'), digit(4), equals);
+    expect(ids(state)).toEqual([0, 1, 2]);
+    const edited = calculatorReducer(state, { type: 'editTapeLine', index: 1, value: '5' });
+    const deleted = calculatorReducer(edited, { type: 'deleteTapeLine', index: 0 });
+    expect(ids(deleted)).toEqual([1, 2]);
+    const more = [digit(2), op('*'), digit(3), equals].reduce(calculatorReducer, deleted);
+    expect(ids(more)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('survives AC and errors, and clearing or turning it off is separate', () => {
+    const state = run(tapeOn, digit(1), op('+'), digit(1), equals, op('/'), digit(0), equals, { type: 'clear' });
+    expect(lines(state)).toHaveLength(3);
+    const off = calculatorReducer(state, { type: 'tape', value: 'off' });
+    expect(lines(calculatorReducer(off, op('+')))).toHaveLength(3);
+    expect(lines(calculatorReducer(state, { type: 'tape', value: 'clear' }))).toEqual([]);
+  });
+});
+
+test('immediate entry reports why it failed', () => {
+  expect(run(digit(1), op('/'), digit(0), equals).errorMessage).toBe('Cannot divide by zero');
+});
+
+describe('programmer mode', () => {
+  const programmer = { type: 'setArithmetic', value: 'programmer' };
+  const base = (value) => ({ type: 'setBase', value });
+  const word = (value) => ({ type: 'setWordSize', value });
+
+  test('enters hex digits and computes bitwise operators', () => {
+    const state = run(programmer, base('hex'), digit(15), digit(15), op('and'), digit(0), digit(15), equals);
+    expect(state).toMatchObject({ display: 'F', prevValue: '15' });
+    expect(run(programmer, digit(1), digit(2), op('shl'), digit(2), equals).display).toBe('48');
+  });
+
+  test('clear entry keeps the pending bitwise operation', () => {
+    const state = run(programmer, base('hex'), digit(15), op('xor'), digit(10), clearEntry, digit(3), equals);
+    expect(state.display).toBe('C');
+  });
+
+  test('rejects digits outside the base or the word', () => {
+    expect(run(programmer, base('bin'), digit(2)).display).toBe('0');
+    expect(run(digit(10)).display).toBe('0');
+    expect(run(programmer, word(8), digit(1), digit(2), digit(8)).display).toBe('12');
+    expect(run(programmer, { type: 'decimal' }, { type: 'percent' }).display).toBe('0');
+  });
+
+  test('wraps results to the word size', () => {
+    expect(run(programmer, word(8), digit(1), digit(2), digit(7), op('+'), digit(1), equals).display).toBe('-128');
+    const unsigned = run(programmer, word(8), { type: 'setSigned', value: false }, digit(1), { type: 'sign' });
+    expect(unsigned.display).toBe('255');
+    expect(calculatorReducer(unsigned, base('hex')).display).toBe('FF');
+  });
+
+  test('changing base or word keeps the value and re-renders pending operands', () => {
+    const state = run(programmer, digit(2), digit(5), digit(5), op('+'), base('hex'));
+    expect(state).toMatchObject({ display: 'FF', prevValue: '255', previousLine: 'FF +' });
+    expect(calculatorReducer(state, word(8)).prevValue).toBe('-1');
+  });
+
+  test('NOT and bit toggles act on the display', () => {
+    expect(run(programmer, word(8), { type: 'function', value: 'not' }).display).toBe('-1');
+    expect(run(programmer, base('bin'), { type: 'toggleBit', value: 3 }).display).toBe('1000');
+    expect(run(programmer, { type: 'function', value: 'sqrt' }).display).toBe('0');
+    expect(run({ type: 'toggleBit', value: 3 }).display).toBe('0');
+  });
+
+  test('operators belong to their arithmetic', () => {
+    expect(run(programmer, digit(2), op('^')).pendingOp).toBeNull();
+    expect(run(digit(2), op('xor')).pendingOp).toBeNull();
+    // Leaving programmer mode drops a pending bitwise operation but keeps the value.
+    const left = run(programmer, digit(6), op('xor'), digit(3), { type: 'setArithmetic', value: 'float' });
+    expect(left).toMatchObject({ display: '3', pendingOp: null, prevValue: null });
+  });
+
+  test('decimal values truncate when entering programmer mode', () => {
+    const state = run(digit(7), { type: 'decimal' }, digit(9), equals, programmer);
+    expect(state.display).toBe('7');
+    expect(run(digit(9), op('/'), programmer, digit(2), equals).display).toBe('4');
+  });
+
+  test('calculations and memory use decimal values in any base', () => {
+    const state = run(programmer, base('hex'), digit(10), op('+'), digit(1), equals, {
+      type: 'memory',
+      value: 'store',
+    });
+    expect(state.calculation).toEqual({ expression: '10 + 1', operands: ['10', '1'], operators: ['+'], result: '11' });
+    expect(state.memory.registers[0].value).toBe('11');
+    expect(calculatorReducer(state, { type: 'setValue', value: '255' }).display).toBe('FF');
+  });
+
+  test('expression entry honours bitwise precedence', () => {
+    const expression = { type: 'setEntryMode', value: 'expression' };
+    expect(run(programmer, expression, digit(1), op('or'), digit(6), op('and'), digit(3), equals).display).toBe('3');
+  });
+});
+
+describe('fraction mode', () => {
+  const fraction = { type: 'setArithmetic', value: 'fraction' };
+  const bar = { type: 'fractionBar' };
+
+  test('keeps exact rationals through compute', () => {
+    const third = run(fraction, digit(1), op('/'), digit(3), op('*'));
+    expect(third).toMatchObject({ display: '1/3', prevValue: '1/3' });
+    expect(calculatorReducer(calculatorReducer(third, digit(3)), equals).display).toBe('1');
+    expect(run(fraction, digit(1), bar, digit(6), op('+'), digit(1), bar, digit(3), equals).display).toBe('1/2');
+  });
+
+  test('a b/c enters fractions and mixed numbers', () => {
+    const mixed = run(fraction, digit(3), bar, digit(4), bar, digit(5));
+    expect(mixed.display).toBe('3 4/5');
+    expect(run(fraction, digit(3), bar, digit(4), bar, digit(5), op('+'), digit(1), equals).display).toBe('24/5');
+    expect(run(fraction, digit(3), bar, digit(4), bar, { type: 'backspace' }).display).toBe('3/4');
+    expect(run(fraction, digit(1), bar, digit(2), { type: 'sign' }, op('+'), digit(1), equals).display).toBe('1/2');
+  });
+
+  test('a b/c ignores what cannot be part of a fraction', () => {
+    expect(run(fraction, digit(2), bar, digit(0)).display).toBe('2/');
+    expect(run(fraction, digit(2), bar, { type: 'decimal' }).display).toBe('2/');
+    expect(run(fraction, digit(2), { type: 'decimal' }, bar).display).toBe('2.');
+    expect(run(fraction, digit(2), bar, bar).display).toBe('2/');
+    expect(run(digit(2), bar).display).toBe('2');
+  });
+
+  test('results are in lowest terms, decimals included', () => {
+    expect(run(fraction, digit(6), bar, digit(8), op('+'), digit(0), equals).display).toBe('3/4');
+    expect(run(fraction, { type: 'decimal' }, digit(7), digit(5), op('*'), digit(2), equals).display).toBe('3/2');
+  });
+
+  test('percent and whole powers stay exact; other functions come back as the nearest simple fraction', () => {
+    expect(run(fraction, digit(1), bar, digit(3), { type: 'percent' }).display).toBe('1/300');
+    expect(run(fraction, digit(2), bar, digit(3), op('^'), digit(2), equals).display).toBe('4/9');
+    const root = run(fraction, digit(2), { type: 'function', value: 'sqrt' });
+    expect(root.display).toMatch(/^\d+\/\d+$/);
+    expect(displayValue(root)).toBe('1.4142135624');
+    expect(run(fraction, digit(1), op('/'), digit(0), equals).errorMessage).toBe('Cannot divide by zero');
+  });
+
+  test('values leave fraction mode as decimals and come back as fractions', () => {
+    const state = run(fraction, digit(1), op('/'), digit(3), equals, { type: 'memory', value: 'store' });
+    expect(state.memory.registers[0].value).toBe('0.3333333333');
+    expect(state.calculation).toMatchObject({ operands: ['1', '3'], result: '0.3333333333' });
+    expect(calculatorReducer(state, { type: 'setValue', value: '0.3333333333' }).display).toBe('1/3');
+    expect(calculatorReducer(state, { type: 'setArithmetic', value: 'decimal' }).display).toBe('0.3333333333');
+    expect(run(digit(2), { type: 'decimal' }, digit(5), fraction).display).toBe('5/2');
+
+    // A pending operation survives the switch, and an entry in progress is re-rendered.
+    const pending = run(fraction, digit(1), bar, digit(2), op('+'), digit(1), bar, digit(4), {
+      type: 'setArithmetic',
+      value: 'float',
+    });
+    expect(pending).toMatchObject({ prevValue: 0.5, pendingOp: '+', display: '0.25' });
+  });
+
+  test('works with expression entry and financial operators', () => {
+    const expression = { type: 'setEntryMode', value: 'expression' };
+    expect(
+      run(fraction, expression, digit(1), op('+'), digit(1), bar, digit(2), op('*'), digit(3), equals).display
+    ).toBe('5/2');
+    expect(run(fraction, digit(3), op('markup'), digit(5), digit(0), equals).display).toBe('9/2');
+  });
+});
+
+describe('helpers', () => {
+  test('formatNumber hides floating point tails', () => {
+    expect(formatNumber(0.1 + 0.2)).toBe('0.3');
+    expect(formatNumber(-0)).toBe('0');
+    expect(formatNumber(Infinity)).toBe('Error');
+    expect(formatNumber(1e21)).toBe('1e+21');
+  });
+
+  test('parseDisplayToNumber treats partial entries as zero', () => {
+    expect(parseDisplayToNumber('-')).toBe(0);
+    expect(parseDisplayToNumber('.')).toBe(0);
+    expect(parseDisplayToNumber('0.')).toBe(0);
+    expect(parseDisplayToNumber('-2.5')).toBe(-2.5);
+  });
+
+  test('displayValue reads the display as a plain decimal in any mode', () => {
+    expect(displayValue(run(digit(1), { type: 'decimal' }))).toBe('1');
+    expect(
+      displayValue(run({ type: 'setArithmetic', value: 'programmer' }, { type: 'setBase', value: 'hex' }, digit(15)))
+    ).toBe('15');
+    expect(displayValue(run(digit(1), op('/'), digit(0), equals))).toBeNull();
+  });
+
+  test('compute rejects division by zero and unknown operators', () => {
+    expect(compute(1, '/', 0).ok).toBe(false);
+    expect(compute(1, '%', 2).ok).toBe(false);
+    expect(compute(6, '/', 3)).toEqual({ ok: true, value: 2 });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Safe infix expression support (no eval).
+ *
+ * Tokens:
+ * - { type: "number", value }  value is whatever the active arithmetic uses (number or decimal string)
+ * - { type: "op", value: "+" | "-" | "*" | "/" | "^" | "root" | one of the FINANCIAL_OPERATORS | one of the
+ *   programmer BITWISE_OPERATORS }
+ * - { type: "lparen" } / { type: "rparen" }
+ *
+ * Grammar (standard precedence; powers are right associative and bind tighter than unary minus).
+ * Binary levels follow C, loosest first: "or", "xor", "and"/"nand", shifts/rotates, "+"/"-", "*"/"/" (with the
+ * financial operators, which scale their left operand like a product).
+ *   expr    := level0
+ *   levelN  := levelN+1 (op-of-level-N levelN+1)*   (the last level's operands are unary)
+ *   unary   := ("+" | "-") unary | power
+ *   power   := primary (("^" | "root") unary)?
+ *   primary := number | "(" expr ")"
+ */
+
+import { opSymbol } from "./symbols";
+
+const OPERATOR_ALIASES = { "+": "+", "-": "-", "−": "-", "*": "*", "×": "*", x: "*", "/": "/", "÷": "/", "^": "^" };
+
+// PUBLIC_INTERFACE
+export function tokenize(text) {
+  /**
+   * Split expression text like "2 + 3 × (4 - 1)" into tokens with raw number strings.
+   * Returns { ok: true, tokens } or { ok: false, error } naming the offending character.
+   */
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*|\.\d+)|([-+−*×x/÷^])|(\()|(\))|(\S))/gy;
+  let match;
+  while (re.lastIndex < text.length && (match = re.exec(text))) {
+    const [, number, op, lparen, rparen, other] = match;
+    if (number !== undefined) tokens.push({ type: "number", value: number });
+    else if (op !== undefined) tokens.push({ type: "op", value: OPERATOR_ALIASES[op] });
+    else if (lparen !== undefined) tokens.push({ type: "lparen" });
+    else if (rparen !== undefined) tokens.push({ type: "rparen" });
+    else if (other !== undefined) return { ok: false, error: `Unexpected character "${other}"` };
+  }
+  return { ok: true, tokens };
+}
+
+// PUBLIC_INTERFACE
+export function formatTokens(tokens, formatValue = String) {
+  /** Render tokens for display, e.g. "2 + 3 × (4 − 1)". */
+  return tokens
+    .map((t) => {
+      if (t.type === "number") return formatValue(t.value);
+      if (t.type === "op") return opSymbol(t.value);
+      return t.type === "lparen" ? "(" : ")";
+    })
+    .join(" ")
+    .replace(/\( /g, "(")
+    .replace(/ \)/g, ")");
+}
+
+class ExpressionError extends Error {}
+
+const BINARY_LEVELS = [
+  ["or"],
+  ["xor"],
+  ["and", "nand"],
+  ["shl", "shr", "rol", "ror"],
+  ["+", "-"],
+  ["*", "/", "markup", "margin", "pctChange"],
+];
+
+// PUBLIC_INTERFACE
+export function evaluateTokens(tokens, { compute, zero }) {
+  /**
+   * Evaluate tokens with standard precedence using the given arithmetic.
+   * compute(a, op, b) must return { ok, value, error? }; zero is used for unary minus.
+   * Returns { ok: true, value } or { ok: false, error } with a specific message.
+   */
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  const apply = (a, op, b) => {
+    const result = compute(a, op, b);
+    if (!result.ok) throw new ExpressionError(result.error || "Invalid operation");
+    return result.value;
+  };
+
+  const isOp = (token, ...ops) => token && token.type === "op" && ops.includes(token.value);
+
+  const primary = () => {
+    const token = peek();
+    if (!token) throw new ExpressionError("Missing operand");
+    pos += 1;
+
+    if (token.type === "number") return token.value;
+    if (token.type === "lparen") {
+      const value = expr();
+      if (!peek() || peek().type !== "rparen") throw new ExpressionError("Unbalanced parenthesis: missing ')'");
+      pos += 1;
+      return value;
+    }
+    if (token.type === "rparen") throw new ExpressionError("Unbalanced parenthesis: unexpected ')'");
+    throw new ExpressionError("Missing operand");
+  };
+
+  const power = () => {
+    const base = primary();
+    if (!isOp(peek(), "^", "root")) return base;
+    const { value: op } = tokens[pos++];
+    return apply(base, op, unary());
+  };
+
+  const unary = () => {
+    if (!isOp(peek(), "+", "-")) return power();
+    const { value: sign } = tokens[pos++];
+    const operand = unary();
+    return sign === "-" ? apply(zero, "-", operand) : operand;
+  };
+
+  const binary = (level) => {
+    if (level === BINARY_LEVELS.length) return unary();
+    let value = binary(level + 1);
+    while (isOp(peek(), ...BINARY_LEVELS[level])) {
+      const { value: op } = tokens[pos++];
+      value = apply(value, op, binary(level + 1));
+    }
+    return value;
+  };
+
+  const expr = () => binary(0);
+
+  try {
+    if (tokens.length === 0) throw new ExpressionError("Empty expression");
+    const value = expr();
+    if (pos < tokens.length) {
+      const extra = tokens[pos];
+      throw new ExpressionError(
+        extra.type === "rparen" ? "Unbalanced parenthesis: unexpected ')'" : "Missing operator"
+      );
+    }
+    return { ok: true, value };
+  } catch (e) {
+    if (e instanceof ExpressionError) return { ok: false, error: e.message };
+    throw e;
+  }
+}
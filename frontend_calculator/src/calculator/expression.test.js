@@ -0,0 +1,92 @@
+import { compute } from './engine';
+import { evaluateTokens, formatTokens, tokenize } from './expression';
+import { computeInteger } from './programmer';
+
+const arith = { compute, zero: 0 };
+
+// Tokenize text and evaluate it with float arithmetic.
+const evaluate = (text) => {
+  const { tokens } = tokenize(text);
+  return evaluateTokens(
+    tokens.map((t) => (t.type === 'number' ? { ...t, value: Number(t.value) } : t)),
+    arith
+  );
+};
+
+describe('tokenize', () => {
+  test('splits numbers, operators and parentheses', () => {
+    expect(tokenize('12.5 × (3 - .5)').tokens).toEqual([
+      { type: 'number', value: '12.5' },
+      { type: 'op', value: '*' },
+      { type: 'lparen' },
+      { type: 'number', value: '3' },
+      { type: 'op', value: '-' },
+      { type: 'number', value: '.5' },
+      { type: 'rparen' },
+    ]);
+  });
+
+  test('accepts display symbols as operator aliases', () => {
+    expect(
+      tokenize('1 ÷ 2 − 3')
+        .tokens.filter((t) => t.type === 'op')
+        .map((t) => t.value)
+    ).toEqual(['/', '-']);
+  });
+
+  test('rejects anything else', () => {
+    expect(tokenize('2 + alert(1)')).toEqual({ ok: false, error: 'Unexpected character "a"' });
+  });
+});
+
+describe('evaluateTokens', () => {
+  test.each([
+    ['2 + 3 × 4', 14],
+    ['(2 + 3) × 4', 20],
+    ['10 - 4 - 3', 3],
+    ['24 / 4 / 3', 2],
+    ['2 × (3 + (4 - 1)) / 3', 4],
+    ['-3 + 5', 2],
+    ['2 × -3', -6],
+    ['-(2 + 3)', -5],
+    ['2 ^ 3 ^ 2', 512],
+    ['-2 ^ 2', -4],
+    ['2 × 3 ^ 2', 18],
+    ['2 ^ -1', 0.5],
+  ])('%s = %d', (text, expected) => {
+    expect(evaluate(text)).toEqual({ ok: true, value: expected });
+  });
+
+  test.each([
+    ['(2 + 3', "Unbalanced parenthesis: missing ')'"],
+    ['2 + 3)', "Unbalanced parenthesis: unexpected ')'"],
+    ['2 +', 'Missing operand'],
+    ['()', "Unbalanced parenthesis: unexpected ')'"],
+    ['2 (3)', 'Missing operator'],
+    ['', 'Empty expression'],
+    ['1 / (2 - 2)', 'Cannot divide by zero'],
+  ])('%p reports %p', (text, error) => {
+    expect(evaluate(text)).toEqual({ ok: false, error });
+  });
+});
+
+test('formatTokens renders display symbols and tight parentheses', () => {
+  expect(formatTokens(tokenize('2*(3-1)/4').tokens)).toBe('2 × (3 − 1) ÷ 4');
+});
+
+describe('bitwise precedence', () => {
+  const word = { wordSize: 8, signed: false };
+  const integer = { compute: (a, op, b) => computeInteger(a, op, b, word), zero: BigInt(0) };
+  const tokens = (...parts) =>
+    parts.map((p) => (typeof p === 'number' ? { type: 'number', value: BigInt(p) } : { type: 'op', value: p }));
+
+  test.each([
+    [[1, 'or', 6, 'and', 3], 3],
+    [[5, 'xor', 1, 'or', 8], 12],
+    [[1, 'shl', 2, '+', 1], 8],
+    [[12, 'and', 4, '*', 2], 8],
+    [[3, 'shl', 1, 'shl', 2], 24],
+  ])('%j = %d', (parts, expected) => {
+    expect(evaluateTokens(tokens(...parts), integer)).toEqual({ ok: true, value: BigInt(expected) });
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Storage stand-ins for tests: fakeStorage keeps items in a plain object (`data`, open to inspection and
+ * corruption), and brokenStorage throws on every call, like localStorage when it is blocked or full.
+ */
+
+// PUBLIC_INTERFACE
+export function fakeStorage(initial = {}) {
+  /** A Storage-like object holding `initial` ({ key: string }). */
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value);
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export const brokenStorage = Object.freeze({
+  getItem: () => {
+    throw new Error("denied");
+  },
+  setItem: () => {
+    throw new Error("quota");
+  },
+});
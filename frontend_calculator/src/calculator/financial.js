@@ -0,0 +1,230 @@
+/**
+ * Business and financial calculations: sales tax, markup and margin, percent change and time value of money.
+ *
+ * Tax, markup, margin and percent change are built from the active arithmetic's +, −, × and ÷, so they stay
+ * exact in decimal mode. The time-value-of-money (TVM) solver works on native numbers, like ./scientific.
+ * Every function returns { ok, value } or { ok: false, error } with a message for the Error state.
+ *
+ * Financial settings and the TVM registers survive AC and are saved in localStorage, like memory:
+ * { taxRate, tvm: { n, rate, pv, pmt, fv }, periodsPerYear, timing } with values as plain decimal strings,
+ * the rate as a percentage and timing "end" (payments at the end of each period) or "begin".
+ *
+ * TVM uses the cash-flow sign convention: money received is positive and money paid out is negative, so a
+ * loan has a positive PV and a negative PMT. I/Y is the nominal annual rate in percent, compounded
+ * periodsPerYear times a year.
+ */
+
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const FINANCIAL_STORAGE_KEY = "ocean-calculator.financial";
+
+// PUBLIC_INTERFACE
+export const FINANCIAL_OPERATORS = ["markup", "margin", "pctChange"];
+
+// PUBLIC_INTERFACE
+export const TVM_FIELDS = [
+  { id: "n", label: "N", name: "Number of periods" },
+  { id: "rate", label: "I/Y", name: "Annual interest rate" },
+  { id: "pv", label: "PV", name: "Present value" },
+  { id: "pmt", label: "PMT", name: "Payment" },
+  { id: "fv", label: "FV", name: "Future value" },
+];
+
+// PUBLIC_INTERFACE
+export const PAYMENT_TIMINGS = ["end", "begin"];
+
+// PUBLIC_INTERFACE
+export const MAX_TAX_RATE = 100;
+
+// PUBLIC_INTERFACE
+export const MAX_PERIODS_PER_YEAR = 365;
+
+// PUBLIC_INTERFACE
+export const MAX_SCHEDULE_ROWS = 1200;
+
+// PUBLIC_INTERFACE
+export function createFinancial() {
+  /** No tax, empty TVM registers, monthly payments at the end of each period. */
+  return {
+    taxRate: "0",
+    tvm: { n: "0", rate: "0", pv: "0", pmt: "0", fv: "0" },
+    periodsPerYear: 12,
+    timing: "end",
+  };
+}
+
+const fail = (error) => ({ ok: false, error });
+
+// Run a chain of arithmetic steps, stopping at the first failure.
+const chain = (arith, a, ...steps) =>
+  steps.reduce((result, [op, b]) => (result.ok ? arith.compute(result.value, op, b) : result), { ok: true, value: a });
+
+const onePlusPercent = (arith, percent) => arith.compute(arith.parse("1"), "+", arith.percent(percent));
+
+// PUBLIC_INTERFACE
+export function computeFinancial(arith, a, op, b) {
+  /**
+   * Apply a financial operator with an arithmetic adapter (compute, parse, percent, toNumber):
+   * - "markup": the price of cost a marked up by b%, a × (1 + b/100)
+   * - "margin": the price of cost a that leaves a margin of b% of the price, a ÷ (1 − b/100)
+   * - "pctChange": the change from a to b as a percentage of a, (b − a) ÷ a × 100
+   */
+  switch (op) {
+    case "markup": {
+      const factor = onePlusPercent(arith, b);
+      return factor.ok ? arith.compute(a, "*", factor.value) : factor;
+    }
+    case "margin": {
+      if (arith.toNumber(b) >= 100) return fail("Margin must be below 100%");
+      const factor = arith.compute(arith.parse("1"), "-", arith.percent(b));
+      return factor.ok ? arith.compute(a, "/", factor.value) : factor;
+    }
+    case "pctChange":
+      if (arith.toNumber(a) === 0) return fail("Percent change from 0 is undefined");
+      return chain(arith, b, ["-", a], ["/", a], ["*", arith.parse("100")]);
+    default:
+      return fail("Unknown operator");
+  }
+}
+
+// PUBLIC_INTERFACE
+export function addTax(arith, value, rate) {
+  /** value with rate% tax added (TAX+). */
+  const factor = onePlusPercent(arith, rate);
+  return factor.ok ? arith.compute(value, "*", factor.value) : factor;
+}
+
+// PUBLIC_INTERFACE
+export function removeTax(arith, value, rate) {
+  /** The pre-tax amount of a value that includes rate% tax (TAX−). */
+  const factor = onePlusPercent(arith, rate);
+  return factor.ok ? arith.compute(value, "/", factor.value) : factor;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeTaxRate(value) {
+  /** A tax rate as a plain decimal string between 0 and MAX_TAX_RATE, or null. */
+  const text = String(value).trim();
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(text) || Number(text) > MAX_TAX_RATE) return null;
+  return String(Number(text));
+}
+
+// Growth of one unit over n periods, (1 + i)^n, and the annuity factor ((1 + i)^n − 1) / i; both accurate
+// near i = 0.
+const growth = (i, n) => Math.exp(n * Math.log1p(i));
+const annuity = (i, n) => (Math.abs(i) < 1e-12 ? n : Math.expm1(n * Math.log1p(i)) / i);
+
+// The TVM equation: zero when the five values are consistent.
+const balance = ({ n, i, pv, pmt, fv, due }) => pv * growth(i, n) + pmt * (1 + (due ? i : 0)) * annuity(i, n) + fv;
+
+function solveRate(values) {
+  const f = (i) => balance({ ...values, i });
+  const h = 1e-7;
+  // Newton's method from a few starting rates per period; a rate of −100% or below has no meaning.
+  for (const start of [0.01, 0.1, -0.01, 0.5]) {
+    let i = start;
+    for (let step = 0; step < 100; step += 1) {
+      const slope = (f(i + h) - f(i - h)) / (2 * h);
+      if (!Number.isFinite(slope) || slope === 0) break;
+      let next = i - f(i) / slope;
+      if (next <= -1) next = (i - 1) / 2;
+      if (Math.abs(next - i) < 1e-12) {
+        const scale = Math.max(1, Math.abs(values.pv), Math.abs(values.pmt), Math.abs(values.fv));
+        if (Math.abs(f(next)) < 1e-6 * scale) return next;
+        break;
+      }
+      i = next;
+    }
+  }
+  return NaN;
+}
+
+const SOLVERS = {
+  n: ({ i, pv, pmt, fv, due }) => {
+    if (Math.abs(i) < 1e-12) return -(pv + fv) / pmt;
+    const a = (pmt * (1 + (due ? i : 0))) / i;
+    return Math.log((a - fv) / (a + pv)) / Math.log1p(i);
+  },
+  rate: solveRate,
+  pv: ({ n, i, pmt, fv, due }) => -(fv + pmt * (1 + (due ? i : 0)) * annuity(i, n)) / growth(i, n),
+  pmt: ({ n, i, pv, fv, due }) => -(pv * growth(i, n) + fv) / ((1 + (due ? i : 0)) * annuity(i, n)),
+  fv: ({ n, i, pv, pmt, due }) => -(pv * growth(i, n) + pmt * (1 + (due ? i : 0)) * annuity(i, n)),
+};
+
+const fieldLabel = (id) => TVM_FIELDS.find((f) => f.id === id).label;
+
+const tvmValues = (tvm, { periodsPerYear, timing }) => ({
+  n: Number(tvm.n),
+  i: Number(tvm.rate) / 100 / periodsPerYear,
+  pv: Number(tvm.pv),
+  pmt: Number(tvm.pmt),
+  fv: Number(tvm.fv),
+  due: timing === "begin",
+});
+
+// PUBLIC_INTERFACE
+export function solveTvm(field, financial) {
+  /**
+   * Solve the TVM equation for one field ("n" | "rate" | "pv" | "pmt" | "fv") from the other four registers.
+   * The rate comes back as an annual percentage, like I/Y is entered.
+   */
+  if (!(field in SOLVERS)) return fail("Unknown TVM value");
+  const values = tvmValues(financial.tvm, financial);
+  if (field !== "rate" && values.i <= -1) return fail("I/Y must be above −100% a period");
+
+  let value = SOLVERS[field](values);
+  if (field === "rate") value *= 100 * financial.periodsPerYear;
+  return Number.isFinite(value) ? { ok: true, value } : fail(`No ${fieldLabel(field)} solves these values`);
+}
+
+// PUBLIC_INTERFACE
+export function amortizationSchedule(financial) {
+  /**
+   * Period-by-period breakdown of the payments in the TVM registers:
+   * { ok: true, rows: [{ period, payment, interest, principal, balance }] } with the sign convention of PV
+   * (interest adds to the balance, payments reduce it). N must be a whole number of periods.
+   */
+  const { n, i, pv, pmt, due } = tvmValues(financial.tvm, financial);
+  if (!Number.isInteger(n) || n < 1) return fail("N must be a whole number of periods");
+  if (n > MAX_SCHEDULE_ROWS) return fail(`A schedule has at most ${MAX_SCHEDULE_ROWS} periods`);
+
+  const rows = [];
+  let remaining = pv;
+  for (let period = 1; period <= n; period += 1) {
+    // Paying in advance, the first payment comes before any interest has built up.
+    const interest = due && period === 1 ? 0 : remaining * i;
+    const next = remaining + interest + pmt;
+    rows.push({ period, payment: pmt, interest, principal: remaining - next, balance: next });
+    remaining = next;
+  }
+  return { ok: true, rows };
+}
+
+const isNumberString = (value) => typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value));
+
+// PUBLIC_INTERFACE
+export function loadFinancial(storage) {
+  /** Read saved financial settings; missing or invalid data yields null so callers keep their defaults. */
+  const parsed = readJson(storage, FINANCIAL_STORAGE_KEY);
+  if (!parsed || typeof parsed !== "object" || !parsed.tvm) return null;
+  const defaults = createFinancial();
+  const taxRate = normalizeTaxRate(parsed.taxRate ?? "");
+  const { periodsPerYear } = parsed;
+  const validPeriods =
+    Number.isInteger(periodsPerYear) && periodsPerYear >= 1 && periodsPerYear <= MAX_PERIODS_PER_YEAR;
+  return {
+    taxRate: taxRate ?? defaults.taxRate,
+    tvm: Object.fromEntries(
+      TVM_FIELDS.map(({ id }) => [id, isNumberString(parsed.tvm[id]) ? parsed.tvm[id] : defaults.tvm[id]])
+    ),
+    periodsPerYear: validPeriods ? periodsPerYear : defaults.periodsPerYear,
+    timing: PAYMENT_TIMINGS.includes(parsed.timing) ? parsed.timing : defaults.timing,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function saveFinancial(storage, financial) {
+  /** Persist financial settings and TVM registers. */
+  writeJson(storage, FINANCIAL_STORAGE_KEY, financial);
+}
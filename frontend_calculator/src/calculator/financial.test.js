@@ -0,0 +1,111 @@
+import { fakeStorage } from './fakeStorage';
+import {
+  FINANCIAL_STORAGE_KEY,
+  amortizationSchedule,
+  createFinancial,
+  loadFinancial,
+  normalizeTaxRate,
+  saveFinancial,
+  solveTvm,
+} from './financial';
+
+const storageWith = (value) => fakeStorage({ [FINANCIAL_STORAGE_KEY]: value });
+
+// A 30-year, 6% mortgage of 200,000 paid monthly.
+const mortgage = {
+  ...createFinancial(),
+  tvm: { n: '360', rate: '6', pv: '200000', pmt: '-1199.101050', fv: '0' },
+};
+
+const solved = (field, financial = mortgage) => {
+  const result = solveTvm(field, financial);
+  expect(result.ok).toBe(true);
+  return result.value;
+};
+
+describe('solveTvm', () => {
+  test.each([
+    ['pmt', -1199.10105],
+    ['n', 360],
+    ['rate', 6],
+    ['pv', 200000],
+    ['fv', 0],
+  ])('solves %s', (field, expected) => {
+    expect(solved(field)).toBeCloseTo(expected, 2);
+  });
+
+  test('handles a zero rate, savings and payments in advance', () => {
+    const noInterest = { ...mortgage, tvm: { n: '10', rate: '0', pv: '1000', pmt: '0', fv: '0' } };
+    expect(solved('pmt', noInterest)).toBeCloseTo(-100, 10);
+    expect(solved('n', { ...noInterest, tvm: { ...noInterest.tvm, pmt: '-250' } })).toBeCloseTo(4, 10);
+
+    // 100 a month for 10 years at 5% compounded monthly.
+    const savings = { ...mortgage, tvm: { n: '120', rate: '5', pv: '0', pmt: '-100', fv: '0' } };
+    expect(solved('fv', savings)).toBeCloseTo(15528.23, 2);
+    expect(solved('fv', { ...savings, timing: 'begin' })).toBeCloseTo(15592.93, 2);
+
+    const yearly = { ...savings, periodsPerYear: 1, tvm: { n: '2', rate: '0', pv: '-100', pmt: '0', fv: '121' } };
+    expect(solved('rate', yearly)).toBeCloseTo(10, 8);
+  });
+
+  test('reports values no solution fits', () => {
+    const impossible = { ...mortgage, tvm: { n: '10', rate: '0', pv: '100', pmt: '10', fv: '100' } };
+    expect(solveTvm('rate', impossible)).toEqual({ ok: false, error: 'No I/Y solves these values' });
+    expect(solveTvm('n', { ...impossible, tvm: { ...impossible.tvm, pmt: '0' } })).toEqual({
+      ok: false,
+      error: 'No N solves these values',
+    });
+    expect(solveTvm('pmt', { ...mortgage, tvm: { ...mortgage.tvm, n: '0' } }).ok).toBe(false);
+    expect(solveTvm('fv', { ...mortgage, tvm: { ...mortgage.tvm, rate: '-1200' } }).ok).toBe(false);
+    expect(solveTvm('bogus', mortgage).ok).toBe(false);
+  });
+});
+
+describe('amortizationSchedule', () => {
+  test('splits each payment into interest and principal', () => {
+    const { rows } = amortizationSchedule(mortgage);
+    expect(rows).toHaveLength(360);
+    expect(rows[0].interest).toBeCloseTo(1000, 6);
+    expect(rows[0].principal).toBeCloseTo(199.1, 2);
+    expect(rows[0].balance).toBeCloseTo(199800.9, 2);
+    expect(rows[359].balance).toBeCloseTo(0, 2);
+  });
+
+  test('charges no interest before the first payment in advance', () => {
+    const advance = { ...mortgage, timing: 'begin', tvm: { ...mortgage.tvm, n: '2', pmt: '-100' } };
+    const { rows } = amortizationSchedule(advance);
+    expect(rows[0]).toMatchObject({ interest: 0, principal: 100, balance: 199900 });
+    expect(rows[1].interest).toBeCloseTo(999.5, 6);
+  });
+
+  test('needs a whole, bounded number of periods', () => {
+    expect(amortizationSchedule({ ...mortgage, tvm: { ...mortgage.tvm, n: '12.5' } }).ok).toBe(false);
+    expect(amortizationSchedule({ ...mortgage, tvm: { ...mortgage.tvm, n: '0' } }).ok).toBe(false);
+    expect(amortizationSchedule({ ...mortgage, tvm: { ...mortgage.tvm, n: '5000' } }).error).toBe(
+      'A schedule has at most 1200 periods'
+    );
+  });
+});
+
+test('normalizeTaxRate accepts percentages from 0 to 100', () => {
+  expect(normalizeTaxRate('8.250')).toBe('8.25');
+  expect(normalizeTaxRate(' 20 ')).toBe('20');
+  expect(normalizeTaxRate('100')).toBe('100');
+  expect(normalizeTaxRate('100.5')).toBeNull();
+  expect(normalizeTaxRate('-5')).toBeNull();
+  expect(normalizeTaxRate('abc')).toBeNull();
+});
+
+test('saveFinancial and loadFinancial round-trip; bad values fall back to the defaults', () => {
+  const storage = fakeStorage();
+  const financial = { ...mortgage, taxRate: '7.5', periodsPerYear: 4, timing: 'begin' };
+  saveFinancial(storage, financial);
+  expect(loadFinancial(storage)).toEqual(financial);
+
+  const loaded = loadFinancial(
+    storageWith(JSON.stringify({ taxRate: 'x', tvm: { n: '12', pv: 'lots' }, periodsPerYear: 0, timing: 'later' }))
+  );
+  expect(loaded).toEqual({ ...createFinancial(), tvm: { ...createFinancial().tvm, n: '12' } });
+  expect(loadFinancial(storageWith(null))).toBeNull();
+  expect(loadFinancial(storageWith('{broken'))).toBeNull();
+});
@@ -0,0 +1,224 @@
+/**
+ * Exact rational arithmetic for fraction mode, plus localStorage persistence of how fractions are shown.
+ *
+ * Values are canonical strings in lowest terms with the sign on the numerator: "7/3", "-1/2", or "5" when the
+ * denominator is 1. Entries may also be typed as decimals ("0.75"), improper fractions ("7/3") or mixed numbers
+ * ("2 1/3"); a trailing "/" is an entry still waiting for its denominator.
+ *
+ * Results are always improper; showing them as mixed numbers or as decimals is presentation only, like the
+ * display notation, so the exact value is never rounded away: 1 ÷ 3 × 3 is exactly 1.
+ */
+
+import { parseDecimal } from "./bigDecimal";
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const FRACTION_STORAGE_KEY = "ocean-calculator.fraction";
+
+// PUBLIC_INTERFACE
+export const FRACTION_STYLES = ["mixed", "improper"];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_FRACTION_VIEW = Object.freeze({ style: "mixed", decimal: false });
+
+// PUBLIC_INTERFACE
+export const FRACTION_DECIMALS = 10; // places when shown or saved as a decimal, like float mode's display
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+
+// Built from a string rather than `**`, which transpilers may rewrite to Math.pow (not BigInt-safe).
+const pow10 = (n) => BigInt("1" + "0".repeat(n));
+const abs = (n) => (n < 0 ? -n : n);
+
+// Exponents beyond this are rejected instead of building numbers with millions of digits.
+const MAX_EXPONENT = 1000;
+
+function gcd(a, b) {
+  let [x, y] = [abs(a), abs(b)];
+  while (y !== ZERO) [x, y] = [y, x % y];
+  return x;
+}
+
+// { n, d } in lowest terms with d > 0, or null for a zero denominator.
+function reduce(n, d) {
+  if (d === ZERO) return null;
+  const sign = d < 0 ? -ONE : ONE;
+  const g = gcd(n, d) || ONE;
+  return { n: (sign * n) / g, d: (sign * d) / g };
+}
+
+const toText = ({ n, d }) => (d === ONE ? n.toString() : `${n}/${d}`);
+
+const fromDecimal = (d) => reduce(d.unscaled, pow10(d.scale));
+
+const ENTRY_RE = /^(-)?(?:(\d+) (\d+)\/(\d+)|(\d+)\/(\d+)|(\d+) (\d+))$/;
+
+// Parse any entry or canonical value into { n, d }, or null.
+function toRational(text) {
+  const trimmed = String(text).trim().replace(/\/$/, "");
+  const match = ENTRY_RE.exec(trimmed);
+  if (!match) {
+    const d = parseDecimal(trimmed);
+    return d && fromDecimal(d);
+  }
+  const [, minus, whole, mixedNum, mixedDen, num, den, pendingNum, pendingDen] = match;
+  let value;
+  if (whole !== undefined) value = reduce(BigInt(whole) * BigInt(mixedDen) + BigInt(mixedNum), BigInt(mixedDen));
+  // "2 3" is "2 3/" with its denominator still to come; until then it stands for 2/3.
+  else if (pendingNum !== undefined) value = reduce(BigInt(pendingNum), BigInt(pendingDen));
+  else value = reduce(BigInt(num), BigInt(den));
+  return value && (minus ? { n: -value.n, d: value.d } : value);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeFraction(text) {
+  /** The canonical lowest-terms string of a fraction, mixed number or decimal entry, or null if it is not one. */
+  const value = toRational(text);
+  return value && toText(value);
+}
+
+const fail = (error) => ({ ok: false, error });
+
+function power({ n, d }, exponent) {
+  if (exponent.d !== ONE) return fail("Fraction powers need a whole exponent");
+  if (abs(exponent.n) > BigInt(MAX_EXPONENT)) return fail("Result out of range");
+  const e = abs(exponent.n);
+  let [num, den] = [ONE, ONE];
+  for (let i = ZERO; i < e; i += ONE) [num, den] = [num * n, den * d];
+  if (exponent.n >= ZERO) return { ok: true, value: reduce(num, den) };
+  return num === ZERO ? fail("Cannot divide by zero") : { ok: true, value: reduce(den, num) };
+}
+
+// PUBLIC_INTERFACE
+export function computeFraction(a, op, b) {
+  /**
+   * Apply "+", "-", "*", "/" or "^" (whole exponents only) to two fraction strings, exactly.
+   * Returns { ok, value } with a canonical fraction string, or { ok: false, error }.
+   */
+  const x = toRational(a);
+  const y = toRational(b);
+  if (!x || !y) return fail("Invalid operand");
+
+  let result;
+  switch (op) {
+    case "+":
+      result = { ok: true, value: reduce(x.n * y.d + y.n * x.d, x.d * y.d) };
+      break;
+    case "-":
+      result = { ok: true, value: reduce(x.n * y.d - y.n * x.d, x.d * y.d) };
+      break;
+    case "*":
+      result = { ok: true, value: reduce(x.n * y.n, x.d * y.d) };
+      break;
+    case "/":
+      if (y.n === ZERO) return fail("Cannot divide by zero");
+      result = { ok: true, value: reduce(x.n * y.d, x.d * y.n) };
+      break;
+    case "^":
+      result = power(x, y);
+      break;
+    default:
+      return fail("Unknown operator");
+  }
+  return result.ok ? { ok: true, value: toText(result.value) } : result;
+}
+
+// PUBLIC_INTERFACE
+export function isWholeFraction(value) {
+  /** Whether a canonical fraction string is an integer. */
+  return !String(value).includes("/");
+}
+
+// PUBLIC_INTERFACE
+export function fractionToDecimal(value, decimals = FRACTION_DECIMALS) {
+  /**
+   * A fraction as a plain decimal string rounded half away from zero to `decimals` places (never "-0").
+   * Trailing zeros are only trimmed when the decimal is exact, so a rounded value always has every place
+   * and fractionFromDecimal can tell it was rounded.
+   */
+  const r = toRational(value);
+  if (!r) return "0";
+  const scaled = abs(r.n) * pow10(decimals);
+  let q = scaled / r.d;
+  const remainder = scaled % r.d;
+  if (remainder * TWO >= r.d) q += ONE;
+
+  const digits = q.toString().padStart(decimals + 1, "0");
+  const intPart = digits.slice(0, digits.length - decimals);
+  let fracPart = digits.slice(digits.length - decimals);
+  if (remainder === ZERO) fracPart = fracPart.replace(/0+$/, "");
+  const s = fracPart ? `${intPart}.${fracPart}` : intPart;
+  return r.n < 0 && s !== "0" ? "-" + s : s;
+}
+
+// The simplest fraction (smallest denominator) in the closed interval [ln/ld, hn/hd], 0 <= ln/ld < hn/hd,
+// found by walking the continued fraction of the interval's ends.
+function simplestBetween(ln, ld, hn, hd) {
+  const q = ln / ld;
+  if (q * ld === ln) return { n: q, d: ONE };
+  if ((q + ONE) * hd <= hn) return { n: q + ONE, d: ONE };
+  // Both ends lie in (q, q + 1): the answer is q + 1/y for the simplest y between the reciprocals.
+  const y = simplestBetween(hd, hn - q * hd, ld, ln - q * ld);
+  return { n: q * y.n + y.d, d: y.n };
+}
+
+// PUBLIC_INTERFACE
+export function fractionFromDecimal(valueStr) {
+  /**
+   * A plain decimal string as a canonical fraction string, or null. Decimals with FRACTION_DECIMALS or more
+   * places are taken as rounded (as memory, history and float results are), so they come back as the
+   * simplest fraction that rounds to them: "0.3333333333" is 1/3.
+   */
+  const d = parseDecimal(String(valueStr));
+  if (!d) return null;
+  const exact = fromDecimal(d);
+  if (d.scale < FRACTION_DECIMALS || exact.d === ONE) return toText(exact);
+
+  // Values within half a unit in the last place, 1/(2·10^scale), round to this decimal. Over the common
+  // denominator d·2·10^scale the interval is (|n|·2·10^scale ± d).
+  const halfUlpDen = TWO * pow10(d.scale);
+  const center = abs(exact.n) * halfUlpDen;
+  const den = exact.d * halfUlpDen;
+  const simplest = simplestBetween(center - exact.d, den, center + exact.d, den);
+  return toText(reduce(exact.n < 0 ? -simplest.n : simplest.n, simplest.d));
+}
+
+// PUBLIC_INTERFACE
+export function fractionToNumber(value) {
+  /** A fraction as the nearest native number, for functions that only exist in floating point. */
+  const r = toRational(value);
+  return r ? Number(r.n) / Number(r.d) : 0;
+}
+
+// PUBLIC_INTERFACE
+export function formatFraction(value, view = DEFAULT_FRACTION_VIEW) {
+  /** Show a canonical fraction string as a mixed number ("2 1/3"), improper ("7/3") or decimal, per the view. */
+  const r = toRational(value);
+  if (!r) return String(value);
+  if (view.decimal) return fractionToDecimal(value);
+  if (view.style !== "mixed" || r.d === ONE || abs(r.n) < r.d) return toText(r);
+  const whole = abs(r.n) / r.d;
+  return `${r.n < 0 ? "-" : ""}${whole} ${abs(r.n) % r.d}/${r.d}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatFractionText(text, view = DEFAULT_FRACTION_VIEW) {
+  /** Apply formatFraction to every fraction or mixed number in a line such as "7/3 ×" or a finished entry. */
+  return String(text).replace(/-?(?:\d+ )?\d+\/\d+/g, (value) => formatFraction(value, view));
+}
+
+// PUBLIC_INTERFACE
+export function loadFractionView(storage) {
+  /** Saved fraction view ({ style, decimal }); the default when nothing usable is stored. */
+  const parsed = readJson(storage, FRACTION_STORAGE_KEY);
+  if (!parsed || !FRACTION_STYLES.includes(parsed.style)) return { ...DEFAULT_FRACTION_VIEW };
+  return { style: parsed.style, decimal: parsed.decimal === true };
+}
+
+// PUBLIC_INTERFACE
+export function saveFractionView(storage, view) {
+  /** Persist how fractions are shown. */
+  writeJson(storage, FRACTION_STORAGE_KEY, view);
+}
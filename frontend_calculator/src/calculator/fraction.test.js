@@ -0,0 +1,130 @@
+import { fakeStorage } from './fakeStorage';
+import {
+  DEFAULT_FRACTION_VIEW,
+  FRACTION_STORAGE_KEY,
+  computeFraction,
+  formatFraction,
+  formatFractionText,
+  fractionFromDecimal,
+  fractionToDecimal,
+  fractionToNumber,
+  loadFractionView,
+  normalizeFraction,
+  saveFractionView,
+} from './fraction';
+
+const storageWith = (value) => fakeStorage({ [FRACTION_STORAGE_KEY]: value });
+
+describe('normalizeFraction', () => {
+  test.each([
+    ['6/8', '3/4'],
+    ['-6/8', '-3/4'],
+    ['2 1/3', '7/3'],
+    ['-2 1/3', '-7/3'],
+    ['4/2', '2'],
+    ['0.75', '3/4'],
+    ['-0.', '0'],
+    ['12', '12'],
+    // An entry waiting for its denominator counts as what is typed so far.
+    ['3/', '3'],
+    ['2 3/', '2/3'],
+  ])('%s is %s', (text, expected) => {
+    expect(normalizeFraction(text)).toBe(expected);
+  });
+
+  test('rejects text that is not a number', () => {
+    expect(normalizeFraction('1/0')).toBeNull();
+    expect(normalizeFraction('1/2/3')).toBeNull();
+    expect(normalizeFraction('abc')).toBeNull();
+  });
+});
+
+describe('computeFraction', () => {
+  test.each([
+    ['1/3', '+', '1/6', '1/2'],
+    ['1/3', '-', '1/2', '-1/6'],
+    ['1/3', '*', '3', '1'],
+    ['3/4', '/', '3/8', '2'],
+    ['2/3', '^', '2', '4/9'],
+    ['2/3', '^', '-3', '27/8'],
+    ['5', '^', '0', '1'],
+  ])('%s %s %s = %s', (a, op, b, expected) => {
+    expect(computeFraction(a, op, b)).toEqual({ ok: true, value: expected });
+  });
+
+  test('reports what has no exact answer', () => {
+    expect(computeFraction('1', '/', '0')).toEqual({ ok: false, error: 'Cannot divide by zero' });
+    expect(computeFraction('0', '^', '-1')).toEqual({ ok: false, error: 'Cannot divide by zero' });
+    expect(computeFraction('2', '^', '1/2').error).toBe('Fraction powers need a whole exponent');
+    expect(computeFraction('2', '^', '5000').error).toBe('Result out of range');
+    expect(computeFraction('2', 'xor', '1').error).toBe('Unknown operator');
+  });
+});
+
+describe('decimals', () => {
+  test('fractionToDecimal rounds half away from zero', () => {
+    expect(fractionToDecimal('2/3')).toBe('0.6666666667');
+    expect(fractionToDecimal('-1/8', 2)).toBe('-0.13');
+    expect(fractionToDecimal('-1/3', 0)).toBe('0');
+    expect(fractionToDecimal('13/21')).toBe('0.6190476190');
+    expect(fractionToDecimal('7/2')).toBe('3.5');
+  });
+
+  test('fractionFromDecimal is exact for short decimals and finds rounded fractions', () => {
+    expect(fractionFromDecimal('0.125')).toBe('1/8');
+    expect(fractionFromDecimal('-2.5')).toBe('-5/2');
+    expect(fractionFromDecimal('0.3333333333')).toBe('1/3');
+    expect(fractionFromDecimal('-2.3333333333')).toBe('-7/3');
+    expect(fractionFromDecimal('0.1428571429')).toBe('1/7');
+    expect(fractionFromDecimal('12')).toBe('12');
+    expect(fractionFromDecimal('nope')).toBeNull();
+  });
+
+  test('every fraction with a small denominator survives a trip through a decimal', () => {
+    for (let d = 1; d <= 60; d += 1) {
+      for (let n = -d; n <= 2 * d; n += 1) {
+        const value = normalizeFraction(`${n}/${d}`);
+        expect(fractionFromDecimal(fractionToDecimal(value))).toBe(value);
+      }
+    }
+  });
+
+  test('fractionToNumber', () => {
+    expect(fractionToNumber('-3/4')).toBe(-0.75);
+  });
+});
+
+describe('formatFraction', () => {
+  const improper = { style: 'improper', decimal: false };
+
+  test('shows mixed numbers, improper fractions or decimals', () => {
+    expect(formatFraction('7/3')).toBe('2 1/3');
+    expect(formatFraction('-7/3')).toBe('-2 1/3');
+    expect(formatFraction('1/2')).toBe('1/2');
+    expect(formatFraction('4')).toBe('4');
+    expect(formatFraction('7/3', improper)).toBe('7/3');
+    expect(formatFraction('7/3', { ...DEFAULT_FRACTION_VIEW, decimal: true })).toBe('2.3333333333');
+  });
+
+  test('reduces to lowest terms whatever the style', () => {
+    expect(formatFraction('6/8', improper)).toBe('3/4');
+    expect(formatFraction('10/4')).toBe('2 1/2');
+  });
+
+  test('formatFractionText rewrites every fraction in a line', () => {
+    expect(formatFractionText('7/3 ×')).toBe('2 1/3 ×');
+    expect(formatFractionText('3 4/5', improper)).toBe('19/5');
+    expect(formatFractionText('1/4 + 1/2', { ...improper, decimal: true })).toBe('0.25 + 0.5');
+    expect(formatFractionText('12 ÷')).toBe('12 ÷');
+  });
+});
+
+test('saveFractionView and loadFractionView round-trip the view', () => {
+  const storage = fakeStorage();
+  saveFractionView(storage, { style: 'improper', decimal: true });
+  expect(loadFractionView(storage)).toEqual({ style: 'improper', decimal: true });
+
+  expect(loadFractionView(storageWith(null))).toEqual(DEFAULT_FRACTION_VIEW);
+  expect(loadFractionView(storageWith('{broken'))).toEqual(DEFAULT_FRACTION_VIEW);
+  expect(loadFractionView(storageWith(JSON.stringify({ style: 'fancy' })))).toEqual(DEFAULT_FRACTION_VIEW);
+});
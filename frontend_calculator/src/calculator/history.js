@@ -0,0 +1,64 @@
+/**
+ * Calculation history tape: pure list helpers plus localStorage persistence.
+ *
+ * Entry: { id, timestamp, expression, operands, operators, result }
+ * (the engine's `calculation` plus an id and a millisecond timestamp). Newest entries come first.
+ */
+
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const HISTORY_STORAGE_KEY = "ocean-calculator.history";
+
+// PUBLIC_INTERFACE
+export const HISTORY_LIMIT = 100;
+
+// PUBLIC_INTERFACE
+export function addHistoryEntry(entries, calculation, timestamp = Date.now(), limit = HISTORY_LIMIT) {
+  /** Prepend a completed calculation, dropping the oldest entries beyond `limit`. */
+  const entry = {
+    id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+    expression: calculation.expression,
+    operands: calculation.operands,
+    operators: calculation.operators,
+    result: calculation.result,
+  };
+  return [entry, ...entries].slice(0, limit);
+}
+
+// PUBLIC_INTERFACE
+export function removeHistoryEntry(entries, id) {
+  /** Remove one entry by id. */
+  return entries.filter((entry) => entry.id !== id);
+}
+
+// PUBLIC_INTERFACE
+export function searchHistory(entries, query) {
+  /** Case-insensitive match of the query against the expression and result. */
+  const q = query.trim().toLowerCase();
+  if (!q) return entries;
+  return entries.filter((entry) => `${entry.expression} = ${entry.result}`.toLowerCase().includes(q));
+}
+
+const isEntry = (entry) =>
+  entry &&
+  typeof entry.id === "string" &&
+  typeof entry.timestamp === "number" &&
+  typeof entry.expression === "string" &&
+  typeof entry.result === "string" &&
+  Array.isArray(entry.operands) &&
+  Array.isArray(entry.operators);
+
+// PUBLIC_INTERFACE
+export function loadHistory(storage) {
+  /** Read saved entries; missing, corrupt or unavailable storage yields an empty tape. */
+  const parsed = readJson(storage, HISTORY_STORAGE_KEY);
+  return Array.isArray(parsed) ? parsed.filter(isEntry).slice(0, HISTORY_LIMIT) : [];
+}
+
+// PUBLIC_INTERFACE
+export function saveHistory(storage, entries) {
+  /** Persist entries. */
+  writeJson(storage, HISTORY_STORAGE_KEY, entries);
+}
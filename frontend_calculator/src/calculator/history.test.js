@@ -0,0 +1,46 @@
+import { brokenStorage, fakeStorage } from './fakeStorage';
+import {
+  HISTORY_STORAGE_KEY,
+  addHistoryEntry,
+  loadHistory,
+  removeHistoryEntry,
+  saveHistory,
+  searchHistory,
+} from './history';
+
+const calc = (expression, result) => ({ expression, operands: [], operators: ['+'], result });
+
+test('addHistoryEntry prepends newest first and enforces the size cap', () => {
+  let entries = [];
+  entries = addHistoryEntry(entries, calc('1 + 1', '2'), 1000, 2);
+  entries = addHistoryEntry(entries, calc('2 + 2', '4'), 2000, 2);
+  entries = addHistoryEntry(entries, calc('3 + 3', '6'), 3000, 2);
+  expect(entries.map((e) => e.result)).toEqual(['6', '4']);
+  expect(entries[0]).toMatchObject({ timestamp: 3000, expression: '3 + 3', operators: ['+'] });
+});
+
+test('removeHistoryEntry and searchHistory', () => {
+  const entries = [calc('12 × 3', '36'), calc('5 − 1', '4')].reduce((acc, c, i) => addHistoryEntry(acc, c, i), []);
+  expect(searchHistory(entries, ' 36 ').map((e) => e.result)).toEqual(['36']);
+  expect(searchHistory(entries, '−')).toHaveLength(1);
+  expect(searchHistory(entries, '')).toBe(entries);
+  expect(removeHistoryEntry(entries, entries[0].id)).toEqual([entries[1]]);
+});
+
+test('saveHistory and loadHistory round-trip through storage', () => {
+  const storage = fakeStorage();
+  const entries = addHistoryEntry([], calc('1 + 2', '3'), 42);
+  saveHistory(storage, entries);
+  expect(loadHistory(storage)).toEqual(entries);
+});
+
+test('loadHistory ignores corrupt or malformed data', () => {
+  expect(loadHistory(fakeStorage({ [HISTORY_STORAGE_KEY]: '{not json' }))).toEqual([]);
+  expect(loadHistory(fakeStorage({ [HISTORY_STORAGE_KEY]: '{"a":1}' }))).toEqual([]);
+  expect(loadHistory(fakeStorage({ [HISTORY_STORAGE_KEY]: '[{"id":1}]' }))).toEqual([]);
+  expect(loadHistory(brokenStorage)).toEqual([]);
+});
+
+test('saveHistory swallows storage failures', () => {
+  expect(() => saveHistory(brokenStorage, [])).not.toThrow();
+});
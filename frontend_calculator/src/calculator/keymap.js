@@ -0,0 +1,245 @@
+/**
+ * Keyboard shortcuts as data.
+ *
+ * KEY_COMMANDS lists everything the keyboard can do, each with an engine action (or a UI command such as
+ * opening the cheat sheet), a group for the cheat sheet and its default keys. A keymap is
+ * { [commandId]: [chord, ...] }; users edit it in the shortcut settings and it is saved in localStorage.
+ *
+ * A chord is "Ctrl+Alt+Shift+key" with modifiers in that order:
+ * - Ctrl means Ctrl or Cmd, Alt means Alt or Option
+ * - letters are lowercase, and Shift is written out for them ("Shift+x"); for other characters Shift is
+ *   already part of the key ("?", "%")
+ * - named keys: Enter, Escape, Backspace, Delete, Insert, Space, PageUp, PageDown, F1-F12 and the numeric
+ *   keypad (Numpad0-Numpad9, NumpadAdd, NumpadSubtract, NumpadMultiply, NumpadDivide, NumpadDecimal,
+ *   NumpadEnter, NumpadEqual); a Numpad chord wins over the plain key it also produces
+ * Tab, arrows, Home and End are left to focus navigation, and RESERVED_CHORDS to copy and paste and the browser.
+ *
+ * Commands with a `context` only apply in that mode ("standard" or "programmer"), so the same key may mean
+ * power in standard mode and XOR in programmer mode. Any other shared key is a conflict.
+ */
+
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const KEYMAP_STORAGE_KEY = "ocean-calculator.keymap";
+
+const digit = (value) => ({ type: "digit", value });
+const op = (value) => ({ type: "op", value });
+const memory = (value) => ({ type: "memory", value });
+
+const command = (id, group, label, action, keys, context) => ({ id, group, label, action, keys, context });
+
+// PUBLIC_INTERFACE
+export const KEY_COMMANDS = [
+  ...[0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map((n) => command(`digit${n}`, "Digits", `Digit ${n}`, digit(n), [`${n}`])),
+  command("decimal", "Digits", "Decimal point", { type: "decimal" }, ["."]),
+  command("add", "Operators", "Add", op("+"), ["+"]),
+  command("subtract", "Operators", "Subtract", op("-"), ["-"]),
+  command("multiply", "Operators", "Multiply", op("*"), ["*", "x", "Shift+x"]),
+  command("divide", "Operators", "Divide", op("/"), ["/"]),
+  command("power", "Operators", "Power", op("^"), ["^"], "standard"),
+  command("percent", "Operators", "Percent", { type: "percent" }, ["%"]),
+  command("factorial", "Operators", "Factorial", { type: "function", value: "factorial" }, ["!"]),
+  command("openParen", "Operators", "Open parenthesis", { type: "paren", value: "(" }, ["("]),
+  command("closeParen", "Operators", "Close parenthesis", { type: "paren", value: ")" }, [")"]),
+  command("equals", "Operators", "Equals", { type: "equals" }, ["Enter", "="]),
+  command("negate", "Editing", "Toggle sign", { type: "sign" }, ["n"]),
+  command("backspace", "Editing", "Backspace", { type: "backspace" }, ["Backspace"]),
+  command("clearEntry", "Editing", "Clear entry (CE)", { type: "clearEntry" }, ["Delete"]),
+  command("clear", "Editing", "Clear all (AC)", { type: "clear" }, ["Escape", "Ctrl+Backspace"]),
+  command("undo", "Editing", "Undo", { type: "undo" }, ["Ctrl+z"]),
+  command("redo", "Editing", "Redo", { type: "redo" }, ["Ctrl+Shift+z", "Ctrl+y"]),
+  // Alt, not Ctrl: Ctrl/Cmd+L, R, P, Q and M belong to the browser (address bar, reload, print, quit, minimize).
+  command("memoryClear", "Memory", "Memory clear", memory("clear"), ["Alt+l"]),
+  command("memoryRecall", "Memory", "Memory recall", memory("recall"), ["Alt+r"]),
+  command("memoryAdd", "Memory", "Memory add", memory("add"), ["Alt+p"]),
+  command("memorySubtract", "Memory", "Memory subtract", memory("subtract"), ["Alt+q"]),
+  command("memoryStore", "Memory", "Memory store", memory("store"), ["Alt+m"]),
+  ...["a", "b", "c", "d", "e", "f"].map((letter, i) =>
+    command(
+      `hex${letter.toUpperCase()}`,
+      "Programmer",
+      `Hex digit ${letter.toUpperCase()}`,
+      digit(10 + i),
+      [letter, `Shift+${letter}`],
+      "programmer"
+    )
+  ),
+  command("and", "Programmer", "Bitwise and", op("and"), ["&"], "programmer"),
+  command("or", "Programmer", "Bitwise or", op("or"), ["|"], "programmer"),
+  command("xor", "Programmer", "Bitwise exclusive or", op("xor"), ["^"], "programmer"),
+  command("not", "Programmer", "Bitwise not", { type: "function", value: "not" }, ["~"], "programmer"),
+  command("shiftLeft", "Programmer", "Shift left", op("shl"), ["<"], "programmer"),
+  command("shiftRight", "Programmer", "Shift right", op("shr"), [">"], "programmer"),
+  command("shortcuts", "Help", "Show keyboard shortcuts", { type: "showShortcuts" }, ["?"]),
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_KEYMAP = Object.freeze(Object.fromEntries(KEY_COMMANDS.map((c) => [c.id, c.keys])));
+
+const NAMED_KEYS = new Set([
+  "Enter",
+  "Escape",
+  "Backspace",
+  "Delete",
+  "Insert",
+  "Space",
+  "PageUp",
+  "PageDown",
+  ...Array.from({ length: 12 }, (_, i) => `F${i + 1}`),
+  ...Array.from({ length: 10 }, (_, i) => `Numpad${i}`),
+  "NumpadAdd",
+  "NumpadSubtract",
+  "NumpadMultiply",
+  "NumpadDivide",
+  "NumpadDecimal",
+  "NumpadEnter",
+  "NumpadEqual",
+]);
+
+// PUBLIC_INTERFACE
+export const RESERVED_CHORDS = Object.freeze({
+  "Ctrl+c": "copying",
+  "Ctrl+x": "cutting",
+  "Ctrl+v": "pasting",
+  "Ctrl+l": "the address bar",
+  "Ctrl+r": "reloading the page",
+  F5: "reloading the page",
+  "Ctrl+p": "printing",
+  "Ctrl+q": "quitting the browser",
+  "Ctrl+m": "minimizing the window",
+  "Ctrl+n": "new windows",
+  "Ctrl+t": "new tabs",
+  "Ctrl+w": "closing the tab",
+});
+
+const MODIFIERS = ["Ctrl", "Alt", "Shift"];
+
+const findCommand = (id) => KEY_COMMANDS.find((c) => c.id === id);
+
+const buildChord = ({ ctrl, alt, shift }, key) =>
+  [ctrl && "Ctrl", alt && "Alt", shift && "Shift", key].filter(Boolean).join("+");
+
+// PUBLIC_INTERFACE
+export function normalizeChord(text) {
+  /**
+   * Canonical form of a chord ("shift+CTRL+Z" → "Ctrl+Shift+z"), or null when it is not a bindable chord
+   * (including the reserved ones).
+   */
+  if (typeof text !== "string" || text.length === 0) return null;
+  // The "+" key itself: "+", "Ctrl++"
+  const plusKey = text === "+" || text.endsWith("++");
+  const parts = (plusKey ? text.slice(0, -1) : text).split("+");
+  const rawKey = plusKey ? "+" : parts.pop();
+  const flags = {};
+  for (const part of parts.filter((p, i) => !(plusKey && i === parts.length - 1 && p === ""))) {
+    const modifier = MODIFIERS.find((m) => m.toLowerCase() === part.toLowerCase());
+    if (!modifier || flags[modifier.toLowerCase()]) return null;
+    flags[modifier.toLowerCase()] = true;
+  }
+
+  let key;
+  if (rawKey.length === 1 && rawKey !== " ") {
+    key = rawKey.toLowerCase();
+    // Shift is already in "?" or "%"; it is only written out for letters.
+    if (flags.shift && !/^[a-z]$/.test(key)) return null;
+  } else {
+    key = [...NAMED_KEYS].find((name) => name.toLowerCase() === rawKey.toLowerCase());
+    if (!key) return null;
+  }
+  const chord = buildChord(flags, key);
+  return chord in RESERVED_CHORDS ? null : chord;
+}
+
+// PUBLIC_INTERFACE
+export function chordsFromEvent(event) {
+  /** The chords a keydown produces, most specific first (the Numpad chord, then the key). */
+  const { key, code = "" } = event;
+  if (["Control", "Alt", "Shift", "Meta"].includes(key)) return [];
+  // AltGr (reported as Ctrl+Alt on Windows) types characters like "|" on many layouts; those are plain keys.
+  const altGraph = key.length === 1 && event.ctrlKey && event.altKey;
+  const flags = altGraph ? {} : { ctrl: event.ctrlKey || event.metaKey, alt: event.altKey };
+  const chords = [];
+  if (/^Numpad/.test(code) && NAMED_KEYS.has(code)) chords.push(buildChord({ ...flags, shift: event.shiftKey }, code));
+
+  if (key === " ") chords.push(buildChord({ ...flags, shift: event.shiftKey }, "Space"));
+  else if (key.length === 1) {
+    // Option on macOS changes the character (Option+L types "¬"), so Alt chords fall back to the key's position.
+    const typed = flags.alt && !/^[a-z]$/i.test(key) && /^Key[A-Z]$/.test(code) ? code.slice(3) : key;
+    const letter = /^[a-z]$/i.test(typed);
+    chords.push(buildChord({ ...flags, shift: letter && event.shiftKey }, typed.toLowerCase()));
+  } else if (NAMED_KEYS.has(key)) chords.push(buildChord({ ...flags, shift: event.shiftKey }, key));
+  return chords;
+}
+
+// PUBLIC_INTERFACE
+export function chordLabel(chord) {
+  /** How a chord is shown: letters in uppercase ("Ctrl+Shift+z" → "Ctrl+Shift+Z"). */
+  return chord.replace(/(^|\+)([a-z])$/, (_, plus, letter) => plus + letter.toUpperCase());
+}
+
+const overlaps = (a, b) => !a.context || !b.context || a.context === b.context;
+
+// PUBLIC_INTERFACE
+export function findConflicts(keymap) {
+  /** Chords bound to two commands that can be active at the same time: [{ chord, commands: [id, ...] }]. */
+  const byChord = new Map();
+  KEY_COMMANDS.forEach((c) =>
+    (keymap[c.id] || []).forEach((chord) => byChord.set(chord, [...(byChord.get(chord) || []), c]))
+  );
+  const conflicts = [];
+  byChord.forEach((commands, chord) => {
+    const clashing = commands.filter((c) => commands.some((other) => other !== c && overlaps(c, other)));
+    if (clashing.length > 1) conflicts.push({ chord, commands: clashing.map((c) => c.id) });
+  });
+  return conflicts;
+}
+
+// PUBLIC_INTERFACE
+export function resolveKey(keymap, event, context) {
+  /** The command a keydown triggers in the given context ("standard" | "programmer"), or null. */
+  for (const chord of chordsFromEvent(event)) {
+    const match = KEY_COMMANDS.find(
+      (c) => (!c.context || c.context === context) && (keymap[c.id] || []).includes(chord)
+    );
+    if (match) return match;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function commandLabel(id) {
+  /** The readable name of a command id. */
+  const found = findCommand(id);
+  return found ? found.label : id;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeKeymap(value) {
+  /**
+   * A complete keymap from (possibly stale or hand-edited) data: bad chords are dropped, and commands that are
+   * missing or have none left (e.g. a saved Ctrl+L from before it was reserved) get their defaults.
+   */
+  const source = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+  return Object.fromEntries(
+    KEY_COMMANDS.map(({ id }) => {
+      if (!Array.isArray(source[id])) return [id, DEFAULT_KEYMAP[id]];
+      const chords = source[id].map(normalizeChord).filter(Boolean);
+      if (chords.length === 0 && source[id].length > 0) return [id, DEFAULT_KEYMAP[id]];
+      return [id, [...new Set(chords)]];
+    })
+  );
+}
+
+// PUBLIC_INTERFACE
+export function loadKeymap(storage) {
+  /** Saved keymap, normalized; the defaults when nothing usable is stored or it has conflicts. */
+  const keymap = normalizeKeymap(readJson(storage, KEYMAP_STORAGE_KEY));
+  return findConflicts(keymap).length === 0 ? keymap : { ...DEFAULT_KEYMAP };
+}
+
+// PUBLIC_INTERFACE
+export function saveKeymap(storage, keymap) {
+  /** Persist the keymap. */
+  writeJson(storage, KEYMAP_STORAGE_KEY, keymap);
+}
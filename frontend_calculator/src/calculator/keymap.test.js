@@ -0,0 +1,148 @@
+import { fakeStorage } from './fakeStorage';
+import {
+  DEFAULT_KEYMAP,
+  KEYMAP_STORAGE_KEY,
+  KEY_COMMANDS,
+  RESERVED_CHORDS,
+  chordLabel,
+  chordsFromEvent,
+  findConflicts,
+  loadKeymap,
+  normalizeChord,
+  normalizeKeymap,
+  resolveKey,
+  saveKeymap,
+} from './keymap';
+
+const key = (k, options = {}) => ({
+  key: k,
+  code: '',
+  ctrlKey: false,
+  metaKey: false,
+  altKey: false,
+  shiftKey: false,
+  ...options,
+});
+const resolve = (event, context = 'standard', keymap = DEFAULT_KEYMAP) => {
+  const command = resolveKey(keymap, event, context);
+  return command && command.id;
+};
+
+test.each([
+  ['x', 'x'],
+  ['X', 'x'],
+  ['shift+CTRL+Z', 'Ctrl+Shift+z'],
+  ['ctrl+backspace', 'Ctrl+Backspace'],
+  ['delete', 'Delete'],
+  ['+', '+'],
+  ['Ctrl++', 'Ctrl++'],
+  ['Alt+numpadenter', 'Alt+NumpadEnter'],
+  ['?', '?'],
+  ['Shift+?', null],
+  ['Ctrl+', null],
+  ['Ctrl+Ctrl+a', null],
+  ['Hyper+a', null],
+  ['Ctrl+c', null],
+  ['ctrl+V', null],
+  ['Ctrl+r', null],
+  ['F5', null],
+  ['Ctrl+Shift+c', 'Ctrl+Shift+c'],
+  ['ArrowUp', null],
+  ['Tab', null],
+  [' ', null],
+  ['', null],
+  [42, null],
+])('normalizeChord(%j)', (text, chord) => {
+  expect(normalizeChord(text)).toBe(chord);
+});
+
+test('chordsFromEvent follows the chord conventions', () => {
+  expect(chordsFromEvent(key('Z', { ctrlKey: true, shiftKey: true }))).toEqual(['Ctrl+Shift+z']);
+  expect(chordsFromEvent(key('z', { metaKey: true }))).toEqual(['Ctrl+z']);
+  expect(chordsFromEvent(key('?', { shiftKey: true }))).toEqual(['?']);
+  expect(chordsFromEvent(key(' '))).toEqual(['Space']);
+  expect(chordsFromEvent(key('+', { code: 'NumpadAdd' }))).toEqual(['NumpadAdd', '+']);
+  expect(chordsFromEvent(key('|', { ctrlKey: true, altKey: true }))).toEqual(['|']);
+  expect(chordsFromEvent(key('¬', { altKey: true, code: 'KeyL' }))).toEqual(['Alt+l']);
+  expect(chordsFromEvent(key('¬'))).toEqual(['¬']);
+  expect(chordsFromEvent(key('Shift', { shiftKey: true }))).toEqual([]);
+  expect(chordsFromEvent(key('ArrowLeft'))).toEqual([]);
+});
+
+test('the default keymap has no conflicts and covers every command', () => {
+  expect(findConflicts(DEFAULT_KEYMAP)).toEqual([]);
+  expect(Object.keys(DEFAULT_KEYMAP)).toEqual(KEY_COMMANDS.map((c) => c.id));
+  Object.values(DEFAULT_KEYMAP)
+    .flat()
+    .forEach((chord) => {
+      expect(normalizeChord(chord)).toBe(chord);
+      expect(RESERVED_CHORDS).not.toHaveProperty([chord]);
+    });
+});
+
+test('resolveKey maps keys to commands for the current mode', () => {
+  expect(resolve(key('7'))).toBe('digit7');
+  expect(resolve(key('X', { shiftKey: true }))).toBe('multiply');
+  expect(resolve(key('n'))).toBe('negate');
+  expect(resolve(key('Backspace', { ctrlKey: true }))).toBe('clear');
+  expect(resolve(key('Backspace'))).toBe('backspace');
+  expect(resolve(key('Delete'))).toBe('clearEntry');
+  expect(resolve(key('^'))).toBe('power');
+  expect(resolve(key('^'), 'programmer')).toBe('xor');
+  expect(resolve(key('a'))).toBeNull();
+  expect(resolve(key('a'), 'programmer')).toBe('hexA');
+  expect(resolve(key('c', { ctrlKey: true }))).toBeNull();
+  expect(resolve(key('m', { altKey: true }))).toBe('memoryStore');
+  expect(resolve(key('r', { ctrlKey: true }))).toBeNull();
+  expect(resolve(key('p', { metaKey: true }))).toBeNull();
+});
+
+test('a Numpad binding wins over the key it produces', () => {
+  const keymap = { ...DEFAULT_KEYMAP, decimal: ['.', 'NumpadDecimal'] };
+  expect(resolve(key(',', { code: 'NumpadDecimal' }), 'standard', keymap)).toBe('decimal');
+  expect(resolve(key('Enter', { code: 'NumpadEnter' }), 'standard', keymap)).toBe('equals');
+});
+
+test('findConflicts reports keys shared by commands active at the same time', () => {
+  const keymap = { ...DEFAULT_KEYMAP, subtract: ['-', '+'], xor: ['^', 'x'] };
+  expect(findConflicts(keymap)).toEqual([
+    { chord: '+', commands: ['add', 'subtract'] },
+    { chord: 'x', commands: ['multiply', 'xor'] },
+  ]);
+});
+
+test('chordLabel shows letters in uppercase', () => {
+  expect(chordLabel('Ctrl+Shift+z')).toBe('Ctrl+Shift+Z');
+  expect(chordLabel('n')).toBe('N');
+  expect(chordLabel('Ctrl+Backspace')).toBe('Ctrl+Backspace');
+  expect(chordLabel('Ctrl++')).toBe('Ctrl++');
+});
+
+test('normalizeKeymap fills in defaults and drops bad chords', () => {
+  const keymap = normalizeKeymap({ clear: ['delete', 'Delete', 'ArrowUp'], negate: [], bogus: ['q'], add: 'plus' });
+  expect(keymap.clear).toEqual(['Delete']);
+  expect(keymap.negate).toEqual([]);
+  expect(keymap.add).toEqual(DEFAULT_KEYMAP.add);
+  expect(keymap).not.toHaveProperty('bogus');
+  expect(normalizeKeymap(null)).toEqual(DEFAULT_KEYMAP);
+  // Keys saved before they were reserved give way to the defaults.
+  expect(normalizeKeymap({ memoryClear: ['Ctrl+l'], undo: ['Ctrl+z', 'Ctrl+v'] })).toMatchObject({
+    memoryClear: DEFAULT_KEYMAP.memoryClear,
+    undo: ['Ctrl+z'],
+  });
+});
+
+test('saveKeymap and loadKeymap round-trip; conflicting or bad data means the defaults', () => {
+  const storage = fakeStorage();
+  const { data } = storage;
+  expect(loadKeymap(storage)).toEqual(DEFAULT_KEYMAP);
+
+  const keymap = { ...DEFAULT_KEYMAP, clear: ['Escape', 'F2'] };
+  saveKeymap(storage, keymap);
+  expect(loadKeymap(storage)).toEqual(keymap);
+
+  saveKeymap(storage, { ...DEFAULT_KEYMAP, subtract: ['+'] });
+  expect(loadKeymap(storage)).toEqual(DEFAULT_KEYMAP);
+  data[KEYMAP_STORAGE_KEY] = '{broken';
+  expect(loadKeymap(storage)).toEqual(DEFAULT_KEYMAP);
+});
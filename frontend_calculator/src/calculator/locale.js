@@ -0,0 +1,127 @@
+/**
+ * Locale-aware presentation of display strings.
+ *
+ * The engine always works on raw strings ("-1234567.5", "0."); these helpers only change how they are
+ * shown: grouping and decimal separators come from Intl for the chosen locale ("auto" = browser default).
+ * The locale setting is saved in localStorage like history and memory.
+ */
+
+import { readItem, writeItem } from "./storage";
+
+// PUBLIC_INTERFACE
+export const LOCALE_STORAGE_KEY = "ocean-calculator.locale";
+
+// PUBLIC_INTERFACE
+export const LOCALE_OPTIONS = [
+  { value: "auto", label: "Browser default" },
+  { value: "en-US", label: "English (US) 1,234.5" },
+  { value: "en-GB", label: "English (UK) 1,234.5" },
+  { value: "de-DE", label: "Deutsch 1.234,5" },
+  { value: "fr-FR", label: "Français 1 234,5" },
+  { value: "es-ES", label: "Español 1234,5" },
+  { value: "it-IT", label: "Italiano 1.234,5" },
+  { value: "pt-BR", label: "Português (BR) 1.234,5" },
+  { value: "de-CH", label: "Deutsch (CH) 1’234.5" },
+  { value: "hi-IN", label: "हिन्दी 12,34,567.5" },
+];
+
+const FALLBACK_LOCALE = "en-US";
+
+const isSupported = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false;
+  }
+};
+
+// PUBLIC_INTERFACE
+export function resolveLocale(setting, navigatorLike = typeof navigator === "undefined" ? undefined : navigator) {
+  /** The BCP 47 tag to format with: the setting itself, or the browser's language for "auto". */
+  if (setting && setting !== "auto" && isSupported(setting)) return setting;
+  const browser = navigatorLike && navigatorLike.language;
+  return browser && isSupported(browser) ? browser : FALLBACK_LOCALE;
+}
+
+const integerFormats = new Map();
+
+// Digits use Latin numerals in every locale so typed keys and the display agree.
+const integerFormat = (locale) => {
+  if (!integerFormats.has(locale)) {
+    integerFormats.set(locale, new Intl.NumberFormat(locale, { numberingSystem: "latn", useGrouping: true }));
+  }
+  return integerFormats.get(locale);
+};
+
+// PUBLIC_INTERFACE
+export function getSeparators(locale) {
+  /** { group, decimal } characters used by the locale (e.g. { group: ".", decimal: "," } for de-DE). */
+  const parts = new Intl.NumberFormat(locale, { numberingSystem: "latn" }).formatToParts(12345.6);
+  const find = (type, fallback) => (parts.find((p) => p.type === type) || { value: fallback }).value;
+  return { group: find("group", ","), decimal: find("decimal", ".") };
+}
+
+const NUMBER = /^(-?)(\d+)(\.?)(\d*)(e[+-]?\d+)?$/i;
+
+// PUBLIC_INTERFACE
+export function localizeNumber(text, locale) {
+  /**
+   * Show a raw number string with the locale's separators, keeping partial entries intact
+   * ("0." stays a trailing decimal, "-0" keeps its sign). Anything that is not a number is returned as is.
+   */
+  const match = NUMBER.exec(text);
+  if (!match) return text;
+
+  const [, sign, whole, point, fraction, exponent = ""] = match;
+  const grouped = integerFormat(locale).format(BigInt(whole));
+  const decimal = point ? getSeparators(locale).decimal : "";
+  return `${sign}${grouped}${decimal}${fraction}${exponent}`;
+}
+
+// PUBLIC_INTERFACE
+export function localizeText(text, locale) {
+  /** Localize every number inside a line like "1234.5 + 2 =" (operators use their own symbols, e.g. "−"). */
+  return text.replace(/\d+\.?\d*(?:e[+-]?\d+)?/gi, (number) => localizeNumber(number, locale));
+}
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// What may be typed for a group separator: any space for the space-like ones (fr-FR uses a narrow no-break
+// space), either apostrophe for de-CH's "’".
+const groupPattern = (group) => {
+  if (/\s/.test(group)) return "\\s";
+  if (group === "’" || group === "'") return "['’]";
+  return escape(group);
+};
+
+// PUBLIC_INTERFACE
+export function parseLocalizedNumber(text, locale) {
+  /**
+   * The raw number string for a number typed the way localizeNumber shows it ("1.234,5" or "1234,5" in de-DE
+   * gives "1234.5"); "−" counts as a minus sign. Null for anything else, including a separator that cannot be the
+   * locale's ("1.5" in de-DE), rather than guessing.
+   */
+  const { group, decimal } = getSeparators(locale);
+  const g = groupPattern(group);
+  const whole = `\\d{1,3}(?:${g}\\d{2,3})*${g}\\d{3}|\\d+`;
+  const match = new RegExp(`^(-?)(${whole})(?:${escape(decimal)}(\\d+))?(e[+-]?\\d+)?$`, "i").exec(
+    String(text).trim().replace(/^−/, "-")
+  );
+  if (!match) return null;
+  const [, sign, digits, fraction, exponent = ""] = match;
+  const point = fraction === undefined ? "" : `.${fraction}`;
+  return `${sign}${digits.replace(new RegExp(g, "g"), "")}${point}${exponent.toLowerCase()}`;
+}
+
+// PUBLIC_INTERFACE
+export function loadLocale(storage) {
+  /** Saved locale setting; "auto" when nothing (or something unusable) is stored. */
+  const saved = readItem(storage, LOCALE_STORAGE_KEY);
+  return saved && (saved === "auto" || isSupported(saved)) ? saved : "auto";
+}
+
+// PUBLIC_INTERFACE
+export function saveLocale(storage, setting) {
+  /** Persist the locale setting. */
+  writeItem(storage, LOCALE_STORAGE_KEY, setting);
+}
@@ -0,0 +1,85 @@
+import { brokenStorage, fakeStorage } from './fakeStorage';
+import {
+  LOCALE_STORAGE_KEY,
+  getSeparators,
+  loadLocale,
+  localizeNumber,
+  localizeText,
+  parseLocalizedNumber,
+  resolveLocale,
+  saveLocale,
+} from './locale';
+
+describe('localizeNumber', () => {
+  test.each([
+    ['1234567.5', 'en-US', '1,234,567.5'],
+    ['1234567.5', 'de-DE', '1.234.567,5'],
+    ['-1234567', 'de-CH', '-1’234’567'],
+    ['1234567', 'hi-IN', '12,34,567'],
+    ['0.', 'de-DE', '0,'],
+    ['-0', 'en-US', '-0'],
+    ['1000.000', 'en-US', '1,000.000'],
+    ['1e+21', 'de-DE', '1e+21'],
+    ['Error', 'de-DE', 'Error'],
+    ['FF', 'en-US', 'FF'],
+  ])('%s in %s → %s', (text, locale, expected) => {
+    expect(localizeNumber(text, locale)).toBe(expected);
+  });
+
+  test('localizeText formats every number in a line', () => {
+    expect(localizeText('1234.5 × (2000 − 0.5) =', 'de-DE')).toBe('1.234,5 × (2.000 − 0,5) =');
+  });
+});
+
+describe('parseLocalizedNumber', () => {
+  test.each([
+    ['1.234.567,5', 'de-DE', '1234567.5'],
+    ['1234,5', 'de-DE', '1234.5'],
+    ['−2,50', 'de-DE', '-2.50'],
+    ['1,234.5', 'en-US', '1234.5'],
+    ['12,34,567', 'hi-IN', '1234567'],
+    ["-1'234'567.5", 'de-CH', '-1234567.5'],
+    ['1 234,5', 'fr-FR', '1234.5'],
+    ['1e+21', 'de-DE', '1e+21'],
+  ])('%s in %s → %s', (text, locale, expected) => {
+    expect(parseLocalizedNumber(text, locale)).toBe(expected);
+  });
+
+  test.each([
+    ['1.5', 'de-DE'],
+    ['1,5', 'en-US'],
+    ['1.23.4', 'de-DE'],
+    ['1,2,3', 'de-DE'],
+    ['', 'en-US'],
+    ['12abc', 'en-US'],
+  ])('%s in %s is not a number', (text, locale) => {
+    expect(parseLocalizedNumber(text, locale)).toBeNull();
+  });
+
+  test('reads back what localizeNumber shows', () => {
+    for (const locale of ['en-US', 'de-DE', 'fr-FR', 'de-CH', 'hi-IN', 'es-ES']) {
+      expect(parseLocalizedNumber(localizeNumber('-1234567.25', locale), locale)).toBe('-1234567.25');
+    }
+  });
+});
+
+test('getSeparators reports the locale decimal key', () => {
+  expect(getSeparators('de-DE')).toEqual({ group: '.', decimal: ',' });
+  expect(getSeparators('en-US')).toEqual({ group: ',', decimal: '.' });
+});
+
+test('resolveLocale falls back from "auto" to the browser language', () => {
+  expect(resolveLocale('de-DE', { language: 'fr-FR' })).toBe('de-DE');
+  expect(resolveLocale('auto', { language: 'fr-FR' })).toBe('fr-FR');
+  expect(resolveLocale('auto', {})).toBe('en-US');
+  expect(resolveLocale('not a locale', { language: 'de-DE' })).toBe('de-DE');
+});
+
+test('saveLocale and loadLocale round-trip; bad data means "auto"', () => {
+  const storage = fakeStorage();
+  expect(loadLocale(storage)).toBe('auto');
+  saveLocale(storage, 'de-DE');
+  expect(loadLocale(storage)).toBe('de-DE');
+  expect(loadLocale(fakeStorage({ [LOCALE_STORAGE_KEY]: '<script>' }))).toBe('auto');
+  expect(loadLocale(brokenStorage)).toBe('auto');
+});
@@ -0,0 +1,62 @@
+/**
+ * Memory registers: named slots holding display strings ("0", "12.5"), plus localStorage persistence.
+ *
+ * Shape: { registers: [{ name, value }], active } where `active` is the index MC/MR/M+/M−/MS act on.
+ */
+
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const MEMORY_STORAGE_KEY = "ocean-calculator.memory";
+
+// PUBLIC_INTERFACE
+export const REGISTER_COUNT = 10;
+
+const MAX_NAME_LENGTH = 24;
+
+// PUBLIC_INTERFACE
+export function createMemory() {
+  /** Ten empty registers named M1…M10, with M1 active. */
+  return {
+    registers: Array.from({ length: REGISTER_COUNT }, (_, i) => ({ name: `M${i + 1}`, value: "0" })),
+    active: 0,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function isZeroValue(value) {
+  /** Whether a stored display string is numerically zero ("0", "-0", "0.000"). */
+  return Number(value) === 0;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeRegisterName(name) {
+  /** Trimmed, length-limited register name; null if nothing usable is left. */
+  const trimmed = String(name).trim().slice(0, MAX_NAME_LENGTH);
+  return trimmed || null;
+}
+
+const isRegister = (r) =>
+  r &&
+  typeof r.name === "string" &&
+  typeof r.value === "string" &&
+  r.value.trim() !== "" &&
+  Number.isFinite(Number(r.value));
+
+// PUBLIC_INTERFACE
+export function loadMemory(storage) {
+  /** Read saved registers; missing or invalid data yields null so callers keep their defaults. */
+  const parsed = readJson(storage, MEMORY_STORAGE_KEY);
+  if (!parsed || !Array.isArray(parsed.registers) || !parsed.registers.every(isRegister)) return null;
+
+  // Older or trimmed saves are padded back up to the full register count.
+  const registers = createMemory().registers.map((fallback, i) => parsed.registers[i] || fallback);
+  const active = Number.isInteger(parsed.active) && registers[parsed.active] ? parsed.active : 0;
+  return { registers, active };
+}
+
+// PUBLIC_INTERFACE
+export function saveMemory(storage, memory) {
+  /** Persist registers. */
+  writeJson(storage, MEMORY_STORAGE_KEY, memory);
+}
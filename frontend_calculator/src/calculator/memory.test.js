@@ -0,0 +1,39 @@
+import { fakeStorage } from './fakeStorage';
+import { MEMORY_STORAGE_KEY, createMemory, isZeroValue, loadMemory, normalizeRegisterName, saveMemory } from './memory';
+
+const storageWith = (value) => fakeStorage({ [MEMORY_STORAGE_KEY]: value });
+
+test('createMemory has ten zeroed registers with M1 active', () => {
+  const memory = createMemory();
+  expect(memory.registers).toHaveLength(10);
+  expect(memory.registers[9]).toEqual({ name: 'M10', value: '0' });
+  expect(memory.active).toBe(0);
+});
+
+test('isZeroValue and normalizeRegisterName', () => {
+  expect(isZeroValue('-0.000')).toBe(true);
+  expect(isZeroValue('0.1')).toBe(false);
+  expect(normalizeRegisterName('  rate  ')).toBe('rate');
+  expect(normalizeRegisterName('   ')).toBeNull();
+  expect(normalizeRegisterName('x'.repeat(40))).toHaveLength(24);
+});
+
+test('saveMemory and loadMemory round-trip', () => {
+  const storage = fakeStorage();
+  const memory = { ...createMemory(), active: 3 };
+  memory.registers[3] = { name: 'qty', value: '12.5' };
+  saveMemory(storage, memory);
+  expect(loadMemory(storage)).toEqual(memory);
+});
+
+test('loadMemory pads short saves and rejects invalid ones', () => {
+  const loaded = loadMemory(storageWith(JSON.stringify({ registers: [{ name: 'a', value: '2' }], active: 7 })));
+  expect(loaded.registers).toHaveLength(10);
+  expect(loaded.registers[0]).toEqual({ name: 'a', value: '2' });
+  expect(loaded.active).toBe(7);
+
+  expect(loadMemory(storageWith(null))).toBeNull();
+  expect(loadMemory(storageWith('nope'))).toBeNull();
+  expect(loadMemory(storageWith(JSON.stringify({ registers: [{ name: 'a', value: 'x' }] })))).toBeNull();
+  expect(loadMemory(storageWith(JSON.stringify({ registers: [], active: 99 }))).active).toBe(0);
+});
@@ -0,0 +1,143 @@
+/**
+ * Display notation: how shown values are rounded and written.
+ *
+ * A notation is { mode, digits, siPrefixes }:
+ * - "auto": values as the engine produces them
+ * - "fixed": `digits` decimals (1234.5 → "1234.5000")
+ * - "scientific": `digits` significant digits (1234.5 → "1.235e+3")
+ * - "engineering": `digits` significant digits with exponents in multiples of 3 ("1.235e+3"), or SI prefixes
+ *   instead of the exponent when siPrefixes is set ("1.235 k")
+ *
+ * Like locale separators this is presentation only; the engine keeps full values. The setting is saved in
+ * localStorage.
+ */
+
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const NOTATION_STORAGE_KEY = "ocean-calculator.notation";
+
+// PUBLIC_INTERFACE
+export const NOTATION_MODES = ["auto", "fixed", "scientific", "engineering"];
+
+// PUBLIC_INTERFACE
+export const MAX_NOTATION_DIGITS = 15;
+
+// PUBLIC_INTERFACE
+export const DEFAULT_NOTATION = Object.freeze({ mode: "auto", digits: 4, siPrefixes: false });
+
+// Keyed by engineering exponent.
+const SI_PREFIXES = {
+  24: "Y",
+  21: "Z",
+  18: "E",
+  15: "P",
+  12: "T",
+  9: "G",
+  6: "M",
+  3: "k",
+  0: "",
+  "-3": "m",
+  "-6": "µ",
+  "-9": "n",
+  "-12": "p",
+  "-15": "f",
+  "-18": "a",
+  "-21": "z",
+  "-24": "y",
+};
+
+const PLAIN_NUMBER = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// Significant and fixed digits need at least one digit to mean anything.
+const minDigits = (mode) => (mode === "fixed" ? 0 : 1);
+
+// PUBLIC_INTERFACE
+export function normalizeNotation(notation) {
+  /** A valid notation built from possibly partial or bad input; unknown parts fall back to the defaults. */
+  const mode = NOTATION_MODES.includes(notation && notation.mode) ? notation.mode : DEFAULT_NOTATION.mode;
+  const digits =
+    Number.isInteger(notation && notation.digits) &&
+    notation.digits >= minDigits(mode) &&
+    notation.digits <= MAX_NOTATION_DIGITS
+      ? notation.digits
+      : DEFAULT_NOTATION.digits;
+  return { mode, digits, siPrefixes: Boolean(notation && notation.siPrefixes) };
+}
+
+const exponentSuffix = (exponent) => `e${exponent < 0 ? "-" : "+"}${Math.abs(exponent)}`;
+
+// Rewrite "d.ddd" × 10^exp so the exponent is a multiple of 3 (1 to 3 integer digits).
+function toEngineering(n, { digits, siPrefixes }) {
+  const [mantissa, exponentText] = n.toExponential(digits - 1).split("e");
+  const exponent = Number(exponentText);
+  const shift = ((exponent % 3) + 3) % 3;
+  const engineeringExponent = exponent - shift;
+
+  const sign = mantissa.startsWith("-") ? "-" : "";
+  const significand = mantissa
+    .replace("-", "")
+    .replace(".", "")
+    .padEnd(shift + 1, "0");
+  const whole = significand.slice(0, shift + 1);
+  const fraction = significand.slice(shift + 1);
+  const shifted = `${sign}${whole}${fraction ? `.${fraction}` : ""}`;
+
+  const prefix = SI_PREFIXES[engineeringExponent];
+  if (siPrefixes && prefix !== undefined) return prefix ? `${shifted} ${prefix}` : shifted;
+  return `${shifted}${exponentSuffix(engineeringExponent)}`;
+}
+
+// PUBLIC_INTERFACE
+export function applyNotation(text, notation) {
+  /**
+   * Write a plain number string in the given notation. Anything else ("Error", hex digits) is returned as is,
+   * and so is everything in "auto" mode.
+   */
+  const normalized = normalizeNotation(notation);
+  const { mode, digits } = normalized;
+  if (mode === "auto" || !PLAIN_NUMBER.test(text)) return text;
+
+  const n = Number(text);
+  if (!Number.isFinite(n)) return text;
+
+  let out;
+  if (mode === "fixed") {
+    // toFixed switches to exponents itself from 1e21; keep the requested decimals there too.
+    out = Math.abs(n) < 1e21 ? n.toFixed(digits) : n.toExponential(digits);
+  } else if (mode === "scientific") {
+    const [mantissa, exponent] = n.toExponential(digits - 1).split("e");
+    out = `${mantissa}${exponentSuffix(Number(exponent))}`;
+  } else {
+    out = toEngineering(n, normalized);
+  }
+  // Rounding to zero should not leave a stray minus sign ("-0.00").
+  return out.startsWith("-") && Number(out.replace(/ \D+$/, "")) === 0 ? out.slice(1) : out;
+}
+
+// PUBLIC_INTERFACE
+export function applyNotationToText(line, notation) {
+  /** Apply the notation to every number inside a line like "1234.5 + 2 =". */
+  return line.replace(/\d+\.?\d*(?:e[+-]?\d+)?/gi, (number) => applyNotation(number, notation));
+}
+
+// PUBLIC_INTERFACE
+export function notationLabel(notation) {
+  /** Short header indicator ("FIX 4", "SCI 6", "ENG 3 SI"); empty for auto. */
+  const { mode, digits, siPrefixes } = normalizeNotation(notation);
+  if (mode === "auto") return "";
+  const name = { fixed: "FIX", scientific: "SCI", engineering: "ENG" }[mode];
+  return `${name} ${digits}${mode === "engineering" && siPrefixes ? " SI" : ""}`;
+}
+
+// PUBLIC_INTERFACE
+export function loadNotation(storage) {
+  /** Saved notation, normalized; the default when nothing usable is stored. */
+  return normalizeNotation(readJson(storage, NOTATION_STORAGE_KEY));
+}
+
+// PUBLIC_INTERFACE
+export function saveNotation(storage, notation) {
+  /** Persist the notation. */
+  writeJson(storage, NOTATION_STORAGE_KEY, notation);
+}
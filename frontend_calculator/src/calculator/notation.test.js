@@ -0,0 +1,69 @@
+import { fakeStorage } from './fakeStorage';
+import {
+  DEFAULT_NOTATION,
+  NOTATION_STORAGE_KEY,
+  applyNotation,
+  applyNotationToText,
+  loadNotation,
+  normalizeNotation,
+  notationLabel,
+  saveNotation,
+} from './notation';
+
+const fixed = (digits) => ({ mode: 'fixed', digits });
+const scientific = (digits) => ({ mode: 'scientific', digits });
+const engineering = (digits, siPrefixes = false) => ({ mode: 'engineering', digits, siPrefixes });
+
+describe('applyNotation', () => {
+  test.each([
+    ['1234.5', { mode: 'auto' }, '1234.5'],
+    ['1234.5', fixed(2), '1234.50'],
+    ['2.005', fixed(0), '2'],
+    ['-0.001', fixed(2), '0.00'],
+    ['1e+21', fixed(2), '1.00e+21'],
+    ['1234.5', scientific(4), '1.235e+3'],
+    ['0.00012', scientific(2), '1.2e-4'],
+    ['0', scientific(3), '0.00e+0'],
+    ['1234.5', engineering(4), '1.235e+3'],
+    ['123456', engineering(3), '123e+3'],
+    ['12345', engineering(2), '12e+3'],
+    ['100000', engineering(1), '100e+3'],
+    ['-0.0047', engineering(2), '-4.7e-3'],
+    ['4700', engineering(2, true), '4.7 k'],
+    ['0.0000047', engineering(2, true), '4.7 µ'],
+    ['12', engineering(3, true), '12.0'],
+    ['1e+30', engineering(1, true), '1e+30'],
+    ['Error', fixed(2), 'Error'],
+    ['FF', fixed(2), 'FF'],
+  ])('%s in %j → %s', (text, notation, expected) => {
+    expect(applyNotation(text, notation)).toBe(expected);
+  });
+
+  test('applyNotationToText formats every number in a line', () => {
+    expect(applyNotationToText('1.5 × (2 − 0.25) =', fixed(1))).toBe('1.5 × (2.0 − 0.3) =');
+  });
+});
+
+test('normalizeNotation repairs bad settings', () => {
+  expect(normalizeNotation(null)).toEqual(DEFAULT_NOTATION);
+  expect(normalizeNotation({ mode: 'fixed', digits: 0 })).toEqual({ mode: 'fixed', digits: 0, siPrefixes: false });
+  expect(normalizeNotation({ mode: 'scientific', digits: 0 }).digits).toBe(DEFAULT_NOTATION.digits);
+  expect(normalizeNotation({ mode: 'roman', digits: 99 })).toEqual(DEFAULT_NOTATION);
+});
+
+test('notationLabel is empty only in auto mode', () => {
+  expect(notationLabel(DEFAULT_NOTATION)).toBe('');
+  expect(notationLabel(fixed(4))).toBe('FIX 4');
+  expect(notationLabel(scientific(6))).toBe('SCI 6');
+  expect(notationLabel(engineering(3, true))).toBe('ENG 3 SI');
+});
+
+test('saveNotation and loadNotation round-trip; bad data means the default', () => {
+  const storage = fakeStorage();
+  const { data } = storage;
+  expect(loadNotation(storage)).toEqual(DEFAULT_NOTATION);
+  saveNotation(storage, engineering(3, true));
+  expect(loadNotation(storage)).toEqual(engineering(3, true));
+  data[NOTATION_STORAGE_KEY] = '{broken';
+  expect(loadNotation(storage)).toEqual(DEFAULT_NOTATION);
+});
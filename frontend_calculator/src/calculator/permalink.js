@@ -0,0 +1,141 @@
+/**
+ * Shareable permalinks: the calculation on screen as a URL hash, read back with strict validation.
+ *
+ * A link looks like "#display=4&op=*&prev=5&expr=2+%2B+3&result=5": the display, the pending operator with its
+ * left operand, and the last completed calculation (expression and result). Values are plain decimal strings, so
+ * a link opens in any arithmetic. Hashes without a "display" field are not permalinks and are left alone; a
+ * permalink with anything unexpected in it is rejected as a whole, so a malformed or hostile link never reaches
+ * the engine. The calculation is worked out again when the link is opened, so a link cannot put a made-up result
+ * on the history tape.
+ */
+
+import { parseDecimal, toDecimalString } from "./bigDecimal";
+import { formatTokens } from "./expression";
+import { FINANCIAL_OPERATORS } from "./financial";
+import { readItem, writeItem } from "./storage";
+import { opSymbol } from "./symbols";
+
+// PUBLIC_INTERFACE
+export const PERMALINK_STORAGE_KEY = "ocean-calculator.permalink";
+
+// PUBLIC_INTERFACE
+export const LINK_OPERATORS = ["+", "-", "*", "/", "^", "root", ...FINANCIAL_OPERATORS];
+
+const FIELDS = ["display", "op", "prev", "expr", "result"];
+
+// Longer hashes are not links this calculator wrote.
+const MAX_HASH_LENGTH = 1000;
+const MAX_VALUE_LENGTH = 120;
+
+const VALUE_RE = /^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/;
+
+const SYMBOL_OPS = Object.fromEntries(LINK_OPERATORS.map((op) => [opSymbol(op), op]));
+
+// Numbers past the float range ("1e400") are refused: float mode could only show them as "Error".
+const isValue = (text) =>
+  text.length <= MAX_VALUE_LENGTH &&
+  VALUE_RE.test(text) &&
+  parseDecimal(text) !== null &&
+  Number.isFinite(Number(text));
+
+const sameValue = (a, b) => toDecimalString(parseDecimal(a)) === toDecimalString(parseDecimal(b));
+
+// Rebuild { tokens, calculation: { expression, operands, operators } } from an expression as formatTokens writes
+// it, e.g. "2 + 3 × (4 − 1)"; null unless the text is exactly that form.
+function parseExpression(expression) {
+  const tokens = [];
+  const re = /\s*(?:(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)|(\()|(\))|([^\s()]+))/y;
+  let match;
+  while (re.lastIndex < expression.length && (match = re.exec(expression))) {
+    const [, number, lparen, rparen, symbol] = match;
+    if (number !== undefined) {
+      if (!isValue(number)) return null;
+      tokens.push({ type: "number", value: number });
+    } else if (lparen !== undefined) tokens.push({ type: "lparen" });
+    else if (rparen !== undefined) tokens.push({ type: "rparen" });
+    else if (Object.prototype.hasOwnProperty.call(SYMBOL_OPS, symbol)) {
+      tokens.push({ type: "op", value: SYMBOL_OPS[symbol] });
+    } else return null;
+  }
+  const operators = tokens.filter((t) => t.type === "op").map((t) => t.value);
+  if (!operators.length || formatTokens(tokens) !== expression) return null;
+  const operands = tokens.filter((t) => t.type === "number").map((t) => t.value);
+  return { tokens, calculation: { expression, operands, operators } };
+}
+
+// PUBLIC_INTERFACE
+export function encodePermalink(link) {
+  /**
+   * The hash ("#display=…") for { display, pendingOp, prevValue, calculation } as returned by the engine's
+   * shareableState, or "" when there is nothing to share or the pending operator cannot be linked. A calculation
+   * with operators that cannot be linked (programmer mode) is left out.
+   */
+  if (!link) return "";
+  const params = new URLSearchParams({ display: link.display });
+  if (link.pendingOp) {
+    if (!LINK_OPERATORS.includes(link.pendingOp)) return "";
+    params.set("op", link.pendingOp);
+    params.set("prev", link.prevValue);
+  }
+  const { calculation } = link;
+  if (calculation && calculation.operators.every((op) => LINK_OPERATORS.includes(op))) {
+    params.set("expr", calculation.expression);
+    params.set("result", calculation.result);
+  }
+  return `#${params}`;
+}
+
+// PUBLIC_INTERFACE
+export function decodePermalink(hash, evaluate) {
+  /**
+   * Read a URL hash written by encodePermalink. Returns null when the hash is not a permalink,
+   * { ok: true, link: { display, pendingOp, prevValue, calculation } } or { ok: false, error }.
+   * evaluate(tokens) works out the link's calculation in the calculator that opens it (the engine's evaluatePaste
+   * with its state); a link whose result differs is rejected, and so is any calculation when evaluate is missing.
+   */
+  const text = String(hash ?? "").replace(/^#/, "");
+  if (text.length > MAX_HASH_LENGTH) return { ok: false, error: "Link is too long" };
+
+  const params = new URLSearchParams(text);
+  if (!params.has("display")) return null;
+
+  const fields = {};
+  for (const [key, value] of params) {
+    if (!FIELDS.includes(key)) return { ok: false, error: `Unknown link field "${key.slice(0, 20)}"` };
+    if (key in fields) return { ok: false, error: `Repeated link field "${key}"` };
+    fields[key] = value;
+  }
+
+  if (!isValue(fields.display)) return { ok: false, error: "Invalid display value" };
+  if ("op" in fields !== "prev" in fields) return { ok: false, error: "A pending operator needs its operand" };
+  if ("op" in fields && !LINK_OPERATORS.includes(fields.op)) return { ok: false, error: "Unknown operator" };
+  if ("prev" in fields && !isValue(fields.prev)) return { ok: false, error: "Invalid operand" };
+
+  let calculation = null;
+  if ("expr" in fields || "result" in fields) {
+    const parsed = "expr" in fields ? parseExpression(fields.expr) : null;
+    if (!parsed || !isValue(fields.result ?? "")) return { ok: false, error: "Invalid calculation" };
+    const worked = evaluate ? evaluate(parsed.tokens) : { ok: false };
+    if (!worked.ok || !sameValue(worked.value, fields.result)) {
+      return { ok: false, error: "The calculation does not give its result" };
+    }
+    calculation = { ...parsed.calculation, result: fields.result };
+  }
+
+  return {
+    ok: true,
+    link: { display: fields.display, pendingOp: fields.op ?? null, prevValue: fields.prev ?? null, calculation },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function loadPermalinkSetting(storage) {
+  /** Whether the URL follows the calculation; on unless turned off. */
+  return readItem(storage, PERMALINK_STORAGE_KEY) !== "off";
+}
+
+// PUBLIC_INTERFACE
+export function savePermalinkSetting(storage, enabled) {
+  /** Persist the permalink setting. */
+  writeItem(storage, PERMALINK_STORAGE_KEY, enabled ? "on" : "off");
+}
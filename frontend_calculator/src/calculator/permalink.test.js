@@ -0,0 +1,91 @@
+import { evaluatePaste, initialState } from './engine';
+import { brokenStorage, fakeStorage } from './fakeStorage';
+import {
+  PERMALINK_STORAGE_KEY,
+  decodePermalink,
+  encodePermalink,
+  loadPermalinkSetting,
+  savePermalinkSetting,
+} from './permalink';
+
+const calculation = {
+  expression: '2 + 3 × (4 − 1)',
+  operands: ['2', '3', '4', '1'],
+  operators: ['+', '*', '-'],
+  result: '11',
+};
+
+const evaluate = (tokens) => evaluatePaste(initialState, tokens);
+
+describe('encodePermalink and decodePermalink', () => {
+  test('round-trip the display, the pending operation and the last calculation', () => {
+    const link = { display: '-0.5', pendingOp: 'pctChange', prevValue: '1e+21', calculation };
+    const hash = encodePermalink(link);
+    expect(hash).toMatch(/^#display=-0\.5&op=pctChange&prev=1e%2B21&expr=/);
+    expect(decodePermalink(hash, evaluate)).toEqual({ ok: true, link });
+  });
+
+  test('leave out what cannot be linked', () => {
+    expect(encodePermalink(null)).toBe('');
+    expect(encodePermalink({ display: '5', pendingOp: 'and', prevValue: '3', calculation: null })).toBe('');
+    const bitwise = { expression: '5 AND 3', operands: ['5', '3'], operators: ['and'], result: '1' };
+    expect(encodePermalink({ display: '1', pendingOp: null, prevValue: null, calculation: bitwise })).toBe(
+      '#display=1'
+    );
+  });
+
+  test('hashes that are not permalinks are left alone', () => {
+    expect(decodePermalink('')).toBeNull();
+    expect(decodePermalink('#')).toBeNull();
+    expect(decodePermalink('#section-2')).toBeNull();
+    expect(decodePermalink('#op=%2B')).toBeNull();
+  });
+
+  test.each([
+    ['#display=', 'Invalid display value'],
+    ['#display=12abc', 'Invalid display value'],
+    ['#display=<script>alert(1)</script>', 'Invalid display value'],
+    ['#display=1e99999', 'Invalid display value'],
+    ['#display=1e400', 'Invalid display value'],
+    ['#display=-2e308', 'Invalid display value'],
+    [`#display=${'9'.repeat(200)}`, 'Invalid display value'],
+    ['#display=1&display=2', 'Repeated link field "display"'],
+    ['#display=1&__proto__=2', 'Unknown link field "__proto__"'],
+    ['#display=1&op=%2B', 'A pending operator needs its operand'],
+    ['#display=1&op=eval&prev=2', 'Unknown operator'],
+    ['#display=1&op=and&prev=2', 'Unknown operator'],
+    ['#display=1&op=%2B&prev=NaN', 'Invalid operand'],
+    ['#display=1&op=%2B&prev=1e400', 'Invalid operand'],
+    ['#display=1&expr=1e400+%2B+1&result=1e400', 'Invalid calculation'],
+    ['#display=5&expr=2+%2B+3', 'Invalid calculation'],
+    ['#display=5&result=5', 'Invalid calculation'],
+    ['#display=5&expr=2+%2B+3+%3D+alert(1)&result=5', 'Invalid calculation'],
+    ['#display=5&expr=2%2B3&result=5', 'Invalid calculation'],
+    ['#display=5&expr=5&result=5', 'Invalid calculation'],
+    [`#display=1&expr=${'1 + '.repeat(300)}1&result=1`, 'Link is too long'],
+  ])('rejects %s', (hash, error) => {
+    expect(decodePermalink(hash, evaluate)).toEqual({ ok: false, error });
+  });
+
+  test('the calculation has to give its result', () => {
+    const error = 'The calculation does not give its result';
+    expect(decodePermalink('#display=7&expr=1+%2B+2&result=7', evaluate)).toEqual({ ok: false, error });
+    expect(decodePermalink('#display=1&expr=1+%C3%B7+0&result=0', evaluate)).toEqual({ ok: false, error });
+    expect(decodePermalink('#display=3&expr=1+%2B+2&result=3')).toEqual({ ok: false, error });
+    expect(decodePermalink('#display=3&expr=1+%2B+2&result=3.0', evaluate)).toMatchObject({
+      ok: true,
+      link: { calculation: { expression: '1 + 2', result: '3.0' } },
+    });
+    expect(decodePermalink('#display=3', () => ({ ok: false }))).toMatchObject({ ok: true });
+  });
+});
+
+test('saved permalink setting defaults to on', () => {
+  const storage = fakeStorage();
+  const { data } = storage;
+  expect(loadPermalinkSetting(storage)).toBe(true);
+  savePermalinkSetting(storage, false);
+  expect(data[PERMALINK_STORAGE_KEY]).toBe('off');
+  expect(loadPermalinkSetting(storage)).toBe(false);
+  expect(loadPermalinkSetting(brokenStorage)).toBe(true);
+});
@@ -0,0 +1,129 @@
+/**
+ * Programmer (integer) arithmetic on BigInt with a fixed word size.
+ *
+ * A word is { wordSize: 8 | 16 | 32 | 64, signed }. Every result wraps to the word like a machine
+ * register (two's complement for signed words). Non-decimal bases show the raw bit pattern, so -1 in
+ * an 8-bit signed word is "FF" in HEX and "-1" in DEC.
+ */
+
+// PUBLIC_INTERFACE
+export const BASES = Object.freeze({ hex: 16, dec: 10, oct: 8, bin: 2 });
+
+// PUBLIC_INTERFACE
+export const WORD_SIZES = [8, 16, 32, 64];
+
+// PUBLIC_INTERFACE
+export const BITWISE_OPERATORS = ["and", "or", "xor", "nand", "shl", "shr", "rol", "ror"];
+
+const PREFIX = { 16: "0x", 8: "0o", 2: "0b" };
+
+// PUBLIC_INTERFACE
+export function wrap(n, { wordSize, signed }) {
+  /** Wrap a BigInt into the word (overflow wraps around). */
+  return signed ? BigInt.asIntN(wordSize, n) : BigInt.asUintN(wordSize, n);
+}
+
+// PUBLIC_INTERFACE
+export function parseInteger(text, radix) {
+  /** Parse digits in the given radix (optional leading "-"); returns a BigInt or null. */
+  const negative = text.startsWith("-");
+  const digits = negative ? text.slice(1) : text;
+  const valid = { 16: /^[0-9A-F]+$/i, 10: /^\d+$/, 8: /^[0-7]+$/, 2: /^[01]+$/ }[radix];
+  if (!valid || !valid.test(digits)) return null;
+
+  const n = BigInt(radix === 10 ? digits : PREFIX[radix] + digits);
+  return negative ? -n : n;
+}
+
+// PUBLIC_INTERFACE
+export function formatInteger(n, radix, word) {
+  /** DEC shows the word's value; other bases show its unsigned bit pattern in upper case. */
+  const wrapped = wrap(n, word);
+  if (radix === 10) return wrapped.toString();
+  return BigInt.asUintN(word.wordSize, wrapped).toString(radix).toUpperCase();
+}
+
+// PUBLIC_INTERFACE
+export function fitsWord(text, radix, { wordSize, signed }) {
+  /** Whether typed digits fit the word without wrapping (used to stop entry at the word's width). */
+  const n = parseInteger(text, radix);
+  if (n === null) return true; // partial entries like "-" are fine
+  if (radix !== 10) return n >= BigInt(0) && n < BigInt(2) ** BigInt(wordSize);
+  return wrap(n, { wordSize, signed }) === n;
+}
+
+const rotateLeft = (n, count, { wordSize }) => {
+  const bits = BigInt(wordSize);
+  const k = ((count % bits) + bits) % bits;
+  const pattern = BigInt.asUintN(wordSize, n);
+  return BigInt.asUintN(wordSize, (pattern << k) | (pattern >> (bits - k)));
+};
+
+const shift = (n, count, op, { wordSize }) => {
+  // Shifting by the word size or more clears every bit (or fills with the sign for >> on negatives).
+  const k = count > BigInt(wordSize) ? BigInt(wordSize) : count;
+  return op === "shl" ? n << k : n >> k;
+};
+
+// PUBLIC_INTERFACE
+export function computeInteger(a, op, b, word) {
+  /**
+   * Apply an arithmetic or bitwise operator to BigInts. Results are wrapped to the word.
+   * Returns { ok, value } or { ok: false, error }.
+   */
+  let value;
+  switch (op) {
+    case "+":
+      value = a + b;
+      break;
+    case "-":
+      value = a - b;
+      break;
+    case "*":
+      value = a * b;
+      break;
+    case "/":
+      if (b === BigInt(0)) return { ok: false, error: "Cannot divide by zero" };
+      value = a / b; // truncates toward zero
+      break;
+    case "and":
+      value = a & b;
+      break;
+    case "or":
+      value = a | b;
+      break;
+    case "xor":
+      value = a ^ b;
+      break;
+    case "nand":
+      value = ~(a & b);
+      break;
+    case "shl":
+    case "shr":
+      if (b < BigInt(0)) return { ok: false, error: "Shift amount must not be negative" };
+      value = shift(a, b, op, word);
+      break;
+    case "rol":
+      value = rotateLeft(a, b, word);
+      break;
+    case "ror":
+      value = rotateLeft(a, -b, word);
+      break;
+    default:
+      return { ok: false, error: "Not available in programmer mode" };
+  }
+  return { ok: true, value: wrap(value, word) };
+}
+
+// PUBLIC_INTERFACE
+export function bitwiseNot(n, word) {
+  /** Flip every bit of the word. */
+  return wrap(~n, word);
+}
+
+// PUBLIC_INTERFACE
+export function toggleBit(n, bit, word) {
+  /** Flip one bit (0 = least significant); bits outside the word are ignored. */
+  if (!Number.isInteger(bit) || bit < 0 || bit >= word.wordSize) return wrap(n, word);
+  return wrap(n ^ (BigInt(1) << BigInt(bit)), word);
+}
@@ -0,0 +1,86 @@
+import { bitwiseNot, computeInteger, fitsWord, formatInteger, parseInteger, toggleBit, wrap } from './programmer';
+
+const n = (value) => BigInt(value);
+const byte = { wordSize: 8, signed: true };
+const ubyte = { wordSize: 8, signed: false };
+
+const value = (result) => {
+  expect(result.ok).toBe(true);
+  return result.value;
+};
+
+describe('word handling', () => {
+  test('wrap overflows like a register', () => {
+    expect(wrap(n(128), byte)).toBe(n(-128));
+    expect(wrap(n(-1), ubyte)).toBe(n(255));
+    expect(wrap(n(256), ubyte)).toBe(n(0));
+    expect(wrap(n(2) ** n(63), { wordSize: 64, signed: true })).toBe(-(n(2) ** n(63)));
+  });
+
+  test('parseInteger reads each base and rejects foreign digits', () => {
+    expect(parseInteger('ff', 16)).toBe(n(255));
+    expect(parseInteger('-17', 8)).toBe(n(-15));
+    expect(parseInteger('1010', 2)).toBe(n(10));
+    expect(parseInteger('19', 8)).toBeNull();
+    expect(parseInteger('A', 10)).toBeNull();
+    expect(parseInteger('-', 10)).toBeNull();
+  });
+
+  test('formatInteger shows the bit pattern outside decimal', () => {
+    expect(formatInteger(n(-1), 16, byte)).toBe('FF');
+    expect(formatInteger(n(-1), 10, byte)).toBe('-1');
+    expect(formatInteger(n(-1), 10, ubyte)).toBe('255');
+    expect(formatInteger(n(5), 2, byte)).toBe('101');
+    expect(formatInteger(n(8), 8, byte)).toBe('10');
+  });
+
+  test('fitsWord stops entry at the word width', () => {
+    expect(fitsWord('FF', 16, byte)).toBe(true);
+    expect(fitsWord('100', 16, byte)).toBe(false);
+    expect(fitsWord('127', 10, byte)).toBe(true);
+    expect(fitsWord('128', 10, byte)).toBe(false);
+    expect(fitsWord('255', 10, ubyte)).toBe(true);
+    expect(fitsWord('-', 10, byte)).toBe(true);
+  });
+});
+
+describe('computeInteger', () => {
+  test.each([
+    [7, '+', 1, byte, 8],
+    [127, '+', 1, byte, -128],
+    [0, '-', 1, ubyte, 255],
+    [16, '*', 16, ubyte, 0],
+    [-7, '/', 2, byte, -3],
+    [12, 'and', 10, ubyte, 8],
+    [12, 'or', 10, ubyte, 14],
+    [12, 'xor', 10, ubyte, 6],
+    [12, 'nand', 10, ubyte, 247],
+    [1, 'shl', 7, byte, -128],
+    [1, 'shl', 100, ubyte, 0],
+    [-128, 'shr', 1, byte, -64],
+    [128, 'shr', 1, ubyte, 64],
+    [-128, 'shr', 100, byte, -1],
+    [129, 'rol', 1, ubyte, 3],
+    [129, 'ror', 1, ubyte, 192],
+    [1, 'rol', 9, ubyte, 2],
+    [-127, 'ror', 1, byte, -64],
+  ])('%d %s %d in %j = %d', (a, op, b, word, expected) => {
+    expect(value(computeInteger(n(a), op, n(b), word))).toBe(n(expected));
+  });
+
+  test.each([
+    [1, '/', 0, 'Cannot divide by zero'],
+    [1, 'shl', -1, 'Shift amount must not be negative'],
+    [2, '^', 3, 'Not available in programmer mode'],
+  ])('%d %s %d reports %p', (a, op, b, error) => {
+    expect(computeInteger(n(a), op, n(b), byte)).toEqual({ ok: false, error });
+  });
+});
+
+test('bitwiseNot and toggleBit stay inside the word', () => {
+  expect(bitwiseNot(n(0), byte)).toBe(n(-1));
+  expect(bitwiseNot(n(0), ubyte)).toBe(n(255));
+  expect(toggleBit(n(0), 7, byte)).toBe(n(-128));
+  expect(toggleBit(n(5), 0, ubyte)).toBe(n(4));
+  expect(toggleBit(n(5), 8, ubyte)).toBe(n(5));
+});
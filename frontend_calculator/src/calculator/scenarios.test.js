@@ -0,0 +1,31 @@
+import { calculatorReducer, initialState } from './engine';
+import { SCENARIOS, expandKeys } from './scenarios';
+
+const ACTIONS = {
+  '+': { type: 'op', value: '+' },
+  '-': { type: 'op', value: '-' },
+  '*': { type: 'op', value: '*' },
+  '/': { type: 'op', value: '/' },
+  '=': { type: 'equals' },
+  '%': { type: 'percent' },
+  '.': { type: 'decimal' },
+  '±': { type: 'sign' },
+  AC: { type: 'clear' },
+  CE: { type: 'clearEntry' },
+  '⌫': { type: 'backspace' },
+};
+
+const toAction = (key) => (/^\d$/.test(key) ? { type: 'digit', value: Number(key) } : ACTIONS[key]);
+
+describe.each(Object.entries(SCENARIOS))('%s scenarios', (name, scenarios) => {
+  test.each(scenarios)('$keys → $display', ({ keys, display, previousLine, error }) => {
+    const actions = expandKeys(keys).map(toAction);
+    expect(actions).not.toContain(undefined);
+
+    const state = actions.reduce(calculatorReducer, initialState);
+    expect(state.display).toBe(display);
+    if (previousLine !== undefined) expect(state.previousLine).toBe(previousLine);
+    expect(state.error).toBe(Boolean(error));
+    if (error) expect(state.errorMessage).toBe(error);
+  });
+});
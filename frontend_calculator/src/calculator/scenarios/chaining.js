@@ -0,0 +1,25 @@
+// Operators, chaining and repeated equals (setOperator / evaluateEquals).
+const chaining = [
+  { keys: "2 + 3 =", display: "5", previousLine: "" },
+  { keys: "2 +", display: "2", previousLine: "2 +" },
+  { keys: "2 + 3 *", display: "5", previousLine: "5 ×" },
+  { keys: "2 + 3 * 4 =", display: "20" },
+  { keys: "10 - 4 / 2 =", display: "3" },
+  { keys: "9 + -", display: "9", previousLine: "9 −" },
+  { keys: "9 + - 4 =", display: "5" },
+  { keys: "2 + =", display: "4" },
+  { keys: "4 =", display: "4" },
+  { keys: "2 + 3 = = =", display: "11" },
+  { keys: "2 * 3 = =", display: "18" },
+  { keys: "10 - 2 = = 5 =", display: "3" },
+  { keys: "2 + 3 = * 4 =", display: "20" },
+  { keys: "2 + 3 = + =", display: "10" },
+  { keys: "8 / 0 =", display: "Error", error: "Cannot divide by zero" },
+  { keys: "8 / 0 +", display: "Error", error: "Cannot divide by zero" },
+  { keys: "8 / 0 + 1 =", display: "1" },
+  { keys: "8 / 0 = 3 + 4 =", display: "7", previousLine: "" },
+  { keys: "8 / 0 = +", display: "Error", error: "Cannot divide by zero" },
+  { keys: "8 / 0 = AC", display: "0", previousLine: "" },
+];
+
+export default chaining;
@@ -0,0 +1,42 @@
+// Percent, sign toggling, backspace and clear entry.
+const editing = [
+  { keys: "200 + 10 %", display: "20", previousLine: "200 +" },
+  { keys: "200 + 10 % =", display: "220" },
+  { keys: "200 - 10 % =", display: "180" },
+  { keys: "50 %", display: "0.5" },
+  { keys: "5 %", display: "0.05" },
+  { keys: "5 % 3", display: "3" },
+  { keys: "±", display: "-0" },
+  { keys: "± 5", display: "-5" },
+  { keys: "0. ±", display: "-0." },
+  { keys: "0. ± ±", display: "0." },
+  { keys: "0. ± 5", display: "-0.5" },
+  { keys: "± ±", display: "0" },
+  { keys: "12 ±", display: "-12" },
+  { keys: "12 ± ±", display: "12" },
+  { keys: "2 + 3 = ±", display: "-5" },
+  { keys: "0 ± * 1 =", display: "0" },
+  { keys: "123 ⌫", display: "12" },
+  { keys: "1 ⌫", display: "0" },
+  { keys: "7 ± ⌫", display: "0" },
+  { keys: "0. ⌫", display: "0" },
+  { keys: "2 + 3 = ⌫", display: "0" },
+  { keys: "2 + ⌫", display: "0", previousLine: "2 +" },
+  { keys: "2 + 3 = ⌫ 4", display: "4" },
+  { keys: "8 / 0 = ⌫", display: "0", previousLine: "" },
+  { keys: "1 . . 5", display: "1.5" },
+  { keys: "00 7", display: "7" },
+  { keys: "12 + 34 CE", display: "0", previousLine: "12 +" },
+  { keys: "12 + 34 CE 5 =", display: "17" },
+  { keys: "12 + CE =", display: "12" },
+  { keys: "12 ± CE", display: "0" },
+  { keys: "0. CE 5", display: "5" },
+  { keys: "2 + 3 = = CE", display: "0" },
+  { keys: "2 + 3 = = CE =", display: "3" },
+  { keys: "2 + 3 = = CE 4 =", display: "7" },
+  { keys: "8 / 0 = CE", display: "0", previousLine: "" },
+  { keys: "8 / 0 = CE 3 + 4 =", display: "7" },
+  { keys: "12 + 3 CE AC", display: "0", previousLine: "" },
+];
+
+export default editing;
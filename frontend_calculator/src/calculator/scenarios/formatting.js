@@ -0,0 +1,18 @@
+// Float results shown without binary floating point tails.
+const formatting = [
+  { keys: "0.1 + 0.2 =", display: "0.3" },
+  { keys: "1 - 0.9 =", display: "0.1" },
+  { keys: "0.1 * 3 =", display: "0.3" },
+  { keys: "1 / 3 =", display: "0.3333333333" },
+  { keys: "2 / 3 =", display: "0.6666666667" },
+  { keys: "10 / 4 =", display: "2.5" },
+  { keys: "5 - 5 =", display: "0" },
+  { keys: "0.5 - 1 =", display: "-0.5" },
+  { keys: "1.50 + 1 =", display: "2.5" },
+  { keys: "1.50", display: "1.50" },
+  { keys: "0.00000000001 * 1 =", display: "0" },
+  { keys: "1000000 * 1000000 * 1000000 * 1000 =", display: "1e+21" },
+  { keys: "123456789 * 1000 =", display: "123456789000" },
+];
+
+export default formatting;
@@ -0,0 +1,26 @@
+/**
+ * Table-driven key scenarios, run against both the engine (../scenarios.test.js) and the UI (../../App.test.js).
+ *
+ * A scenario is { keys, display, previousLine?, error? }:
+ * - keys: space-separated key presses; numbers are typed digit by digit ("12.5"), and the other keys are
+ *   + - * / = % . ± (toggle sign) AC (clear all) CE (clear entry) ⌫ (backspace)
+ * - display: the raw display afterwards
+ * - previousLine: the raw line above it (omitted = not checked)
+ * - error: the Error message, when the scenario ends in the Error state
+ */
+
+import chaining from "./chaining";
+import editing from "./editing";
+import formatting from "./formatting";
+
+// PUBLIC_INTERFACE
+export const SCENARIOS = { chaining, editing, formatting };
+
+// PUBLIC_INTERFACE
+export function expandKeys(keys) {
+  /** Split a scenario's keys into single presses ("12 +" → ["1", "2", "+"]). */
+  return keys
+    .trim()
+    .split(/\s+/)
+    .flatMap((group) => (/^[\d.]+$/.test(group) ? [...group] : [group]));
+}
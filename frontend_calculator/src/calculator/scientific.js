@@ -0,0 +1,91 @@
+/**
+ * Scientific functions on native numbers.
+ *
+ * Every function returns { ok, value } or { ok: false, error } where error says what went wrong
+ * (e.g. "ln is undefined for zero or negative numbers"), so the engine can show it in the Error state.
+ */
+
+// PUBLIC_INTERFACE
+export const ANGLE_UNITS = ["deg", "rad", "grad"];
+
+// PUBLIC_INTERFACE
+export const CONSTANTS = Object.freeze({ pi: Math.PI, e: Math.E });
+
+const FULL_TURN = { deg: 360, rad: 2 * Math.PI, grad: 400 };
+const QUARTER_TURN_LABEL = { deg: "90°", rad: "π/2", grad: "100 grad" };
+const EPSILON = 1e-12;
+const MAX_FACTORIAL = 170; // 171! overflows a double
+
+const ok = (value) => (Number.isFinite(value) ? { ok: true, value } : { ok: false, error: "Result out of range" });
+const fail = (error) => ({ ok: false, error });
+
+const toRadians = (x, unit) => (x / FULL_TURN[unit]) * 2 * Math.PI;
+const fromRadians = (x, unit) => (x / (2 * Math.PI)) * FULL_TURN[unit];
+
+// Position within a half turn, in quarter turns: 1 means an odd multiple of a quarter turn where tan is undefined.
+const quarterTurns = (x, unit) => {
+  const q = Math.abs((x / FULL_TURN[unit]) * 4) % 2;
+  return Math.abs(q - 1) < EPSILON;
+};
+
+const inverseTrig = (name, fn) => (x, unit) =>
+  x < -1 || x > 1 ? fail(`${name} is only defined for values between −1 and 1`) : ok(fromRadians(fn(x), unit));
+
+const logarithm = (name, fn) => (x) => (x <= 0 ? fail(`${name} is undefined for zero or negative numbers`) : ok(fn(x)));
+
+function factorial(n) {
+  if (!Number.isInteger(n) || n < 0) return fail("n! needs a non-negative whole number");
+  if (n > MAX_FACTORIAL) return fail("Result out of range");
+  let value = 1;
+  for (let i = 2; i <= n; i += 1) value *= i;
+  return ok(value);
+}
+
+const FUNCTIONS = {
+  sin: (x, unit) => ok(Math.sin(toRadians(x, unit))),
+  cos: (x, unit) => ok(Math.cos(toRadians(x, unit))),
+  tan: (x, unit) =>
+    quarterTurns(x, unit)
+      ? fail(`tan is undefined at odd multiples of ${QUARTER_TURN_LABEL[unit]}`)
+      : ok(Math.tan(toRadians(x, unit))),
+  asin: inverseTrig("sin⁻¹", Math.asin),
+  acos: inverseTrig("cos⁻¹", Math.acos),
+  atan: (x, unit) => ok(fromRadians(Math.atan(x), unit)),
+  ln: logarithm("ln", Math.log),
+  log10: logarithm("log", Math.log10),
+  square: (x) => ok(x * x),
+  sqrt: (x) => (x < 0 ? fail("Square root of a negative number") : ok(Math.sqrt(x))),
+  reciprocal: (x) => (x === 0 ? fail("Cannot divide by zero") : ok(1 / x)),
+  factorial,
+};
+
+// PUBLIC_INTERFACE
+export const FUNCTION_NAMES = Object.keys(FUNCTIONS);
+
+// PUBLIC_INTERFACE
+export function applyFunction(name, x, angleUnit = "deg") {
+  /** Apply a unary scientific function; trig functions read and return angles in angleUnit. */
+  const fn = FUNCTIONS[name];
+  if (!fn) return fail("Unknown function");
+  if (!Number.isFinite(x)) return fail("Invalid operand");
+  return fn(x, angleUnit);
+}
+
+// PUBLIC_INTERFACE
+export function power(base, exponent) {
+  /** base ^ exponent; a negative base needs a whole-number exponent. */
+  if (base < 0 && !Number.isInteger(exponent)) return fail("Negative base needs a whole-number exponent");
+  if (base === 0 && exponent < 0) return fail("Cannot divide by zero");
+  return ok(Math.pow(base, exponent));
+}
+
+// PUBLIC_INTERFACE
+export function root(x, degree) {
+  /** The degree-th root of x (x ʸ√ y); odd roots of negative numbers are allowed. */
+  if (degree === 0) return fail("The 0th root is undefined");
+  if (x < 0) {
+    if (!Number.isInteger(degree) || degree % 2 === 0) return fail("Even root of a negative number");
+    return ok(-Math.pow(-x, 1 / degree));
+  }
+  return power(x, 1 / degree);
+}
@@ -0,0 +1,61 @@
+import { applyFunction, power, root } from './scientific';
+
+const value = (result) => {
+  expect(result.ok).toBe(true);
+  return result.value;
+};
+
+describe('applyFunction', () => {
+  test.each([
+    ['sin', 30, 'deg', 0.5],
+    ['cos', 60, 'deg', 0.5],
+    ['tan', 45, 'deg', 1],
+    ['sin', Math.PI / 2, 'rad', 1],
+    ['sin', 100, 'grad', 1],
+    ['asin', 1, 'deg', 90],
+    ['acos', 0, 'grad', 100],
+    ['atan', 1, 'rad', Math.PI / 4],
+    ['ln', Math.E, 'deg', 1],
+    ['log10', 1000, 'deg', 3],
+    ['square', -3, 'deg', 9],
+    ['sqrt', 16, 'deg', 4],
+    ['reciprocal', 4, 'deg', 0.25],
+    ['factorial', 5, 'deg', 120],
+    ['factorial', 0, 'deg', 1],
+  ])('%s(%d) in %s ≈ %d', (name, x, unit, expected) => {
+    expect(value(applyFunction(name, x, unit))).toBeCloseTo(expected, 10);
+  });
+
+  test.each([
+    ['ln', -1, 'deg', 'ln is undefined for zero or negative numbers'],
+    ['log10', 0, 'deg', 'log is undefined for zero or negative numbers'],
+    ['tan', 90, 'deg', 'tan is undefined at odd multiples of 90°'],
+    ['tan', -270, 'deg', 'tan is undefined at odd multiples of 90°'],
+    ['tan', Math.PI / 2, 'rad', 'tan is undefined at odd multiples of π/2'],
+    ['tan', 100, 'grad', 'tan is undefined at odd multiples of 100 grad'],
+    ['asin', 2, 'deg', 'sin⁻¹ is only defined for values between −1 and 1'],
+    ['sqrt', -4, 'deg', 'Square root of a negative number'],
+    ['reciprocal', 0, 'deg', 'Cannot divide by zero'],
+    ['factorial', 2.5, 'deg', 'n! needs a non-negative whole number'],
+    ['factorial', 171, 'deg', 'Result out of range'],
+    ['nope', 1, 'deg', 'Unknown function'],
+  ])('%s(%d) in %s fails with %p', (name, x, unit, error) => {
+    expect(applyFunction(name, x, unit)).toEqual({ ok: false, error });
+  });
+});
+
+describe('power and root', () => {
+  test('computes powers', () => {
+    expect(value(power(2, 10))).toBe(1024);
+    expect(value(power(-2, 3))).toBe(-8);
+    expect(power(-8, 0.5)).toEqual({ ok: false, error: 'Negative base needs a whole-number exponent' });
+    expect(power(0, -1)).toEqual({ ok: false, error: 'Cannot divide by zero' });
+  });
+
+  test('computes roots, including odd roots of negatives', () => {
+    expect(value(root(27, 3))).toBeCloseTo(3, 12);
+    expect(value(root(-27, 3))).toBeCloseTo(-3, 12);
+    expect(root(-16, 2)).toEqual({ ok: false, error: 'Even root of a negative number' });
+    expect(root(5, 0)).toEqual({ ok: false, error: 'The 0th root is undefined' });
+  });
+});
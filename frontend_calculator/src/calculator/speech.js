@@ -0,0 +1,97 @@
+/**
+ * Screen-reader announcements.
+ *
+ * speakText turns what the calculator shows into words ("12 × −3" → "12 times negative 3"), and describeChange
+ * picks what to announce between two renders: an error, a finished calculation ("12 plus 7 equals 19"), a new
+ * pending operation ("12 plus") or the entry being typed. Numbers are left as shown (grouped for the locale),
+ * which screen readers already read well.
+ *
+ * A snapshot is { display, previousLine, error, calculation, expression }:
+ * - display, previousLine: the text on screen
+ * - error: the error message, or null
+ * - calculation: the engine's last calculation object (compared by identity)
+ * - expression: that calculation's expression as shown
+ */
+
+const WORDS = {
+  "+": "plus",
+  "−": "minus",
+  "-": "minus",
+  "×": "times",
+  "÷": "divided by",
+  "/": "over",
+  "^": "to the power of",
+  "ʸ√": "root",
+  "%": "percent",
+  "!": "factorial",
+  "=": "equals",
+  "(": "open parenthesis",
+  ")": "close parenthesis",
+  "<<": "shift left",
+  ">>": "shift right",
+  AND: "and",
+  OR: "or",
+  XOR: "exclusive or",
+  NAND: "nand",
+  NOT: "not",
+  ROL: "rotate left",
+  ROR: "rotate right",
+  MU: "marked up by",
+  MG: "at a margin of",
+  "Δ%": "percent change to",
+  π: "pi",
+  // A trailing decimal separator while typing ("12.")
+  ".": "point",
+  ",": "point",
+};
+
+// Numbers (with grouping, decimals and an exponent), words and hex numbers, the multi-character operators,
+// then single characters.
+const TOKEN = /(\d(?:[\d.,'\u2019\u00a0\u202f]*\d)?(?:e[+-]?\d+)?(?![\dA-Za-z])|[\dA-Za-zπ]+|<<|>>|ʸ√|Δ%|\S)/g;
+
+const isOperand = (token) => token === ")" || token === "π" || !(token in WORDS);
+
+const speakNumber = (text) => {
+  const match = /^(.*?)e([+-]?)(\d+)$/.exec(text);
+  if (!match) return text;
+  return `${match[1]} times 10 to the power of ${match[2] === "-" ? "negative " : ""}${match[3]}`;
+};
+
+// PUBLIC_INTERFACE
+export function speakText(text) {
+  /** Words for a displayed line, e.g. "12 + −3 =" → "12 plus negative 3 equals". */
+  const tokens = String(text).match(TOKEN) || [];
+  const words = [];
+  tokens.forEach((token, i) => {
+    if (/^\d/.test(token)) {
+      words.push(speakNumber(token));
+      return;
+    }
+    // A minus sign with nothing to subtract from is a sign.
+    const previous = tokens[i - 1];
+    const isSign = (token === "−" || token === "-") && !(previous && isOperand(previous));
+    words.push(isSign ? "negative" : (WORDS[token] ?? token));
+  });
+  return words.join(" ");
+}
+
+// PUBLIC_INTERFACE
+export function describeChange(before, after) {
+  /**
+   * What to announce after a render, as { text, urgent } (urgent for errors), or null when nothing changed
+   * that is worth saying.
+   */
+  if (after.error) {
+    return after.error === before.error ? null : { text: after.error, urgent: true };
+  }
+  if (after.calculation && after.calculation !== before.calculation) {
+    return { text: `${speakText(after.expression)} equals ${speakText(after.display)}`, urgent: false };
+  }
+  if (after.previousLine && after.previousLine !== before.previousLine) {
+    return { text: speakText(after.previousLine), urgent: false };
+  }
+  if (after.display !== before.display) {
+    return { text: speakText(after.display), urgent: false };
+  }
+  return null;
+}
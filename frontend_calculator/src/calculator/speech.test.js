@@ -0,0 +1,64 @@
+import { describeChange, speakText } from './speech';
+
+test.each([
+  ['12 + 7', '12 plus 7'],
+  ['12 +', '12 plus'],
+  ['−3', 'negative 3'],
+  ['12 × −3 =', '12 times negative 3 equals'],
+  ['8 − 3', '8 minus 3'],
+  ['2 + 3 × (4 − 1)', '2 plus 3 times open parenthesis 4 minus 1 close parenthesis'],
+  ['(−2) ÷ 4', 'open parenthesis negative 2 close parenthesis divided by 4'],
+  ['2 ^ 10', '2 to the power of 10'],
+  ['1.25e+21', '1.25 times 10 to the power of 21'],
+  ['3e-7', '3 times 10 to the power of negative 7'],
+  ['1,234,567.5', '1,234,567.5'],
+  ['1\u202f234,5 + 1’000', '1\u202f234,5 plus 1’000'],
+  ['12.', '12 point'],
+  ['FF AND 0F', 'FF and 0F'],
+  ['FF − 1', 'FF minus 1'],
+  ['1 << 4', '1 shift left 4'],
+  ['80 MU 25', '80 marked up by 25'],
+  ['80 Δ% −100', '80 percent change to negative 100'],
+  ['-2 1/3 ×', 'negative 2 1 over 3 times'],
+])('speakText(%j)', (text, words) => {
+  expect(speakText(text)).toBe(words);
+});
+
+describe('describeChange', () => {
+  const calculation = { expression: '12 + 7' };
+  const snapshot = (changes) => ({
+    display: '0',
+    previousLine: '',
+    error: null,
+    calculation: null,
+    expression: '',
+    ...changes,
+  });
+
+  test('a finished calculation is read as a sentence', () => {
+    const before = snapshot({ display: '7', previousLine: '12 +' });
+    const after = snapshot({ display: '19', calculation, expression: '12 + 7' });
+    expect(describeChange(before, after)).toEqual({ text: '12 plus 7 equals 19', urgent: false });
+  });
+
+  test('repeated equals announces each new result', () => {
+    const first = snapshot({ display: '19', calculation, expression: '12 + 7' });
+    const again = snapshot({ display: '26', calculation: { expression: '19 + 7' }, expression: '19 + 7' });
+    expect(describeChange(first, again).text).toBe('19 plus 7 equals 26');
+  });
+
+  test('errors are urgent and announced once', () => {
+    const before = snapshot({ display: '0', previousLine: '8 ÷' });
+    const after = snapshot({ display: 'Error', error: 'Cannot divide by zero' });
+    expect(describeChange(before, after)).toEqual({ text: 'Cannot divide by zero', urgent: true });
+    expect(describeChange(after, { ...after })).toBeNull();
+  });
+
+  test('a pending operation, then the entry being typed', () => {
+    const typed = snapshot({ display: '12' });
+    const pending = snapshot({ display: '12', previousLine: '12 +' });
+    expect(describeChange(typed, pending).text).toBe('12 plus');
+    expect(describeChange(pending, { ...pending, display: '−7' }).text).toBe('negative 7');
+    expect(describeChange(pending, { ...pending })).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Statistics on a data list, plus localStorage persistence of the list.
+ *
+ * Shape: { data: [{ x, y }], pendingX } with values as plain decimal strings. y is null for single-variable
+ * points; pendingX is the x of a pair whose y is still being entered (it is not saved).
+ *
+ * Statistics are computed on native numbers, like ./scientific, and return { ok, value } or
+ * { ok: false, error } with a message for the Error state. One-variable statistics use the x values;
+ * regression needs every point to be an x,y pair.
+ */
+
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const STATISTICS_STORAGE_KEY = "ocean-calculator.statistics";
+
+// PUBLIC_INTERFACE
+export const MAX_DATA_POINTS = 1000;
+
+// PUBLIC_INTERFACE
+export const STATISTICS = [
+  { id: "count", label: "n", name: "Count" },
+  { id: "sum", label: "Σx", name: "Sum" },
+  { id: "mean", label: "x̄", name: "Mean" },
+  { id: "median", label: "Med", name: "Median" },
+  { id: "mode", label: "Mode", name: "Mode" },
+  { id: "min", label: "Min", name: "Minimum" },
+  { id: "max", label: "Max", name: "Maximum" },
+  { id: "popSd", label: "σx", name: "Population standard deviation" },
+  { id: "sampleSd", label: "sx", name: "Sample standard deviation" },
+  { id: "popVariance", label: "σ²", name: "Population variance" },
+  { id: "sampleVariance", label: "s²", name: "Sample variance" },
+  { id: "slope", label: "b", name: "Regression slope" },
+  { id: "intercept", label: "a", name: "Regression intercept" },
+  { id: "r", label: "r", name: "Correlation coefficient" },
+];
+
+// PUBLIC_INTERFACE
+export function createStatistics() {
+  /** An empty data list with no pair in progress. */
+  return { data: [], pendingX: null };
+}
+
+const ok = (value) => (Number.isFinite(value) ? { ok: true, value } : { ok: false, error: "Result out of range" });
+const fail = (error) => ({ ok: false, error });
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+const mean = (values) => sum(values) / values.length;
+// Sum of squared deviations from the mean, the numerator of the variance (two passes, for accuracy).
+const squaredDeviations = (values) => {
+  const m = mean(values);
+  return sum(values.map((v) => (v - m) ** 2));
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mode(values) {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  const highest = Math.max(...counts.values());
+  const modes = [...counts].filter(([, count]) => count === highest);
+  return modes.length === 1 ? ok(modes[0][0]) : fail("No single mode");
+}
+
+const ONE_VARIABLE = {
+  sum: (xs) => ok(sum(xs)),
+  mean: (xs) => ok(mean(xs)),
+  median: (xs) => ok(median(xs)),
+  mode,
+  min: (xs) => ok(Math.min(...xs)),
+  max: (xs) => ok(Math.max(...xs)),
+  popVariance: (xs) => ok(squaredDeviations(xs) / xs.length),
+  sampleVariance: (xs) =>
+    xs.length < 2 ? fail("Needs at least 2 values") : ok(squaredDeviations(xs) / (xs.length - 1)),
+  popSd: (xs) => ok(Math.sqrt(squaredDeviations(xs) / xs.length)),
+  sampleSd: (xs) =>
+    xs.length < 2 ? fail("Needs at least 2 values") : ok(Math.sqrt(squaredDeviations(xs) / (xs.length - 1))),
+};
+
+function regression(id, points) {
+  if (points.some((p) => p.y === null)) return fail("Regression needs x,y pairs");
+  if (points.length < 2) return fail("Regression needs at least 2 points");
+
+  const xs = points.map((p) => Number(p.x));
+  const ys = points.map((p) => Number(p.y));
+  const mx = mean(xs);
+  const my = mean(ys);
+  const sxx = squaredDeviations(xs);
+  const syy = squaredDeviations(ys);
+  const sxy = sum(xs.map((x, i) => (x - mx) * (ys[i] - my)));
+  if (sxx === 0) return fail("All x values are the same");
+
+  const slope = sxy / sxx;
+  if (id === "slope") return ok(slope);
+  if (id === "intercept") return ok(my - slope * mx);
+  return syy === 0 ? fail("All y values are the same") : ok(sxy / Math.sqrt(sxx * syy));
+}
+
+// PUBLIC_INTERFACE
+export function computeStatistic(id, data) {
+  /** One of the STATISTICS for a data list ([{ x, y }] with decimal strings). */
+  if (!STATISTICS.some((s) => s.id === id)) return fail("Unknown statistic");
+  if (id === "count") return ok(data.length);
+  if (data.length === 0) return fail("No data");
+  if (id in ONE_VARIABLE) return ONE_VARIABLE[id](data.map((p) => Number(p.x)));
+  return regression(id, data);
+}
+
+const isNumberString = (value) => typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value));
+
+const isDataPoint = (p) => p && isNumberString(p.x) && (p.y === null || isNumberString(p.y));
+
+// PUBLIC_INTERFACE
+export function loadStatistics(storage) {
+  /** Read the saved data list; missing or invalid data yields null so callers keep their defaults. */
+  const parsed = readJson(storage, STATISTICS_STORAGE_KEY);
+  if (!parsed || !Array.isArray(parsed.data) || !parsed.data.every(isDataPoint)) return null;
+  return {
+    data: parsed.data.slice(0, MAX_DATA_POINTS).map(({ x, y }) => ({ x, y })),
+    pendingX: null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function saveStatistics(storage, statistics) {
+  /** Persist the data list (not a pair in progress). */
+  writeJson(storage, STATISTICS_STORAGE_KEY, { data: statistics.data });
+}
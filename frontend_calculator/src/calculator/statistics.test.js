@@ -0,0 +1,91 @@
+import { fakeStorage } from './fakeStorage';
+import {
+  STATISTICS,
+  STATISTICS_STORAGE_KEY,
+  computeStatistic,
+  createStatistics,
+  loadStatistics,
+  saveStatistics,
+} from './statistics';
+
+const storageWith = (value) => fakeStorage({ [STATISTICS_STORAGE_KEY]: value });
+const values = (...xs) => xs.map((x) => ({ x: String(x), y: null }));
+const pairs = (...points) => points.map(([x, y]) => ({ x: String(x), y: String(y) }));
+
+const stat = (id, data) => {
+  const result = computeStatistic(id, data);
+  expect(result.ok).toBe(true);
+  return result.value;
+};
+
+describe('one-variable statistics', () => {
+  const data = values(2, 4, 4, 4, 5, 5, 7, 9);
+
+  test.each([
+    ['count', 8],
+    ['sum', 40],
+    ['mean', 5],
+    ['median', 4.5],
+    ['mode', 4],
+    ['min', 2],
+    ['max', 9],
+    ['popVariance', 4],
+    ['popSd', 2],
+    ['sampleVariance', 32 / 7],
+    ['sampleSd', Math.sqrt(32 / 7)],
+  ])('%s', (id, expected) => {
+    expect(stat(id, data)).toBeCloseTo(expected, 12);
+  });
+
+  test('the median of an odd count is the middle value', () => {
+    expect(stat('median', values(9, 1, 5))).toBe(5);
+  });
+
+  test('reports statistics that do not exist for the data', () => {
+    expect(stat('count', [])).toBe(0);
+    expect(computeStatistic('mean', [])).toEqual({ ok: false, error: 'No data' });
+    expect(computeStatistic('sampleSd', values(3))).toEqual({ ok: false, error: 'Needs at least 2 values' });
+    expect(computeStatistic('mode', values(1, 2, 2, 1))).toEqual({ ok: false, error: 'No single mode' });
+    expect(computeStatistic('bogus', values(1)).ok).toBe(false);
+  });
+});
+
+describe('linear regression', () => {
+  test('fits y = a + bx and the correlation', () => {
+    const data = pairs([1, 2], [2, 4.1], [3, 5.9], [4, 8.2]);
+    expect(stat('slope', data)).toBeCloseTo(2.04, 12);
+    expect(stat('intercept', data)).toBeCloseTo(-0.05, 12);
+    expect(stat('r', data)).toBeCloseTo(0.999, 4);
+    expect(stat('r', pairs([1, 3], [2, 1]))).toBeCloseTo(-1, 12);
+    // One-variable statistics use the x values.
+    expect(stat('mean', data)).toBe(2.5);
+  });
+
+  test('needs pairs and spread', () => {
+    expect(computeStatistic('slope', [...pairs([1, 2]), ...values(3)]).error).toBe('Regression needs x,y pairs');
+    expect(computeStatistic('slope', pairs([1, 2])).error).toBe('Regression needs at least 2 points');
+    expect(computeStatistic('intercept', pairs([1, 2], [1, 3])).error).toBe('All x values are the same');
+    expect(computeStatistic('r', pairs([1, 2], [2, 2])).error).toBe('All y values are the same');
+    expect(stat('slope', pairs([1, 2], [2, 2]))).toBe(0);
+  });
+});
+
+test('every statistic has a label and a name', () => {
+  STATISTICS.forEach(({ id, label, name }) => {
+    expect(typeof id).toBe('string');
+    expect(label).toBeTruthy();
+    expect(name).toBeTruthy();
+  });
+});
+
+test('saveStatistics and loadStatistics round-trip the data but not a pair in progress', () => {
+  const storage = fakeStorage();
+  const statistics = { data: [...values(1.5), ...pairs([2, 3])], pendingX: '7' };
+  saveStatistics(storage, statistics);
+  expect(loadStatistics(storage)).toEqual({ ...statistics, pendingX: null });
+
+  expect(loadStatistics(storageWith(null))).toBeNull();
+  expect(loadStatistics(storageWith('{broken'))).toBeNull();
+  expect(loadStatistics(storageWith(JSON.stringify({ data: [{ x: 'x', y: null }] })))).toBeNull();
+  expect(loadStatistics(storageWith(JSON.stringify({ data: [] })))).toEqual(createStatistics());
+});
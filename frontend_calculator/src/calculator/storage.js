@@ -0,0 +1,86 @@
+/**
+ * Reading and writing saved settings and data (localStorage or anything with getItem/setItem).
+ *
+ * Storage may be unavailable, full or blocked (private mode, quota). Reads then give null, like a missing key,
+ * and writes are skipped, so the calculator keeps working for the session with what it has in memory. Callers
+ * validate what they read; the helpers only guarantee it is a string (readItem) or parsed JSON (readJson).
+ * pageStorage stands in session-only storage where localStorage is blocked, and scopedStorage gives each calculator
+ * on a page its own keys.
+ */
+
+// PUBLIC_INTERFACE
+export function readItem(storage, key) {
+  /** The stored string, or null when there is none or storage cannot be read. */
+  try {
+    return storage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeItem(storage, key, value) {
+  /** Store a string; failures are ignored. */
+  try {
+    storage.setItem(key, value);
+  } catch {
+    // Not saved; the value still applies for this session.
+  }
+}
+
+// PUBLIC_INTERFACE
+export function readJson(storage, key) {
+  /** The stored value parsed as JSON, or null when there is none or it is not JSON. */
+  const text = readItem(storage, key);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeJson(storage, key, value) {
+  /** Store a value as JSON; failures are ignored. */
+  writeItem(storage, key, JSON.stringify(value));
+}
+
+// PUBLIC_INTERFACE
+export function memoryStorage() {
+  /** Storage-like items kept for the session only. */
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function pageStorage() {
+  /**
+   * window.localStorage, or memoryStorage() where the page may not have it: in a sandboxed iframe, or a
+   * third-party one with storage blocked, even reading window.localStorage throws.
+   */
+  try {
+    if (window.localStorage) return window.localStorage;
+  } catch {
+    // Blocked; fall through.
+  }
+  return memoryStorage();
+}
+
+// PUBLIC_INTERFACE
+export function scopedStorage(storage, namespace) {
+  /**
+   * A view of storage whose keys are prefixed with `${namespace}.`, so several calculators on one page keep their
+   * settings and data apart. Without a namespace (or with an empty one) the storage itself is returned.
+   */
+  if (typeof namespace !== "string" || namespace === "") return storage;
+  return {
+    getItem: (key) => storage.getItem(`${namespace}.${key}`),
+    setItem: (key, value) => storage.setItem(`${namespace}.${key}`, value),
+  };
+}
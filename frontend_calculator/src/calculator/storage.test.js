@@ -0,0 +1,49 @@
+import { brokenStorage, fakeStorage } from './fakeStorage';
+import { memoryStorage, pageStorage, readItem, readJson, scopedStorage, writeItem, writeJson } from './storage';
+
+test('strings and JSON round-trip', () => {
+  const storage = fakeStorage();
+  writeItem(storage, 'text', 'on');
+  writeJson(storage, 'json', { registers: ['1.5'], on: true });
+  expect(storage.data).toEqual({ text: 'on', json: '{"registers":["1.5"],"on":true}' });
+  expect(readItem(storage, 'text')).toBe('on');
+  expect(readJson(storage, 'json')).toEqual({ registers: ['1.5'], on: true });
+});
+
+test('missing keys and data that is not JSON read as null', () => {
+  const storage = fakeStorage({ broken: '{not json' });
+  expect(readItem(storage, 'missing')).toBeNull();
+  expect(readJson(storage, 'missing')).toBeNull();
+  expect(readJson(storage, 'broken')).toBeNull();
+});
+
+test('unavailable storage reads as empty and writes are skipped', () => {
+  expect(readItem(brokenStorage, 'key')).toBeNull();
+  expect(readJson(brokenStorage, 'key')).toBeNull();
+  expect(() => writeItem(brokenStorage, 'key', 'value')).not.toThrow();
+  expect(() => writeJson(brokenStorage, 'key', {})).not.toThrow();
+});
+
+test('scoped storage keeps each namespace to its own keys', () => {
+  const storage = fakeStorage({ history: 'shared' });
+  const invoice = scopedStorage(storage, 'invoice');
+  expect(readItem(invoice, 'history')).toBeNull();
+  writeItem(invoice, 'history', 'mine');
+  expect(storage.data).toEqual({ history: 'shared', 'invoice.history': 'mine' });
+  expect(readItem(scopedStorage(storage, 'invoice'), 'history')).toBe('mine');
+  expect(scopedStorage(storage, '')).toBe(storage);
+  expect(scopedStorage(storage)).toBe(storage);
+  expect(readItem(scopedStorage(brokenStorage, 'invoice'), 'history')).toBeNull();
+});
+
+test('page storage falls back to session-only storage where localStorage is blocked', () => {
+  expect(pageStorage()).toBe(window.localStorage);
+  const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+    throw new DOMException('The operation is insecure.', 'SecurityError');
+  });
+  const storage = pageStorage();
+  writeItem(storage, 'history', '[]');
+  expect(readItem(storage, 'history')).toBe('[]');
+  expect(readItem(memoryStorage(), 'history')).toBeNull();
+  blocked.mockRestore();
+});
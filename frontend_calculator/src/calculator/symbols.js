@@ -0,0 +1,37 @@
+// PUBLIC_INTERFACE
+export function opSymbol(op) {
+  /** Display symbol for an operator code. */
+  switch (op) {
+    case "*":
+      return "×";
+    case "/":
+      return "÷";
+    case "+":
+      return "+";
+    case "-":
+      return "−";
+    case "root":
+      return "ʸ√";
+    case "and":
+    case "or":
+    case "xor":
+    case "nand":
+      return op.toUpperCase();
+    case "shl":
+      return "<<";
+    case "shr":
+      return ">>";
+    case "rol":
+      return "ROL";
+    case "ror":
+      return "ROR";
+    case "markup":
+      return "MU";
+    case "margin":
+      return "MG";
+    case "pctChange":
+      return "Δ%";
+    default:
+      return op;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Adding-machine tape: the entries and operators of each calculation as line items, plus localStorage
+ * persistence and CSV export.
+ *
+ * Shape: { on, lines } where `on` says whether the engine records and each line is one of
+ * - { op: null, value, note? }: an entry that starts a new group (a fresh calculation); note is the expression
+ *   an expression-entry result came from
+ * - { op, value }: an entry applied to the running subtotal with a binary operator ("+", "-", "*", "/", …)
+ * - { op: "=" }: a subtotal line
+ * with values as plain decimal strings, and an `id` no other line on the tape has, so a list can follow a line
+ * through edits and deletions. Subtotals are never stored: computeTape folds the lines left to right,
+ * like an adding machine, so editing or deleting a line recomputes everything after it. The grand total adds up
+ * the final subtotal of every group.
+ */
+
+import { parseDecimal } from "./bigDecimal";
+import { FINANCIAL_OPERATORS } from "./financial";
+import { BITWISE_OPERATORS } from "./programmer";
+import { readJson, writeJson } from "./storage";
+import { opSymbol } from "./symbols";
+
+// PUBLIC_INTERFACE
+export const TAPE_STORAGE_KEY = "ocean-calculator.tape";
+
+// PUBLIC_INTERFACE
+export const MAX_TAPE_LINES = 1000;
+
+// PUBLIC_INTERFACE
+export const TAPE_OPERATORS = ["+", "-", "*", "/"];
+
+const KNOWN_OPERATORS = [...TAPE_OPERATORS, "^", "root", ...FINANCIAL_OPERATORS, ...BITWISE_OPERATORS];
+
+const MAX_NOTE_LENGTH = 500;
+
+// PUBLIC_INTERFACE
+export function createTape() {
+  /** An empty tape that is not recording. */
+  return { on: false, lines: [] };
+}
+
+// PUBLIC_INTERFACE
+export function computeTape(lines, arith) {
+  /**
+   * Run the tape in an arithmetic (the engine's adapter: zero, deserialize, compute, serialize). Returns
+   * { subtotals, total, grandTotal }: subtotals[i] is the running subtotal after line i, total the one after the
+   * last line (null for an empty tape) and grandTotal the sum of every group's total, each as { ok, value } with
+   * a plain decimal string or { ok: false, error }. An error carries on to the end of its group.
+   */
+  const groupTotals = [];
+  const subtotals = [];
+  let running = null;
+  for (const line of lines) {
+    if (line.op === null) {
+      if (running) groupTotals.push(running);
+      running = { ok: true, value: arith.deserialize(line.value) };
+    } else if (line.op !== "=") {
+      const lhs = running ?? { ok: true, value: arith.zero };
+      running = lhs.ok ? arith.compute(lhs.value, line.op, arith.deserialize(line.value)) : lhs;
+    }
+    subtotals.push(running ?? { ok: true, value: arith.zero });
+  }
+  if (running) groupTotals.push(running);
+
+  let grandTotal = { ok: true, value: arith.zero };
+  for (const total of groupTotals) {
+    grandTotal = total.ok ? arith.compute(grandTotal.value, "+", total.value) : total;
+    if (!grandTotal.ok) break;
+  }
+
+  const plain = (result) =>
+    result.ok ? { ok: true, value: arith.serialize(result.value) } : { ok: false, error: result.error };
+  return {
+    subtotals: subtotals.map(plain),
+    total: running ? plain(running) : null,
+    grandTotal: plain(grandTotal),
+  };
+}
+
+const isValue = (value) => typeof value === "string" && parseDecimal(value) !== null;
+
+// PUBLIC_INTERFACE
+export function tapeLine(line) {
+  /** A clean copy of a tape line, or null when it is not one. */
+  if (!line || typeof line !== "object") return null;
+  if (line.op === "=") return { op: "=" };
+  if (line.op !== null && !KNOWN_OPERATORS.includes(line.op)) return null;
+  if (!isValue(line.value)) return null;
+  const clean = { op: line.op, value: line.value };
+  if (line.op === null && typeof line.note === "string" && line.note.length <= MAX_NOTE_LENGTH) {
+    clean.note = line.note;
+  }
+  return clean;
+}
+
+// PUBLIC_INTERFACE
+export function addTapeLines(lines, added) {
+  /** `lines` followed by the `added` lines, each given the next free id. */
+  const last = lines.reduce((max, line) => Math.max(max, line.id), -1);
+  return [...lines, ...added.map((line, i) => ({ ...line, id: last + 1 + i }))];
+}
+
+// PUBLIC_INTERFACE
+export function loadTape(storage) {
+  /** Read the saved tape; missing or invalid data yields null so callers keep their defaults. */
+  const parsed = readJson(storage, TAPE_STORAGE_KEY);
+  if (!parsed || typeof parsed.on !== "boolean" || !Array.isArray(parsed.lines)) return null;
+  const lines = parsed.lines.slice(0, MAX_TAPE_LINES).map(tapeLine);
+  return lines.includes(null) ? null : { on: parsed.on, lines: lines.map((line, id) => ({ ...line, id })) };
+}
+
+// PUBLIC_INTERFACE
+export function saveTape(storage, tape) {
+  /** Persist the tape. */
+  writeJson(storage, TAPE_STORAGE_KEY, tape);
+}
+
+const OPERATION_NAMES = { "=": "Subtotal", "+": "Add", "-": "Subtract", "*": "Multiply", "/": "Divide" };
+
+// Quoted when needed; text a spreadsheet would read as a formula ("=…", "+…", "-…", "@…") is prefixed with "'".
+function csvCell(text) {
+  let cell = String(text);
+  if (/^[=+\-@]/.test(cell) && parseDecimal(cell) === null) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// PUBLIC_INTERFACE
+export function exportTapeCsv(lines, totals) {
+  /**
+   * The tape as CSV (RFC 4180, CRLF line ends): Line, Operation, Amount, Subtotal and Note columns with plain
+   * decimal values, then a grand total row. `totals` is computeTape's result for the lines.
+   */
+  const result = (r) => (r.ok ? r.value : "Error");
+  const rows = [["Line", "Operation", "Amount", "Subtotal", "Note"]];
+  lines.forEach((line, index) => {
+    const operation = line.op === null ? "Entry" : (OPERATION_NAMES[line.op] ?? opSymbol(line.op));
+    rows.push([index + 1, operation, line.value ?? "", result(totals.subtotals[index]), line.note ?? ""]);
+  });
+  rows.push(["", "Grand total", "", result(totals.grandTotal), ""]);
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,123 @@
+import { brokenStorage, fakeStorage } from './fakeStorage';
+import {
+  MAX_TAPE_LINES,
+  TAPE_STORAGE_KEY,
+  addTapeLines,
+  computeTape,
+  exportTapeCsv,
+  loadTape,
+  saveTape,
+  tapeLine,
+} from './tape';
+
+// Whole-number arithmetic, enough to follow the fold.
+const integers = {
+  zero: 0,
+  deserialize: Number,
+  serialize: String,
+  compute: (a, op, b) => {
+    if (op === '/' && b === 0) return { ok: false, value: NaN, error: 'Cannot divide by zero' };
+    return { ok: true, value: { '+': a + b, '-': a - b, '*': a * b, '/': a / b }[op] };
+  },
+};
+
+const lines = [
+  { op: null, value: '12' },
+  { op: '+', value: '3' },
+  { op: '=' },
+  { op: '*', value: '2' },
+  { op: '=' },
+  { op: null, value: '-5', note: '-10 ÷ 2' },
+  { op: '=' },
+];
+
+describe('computeTape', () => {
+  test('folds the lines left to right and adds up the total of every group', () => {
+    expect(computeTape(lines, integers)).toEqual({
+      subtotals: ['12', '15', '15', '30', '30', '-5', '-5'].map((value) => ({ ok: true, value })),
+      total: { ok: true, value: '-5' },
+      grandTotal: { ok: true, value: '25' },
+    });
+  });
+
+  test('an empty tape has no total; operators before any entry apply to zero', () => {
+    expect(computeTape([], integers)).toEqual({ subtotals: [], total: null, grandTotal: { ok: true, value: '0' } });
+    expect(computeTape([{ op: '-', value: '4' }, { op: '=' }], integers).total).toEqual({ ok: true, value: '-4' });
+  });
+
+  test('an error lasts until the next group', () => {
+    const failed = [
+      { op: null, value: '1' },
+      { op: '/', value: '0' },
+      { op: '+', value: '1' },
+      { op: null, value: '2' },
+    ];
+    const { subtotals, total, grandTotal } = computeTape(failed, integers);
+    expect(subtotals.map((r) => r.ok)).toEqual([true, false, false, true]);
+    expect(subtotals[2]).toEqual({ ok: false, error: 'Cannot divide by zero' });
+    expect(total).toEqual({ ok: true, value: '2' });
+    expect(grandTotal).toEqual({ ok: false, error: 'Cannot divide by zero' });
+  });
+});
+
+test('exportTapeCsv lists every line with its subtotal, then the grand total', () => {
+  const csv = exportTapeCsv(lines, computeTape(lines, integers));
+  expect(csv.split('\r\n')).toEqual([
+    'Line,Operation,Amount,Subtotal,Note',
+    '1,Entry,12,12,',
+    '2,Add,3,15,',
+    '3,Subtotal,,15,',
+    '4,Multiply,2,30,',
+    '5,Subtotal,,30,',
+    "6,Entry,-5,-5,'-10 ÷ 2",
+    '7,Subtotal,,-5,',
+    ',Grand total,,25,',
+    '',
+  ]);
+
+  // Text a spreadsheet would run as a formula is quoted out.
+  const noted = [{ op: null, value: '1', note: '=HYPERLINK("x", 1)' }];
+  expect(exportTapeCsv(noted, computeTape(noted, integers))).toContain(`1,Entry,1,1,"'=HYPERLINK(""x"", 1)"\r\n`);
+});
+
+test('tapeLine keeps only the fields of a valid line', () => {
+  expect(tapeLine({ op: '=', value: '3' })).toEqual({ op: '=' });
+  expect(tapeLine({ op: '+', value: '3', note: 'x' })).toEqual({ op: '+', value: '3' });
+  expect(tapeLine({ op: null, value: '3', note: '1 + 2' })).toEqual({ op: null, value: '3', note: '1 + 2' });
+  expect(tapeLine({ op: 'and', value: '3' })).toEqual({ op: 'and', value: '3' });
+  expect(tapeLine({ op: 'eval', value: '3' })).toBeNull();
+  expect(tapeLine({ op: '+', value: '3px' })).toBeNull();
+  expect(tapeLine({ value: '3' })).toBeNull();
+  expect(tapeLine(null)).toBeNull();
+});
+
+test('saved tape round-trips and invalid data is ignored', () => {
+  const storage = fakeStorage();
+  const { data } = storage;
+  expect(loadTape(storage)).toBeNull();
+
+  // Lines are numbered afresh, so saved data cannot bring duplicate ids.
+  saveTape(storage, { on: true, lines: lines.map((line) => ({ ...line, id: 7 })) });
+  expect(loadTape(storage)).toEqual({ on: true, lines: lines.map((line, id) => ({ ...line, id })) });
+
+  data[TAPE_STORAGE_KEY] = JSON.stringify({ on: true, lines: [{ op: '+', value: 'NaN' }] });
+  expect(loadTape(storage)).toBeNull();
+  data[TAPE_STORAGE_KEY] = JSON.stringify({ lines: [] });
+  expect(loadTape(storage)).toBeNull();
+  data[TAPE_STORAGE_KEY] = JSON.stringify({
+    on: false,
+    lines: Array(MAX_TAPE_LINES + 5).fill({ op: '+', value: '1' }),
+  });
+  expect(loadTape(storage).lines).toHaveLength(MAX_TAPE_LINES);
+
+  expect(loadTape(brokenStorage)).toBeNull();
+});
+
+test('added lines get ids after the highest one on the tape', () => {
+  expect(addTapeLines([], [{ op: null, value: '1' }])).toEqual([{ op: null, value: '1', id: 0 }]);
+  const tape = [
+    { op: null, value: '1', id: 4 },
+    { op: '+', value: '2', id: 2 },
+  ];
+  expect(addTapeLines(tape, [{ op: '=' }, { op: '*', value: '3' }]).map((line) => line.id)).toEqual([4, 2, 5, 6]);
+});
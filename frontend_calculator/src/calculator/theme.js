@@ -0,0 +1,239 @@
+/**
+ * Color themes: built-in light, dark and high-contrast palettes plus one user-defined palette.
+ *
+ * A palette is a flat object of hex colors (see PALETTE_KEYS); everything else the UI needs (shadows, tints,
+ * the focus ring) is derived from it by buildTheme. Palettes are checked against the WCAG contrast ratios:
+ * built-in light and dark meet AA (4.5:1), high contrast meets AAA (7:1), and a user palette must meet AA
+ * before it is applied.
+ *
+ * The setting is { choice, custom }: `choice` is one of THEME_OPTIONS ("system" follows prefers-color-scheme)
+ * and `custom` the imported palette or null. It is saved in localStorage.
+ */
+
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const THEME_STORAGE_KEY = "ocean-calculator.theme";
+
+// PUBLIC_INTERFACE
+export const PALETTE_KEYS = [
+  "primary",
+  "secondary",
+  "background",
+  "surface",
+  "text",
+  "subtle",
+  "error",
+  "border",
+  "onPrimary",
+  "onSecondary",
+];
+
+// PUBLIC_INTERFACE
+export const AA_CONTRAST = 4.5;
+
+// PUBLIC_INTERFACE
+export const AAA_CONTRAST = 7;
+
+// PUBLIC_INTERFACE
+export const CONTRAST_PAIRS = [
+  ["text", "background"],
+  ["text", "surface"],
+  ["subtle", "background"],
+  ["subtle", "surface"],
+  ["primary", "surface"],
+  ["error", "surface"],
+  ["onPrimary", "primary"],
+  ["onSecondary", "secondary"],
+];
+
+// PUBLIC_INTERFACE
+export const THEMES = {
+  light: {
+    primary: "#2563eb",
+    secondary: "#f59e0b",
+    background: "#f9fafb",
+    surface: "#ffffff",
+    text: "#111827",
+    subtle: "#4b5563",
+    error: "#dc2626",
+    border: "#e5e7eb",
+    onPrimary: "#ffffff",
+    onSecondary: "#111827",
+  },
+  dark: {
+    primary: "#60a5fa",
+    secondary: "#fbbf24",
+    background: "#0b1220",
+    surface: "#111827",
+    text: "#f9fafb",
+    subtle: "#9ca3af",
+    error: "#f87171",
+    border: "#374151",
+    onPrimary: "#0b1220",
+    onSecondary: "#111827",
+  },
+  contrast: {
+    primary: "#ffff00",
+    secondary: "#00ffff",
+    background: "#000000",
+    surface: "#000000",
+    text: "#ffffff",
+    subtle: "#e5e5e5",
+    error: "#ff9999",
+    border: "#ffffff",
+    onPrimary: "#000000",
+    onSecondary: "#000000",
+  },
+};
+
+// PUBLIC_INTERFACE
+export const THEME_OPTIONS = [
+  { value: "system", label: "System" },
+  { value: "light", label: "Light" },
+  { value: "dark", label: "Dark" },
+  { value: "contrast", label: "High contrast" },
+  { value: "custom", label: "Custom" },
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_THEME_SETTING = Object.freeze({ choice: "system", custom: null });
+
+const MAX_PALETTE_LENGTH = 5000;
+
+const toRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+// "#abc" and "#AABBCC" → "#aabbcc"; null when not a hex color.
+function normalizeHex(value) {
+  if (typeof value !== "string") return null;
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+  if (!match) return null;
+  const digits = match[1].length === 3 ? [...match[1]].map((d) => d + d).join("") : match[1];
+  return `#${digits.toLowerCase()}`;
+}
+
+function luminance(hex) {
+  const [r, g, b] = toRgb(hex).map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// PUBLIC_INTERFACE
+export function contrastRatio(foreground, background) {
+  /** WCAG contrast ratio of two hex colors, from 1 (none) to 21 (black on white). */
+  const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// PUBLIC_INTERFACE
+export function checkContrast(palette, minimum = AA_CONTRAST) {
+  /** The CONTRAST_PAIRS of a palette below `minimum`, as [{ foreground, background, ratio }]. */
+  return CONTRAST_PAIRS.map(([foreground, background]) => ({
+    foreground,
+    background,
+    ratio: contrastRatio(palette[foreground], palette[background]),
+  })).filter(({ ratio }) => ratio < minimum);
+}
+
+// PUBLIC_INTERFACE
+export function withAlpha(hex, alpha) {
+  /** A hex color as rgba() with the given opacity. */
+  return `rgba(${toRgb(hex).join(", ")}, ${alpha})`;
+}
+
+// PUBLIC_INTERFACE
+export function buildTheme(palette) {
+  /** The palette plus derived colors: `scheme` (light/dark), `shade` for shadows, `shadow` and `focus`. */
+  const scheme = luminance(palette.background) < 0.5 ? "dark" : "light";
+  const shade = scheme === "light" ? palette.text : "#000000";
+  return {
+    ...palette,
+    scheme,
+    shade,
+    shadow: `0 12px 30px ${withAlpha(shade, scheme === "light" ? 0.1 : 0.5)}`,
+    // Translucent rings vanish on black; a dark scheme gets a solid one.
+    focus: scheme === "light" ? withAlpha(palette.primary, 0.25) : palette.primary,
+  };
+}
+
+function validatePalette(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return { error: "A palette must be a JSON object" };
+  const palette = {};
+  for (const key of PALETTE_KEYS) {
+    if (!(key in value)) return { error: `Missing color "${key}"` };
+    const color = normalizeHex(value[key]);
+    if (!color) return { error: `"${key}" must be a hex color like #1a2b3c` };
+    palette[key] = color;
+  }
+  return { palette };
+}
+
+// PUBLIC_INTERFACE
+export function parsePalette(text) {
+  /**
+   * Read a palette from JSON (extra keys are ignored) and check its contrast.
+   * Returns { ok: true, palette } or { ok: false, error }.
+   */
+  if (text.length > MAX_PALETTE_LENGTH) return { ok: false, error: "Palette file is too large" };
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return { ok: false, error: "Not valid JSON" };
+  }
+  const { palette, error } = validatePalette(value);
+  if (error) return { ok: false, error };
+
+  const failures = checkContrast(palette);
+  if (failures.length > 0) {
+    const list = failures.map((f) => `${f.foreground} on ${f.background} ${f.ratio.toFixed(2)}:1`).join(", ");
+    return { ok: false, error: `Too little contrast (needs ${AA_CONTRAST}:1): ${list}` };
+  }
+  return { ok: true, palette };
+}
+
+// PUBLIC_INTERFACE
+export function exportPalette(palette) {
+  /** A palette as pretty-printed JSON, keys in PALETTE_KEYS order. */
+  return JSON.stringify(Object.fromEntries(PALETTE_KEYS.map((key) => [key, palette[key]])), null, 2);
+}
+
+// PUBLIC_INTERFACE
+export function resolvePalette(setting, prefersDark) {
+  /** The palette a setting selects; "system" follows the color-scheme preference. */
+  if (setting.choice === "custom" && setting.custom) return setting.custom;
+  if (THEMES[setting.choice]) return THEMES[setting.choice];
+  return prefersDark ? THEMES.dark : THEMES.light;
+}
+
+// PUBLIC_INTERFACE
+export function themeSettingFor(theme) {
+  /**
+   * The setting for a theme chosen in code (e.g. an embedded calculator's `theme` prop): a THEME_OPTIONS value
+   * other than "custom", or a palette object held to the same checks as an imported one. Null for anything else.
+   */
+  if (typeof theme === "string") {
+    return theme !== "custom" && THEME_OPTIONS.some((o) => o.value === theme) ? { choice: theme, custom: null } : null;
+  }
+  const { palette } = validatePalette(theme);
+  return palette && checkContrast(palette).length === 0 ? { choice: "custom", custom: palette } : null;
+}
+
+// PUBLIC_INTERFACE
+export function loadThemeSetting(storage) {
+  /** Saved theme setting; the stored palette is re-validated and "custom" without one falls back to "system". */
+  const saved = readJson(storage, THEME_STORAGE_KEY);
+  if (!saved || typeof saved !== "object") return { ...DEFAULT_THEME_SETTING };
+  const { palette } = validatePalette(saved.custom);
+  const custom = palette && checkContrast(palette).length === 0 ? palette : null;
+  const known = THEME_OPTIONS.some((o) => o.value === saved.choice) && (saved.choice !== "custom" || custom);
+  return { choice: known ? saved.choice : "system", custom };
+}
+
+// PUBLIC_INTERFACE
+export function saveThemeSetting(storage, setting) {
+  /** Persist the theme setting. */
+  writeJson(storage, THEME_STORAGE_KEY, setting);
+}
@@ -0,0 +1,117 @@
+import { fakeStorage } from './fakeStorage';
+import {
+  AAA_CONTRAST,
+  AA_CONTRAST,
+  DEFAULT_THEME_SETTING,
+  THEMES,
+  THEME_STORAGE_KEY,
+  buildTheme,
+  checkContrast,
+  contrastRatio,
+  exportPalette,
+  loadThemeSetting,
+  parsePalette,
+  resolvePalette,
+  saveThemeSetting,
+  themeSettingFor,
+  withAlpha,
+} from './theme';
+
+const palette = (changes = {}) => JSON.stringify({ ...THEMES.light, ...changes });
+
+test('contrastRatio follows the WCAG formula', () => {
+  expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+  expect(contrastRatio('#ffffff', '#000000')).toBeCloseTo(21);
+  expect(contrastRatio('#777777', '#777777')).toBe(1);
+  expect(contrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+});
+
+test('light and dark meet AA; high contrast meets AAA', () => {
+  expect(checkContrast(THEMES.light, AA_CONTRAST)).toEqual([]);
+  expect(checkContrast(THEMES.dark, AA_CONTRAST)).toEqual([]);
+  expect(checkContrast(THEMES.contrast, AAA_CONTRAST)).toEqual([]);
+});
+
+test('buildTheme derives the scheme, shadows and focus ring', () => {
+  const light = buildTheme(THEMES.light);
+  expect(light.scheme).toBe('light');
+  expect(light.shadow).toBe('0 12px 30px rgba(17, 24, 39, 0.1)');
+  expect(light.focus).toBe('rgba(37, 99, 235, 0.25)');
+
+  const contrast = buildTheme(THEMES.contrast);
+  expect(contrast.scheme).toBe('dark');
+  expect(contrast.focus).toBe('#ffff00');
+  expect(withAlpha('#ff0000', 0.5)).toBe('rgba(255, 0, 0, 0.5)');
+});
+
+test('parsePalette normalizes colors and ignores extra keys', () => {
+  const result = parsePalette(palette({ text: '#000', name: 'Mine' }));
+  expect(result).toEqual({ ok: true, palette: { ...THEMES.light, text: '#000000' } });
+  expect(parsePalette(exportPalette(THEMES.dark))).toEqual({ ok: true, palette: THEMES.dark });
+});
+
+test.each([
+  ['{broken', 'Not valid JSON'],
+  ['[]', 'A palette must be a JSON object'],
+  ['null', 'A palette must be a JSON object'],
+  [JSON.stringify({ primary: '#2563eb' }), 'Missing color "secondary"'],
+  [palette({ text: 'black' }), '"text" must be a hex color like #1a2b3c'],
+  [palette({ error: 'rgb(255, 0, 0)' }), '"error" must be a hex color like #1a2b3c'],
+  [' '.repeat(6000), 'Palette file is too large'],
+])('parsePalette rejects %#', (text, error) => {
+  expect(parsePalette(text)).toEqual({ ok: false, error });
+});
+
+test('parsePalette rejects palettes with too little contrast', () => {
+  const result = parsePalette(palette({ text: '#bbbbbb', onPrimary: '#3b82f6' }));
+  expect(result.ok).toBe(false);
+  expect(result.error).toMatch(/^Too little contrast \(needs 4.5:1\): text on background [\d.]+:1/);
+  expect(result.error).toMatch(/onPrimary on primary 1\.\d\d:1$/);
+});
+
+test('exportPalette writes only palette keys, in order', () => {
+  const json = exportPalette({ ...THEMES.contrast, scheme: 'dark' });
+  expect(Object.keys(JSON.parse(json))).toEqual(Object.keys(THEMES.contrast));
+  expect(json).toContain('\n  "primary": "#ffff00",');
+});
+
+test('resolvePalette follows the system preference unless a theme is chosen', () => {
+  expect(resolvePalette({ choice: 'system', custom: null }, false)).toBe(THEMES.light);
+  expect(resolvePalette({ choice: 'system', custom: null }, true)).toBe(THEMES.dark);
+  expect(resolvePalette({ choice: 'contrast', custom: null }, false)).toBe(THEMES.contrast);
+  const custom = { ...THEMES.dark, primary: '#93c5fd' };
+  expect(resolvePalette({ choice: 'custom', custom }, false)).toBe(custom);
+  expect(resolvePalette({ choice: 'custom', custom: null }, true)).toBe(THEMES.dark);
+});
+
+test('themeSettingFor takes a built-in theme name or a palette with enough contrast', () => {
+  expect(themeSettingFor('dark')).toEqual({ choice: 'dark', custom: null });
+  expect(themeSettingFor('system')).toEqual({ choice: 'system', custom: null });
+  expect(themeSettingFor({ ...THEMES.light, primary: '#1D4ED8' })).toEqual({
+    choice: 'custom',
+    custom: { ...THEMES.light, primary: '#1d4ed8' },
+  });
+  expect(themeSettingFor('custom')).toBeNull();
+  expect(themeSettingFor('neon')).toBeNull();
+  expect(themeSettingFor({ ...THEMES.light, text: '#eeeeee' })).toBeNull();
+  expect(themeSettingFor(null)).toBeNull();
+});
+
+test('saveThemeSetting and loadThemeSetting round-trip; bad data falls back', () => {
+  const storage = fakeStorage();
+  const { data } = storage;
+  expect(loadThemeSetting(storage)).toEqual(DEFAULT_THEME_SETTING);
+
+  const custom = { ...THEMES.light, primary: '#1d4ed8' };
+  saveThemeSetting(storage, { choice: 'custom', custom });
+  expect(loadThemeSetting(storage)).toEqual({ choice: 'custom', custom });
+
+  data[THEME_STORAGE_KEY] = JSON.stringify({ choice: 'custom', custom: { ...custom, text: '#ffffff' } });
+  expect(loadThemeSetting(storage)).toEqual({ choice: 'system', custom: null });
+  data[THEME_STORAGE_KEY] = JSON.stringify({ choice: 'neon', custom: null });
+  expect(loadThemeSetting(storage)).toEqual({ choice: 'system', custom: null });
+  data[THEME_STORAGE_KEY] = '{broken';
+  expect(loadThemeSetting(storage)).toEqual(DEFAULT_THEME_SETTING);
+  data[THEME_STORAGE_KEY] = 'null';
+  expect(loadThemeSetting(storage)).toEqual(DEFAULT_THEME_SETTING);
+});
@@ -0,0 +1,44 @@
+/**
+ * Undo/redo for any reducer.
+ *
+ * `undoable(reducer)` wraps a reducer so its state becomes { past, present, future }. Every action that
+ * changes `present` pushes the previous state onto `past`, so undo restores it exactly (pending operation,
+ * repeated-equals context, Error state and all). Two extra actions are understood:
+ * - { type: "undo" }
+ * - { type: "redo" }
+ * Actions that leave the state unchanged (e.g. a digit the current base does not allow) are not recorded, and
+ * neither are changes the optional `looksSame(before, after)` says nobody can see; those update `present` only.
+ */
+
+// PUBLIC_INTERFACE
+export const UNDO_LIMIT = 100;
+
+// PUBLIC_INTERFACE
+export function createUndoHistory(present) {
+  /** A history with nothing to undo or redo. */
+  return { past: [], present, future: [] };
+}
+
+// PUBLIC_INTERFACE
+export function undoable(reducer, limit = UNDO_LIMIT, looksSame = () => false) {
+  /** Wrap a reducer with an undo stack of at most `limit` states. */
+  return (history, action) => {
+    const { past, present, future } = history;
+
+    if (action.type === "undo") {
+      if (past.length === 0) return history;
+      return { past: past.slice(0, -1), present: past[past.length - 1], future: [present, ...future] };
+    }
+    if (action.type === "redo") {
+      if (future.length === 0) return history;
+      return { past: [...past, present], present: future[0], future: future.slice(1) };
+    }
+
+    const next = reducer(present, action);
+    if (next === present) return history;
+    // Otherwise undo would seem to do nothing.
+    if (looksSame(present, next)) return { ...history, present: next };
+    // A new action starts a new branch: whatever could be redone is dropped.
+    return { past: [...past, present].slice(-limit), present: next, future: [] };
+  };
+}
@@ -0,0 +1,59 @@
+import { calculatorReducer, initialState, looksSame } from './engine';
+import { UNDO_LIMIT, createUndoHistory, undoable } from './undo';
+
+const reducer = undoable(calculatorReducer);
+const digit = (value) => ({ type: 'digit', value });
+const op = (value) => ({ type: 'op', value });
+const undo = { type: 'undo' };
+const redo = { type: 'redo' };
+
+const run = (history, ...actions) => actions.reduce(reducer, history);
+const start = createUndoHistory(initialState);
+
+test('undo restores the exact state before an accidental AC', () => {
+  const before = run(start, digit(2), op('+'), digit(3), { type: 'equals' }, op('*'), digit(4));
+  const cleared = run(before, { type: 'clear' });
+  expect(cleared.present.display).toBe('0');
+  expect(run(cleared, undo).present).toBe(before.present);
+});
+
+test('undo leaves the Error state and redo returns to it', () => {
+  const pending = run(start, digit(8), op('/'), digit(0));
+  const errored = run(pending, { type: 'equals' });
+  expect(errored.present.error).toBe(true);
+
+  const undone = run(errored, undo);
+  expect(undone.present).toEqual(pending.present);
+  expect(run(undone, redo).present).toBe(errored.present);
+});
+
+test('a new action after undo drops the redo branch', () => {
+  const state = run(start, digit(1), digit(2), undo, digit(5));
+  expect(state.present.display).toBe('15');
+  expect(state.future).toEqual([]);
+  expect(run(state, redo)).toBe(state);
+});
+
+test('no-op actions are not recorded and empty stacks ignore undo/redo', () => {
+  expect(run(start, undo)).toBe(start);
+  expect(run(start, redo)).toBe(start);
+  expect(run(start, { type: 'unknown' })).toBe(start);
+});
+
+test('changes nobody can see are applied without an undo step', () => {
+  const visible = undoable(calculatorReducer, UNDO_LIMIT, looksSame);
+  const equals = { type: 'equals' };
+  const fresh = visible(start, equals);
+  expect(fresh).toMatchObject({ past: [], present: { display: '0', overwrite: true } });
+
+  // The second "=" has nothing to repeat, so one undo goes back to before the first.
+  const result = [digit(5), equals, equals].reduce(visible, start);
+  expect(result.past.map((s) => s.display)).toEqual(['0', '5']);
+  expect(visible(result, undo).present).toMatchObject({ display: '5', overwrite: false });
+});
+
+test('the stack keeps at most the limit of past states', () => {
+  const limited = undoable(calculatorReducer, 3);
+  const state = [1, 2, 3, 4, 5].map(digit).reduce(limited, start);
+  expect(state.past.map((s) => s.display)).toEqual(['12', '123', '1234']);
+});
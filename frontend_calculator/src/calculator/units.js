@@ -0,0 +1,164 @@
+/**
+ * Unit conversion tables and conversion.
+ *
+ * Every unit converts through its category's base unit: base = (value + offset) × factor, so plain units
+ * only need a factor and offset scales like temperature also carry an offset. A category may set a
+ * `minimum` base value and the error reported below it.
+ *
+ * Adding a category or unit is a data change here; the panel builds its pickers from UNIT_CATEGORIES.
+ */
+
+const unit = (id, label, factor, offset = 0) => ({ id, label, factor, offset });
+
+// PUBLIC_INTERFACE
+export const UNIT_CATEGORIES = [
+  {
+    id: "length",
+    label: "Length",
+    units: [
+      unit("um", "micrometre (µm)", 1e-6),
+      unit("mm", "millimetre (mm)", 0.001),
+      unit("cm", "centimetre (cm)", 0.01),
+      unit("m", "metre (m)", 1),
+      unit("km", "kilometre (km)", 1000),
+      unit("in", "inch (in)", 0.0254),
+      unit("ft", "foot (ft)", 0.3048),
+      unit("yd", "yard (yd)", 0.9144),
+      unit("mi", "mile (mi)", 1609.344),
+      unit("nmi", "nautical mile (nmi)", 1852),
+    ],
+  },
+  {
+    id: "area",
+    label: "Area",
+    units: [
+      unit("mm2", "square millimetre (mm²)", 1e-6),
+      unit("cm2", "square centimetre (cm²)", 1e-4),
+      unit("m2", "square metre (m²)", 1),
+      unit("ha", "hectare (ha)", 1e4),
+      unit("km2", "square kilometre (km²)", 1e6),
+      unit("in2", "square inch (in²)", 0.00064516),
+      unit("ft2", "square foot (ft²)", 0.09290304),
+      unit("yd2", "square yard (yd²)", 0.83612736),
+      unit("ac", "acre (ac)", 4046.8564224),
+      unit("mi2", "square mile (mi²)", 2589988.110336),
+    ],
+  },
+  {
+    id: "volume",
+    label: "Volume",
+    units: [
+      unit("ml", "millilitre (mL)", 0.001),
+      unit("l", "litre (L)", 1),
+      unit("m3", "cubic metre (m³)", 1000),
+      unit("tsp", "teaspoon, US (tsp)", 0.00492892159375),
+      unit("tbsp", "tablespoon, US (tbsp)", 0.01478676478125),
+      unit("floz", "fluid ounce, US (fl oz)", 0.0295735295625),
+      unit("cup", "cup, US", 0.2365882365),
+      unit("pt", "pint, US (pt)", 0.473176473),
+      unit("qt", "quart, US (qt)", 0.946352946),
+      unit("gal", "gallon, US (gal)", 3.785411784),
+      unit("galuk", "gallon, imperial (gal)", 4.54609),
+      unit("in3", "cubic inch (in³)", 0.016387064),
+      unit("ft3", "cubic foot (ft³)", 28.316846592),
+    ],
+  },
+  {
+    id: "mass",
+    label: "Mass",
+    units: [
+      unit("mg", "milligram (mg)", 1e-6),
+      unit("g", "gram (g)", 0.001),
+      unit("kg", "kilogram (kg)", 1),
+      unit("t", "tonne (t)", 1000),
+      unit("oz", "ounce (oz)", 0.028349523125),
+      unit("lb", "pound (lb)", 0.45359237),
+      unit("st", "stone (st)", 6.35029318),
+    ],
+  },
+  {
+    id: "temperature",
+    label: "Temperature",
+    // Base is kelvin; nothing is colder than absolute zero.
+    minimum: { base: 0, error: "Below absolute zero" },
+    units: [
+      unit("c", "Celsius (°C)", 1, 273.15),
+      unit("f", "Fahrenheit (°F)", 5 / 9, 459.67),
+      unit("k", "kelvin (K)", 1),
+      unit("r", "Rankine (°R)", 5 / 9),
+    ],
+  },
+  {
+    id: "speed",
+    label: "Speed",
+    units: [
+      unit("mps", "metres per second (m/s)", 1),
+      unit("kph", "kilometres per hour (km/h)", 1 / 3.6),
+      unit("mph", "miles per hour (mph)", 0.44704),
+      unit("kn", "knot (kn)", 1852 / 3600),
+      unit("fps", "feet per second (ft/s)", 0.3048),
+    ],
+  },
+  {
+    id: "data",
+    label: "Data size",
+    units: [
+      unit("bit", "bit (b)", 0.125),
+      unit("B", "byte (B)", 1),
+      unit("kB", "kilobyte (KB, 1000 B)", 1e3),
+      unit("MB", "megabyte (MB, 1000 KB)", 1e6),
+      unit("GB", "gigabyte (GB, 1000 MB)", 1e9),
+      unit("TB", "terabyte (TB, 1000 GB)", 1e12),
+      unit("KiB", "kibibyte (KiB, 1024 B)", 1024),
+      unit("MiB", "mebibyte (MiB, 1024 KiB)", 1024 ** 2),
+      unit("GiB", "gibibyte (GiB, 1024 MiB)", 1024 ** 3),
+      unit("TiB", "tebibyte (TiB, 1024 GiB)", 1024 ** 4),
+    ],
+  },
+  {
+    id: "time",
+    label: "Time",
+    units: [
+      unit("us", "microsecond (µs)", 1e-6),
+      unit("ms", "millisecond (ms)", 0.001),
+      unit("s", "second (s)", 1),
+      unit("min", "minute (min)", 60),
+      unit("h", "hour (h)", 3600),
+      unit("d", "day (d)", 86400),
+      unit("wk", "week (wk)", 604800),
+      // Julian year (365.25 days), the usual average year.
+      unit("yr", "year (yr)", 31557600),
+    ],
+  },
+];
+
+// PUBLIC_INTERFACE
+export function findCategory(categoryId) {
+  /** The category with this id, or undefined. */
+  return UNIT_CATEGORIES.find((c) => c.id === categoryId);
+}
+
+// PUBLIC_INTERFACE
+export function convertUnit(value, categoryId, fromId, toId) {
+  /**
+   * Convert a number between two units of a category.
+   * Returns { ok: true, value } or { ok: false, error }.
+   */
+  const category = findCategory(categoryId);
+  const from = category && category.units.find((u) => u.id === fromId);
+  const to = category && category.units.find((u) => u.id === toId);
+  if (!from || !to) return { ok: false, error: "Unknown unit" };
+  if (!Number.isFinite(value)) return { ok: false, error: "Invalid operand" };
+
+  const base = (value + from.offset) * from.factor;
+  if (category.minimum && base < category.minimum.base) return { ok: false, error: category.minimum.error };
+  const result = base / to.factor - to.offset;
+  if (!Number.isFinite(result)) return { ok: false, error: "Result out of range" };
+  return { ok: true, value: result };
+}
+
+// PUBLIC_INTERFACE
+export function formatConverted(value) {
+  /** Plain numeric string with 12 significant digits, hiding floating point tails (0.30480000000000002). */
+  return String(Number(value.toPrecision(12)));
+}
@@ -0,0 +1,48 @@
+import { UNIT_CATEGORIES, convertUnit, formatConverted } from './units';
+
+const converted = (value, category, from, to) => {
+  const result = convertUnit(value, category, from, to);
+  expect(result.ok).toBe(true);
+  return Number(formatConverted(result.value));
+};
+
+describe('convertUnit', () => {
+  test.each([
+    [12, 'length', 'in', 'cm', 30.48],
+    [1, 'length', 'mi', 'km', 1.609344],
+    [1, 'area', 'ac', 'm2', 4046.8564224],
+    [1, 'volume', 'gal', 'l', 3.785411784],
+    [1, 'mass', 'lb', 'g', 453.59237],
+    [100, 'temperature', 'c', 'f', 212],
+    [-40, 'temperature', 'f', 'c', -40],
+    [0, 'temperature', 'k', 'c', -273.15],
+    [491.67, 'temperature', 'r', 'f', 32],
+    [100, 'speed', 'kph', 'mps', 27.7777777778],
+    [1, 'data', 'KiB', 'B', 1024],
+    [1, 'data', 'kB', 'B', 1000],
+    [1, 'data', 'GiB', 'GB', 1.073741824],
+    [8, 'data', 'bit', 'B', 1],
+    [1.5, 'time', 'h', 'min', 90],
+  ])('%d %s: %s → %s = %d', (value, category, from, to, expected) => {
+    expect(converted(value, category, from, to)).toBe(expected);
+  });
+
+  test('rejects unknown units, bad input and temperatures below absolute zero', () => {
+    expect(convertUnit(1, 'length', 'm', 'kg')).toEqual({ ok: false, error: 'Unknown unit' });
+    expect(convertUnit(1, 'colour', 'm', 'm')).toEqual({ ok: false, error: 'Unknown unit' });
+    expect(convertUnit(NaN, 'length', 'm', 'cm')).toEqual({ ok: false, error: 'Invalid operand' });
+    expect(convertUnit(-300, 'temperature', 'c', 'k')).toEqual({ ok: false, error: 'Below absolute zero' });
+  });
+
+  test('every category has unique unit ids and positive factors', () => {
+    UNIT_CATEGORIES.forEach(({ units }) => {
+      expect(new Set(units.map((u) => u.id)).size).toBe(units.length);
+      units.forEach((u) => expect(u.factor).toBeGreaterThan(0));
+    });
+  });
+});
+
+test('formatConverted hides floating point tails', () => {
+  expect(formatConverted(0.1 + 0.2)).toBe('0.3');
+  expect(formatConverted(1e-9)).toBe('1e-9');
+});
@@ -0,0 +1,123 @@
+/**
+ * Named variables and the automatic `ans`, plus JSON import/export and localStorage persistence.
+ *
+ * Shape: { ans, named: [{ name, value }] } with values as plain decimal strings. `ans` always holds the result
+ * of the last "=" and cannot be stored, renamed or deleted; named variables are stored from the display and
+ * recalled as operands, from the variables panel or by name in a pasted expression ("rate * qty").
+ */
+
+import { parseDecimal, toDecimalString } from "./bigDecimal";
+import { readJson, writeJson } from "./storage";
+
+// PUBLIC_INTERFACE
+export const VARIABLES_STORAGE_KEY = "ocean-calculator.variables";
+
+// PUBLIC_INTERFACE
+export const ANS = "ans";
+
+// PUBLIC_INTERFACE
+export const MAX_VARIABLES = 100;
+
+const MAX_NAME_LENGTH = 24;
+
+// Pasted expressions use "x" for multiplication, so it cannot be a name either.
+const RESERVED_NAMES = [ANS, "x"];
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Larger imports are almost certainly not a variables file.
+const MAX_IMPORT_LENGTH = 100000;
+
+// PUBLIC_INTERFACE
+export function createVariables() {
+  /** No named variables, and ans = 0. */
+  return { ans: "0", named: [] };
+}
+
+// PUBLIC_INTERFACE
+export function validateVariableName(name) {
+  /**
+   * Check a name for a new or renamed variable: a letter or "_" followed by letters, digits or "_", and not
+   * one of the reserved names. Returns { ok: true, name } (trimmed) or { ok: false, error }.
+   */
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) return { ok: false, error: "A variable needs a name" };
+  if (trimmed.length > MAX_NAME_LENGTH) return { ok: false, error: `Names have at most ${MAX_NAME_LENGTH} characters` };
+  if (!NAME_RE.test(trimmed)) return { ok: false, error: "Names start with a letter and use letters, digits and _" };
+  if (RESERVED_NAMES.includes(trimmed.toLowerCase())) return { ok: false, error: `"${trimmed}" is reserved` };
+  return { ok: true, name: trimmed };
+}
+
+// PUBLIC_INTERFACE
+export function variableValue(variables, name) {
+  /** The value of a named variable or of ans, or null if there is no such variable. */
+  if (name === ANS) return variables.ans;
+  const found = variables.named.find((v) => v.name === name);
+  return found ? found.value : null;
+}
+
+// PUBLIC_INTERFACE
+export function variableValues(variables) {
+  /** Every variable, ans included, as a { name: value } object (the names a pasted expression may use). */
+  return Object.fromEntries([[ANS, variables.ans], ...variables.named.map((v) => [v.name, v.value])]);
+}
+
+const normalizeValue = (value) => {
+  if (typeof value !== "string" && !(typeof value === "number" && Number.isFinite(value))) return null;
+  const d = parseDecimal(String(value).trim());
+  return d && toDecimalString(d);
+};
+
+// PUBLIC_INTERFACE
+export function exportVariables(variables) {
+  /** The named variables as pretty-printed JSON, { "name": "value" } in list order. */
+  return JSON.stringify(Object.fromEntries(variables.named.map((v) => [v.name, v.value])), null, 2);
+}
+
+// PUBLIC_INTERFACE
+export function parseVariables(text) {
+  /**
+   * Read variables from JSON as written by exportVariables (values may also be JSON numbers).
+   * Returns { ok: true, named: [{ name, value }] } or { ok: false, error }.
+   */
+  if (text.length > MAX_IMPORT_LENGTH) return { ok: false, error: "Variables file is too large" };
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { ok: false, error: "Not valid JSON" };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { ok: false, error: "Expected an object of names and values" };
+  }
+
+  const entries = Object.entries(parsed);
+  if (entries.length > MAX_VARIABLES) return { ok: false, error: `At most ${MAX_VARIABLES} variables` };
+  const named = [];
+  for (const [key, raw] of entries) {
+    const checked = validateVariableName(key);
+    if (!checked.ok) return checked;
+    const value = normalizeValue(raw);
+    if (value === null) return { ok: false, error: `"${key}" is not a number` };
+    named.push({ name: checked.name, value });
+  }
+  return { ok: true, named };
+}
+
+// PUBLIC_INTERFACE
+export function loadVariables(storage) {
+  /** Read saved variables; missing or invalid data yields null so callers keep their defaults. */
+  const parsed = readJson(storage, VARIABLES_STORAGE_KEY);
+  if (!parsed || !Array.isArray(parsed.named)) return null;
+  const named = parsed.named
+    .filter((v) => v && validateVariableName(v.name).ok && normalizeValue(v.value) !== null)
+    .slice(0, MAX_VARIABLES)
+    .map((v) => ({ name: v.name, value: normalizeValue(v.value) }));
+  return { ans: normalizeValue(parsed.ans) ?? "0", named };
+}
+
+// PUBLIC_INTERFACE
+export function saveVariables(storage, variables) {
+  /** Persist variables and ans. */
+  writeJson(storage, VARIABLES_STORAGE_KEY, variables);
+}
@@ -0,0 +1,88 @@
+import { fakeStorage } from './fakeStorage';
+import {
+  MAX_VARIABLES,
+  VARIABLES_STORAGE_KEY,
+  createVariables,
+  exportVariables,
+  loadVariables,
+  parseVariables,
+  saveVariables,
+  validateVariableName,
+  variableValue,
+  variableValues,
+} from './variables';
+
+const storageWith = (value) => fakeStorage({ [VARIABLES_STORAGE_KEY]: value });
+
+const variables = {
+  ans: '42',
+  named: [
+    { name: 'rate', value: '0.05' },
+    { name: 'qty', value: '12' },
+  ],
+};
+
+test('validateVariableName accepts identifiers that are not reserved', () => {
+  expect(validateVariableName('  rate_2 ')).toEqual({ ok: true, name: 'rate_2' });
+  expect(validateVariableName('_tmp').ok).toBe(true);
+  expect(validateVariableName('').error).toBe('A variable needs a name');
+  expect(validateVariableName('2fast').error).toBe('Names start with a letter and use letters, digits and _');
+  expect(validateVariableName('unit price').ok).toBe(false);
+  expect(validateVariableName('ANS').error).toBe('"ANS" is reserved');
+  expect(validateVariableName('x').error).toBe('"x" is reserved');
+  expect(validateVariableName('a'.repeat(25)).ok).toBe(false);
+});
+
+test('variableValue and variableValues include ans', () => {
+  expect(variableValue(variables, 'ans')).toBe('42');
+  expect(variableValue(variables, 'qty')).toBe('12');
+  expect(variableValue(variables, 'price')).toBeNull();
+  expect(variableValues(variables)).toEqual({ ans: '42', rate: '0.05', qty: '12' });
+  expect(variableValues(createVariables())).toEqual({ ans: '0' });
+});
+
+describe('JSON import and export', () => {
+  test('exportVariables writes named variables in order, and parseVariables reads them back', () => {
+    const json = exportVariables(variables);
+    expect(JSON.parse(json)).toEqual({ rate: '0.05', qty: '12' });
+    expect(Object.keys(JSON.parse(json))).toEqual(['rate', 'qty']);
+    expect(parseVariables(json)).toEqual({ ok: true, named: variables.named });
+  });
+
+  test('parseVariables accepts numbers and normalizes values', () => {
+    expect(parseVariables('{"width": 2.50, "height": "-1e3"}')).toEqual({
+      ok: true,
+      named: [
+        { name: 'width', value: '2.5' },
+        { name: 'height', value: '-1000' },
+      ],
+    });
+  });
+
+  test.each([
+    ['{broken', 'Not valid JSON'],
+    ['[1, 2]', 'Expected an object of names and values'],
+    ['null', 'Expected an object of names and values'],
+    ['{"ans": 1}', '"ans" is reserved'],
+    ['{"rate": "fast"}', '"rate" is not a number'],
+    ['{"rate": true}', '"rate" is not a number'],
+  ])('parseVariables rejects %s', (text, error) => {
+    expect(parseVariables(text)).toEqual({ ok: false, error });
+  });
+
+  test('parseVariables limits the number of variables', () => {
+    const many = Object.fromEntries(Array.from({ length: MAX_VARIABLES + 1 }, (_, i) => [`v${i}`, i]));
+    expect(parseVariables(JSON.stringify(many)).ok).toBe(false);
+  });
+});
+
+test('saveVariables and loadVariables round-trip; bad entries are dropped', () => {
+  const storage = fakeStorage();
+  saveVariables(storage, variables);
+  expect(loadVariables(storage)).toEqual(variables);
+
+  const saved = { ans: 'oops', named: [{ name: 'ok', value: '1' }, { name: '1bad', value: '2' }, { name: 'n' }] };
+  expect(loadVariables(storageWith(JSON.stringify(saved)))).toEqual({ ans: '0', named: [{ name: 'ok', value: '1' }] });
+  expect(loadVariables(storageWith(null))).toBeNull();
+  expect(loadVariables(storageWith('{broken'))).toBeNull();
+});
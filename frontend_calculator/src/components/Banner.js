@@ -0,0 +1,69 @@
+import React from "react";
+import { withAlpha } from "../calculator/theme";
+
+/**
+ * Banner across the top of the calculator for messages from the page around it, such as "A new version is
+ * available". The action button is shown when `actionLabel` and `onAction` are given, the dismiss button when
+ * `onDismiss` is.
+ */
+
+// PUBLIC_INTERFACE
+function Banner({ message, actionLabel, onAction, onDismiss, theme }) {
+  const styles = {
+    banner: {
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+      padding: "10px 14px 10px 18px",
+      background: withAlpha(theme.primary, 0.12),
+      borderBottom: `1px solid ${theme.border}`,
+      fontSize: 12,
+      fontWeight: 600,
+      color: theme.text,
+    },
+    message: {
+      flex: 1,
+      minWidth: 0,
+    },
+    action: {
+      appearance: "none",
+      border: "none",
+      background: theme.primary,
+      color: theme.onPrimary,
+      borderRadius: 10,
+      padding: "5px 10px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+    dismiss: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.subtle,
+      borderRadius: 10,
+      padding: "4px 8px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+  };
+
+  return (
+    <div role="status" style={styles.banner}>
+      <span style={styles.message}>{message}</span>
+      {actionLabel && onAction && (
+        <button type="button" style={styles.action} onClick={onAction}>
+          {actionLabel}
+        </button>
+      )}
+      {onDismiss && (
+        <button type="button" style={styles.dismiss} aria-label="Dismiss" onClick={onDismiss}>
+          ×
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default Banner;
@@ -0,0 +1,203 @@
+import React, { useState } from "react";
+import { MAX_PERIODS_PER_YEAR, TVM_FIELDS, amortizationSchedule } from "../calculator/financial";
+
+/**
+ * Financial mode settings: the tax rate used by TAX+/TAX−, the TVM registers with their compounding and
+ * payment timing, and the amortization schedule of the loan they describe.
+ * `format` localizes a plain number string for display.
+ */
+
+// Schedules are shown to the cent; anything that rounds away is shown as 0 rather than "-0.00".
+const cents = (n) => (Math.abs(n) < 0.005 ? 0 : n).toFixed(2);
+
+// PUBLIC_INTERFACE
+function FinancialPanel({ financial, theme, format, onSetTaxRate, onPeriodsPerYear, onTiming, onClearTvm }) {
+  const [showSchedule, setShowSchedule] = useState(false);
+  const schedule = showSchedule ? amortizationSchedule(financial) : null;
+
+  const styles = {
+    panel: {
+      borderTop: `1px solid ${theme.border}`,
+      background: theme.surface,
+      padding: 16,
+      display: "grid",
+      gap: 10,
+      fontSize: 12,
+      color: theme.subtle,
+    },
+    row: {
+      display: "flex",
+      flexWrap: "wrap",
+      gap: 8,
+      alignItems: "center",
+    },
+    value: {
+      fontWeight: 800,
+      color: theme.text,
+    },
+    registers: {
+      display: "grid",
+      gridTemplateColumns: "repeat(5, 1fr)",
+      gap: 6,
+      margin: 0,
+    },
+    register: {
+      minWidth: 0,
+      display: "grid",
+      gap: 2,
+    },
+    registerValue: {
+      margin: 0,
+      fontWeight: 700,
+      color: theme.text,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+    control: {
+      font: "inherit",
+      fontSize: 12,
+      color: theme.text,
+      background: theme.background,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 8,
+      padding: "4px 6px",
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "6px 10px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+    scheduleWrap: {
+      maxHeight: 240,
+      overflowY: "auto",
+      border: `1px solid ${theme.border}`,
+      borderRadius: 10,
+    },
+    table: {
+      width: "100%",
+      borderCollapse: "collapse",
+      fontVariantNumeric: "tabular-nums",
+      color: theme.text,
+    },
+    cell: {
+      padding: "4px 8px",
+      textAlign: "right",
+      borderBottom: `1px solid ${theme.border}`,
+    },
+    headCell: {
+      position: "sticky",
+      top: 0,
+      padding: "4px 8px",
+      textAlign: "right",
+      background: theme.surface,
+      color: theme.subtle,
+      borderBottom: `1px solid ${theme.border}`,
+    },
+    caption: {
+      padding: "4px 8px",
+      textAlign: "left",
+    },
+    error: {
+      color: theme.error,
+    },
+  };
+
+  return (
+    <section style={styles.panel} aria-label="Financial settings">
+      <div style={styles.row}>
+        <span>
+          Tax rate <span style={styles.value}>{format(financial.taxRate)}%</span>
+        </span>
+        <button type="button" style={styles.textButton} onClick={onSetTaxRate}>
+          Set tax rate from display
+        </button>
+      </div>
+
+      <dl style={styles.registers}>
+        {TVM_FIELDS.map(({ id, label, name }) => (
+          <div key={id} style={styles.register} title={name}>
+            <dt>{label}</dt>
+            <dd style={styles.registerValue}>{format(financial.tvm[id])}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <div style={styles.row}>
+        <label>
+          Periods a year{" "}
+          <input
+            type="number"
+            min={1}
+            max={MAX_PERIODS_PER_YEAR}
+            style={{ ...styles.control, width: 52 }}
+            value={financial.periodsPerYear}
+            onChange={(e) => onPeriodsPerYear(Number(e.target.value))}
+          />
+        </label>
+        <label>
+          Payments at{" "}
+          <select style={styles.control} value={financial.timing} onChange={(e) => onTiming(e.target.value)}>
+            <option value="end">End of period</option>
+            <option value="begin">Beginning of period</option>
+          </select>
+        </label>
+        <button type="button" style={styles.textButton} onClick={onClearTvm}>
+          Clear TVM
+        </button>
+        <button
+          type="button"
+          style={styles.textButton}
+          aria-pressed={showSchedule}
+          onClick={() => setShowSchedule((shown) => !shown)}
+        >
+          Amortization schedule
+        </button>
+      </div>
+
+      {schedule && !schedule.ok && (
+        <div role="status" style={styles.error}>
+          {schedule.error}
+        </div>
+      )}
+      {schedule && schedule.ok && (
+        <div style={styles.scheduleWrap}>
+          <table style={styles.table}>
+            <caption style={styles.caption}>Amortization schedule</caption>
+            <thead>
+              <tr>
+                {["Period", "Payment", "Interest", "Principal", "Balance"].map((heading) => (
+                  <th key={heading} scope="col" style={styles.headCell}>
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.rows.map((row) => (
+                <tr key={row.period}>
+                  <th scope="row" style={styles.cell}>
+                    {row.period}
+                  </th>
+                  {[row.payment, row.interest, row.principal, row.balance].map((value, i) => (
+                    <td key={i} style={styles.cell}>
+                      {format(cents(value))}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default FinancialPanel;
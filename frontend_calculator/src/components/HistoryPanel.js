@@ -0,0 +1,214 @@
+import React, { useEffect, useRef, useState } from "react";
+import { searchHistory } from "../calculator/history";
+import { withAlpha } from "../calculator/theme";
+
+/**
+ * History tape: searchable list of completed calculations.
+ * - click / Enter recalls an entry's result as the current operand
+ * - ArrowUp / ArrowDown / Home / End move through the list while it is focused
+ * - Delete removes the active entry; "Clear all" empties the tape
+ */
+
+// PUBLIC_INTERFACE
+function HistoryPanel({ entries, theme, onRecall, onDelete, onClear }) {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const visible = searchHistory(entries, query);
+  const active = Math.min(activeIndex, visible.length - 1);
+
+  // Keep the active row in view while navigating with the keyboard.
+  useEffect(() => {
+    const row = listRef.current && listRef.current.querySelector(`[data-index="${active}"]`);
+    if (row && row.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  const onListKeyDown = (e) => {
+    if (visible.length === 0) return;
+
+    let next = null;
+    if (e.key === "ArrowDown") next = Math.min(active + 1, visible.length - 1);
+    else if (e.key === "ArrowUp") next = Math.max(active - 1, 0);
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = visible.length - 1;
+    else if (e.key === "Enter") onRecall(visible[active]);
+    else if (e.key === "Delete") onDelete(visible[active].id);
+    else return;
+
+    // Handled here: keep the calculator's keyboard shortcuts (Enter = equals) out of it.
+    e.preventDefault();
+    e.stopPropagation();
+    if (next !== null) setActiveIndex(next);
+  };
+
+  const styles = {
+    panel: {
+      borderTop: `1px solid ${theme.border}`,
+      background: theme.surface,
+      padding: 16,
+      display: "grid",
+      gap: 10,
+    },
+    toolbar: {
+      display: "flex",
+      gap: 8,
+      alignItems: "center",
+    },
+    search: {
+      flex: 1,
+      font: "inherit",
+      fontSize: 13,
+      padding: "6px 10px",
+      borderRadius: 10,
+      border: `1px solid ${theme.border}`,
+      color: theme.text,
+      background: theme.background,
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.error,
+      borderRadius: 10,
+      padding: "6px 10px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+    list: {
+      listStyle: "none",
+      margin: 0,
+      padding: 0,
+      maxHeight: 220,
+      overflowY: "auto",
+      borderRadius: 12,
+      border: `1px solid ${theme.border}`,
+      outline: "none",
+    },
+    row: (isActive) => ({
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+      padding: "8px 10px",
+      cursor: "pointer",
+      background: isActive ? withAlpha(theme.primary, 0.08) : "transparent",
+      borderBottom: `1px solid ${theme.border}`,
+    }),
+    rowText: {
+      flex: 1,
+      minWidth: 0,
+      textAlign: "right",
+    },
+    expression: {
+      display: "block",
+      fontSize: 12,
+      color: theme.subtle,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+    result: {
+      display: "block",
+      fontSize: 16,
+      fontWeight: 800,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+    time: {
+      fontSize: 11,
+      color: theme.subtle,
+    },
+    deleteButton: {
+      appearance: "none",
+      border: "none",
+      background: "transparent",
+      color: theme.subtle,
+      fontSize: 16,
+      cursor: "pointer",
+      padding: "0 4px",
+    },
+    empty: {
+      fontSize: 12,
+      color: theme.subtle,
+      textAlign: "center",
+      padding: 12,
+    },
+  };
+
+  return (
+    <section style={styles.panel} aria-label="History">
+      <div style={styles.toolbar}>
+        <input
+          type="search"
+          placeholder="Search history"
+          aria-label="Search history"
+          style={styles.search}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+        />
+        <button
+          type="button"
+          style={styles.textButton}
+          onClick={onClear}
+          disabled={entries.length === 0}
+          aria-label="Clear history"
+        >
+          Clear all
+        </button>
+      </div>
+
+      {visible.length === 0 ? (
+        <div style={styles.empty}>{entries.length === 0 ? "No calculations yet" : "No matches"}</div>
+      ) : (
+        <ul
+          ref={listRef}
+          role="listbox"
+          aria-label="Calculation history"
+          aria-activedescendant={`history-${visible[active].id}`}
+          tabIndex={0}
+          style={styles.list}
+          onKeyDown={onListKeyDown}
+        >
+          {visible.map((entry, index) => (
+            <li
+              key={entry.id}
+              id={`history-${entry.id}`}
+              data-index={index}
+              role="option"
+              aria-selected={index === active}
+              style={styles.row(index === active)}
+              onClick={() => {
+                setActiveIndex(index);
+                onRecall(entry);
+              }}
+            >
+              <span style={styles.time}>{new Date(entry.timestamp).toLocaleTimeString()}</span>
+              <span style={styles.rowText}>
+                <span style={styles.expression}>{entry.expression} =</span>
+                <span style={styles.result}>{entry.result}</span>
+              </span>
+              <button
+                type="button"
+                style={styles.deleteButton}
+                aria-label={`Delete ${entry.expression} = ${entry.result}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(entry.id);
+                }}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default HistoryPanel;
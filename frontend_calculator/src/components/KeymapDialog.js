@@ -0,0 +1,206 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_KEYMAP,
+  KEY_COMMANDS,
+  RESERVED_CHORDS,
+  chordLabel,
+  chordsFromEvent,
+  commandLabel,
+  findConflicts,
+} from "../calculator/keymap";
+import Modal from "./Modal";
+
+/**
+ * Shortcut settings: add keys to a command by pressing them, remove them, and save once nothing conflicts.
+ * While a key is being recorded, Escape cancels instead of closing the dialog; keys the browser or copy and
+ * paste need are refused with the reason.
+ */
+
+// PUBLIC_INTERFACE
+function KeymapDialog({ keymap, theme, onSave, onClose }) {
+  const [draft, setDraft] = useState(keymap);
+  // The command waiting for a key press, and the reason the last press was not taken.
+  const [recording, setRecording] = useState(null);
+  const [problem, setProblem] = useState(null);
+
+  const conflicts = findConflicts(draft);
+  const conflictFor = (id, chord) =>
+    conflicts.find((conflict) => conflict.chord === chord && conflict.commands.includes(id));
+
+  const record = (e) => {
+    if (!recording) return;
+    if (e.key === "Tab") {
+      setRecording(null);
+      return;
+    }
+    e.preventDefault();
+    if (e.key === "Escape") {
+      setRecording(null);
+      return;
+    }
+    if (["Control", "Alt", "Shift", "Meta"].includes(e.key)) return;
+
+    const [chord] = chordsFromEvent(e);
+    if (!chord) {
+      setProblem(`${e.key} is kept for moving around and cannot be bound`);
+      return;
+    }
+    if (chord in RESERVED_CHORDS) {
+      setProblem(`${chordLabel(chord)} is kept for ${RESERVED_CHORDS[chord]} and cannot be bound`);
+      return;
+    }
+    setDraft((current) => ({
+      ...current,
+      [recording]: current[recording].includes(chord) ? current[recording] : [...current[recording], chord],
+    }));
+    setProblem(null);
+    setRecording(null);
+  };
+
+  const remove = (id, chord) => setDraft((current) => ({ ...current, [id]: current[id].filter((c) => c !== chord) }));
+
+  const styles = {
+    summary: {
+      margin: "0 0 10px 0",
+      fontWeight: 600,
+      color: theme.error,
+    },
+    list: {
+      display: "grid",
+      gap: 6,
+      margin: "0 0 12px 0",
+      padding: 0,
+      listStyle: "none",
+    },
+    row: {
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+    },
+    label: {
+      flex: 1,
+      minWidth: 0,
+    },
+    chords: {
+      display: "flex",
+      flexWrap: "wrap",
+      justifyContent: "flex-end",
+      gap: 4,
+    },
+    chip: (conflicting) => ({
+      display: "inline-flex",
+      alignItems: "center",
+      gap: 2,
+      fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+      fontSize: 11,
+      padding: "1px 2px 1px 6px",
+      borderRadius: 6,
+      border: `1px solid ${conflicting ? theme.error : theme.border}`,
+      color: conflicting ? theme.error : theme.text,
+      background: theme.background,
+    }),
+    chipButton: {
+      appearance: "none",
+      border: "none",
+      background: "transparent",
+      color: "inherit",
+      padding: "0 4px",
+      cursor: "pointer",
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "4px 8px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+    footer: {
+      display: "flex",
+      justifyContent: "flex-end",
+      gap: 8,
+    },
+    problem: {
+      flex: 1,
+      color: theme.error,
+    },
+  };
+
+  return (
+    <Modal title="Shortcut settings" theme={theme} onClose={onClose} onKeyDown={record}>
+      <div role="alert" style={styles.summary}>
+        {conflicts.length > 0 &&
+          `Conflicts: ${conflicts
+            .map(({ chord, commands }) => `${chordLabel(chord)} (${commands.map(commandLabel).join(", ")})`)
+            .join("; ")}`}
+      </div>
+      <ul style={styles.list}>
+        {KEY_COMMANDS.map(({ id, label }) => (
+          <li key={id} style={styles.row}>
+            <span style={styles.label}>{label}</span>
+            <span style={styles.chords}>
+              {draft[id].map((chord) => {
+                const conflict = conflictFor(id, chord);
+                return (
+                  <span
+                    key={chord}
+                    style={styles.chip(Boolean(conflict))}
+                    title={
+                      conflict
+                        ? `Also bound to ${conflict.commands
+                            .filter((other) => other !== id)
+                            .map(commandLabel)
+                            .join(", ")}`
+                        : undefined
+                    }
+                  >
+                    {chordLabel(chord)}
+                    <button
+                      type="button"
+                      style={styles.chipButton}
+                      aria-label={`Remove ${chordLabel(chord)} from ${label}`}
+                      onClick={() => remove(id, chord)}
+                    >
+                      ×
+                    </button>
+                  </span>
+                );
+              })}
+              <button
+                type="button"
+                style={styles.textButton}
+                aria-label={`Add key for ${label}`}
+                aria-pressed={recording === id}
+                onClick={() => {
+                  setProblem(null);
+                  setRecording(recording === id ? null : id);
+                }}
+              >
+                {recording === id ? "Press a key…" : "+"}
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <div style={styles.footer}>
+        <span role="status" style={styles.problem}>
+          {problem}
+        </span>
+        <button type="button" style={styles.textButton} onClick={() => setDraft({ ...DEFAULT_KEYMAP })}>
+          Reset to defaults
+        </button>
+        <button type="button" style={styles.textButton} onClick={onClose}>
+          Cancel
+        </button>
+        <button type="button" style={styles.textButton} disabled={conflicts.length > 0} onClick={() => onSave(draft)}>
+          Save
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default KeymapDialog;
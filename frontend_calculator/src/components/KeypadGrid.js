@@ -0,0 +1,111 @@
+import React, { useEffect, useRef } from "react";
+
+/**
+ * A group of calculator keys with a roving tabindex: Tab enters the group once, on the key used last, and the
+ * arrow keys move between keys as they are laid out on the grid (Home/End: first/last key of the row,
+ * Ctrl+Home/End: of the group). Disabled keys are skipped.
+ *
+ * Positions come from the button order, `columns` and each button's `gridColumn: "span N"`. The group lays
+ * itself out in `columns` columns, so what is on screen and what the arrow keys follow cannot disagree.
+ */
+
+const spanOf = (button) => Number((/span (\d+)/.exec(button.style.gridColumn) || [])[1] || 1);
+
+function layout(buttons, columns) {
+  let row = 0;
+  let col = 0;
+  return buttons.map((button) => {
+    const span = spanOf(button);
+    if (col + span > columns) {
+      row += 1;
+      col = 0;
+    }
+    const cell = { button, row, col, span, enabled: !button.disabled };
+    col += span;
+    if (col >= columns) {
+      row += 1;
+      col = 0;
+    }
+    return cell;
+  });
+}
+
+// The cell to focus after `key` from cells[from], or null to stay.
+function target(cells, from, key, ctrlKey) {
+  const current = cells[from];
+  const enabled = cells.filter((cell) => cell.enabled);
+  const inRow = enabled.filter((cell) => cell.row === current.row);
+  switch (key) {
+    case "ArrowRight":
+      return cells.slice(from + 1).find((cell) => cell.enabled) || null;
+    case "ArrowLeft":
+      return (
+        cells
+          .slice(0, from)
+          .reverse()
+          .find((cell) => cell.enabled) || null
+      );
+    case "ArrowDown":
+    case "ArrowUp": {
+      const below = key === "ArrowDown";
+      const rows = cells
+        .filter((cell) => cell.enabled && (below ? cell.row > current.row : cell.row < current.row))
+        .filter((cell) => cell.col <= current.col && current.col < cell.col + cell.span);
+      return (below ? rows[0] : rows[rows.length - 1]) || null;
+    }
+    case "Home":
+      return (ctrlKey ? enabled[0] : inRow[0]) || null;
+    case "End":
+      return (ctrlKey ? enabled[enabled.length - 1] : inRow[inRow.length - 1]) || null;
+    default:
+      return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+function KeypadGrid({ label, columns, style, children }) {
+  const ref = useRef(null);
+  const activeRef = useRef(null);
+
+  const buttons = () => Array.from(ref.current.querySelectorAll("button"));
+
+  // Exactly one enabled key is tabbable: the active one, or the first when it went away or was disabled.
+  const syncTabStops = () => {
+    const all = buttons();
+    if (!all.includes(activeRef.current) || activeRef.current.disabled) {
+      activeRef.current = all.find((button) => !button.disabled) || null;
+    }
+    all.forEach((button) => {
+      button.tabIndex = button === activeRef.current ? 0 : -1;
+    });
+  };
+
+  useEffect(syncTabStops);
+
+  return (
+    <div
+      ref={ref}
+      role="group"
+      aria-label={label}
+      style={{ ...style, display: "grid", gridTemplateColumns: `repeat(${columns}, 1fr)` }}
+      onFocus={(e) => {
+        if (e.target.tagName !== "BUTTON") return;
+        activeRef.current = e.target;
+        syncTabStops();
+      }}
+      onKeyDown={(e) => {
+        const cells = layout(buttons(), columns);
+        const from = cells.findIndex((cell) => cell.button === e.target);
+        if (from < 0) return;
+        const next = target(cells, from, e.key, e.ctrlKey);
+        if (!next) return;
+        e.preventDefault();
+        next.button.focus();
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+export default KeypadGrid;
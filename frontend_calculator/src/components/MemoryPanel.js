@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { isZeroValue } from "../calculator/memory";
+import { withAlpha } from "../calculator/theme";
+
+/**
+ * Memory registers panel: pick the active register (the one MC/MR/M+/M−/MS act on) and rename registers.
+ * Names are edited as drafts and committed on Enter or blur, so a name can be cleared and retyped.
+ */
+
+function RegisterName({ name, ariaLabel, style, onRename }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft !== null && draft.trim() && draft !== name) onRename(draft);
+    setDraft(null);
+  };
+
+  return (
+    <input
+      type="text"
+      aria-label={ariaLabel}
+      style={style}
+      value={draft ?? name}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") {
+          setDraft(null);
+          e.stopPropagation();
+        }
+      }}
+    />
+  );
+}
+
+// PUBLIC_INTERFACE
+function MemoryPanel({ memory, theme, onSelect, onRename }) {
+  const styles = {
+    panel: {
+      borderTop: `1px solid ${theme.border}`,
+      background: theme.surface,
+      padding: 16,
+    },
+    list: {
+      listStyle: "none",
+      margin: 0,
+      padding: 0,
+      display: "grid",
+      gap: 6,
+    },
+    row: (isActive) => ({
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+      padding: "6px 8px",
+      borderRadius: 10,
+      border: `1px solid ${isActive ? theme.primary : theme.border}`,
+      background: isActive ? withAlpha(theme.primary, 0.06) : "transparent",
+    }),
+    select: {
+      appearance: "none",
+      width: 16,
+      height: 16,
+      borderRadius: 999,
+      border: `2px solid ${theme.primary}`,
+      cursor: "pointer",
+      padding: 0,
+    },
+    name: {
+      width: 110,
+      font: "inherit",
+      fontSize: 13,
+      fontWeight: 700,
+      padding: "4px 6px",
+      borderRadius: 8,
+      border: `1px solid ${theme.border}`,
+      color: theme.text,
+      background: theme.background,
+    },
+    value: (isZero) => ({
+      flex: 1,
+      minWidth: 0,
+      textAlign: "right",
+      fontWeight: 700,
+      color: isZero ? theme.subtle : theme.text,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    }),
+  };
+
+  return (
+    <section style={styles.panel} aria-label="Memory registers">
+      <ul role="radiogroup" aria-label="Active register" style={styles.list}>
+        {memory.registers.map((register, index) => {
+          const isActive = index === memory.active;
+          return (
+            <li key={index} role="presentation" style={styles.row(isActive)}>
+              <button
+                type="button"
+                role="radio"
+                aria-checked={isActive}
+                aria-label={`Use ${register.name}`}
+                style={{ ...styles.select, background: isActive ? theme.primary : theme.surface }}
+                onClick={() => onSelect(index)}
+              />
+              <RegisterName
+                name={register.name}
+                ariaLabel={`Name of register ${index + 1}`}
+                style={styles.name}
+                onRename={(name) => onRename(index, name)}
+              />
+              <span style={styles.value(isZeroValue(register.value))}>{register.value}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+export default MemoryPanel;
@@ -0,0 +1,126 @@
+import React, { useEffect, useRef } from "react";
+import { withAlpha } from "../calculator/theme";
+
+/**
+ * Modal dialog shell: backdrop, title, focus moved in on open and kept inside with Tab, Escape or a backdrop
+ * click to close. `onKeyDown` sees keys first; preventing the default skips the built-in handling.
+ */
+
+const FOCUSABLE = "button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea, [href]";
+
+// PUBLIC_INTERFACE
+function Modal({ title, theme, onClose, onKeyDown, children }) {
+  const ref = useRef(null);
+  const titleId = `modal-${title.toLowerCase().replace(/\W+/g, "-")}`;
+
+  useEffect(() => {
+    ref.current.focus();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (onKeyDown) onKeyDown(e);
+    if (e.defaultPrevented) return;
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+      return;
+    }
+    if (e.key === "Tab") {
+      const focusable = Array.from(ref.current.querySelectorAll(FOCUSABLE));
+      if (focusable.length === 0) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === ref.current)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  const styles = {
+    backdrop: {
+      position: "fixed",
+      inset: 0,
+      display: "grid",
+      placeItems: "center",
+      padding: 16,
+      background: withAlpha("#000000", 0.45),
+      zIndex: 10,
+    },
+    dialog: {
+      width: "min(440px, 100%)",
+      maxHeight: "85vh",
+      display: "flex",
+      flexDirection: "column",
+      background: theme.surface,
+      color: theme.text,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 18,
+      boxShadow: theme.shadow,
+      outline: "none",
+      overflow: "hidden",
+    },
+    header: {
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "space-between",
+      gap: 8,
+      padding: "14px 16px",
+      borderBottom: `1px solid ${theme.border}`,
+    },
+    title: {
+      margin: 0,
+      fontSize: 15,
+      fontWeight: 800,
+    },
+    close: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.subtle,
+      borderRadius: 10,
+      padding: "4px 9px",
+      fontSize: 14,
+      cursor: "pointer",
+    },
+    body: {
+      padding: 16,
+      overflowY: "auto",
+      fontSize: 12,
+    },
+  };
+
+  return (
+    <div
+      style={styles.backdrop}
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        ref={ref}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        style={styles.dialog}
+        onKeyDown={handleKeyDown}
+      >
+        <div style={styles.header}>
+          <h2 id={titleId} style={styles.title}>
+            {title}
+          </h2>
+          <button type="button" style={styles.close} aria-label="Close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div style={styles.body}>{children}</div>
+      </div>
+    </div>
+  );
+}
+
+export default Modal;
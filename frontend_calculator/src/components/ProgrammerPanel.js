@@ -0,0 +1,160 @@
+import React from "react";
+import { BASES, WORD_SIZES, formatInteger, parseInteger, wrap } from "../calculator/programmer";
+import { withAlpha } from "../calculator/theme";
+
+/**
+ * Programmer mode panel: the current value in every base at once (click a row to enter in that base),
+ * word size and signedness controls, and a bit grid where clicking a bit flips it.
+ */
+
+const BASE_LABELS = { hex: "HEX", dec: "DEC", oct: "OCT", bin: "BIN" };
+const BITS_PER_ROW = 16;
+
+// PUBLIC_INTERFACE
+function ProgrammerPanel({ display, base, wordSize, signed, theme, onSelectBase, onWordSize, onSigned, onToggleBit }) {
+  const word = { wordSize, signed };
+  const value = wrap(parseInteger(display, BASES[base]) ?? BigInt(0), word);
+  const pattern = BigInt.asUintN(wordSize, value);
+
+  // Most significant bit first, in rows of 16 split into nibbles.
+  const rows = [];
+  for (let top = wordSize - 1; top >= 0; top -= BITS_PER_ROW) {
+    rows.push(Array.from({ length: Math.min(BITS_PER_ROW, top + 1) }, (_, i) => top - i));
+  }
+
+  const styles = {
+    panel: {
+      padding: "16px 16px 0 16px",
+      background: theme.background,
+      display: "grid",
+      gap: 8,
+      fontSize: 12,
+    },
+    bases: {
+      display: "grid",
+      gap: 4,
+    },
+    baseRow: (isActive) => ({
+      appearance: "none",
+      display: "flex",
+      gap: 10,
+      alignItems: "baseline",
+      textAlign: "left",
+      padding: "4px 8px",
+      borderRadius: 8,
+      border: `1px solid ${isActive ? theme.primary : "transparent"}`,
+      background: isActive ? withAlpha(theme.primary, 0.06) : "transparent",
+      color: theme.text,
+      cursor: "pointer",
+      font: "inherit",
+    }),
+    baseLabel: {
+      width: 30,
+      fontWeight: 800,
+      color: theme.primary,
+    },
+    baseValue: {
+      flex: 1,
+      minWidth: 0,
+      fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+      overflowWrap: "anywhere",
+    },
+    controls: {
+      display: "flex",
+      gap: 10,
+      alignItems: "center",
+      color: theme.subtle,
+    },
+    control: {
+      font: "inherit",
+      fontSize: 12,
+      color: theme.text,
+      background: theme.surface,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 8,
+      padding: "3px 6px",
+    },
+    bitRow: {
+      display: "flex",
+      justifyContent: "flex-end",
+      gap: 2,
+    },
+    bit: (isSet, startsNibble) => ({
+      appearance: "none",
+      width: 18,
+      padding: "2px 0",
+      marginLeft: startsNibble ? 6 : 0,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 4,
+      background: isSet ? theme.primary : theme.surface,
+      color: isSet ? theme.onPrimary : theme.subtle,
+      fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+      fontSize: 11,
+      cursor: "pointer",
+    }),
+  };
+
+  return (
+    <section style={styles.panel} aria-label="Programmer">
+      <div style={styles.bases} role="radiogroup" aria-label="Base">
+        {Object.keys(BASES).map((key) => (
+          <button
+            key={key}
+            type="button"
+            role="radio"
+            aria-checked={key === base}
+            aria-label={`${BASE_LABELS[key]} ${formatInteger(value, BASES[key], word)}`}
+            style={styles.baseRow(key === base)}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onSelectBase(key)}
+          >
+            <span style={styles.baseLabel}>{BASE_LABELS[key]}</span>
+            <span style={styles.baseValue}>{formatInteger(value, BASES[key], word)}</span>
+          </button>
+        ))}
+      </div>
+
+      <div style={styles.controls}>
+        <label>
+          Word{" "}
+          <select style={styles.control} value={wordSize} onChange={(e) => onWordSize(Number(e.target.value))}>
+            {WORD_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}-bit
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={signed} onChange={(e) => onSigned(e.target.checked)} /> Signed
+        </label>
+      </div>
+
+      <div role="group" aria-label="Bits">
+        {rows.map((bits) => (
+          <div key={bits[0]} style={styles.bitRow}>
+            {bits.map((bit) => {
+              const isSet = ((pattern >> BigInt(bit)) & BigInt(1)) === BigInt(1);
+              return (
+                <button
+                  key={bit}
+                  type="button"
+                  aria-label={`Bit ${bit}`}
+                  aria-pressed={isSet}
+                  title={`Bit ${bit}`}
+                  style={styles.bit(isSet, bit % 4 === 3 && bit !== bits[0])}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => onToggleBit(bit)}
+                >
+                  {isSet ? 1 : 0}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default ProgrammerPanel;
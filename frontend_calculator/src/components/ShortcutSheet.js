@@ -0,0 +1,126 @@
+import React from "react";
+import { KEY_COMMANDS, chordLabel, chordsFromEvent } from "../calculator/keymap";
+import Modal from "./Modal";
+
+/**
+ * Keyboard cheat sheet, generated from the active keymap. The shortcut that opened it closes it again.
+ */
+
+const CONTEXT_NOTES = { programmer: "programmer mode", standard: "not in programmer mode" };
+
+// PUBLIC_INTERFACE
+function ShortcutSheet({ keymap, decimalKey, theme, onClose, onCustomize }) {
+  const groups = [];
+  KEY_COMMANDS.filter((c) => keymap[c.id].length > 0).forEach((c) => {
+    const group = groups.find((g) => g.name === c.group);
+    if (group) group.commands.push(c);
+    else groups.push({ name: c.group, commands: [c] });
+  });
+
+  const styles = {
+    group: {
+      margin: "0 0 12px 0",
+    },
+    heading: {
+      margin: "0 0 6px 0",
+      fontSize: 11,
+      fontWeight: 800,
+      letterSpacing: "0.06em",
+      textTransform: "uppercase",
+      color: theme.subtle,
+    },
+    list: {
+      display: "grid",
+      gridTemplateColumns: "1fr auto",
+      gap: "4px 12px",
+      margin: 0,
+    },
+    label: {
+      margin: 0,
+    },
+    keys: {
+      margin: 0,
+      display: "flex",
+      flexWrap: "wrap",
+      justifyContent: "flex-end",
+      gap: 4,
+    },
+    note: {
+      color: theme.subtle,
+    },
+    kbd: {
+      fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+      fontSize: 11,
+      padding: "1px 6px",
+      borderRadius: 6,
+      border: `1px solid ${theme.border}`,
+      background: theme.background,
+    },
+    footer: {
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "space-between",
+      gap: 8,
+      color: theme.subtle,
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "6px 10px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+  };
+
+  return (
+    <Modal
+      title="Keyboard shortcuts"
+      theme={theme}
+      onClose={onClose}
+      onKeyDown={(e) => {
+        if (chordsFromEvent(e).some((chord) => keymap.shortcuts.includes(chord))) {
+          e.preventDefault();
+          onClose();
+        }
+      }}
+    >
+      {groups.map(({ name, commands }) => (
+        <section key={name} style={styles.group} aria-label={name}>
+          <h3 style={styles.heading}>{name}</h3>
+          <dl style={styles.list}>
+            {commands.map((c) => (
+              <React.Fragment key={c.id}>
+                <dt style={styles.label}>
+                  {c.label}
+                  {c.context && <span style={styles.note}> ({CONTEXT_NOTES[c.context]})</span>}
+                </dt>
+                <dd style={styles.keys}>
+                  {keymap[c.id].map((chord) => (
+                    <kbd key={chord} style={styles.kbd}>
+                      {chordLabel(chord)}
+                    </kbd>
+                  ))}
+                </dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </section>
+      ))}
+      <div style={styles.footer}>
+        <span>
+          Also: <kbd style={styles.kbd}>{decimalKey}</kbd> decimal, <kbd style={styles.kbd}>Ctrl+C</kbd>/
+          <kbd style={styles.kbd}>Ctrl+V</kbd> copy/paste
+        </span>
+        <button type="button" style={styles.textButton} onClick={onCustomize}>
+          Customize…
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default ShortcutSheet;
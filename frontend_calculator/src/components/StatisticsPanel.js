@@ -0,0 +1,193 @@
+import React, { useState } from "react";
+import { formatNumber } from "../calculator/engine";
+import { STATISTICS, computeStatistic } from "../calculator/statistics";
+
+/**
+ * Statistics panel: the data list, editable in place, and every statistic with a button that puts it on the
+ * display as the next operand. Values are edited as drafts and committed on Enter or blur; an empty y turns a
+ * pair back into a single value. `format` localizes a plain number string for display.
+ */
+
+function DataValue({ value, ariaLabel, style, onCommit }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft !== null && draft.trim() !== (value ?? "")) onCommit(draft.trim());
+    setDraft(null);
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      aria-label={ariaLabel}
+      style={style}
+      value={draft ?? value ?? ""}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") {
+          setDraft(null);
+          e.stopPropagation();
+        }
+      }}
+    />
+  );
+}
+
+// PUBLIC_INTERFACE
+function StatisticsPanel({ statistics, theme, format, onEdit, onDelete, onClear, onUse }) {
+  const { data, pendingX } = statistics;
+
+  const styles = {
+    panel: {
+      borderTop: `1px solid ${theme.border}`,
+      background: theme.surface,
+      padding: 16,
+      display: "grid",
+      gap: 10,
+      fontSize: 12,
+      color: theme.subtle,
+    },
+    row: {
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+    },
+    summary: {
+      flex: 1,
+    },
+    list: {
+      listStyle: "none",
+      margin: 0,
+      padding: 0,
+      display: "grid",
+      gap: 4,
+      maxHeight: 180,
+      overflowY: "auto",
+    },
+    index: {
+      width: 28,
+      textAlign: "right",
+    },
+    input: {
+      flex: 1,
+      minWidth: 0,
+      font: "inherit",
+      fontSize: 12,
+      color: theme.text,
+      background: theme.background,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 8,
+      padding: "4px 6px",
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "4px 8px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+    results: {
+      display: "grid",
+      gridTemplateColumns: "auto 1fr auto",
+      alignItems: "center",
+      gap: "4px 8px",
+      margin: 0,
+    },
+    label: {
+      margin: 0,
+      fontWeight: 700,
+    },
+    value: (isOk) => ({
+      margin: 0,
+      textAlign: "right",
+      fontWeight: isOk ? 700 : 400,
+      color: isOk ? theme.text : theme.subtle,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    }),
+    action: {
+      margin: 0,
+    },
+  };
+
+  return (
+    <section style={styles.panel} aria-label="Statistics">
+      <div style={styles.row}>
+        <span style={styles.summary}>
+          {data.length === 1 ? "1 value" : `${data.length} values`}
+          {pendingX !== null && ` · next pair: x = ${format(pendingX)}, enter y`}
+        </span>
+        <button type="button" style={styles.textButton} disabled={data.length === 0} onClick={onClear}>
+          Clear data
+        </button>
+      </div>
+
+      {data.length > 0 && (
+        <ol style={styles.list} aria-label="Data">
+          {data.map((point, index) => (
+            <li key={index} style={styles.row}>
+              <span style={styles.index}>{index + 1}</span>
+              <DataValue
+                value={point.x}
+                ariaLabel={`x of point ${index + 1}`}
+                style={styles.input}
+                onCommit={(x) => onEdit(index, x, point.y)}
+              />
+              <DataValue
+                value={point.y}
+                ariaLabel={`y of point ${index + 1}`}
+                style={styles.input}
+                onCommit={(y) => onEdit(index, point.x, y === "" ? null : y)}
+              />
+              <button
+                type="button"
+                style={styles.textButton}
+                aria-label={`Delete point ${index + 1}`}
+                onClick={() => onDelete(index)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <dl style={styles.results}>
+        {STATISTICS.map(({ id, label, name }) => {
+          const result = computeStatistic(id, data);
+          return (
+            <React.Fragment key={id}>
+              <dt style={styles.label} title={name}>
+                {label}
+              </dt>
+              <dd style={styles.value(result.ok)} title={result.ok ? name : result.error}>
+                {result.ok ? format(formatNumber(result.value)) : "—"}
+              </dd>
+              <dd style={styles.action}>
+                <button
+                  type="button"
+                  style={styles.textButton}
+                  disabled={!result.ok}
+                  aria-label={`Use ${name}`}
+                  onClick={() => onUse(id)}
+                >
+                  Use
+                </button>
+              </dd>
+            </React.Fragment>
+          );
+        })}
+      </dl>
+    </section>
+  );
+}
+
+export default StatisticsPanel;
@@ -0,0 +1,324 @@
+import React, { useEffect, useRef, useState } from "react";
+import { opSymbol } from "../calculator/engine";
+import { TAPE_OPERATORS, exportTapeCsv } from "../calculator/tape";
+import "./TapePanel.css";
+
+/**
+ * Adding-machine tape shown in place of the previous line: every entry with its operator and the running
+ * subtotal, subtotal lines, the entry in progress and a grand total. Amounts and operators are edited in place
+ * (amounts as drafts committed on Enter or blur) and lines can be deleted; the engine recomputes everything
+ * after them. The tape exports as CSV and prints on its own as a receipt (see ./TapePanel.css). `totals` is the
+ * engine's tapeTotals; `format` localizes a plain number string for display and `parse` reads a typed amount back
+ * (null when it is not a number, which is reported rather than dropped).
+ */
+
+// While the body has this class, printing shows only the tape.
+const PRINTING_CLASS = "printing-tape";
+
+function TapeAmount({ value, ariaLabel, style, format, parse, onCommit, onInvalid }) {
+  const [draft, setDraft] = useState(null);
+  const [invalid, setInvalid] = useState(false);
+  const shown = format(value);
+
+  const commit = () => {
+    if (draft === null || draft.trim() === shown) {
+      setDraft(null);
+      return;
+    }
+    const parsed = parse(draft);
+    // A typo stays in the field to be corrected (or dropped with Escape).
+    if (parsed === null) {
+      setInvalid(true);
+      onInvalid(draft.trim());
+      return;
+    }
+    setDraft(null);
+    setInvalid(false);
+    onCommit(parsed);
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      aria-label={ariaLabel}
+      aria-invalid={invalid}
+      style={style}
+      value={draft ?? shown}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") {
+          setDraft(null);
+          setInvalid(false);
+          onInvalid(null);
+          e.stopPropagation();
+        }
+      }}
+    />
+  );
+}
+
+// PUBLIC_INTERFACE
+function TapePanel({ lines, totals, pending, theme, format, parse, onEdit, onDelete, onClear }) {
+  const listRef = useRef(null);
+  const [problem, setProblem] = useState(null);
+  const entering = pending !== null;
+
+  // New lines scroll into view, like paper coming out of the machine.
+  useEffect(() => {
+    const list = listRef.current;
+    if (list) list.scrollTop = list.scrollHeight;
+  }, [lines.length, entering]);
+
+  // The CSV is built only when asked for: a long tape would otherwise be serialized on every render.
+  const exportCsv = () => {
+    const url = URL.createObjectURL(new Blob([exportTapeCsv(lines, totals)], { type: "text/csv;charset=utf-8" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "calculator-tape.csv";
+    link.click();
+    // Released once the download has started.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const print = () => {
+    document.body.classList.add(PRINTING_CLASS);
+    window.addEventListener("afterprint", () => document.body.classList.remove(PRINTING_CLASS), { once: true });
+    window.print();
+  };
+
+  const shown = (result) => (result.ok ? format(result.value) : "Error");
+
+  const styles = {
+    tape: {
+      display: "grid",
+      gap: 6,
+      marginBottom: 4,
+      fontSize: 12,
+      color: theme.subtle,
+      fontVariantNumeric: "tabular-nums",
+    },
+    list: {
+      listStyle: "none",
+      margin: 0,
+      padding: 0,
+      display: "grid",
+      gap: 2,
+      maxHeight: 180,
+      overflowY: "auto",
+    },
+    row: (subtotal) => ({
+      display: "grid",
+      gridTemplateColumns: "30px minmax(0, 1fr) minmax(0, 1fr) 22px",
+      alignItems: "center",
+      gap: 6,
+      padding: subtotal ? "2px 0 4px" : 0,
+      borderTop: subtotal ? `1px dashed ${theme.border}` : "none",
+      fontWeight: subtotal ? 800 : 600,
+      color: subtotal ? theme.text : theme.subtle,
+    }),
+    op: {
+      font: "inherit",
+      fontSize: 12,
+      fontWeight: 700,
+      color: theme.text,
+      background: "transparent",
+      border: `1px solid ${theme.border}`,
+      borderRadius: 6,
+      padding: "1px 2px",
+    },
+    amount: {
+      minWidth: 0,
+      font: "inherit",
+      fontSize: 12,
+      textAlign: "right",
+      color: theme.text,
+      background: "transparent",
+      border: `1px solid ${theme.border}`,
+      borderRadius: 6,
+      padding: "2px 6px",
+    },
+    note: {
+      gridColumn: "2 / 4",
+      fontSize: 11,
+      fontWeight: 400,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+    subtotal: (result) => ({
+      textAlign: "right",
+      color: result.ok ? "inherit" : theme.error,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    }),
+    remove: {
+      appearance: "none",
+      border: "none",
+      background: "transparent",
+      color: theme.subtle,
+      fontSize: 14,
+      lineHeight: 1,
+      padding: 0,
+      cursor: "pointer",
+    },
+    pending: {
+      display: "grid",
+      gridTemplateColumns: "30px minmax(0, 1fr) minmax(0, 1fr) 22px",
+      gap: 6,
+      fontWeight: 600,
+      opacity: 0.7,
+    },
+    problem: {
+      color: theme.error,
+      fontWeight: 600,
+    },
+    grandTotal: {
+      display: "flex",
+      justifyContent: "space-between",
+      gap: 8,
+      paddingTop: 4,
+      borderTop: `2px solid ${theme.text}`,
+      fontWeight: 800,
+      color: theme.text,
+    },
+    controls: {
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "3px 8px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+      textDecoration: "none",
+    },
+  };
+
+  return (
+    <section className="tape-print" style={styles.tape} aria-label="Tape">
+      <ol ref={listRef} style={styles.list} aria-label="Tape lines">
+        {lines.map((line, index) => {
+          const n = index + 1;
+          const subtotal = totals.subtotals[index];
+          const remove = (
+            <button
+              type="button"
+              className="tape-controls"
+              style={styles.remove}
+              aria-label={`Delete line ${n}`}
+              onClick={() => onDelete(index)}
+            >
+              ×
+            </button>
+          );
+
+          if (line.op === "=") {
+            return (
+              <li key={line.id} style={styles.row(true)}>
+                <span>=</span>
+                <span>Subtotal</span>
+                <span style={styles.subtotal(subtotal)} title={subtotal.ok ? undefined : subtotal.error}>
+                  {shown(subtotal)}
+                </span>
+                {remove}
+              </li>
+            );
+          }
+
+          let op = null;
+          if (TAPE_OPERATORS.includes(line.op)) {
+            op = (
+              <select
+                aria-label={`Operator of line ${n}`}
+                style={styles.op}
+                value={line.op}
+                onChange={(e) => onEdit(index, { op: e.target.value })}
+              >
+                {TAPE_OPERATORS.map((o) => (
+                  <option key={o} value={o}>
+                    {opSymbol(o)}
+                  </option>
+                ))}
+              </select>
+            );
+          } else if (line.op !== null) op = <span>{opSymbol(line.op)}</span>;
+
+          return (
+            <li key={line.id} style={styles.row(false)}>
+              {op ?? <span />}
+              <TapeAmount
+                value={line.value}
+                ariaLabel={`Amount of line ${n}`}
+                style={styles.amount}
+                format={format}
+                parse={parse}
+                onCommit={(value) => {
+                  setProblem(null);
+                  onEdit(index, { value });
+                }}
+                onInvalid={(text) =>
+                  setProblem(text === null ? null : `Line ${n}: "${text}" is not a number, e.g. ${format("1234.5")}`)
+                }
+              />
+              <span style={styles.subtotal(subtotal)} title={subtotal.ok ? undefined : subtotal.error}>
+                {shown(subtotal)}
+              </span>
+              {remove}
+              {line.note && (
+                <>
+                  <span />
+                  <span style={styles.note} title={line.note}>
+                    {format(line.note)}
+                  </span>
+                </>
+              )}
+            </li>
+          );
+        })}
+        {pending && (
+          <li style={styles.pending} aria-label="Entry in progress">
+            <span>{opSymbol(pending.op)}</span>
+            <span style={{ textAlign: "right" }}>{pending.entry}</span>
+          </li>
+        )}
+      </ol>
+
+      {problem && (
+        <div role="alert" className="tape-controls" style={styles.problem}>
+          {problem}
+        </div>
+      )}
+
+      <div style={styles.grandTotal}>
+        <span>Grand total</span>
+        <span data-testid="grand-total" title={totals.grandTotal.ok ? undefined : totals.grandTotal.error}>
+          {shown(totals.grandTotal)}
+        </span>
+      </div>
+
+      <div className="tape-controls" style={styles.controls}>
+        <button type="button" style={styles.textButton} onClick={exportCsv}>
+          Export CSV
+        </button>
+        <button type="button" style={styles.textButton} onClick={print}>
+          Print
+        </button>
+        <button type="button" style={styles.textButton} disabled={lines.length === 0} onClick={onClear}>
+          Clear tape
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default TapePanel;
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { exportPalette, parsePalette } from "../calculator/theme";
+
+/**
+ * Custom palette panel: the current palette as editable JSON, with import from a file and export as a download.
+ * "Apply" only hands the palette to onApply once it parses and passes the contrast check.
+ */
+
+// PUBLIC_INTERFACE
+function ThemePanel({ palette, theme, onApply }) {
+  const [text, setText] = useState(() => exportPalette(palette));
+  const [message, setMessage] = useState(null);
+
+  const apply = (json) => {
+    const result = parsePalette(json);
+    if (!result.ok) {
+      setMessage({ tone: "warning", text: result.error });
+      return;
+    }
+    setText(exportPalette(result.palette));
+    setMessage({ tone: "info", text: "Custom palette applied" });
+    onApply(result.palette);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const json = await file.text();
+      setText(json);
+      apply(json);
+    } catch {
+      setMessage({ tone: "warning", text: "Could not read the file" });
+    }
+  };
+
+  const styles = {
+    panel: {
+      borderTop: `1px solid ${theme.border}`,
+      background: theme.surface,
+      padding: 16,
+      display: "grid",
+      gap: 10,
+      fontSize: 12,
+      color: theme.subtle,
+    },
+    row: {
+      display: "flex",
+      gap: 8,
+      alignItems: "center",
+      flexWrap: "wrap",
+    },
+    editor: {
+      width: "100%",
+      boxSizing: "border-box",
+      minHeight: 180,
+      fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+      fontSize: 12,
+      color: theme.text,
+      background: theme.background,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 8,
+      padding: 8,
+      resize: "vertical",
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "6px 10px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+      textDecoration: "none",
+    },
+    message: {
+      flex: 1,
+      minWidth: 0,
+      textAlign: "right",
+      fontWeight: 600,
+      color: message && message.tone === "warning" ? theme.error : theme.subtle,
+    },
+  };
+
+  return (
+    <section style={styles.panel} aria-label="Custom palette">
+      <textarea
+        aria-label="Palette JSON"
+        spellCheck={false}
+        style={styles.editor}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <div style={styles.row}>
+        <button type="button" style={styles.textButton} onClick={() => apply(text)}>
+          Apply palette
+        </button>
+        <label style={styles.textButton}>
+          Import…
+          <input
+            type="file"
+            accept="application/json,.json"
+            aria-label="Import palette file"
+            hidden
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <a
+          style={styles.textButton}
+          href={`data:application/json;charset=utf-8,${encodeURIComponent(exportPalette(palette))}`}
+          download="calculator-palette.json"
+        >
+          Export
+        </a>
+        <span role="status" style={styles.message}>
+          {message ? message.text : ""}
+        </span>
+      </div>
+    </section>
+  );
+}
+
+export default ThemePanel;
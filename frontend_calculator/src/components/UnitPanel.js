@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { UNIT_CATEGORIES, convertUnit, findCategory, formatConverted } from "../calculator/units";
+
+/**
+ * Unit conversion panel: converts the displayed value between two units of a category.
+ * "Use result" pushes the converted value back into the calculator as the next operand.
+ */
+
+// PUBLIC_INTERFACE
+function UnitPanel({ value, theme, onUse }) {
+  const [categoryId, setCategoryId] = useState(UNIT_CATEGORIES[0].id);
+  const [fromId, setFromId] = useState(UNIT_CATEGORIES[0].units[0].id);
+  const [toId, setToId] = useState(UNIT_CATEGORIES[0].units[1].id);
+
+  const category = findCategory(categoryId);
+  const unitLabel = (id) => category.units.find((u) => u.id === id).label;
+  const result =
+    value === null ? { ok: false, error: "Nothing to convert" } : convertUnit(Number(value), categoryId, fromId, toId);
+  const converted = result.ok ? formatConverted(result.value) : null;
+
+  const selectCategory = (id) => {
+    const [first, second] = findCategory(id).units;
+    setCategoryId(id);
+    setFromId(first.id);
+    setToId(second.id);
+  };
+
+  const styles = {
+    panel: {
+      borderTop: `1px solid ${theme.border}`,
+      background: theme.surface,
+      padding: 16,
+      display: "grid",
+      gap: 10,
+      fontSize: 12,
+      color: theme.subtle,
+    },
+    row: {
+      display: "flex",
+      gap: 8,
+      alignItems: "center",
+    },
+    control: {
+      flex: 1,
+      minWidth: 0,
+      font: "inherit",
+      fontSize: 12,
+      color: theme.text,
+      background: theme.background,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 8,
+      padding: "4px 6px",
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "6px 10px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+    },
+    result: {
+      flex: 1,
+      minWidth: 0,
+      textAlign: "right",
+      fontSize: 16,
+      fontWeight: 800,
+      color: result.ok ? theme.text : theme.error,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+  };
+
+  return (
+    <section style={styles.panel} aria-label="Unit conversion">
+      <div style={styles.row}>
+        <select
+          aria-label="Unit category"
+          style={styles.control}
+          value={categoryId}
+          onChange={(e) => selectCategory(e.target.value)}
+        >
+          {UNIT_CATEGORIES.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.row}>
+        <select
+          aria-label="From unit"
+          style={styles.control}
+          value={fromId}
+          onChange={(e) => setFromId(e.target.value)}
+        >
+          {category.units.map((u) => (
+            <option key={u.id} value={u.id}>
+              {u.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          style={styles.textButton}
+          aria-label="Swap units"
+          title="Swap units"
+          onClick={() => {
+            setFromId(toId);
+            setToId(fromId);
+          }}
+        >
+          ⇄
+        </button>
+        <select aria-label="To unit" style={styles.control} value={toId} onChange={(e) => setToId(e.target.value)}>
+          {category.units.map((u) => (
+            <option key={u.id} value={u.id}>
+              {u.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.row}>
+        <output
+          style={styles.result}
+          aria-live="polite"
+          title={result.ok ? `${value} ${unitLabel(fromId)} = ${converted} ${unitLabel(toId)}` : undefined}
+        >
+          {result.ok ? converted : result.error}
+        </output>
+        <button
+          type="button"
+          style={styles.textButton}
+          disabled={!result.ok}
+          onClick={() => onUse(converted)}
+          aria-label="Use converted value"
+        >
+          Use result
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default UnitPanel;
@@ -0,0 +1,273 @@
+import React, { useState } from "react";
+import { ANS, exportVariables, parseVariables, validateVariableName, variableValue } from "../calculator/variables";
+
+/**
+ * Variables panel: store the display under a name, recall a variable by typing its name or from the list,
+ * rename and delete variables, and import or export them as JSON. `ans` (the last result) is always listed
+ * first. Names are edited as drafts and committed on Enter or blur; an unusable name is explained, not saved.
+ * `format` localizes a plain number string for display.
+ */
+
+function VariableName({ name, ariaLabel, style, onRename }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft !== null && draft.trim() !== name) onRename(draft);
+    setDraft(null);
+  };
+
+  return (
+    <input
+      type="text"
+      aria-label={ariaLabel}
+      spellCheck={false}
+      style={style}
+      value={draft ?? name}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") {
+          setDraft(null);
+          e.stopPropagation();
+        }
+      }}
+    />
+  );
+}
+
+// PUBLIC_INTERFACE
+function VariablesPanel({ variables, theme, format, onStore, onRecall, onRename, onDelete, onImport }) {
+  const [name, setName] = useState("");
+  const [message, setMessage] = useState(null);
+
+  const warn = (text) => setMessage({ tone: "warning", text });
+
+  const store = () => {
+    const checked = validateVariableName(name);
+    if (!checked.ok) {
+      warn(checked.error);
+      return;
+    }
+    onStore(checked.name);
+    setMessage({ tone: "info", text: `Stored ${checked.name}` });
+    setName("");
+  };
+
+  const recall = () => {
+    const trimmed = name.trim();
+    if (variableValue(variables, trimmed) === null) {
+      warn(`No variable named ${trimmed || "…"}`);
+      return;
+    }
+    onRecall(trimmed);
+    setMessage(null);
+    setName("");
+  };
+
+  const rename = (from, to) => {
+    const checked = validateVariableName(to);
+    if (!checked.ok) {
+      warn(checked.error);
+      return;
+    }
+    if (variables.named.some((v) => v.name === checked.name)) {
+      warn(`"${checked.name}" is already used`);
+      return;
+    }
+    onRename(from, checked.name);
+    setMessage(null);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const result = parseVariables(await file.text());
+      if (!result.ok) {
+        warn(result.error);
+        return;
+      }
+      onImport(result.named);
+      const count = result.named.length;
+      setMessage({ tone: "info", text: `Imported ${count} variable${count === 1 ? "" : "s"}` });
+    } catch {
+      warn("Could not read the file");
+    }
+  };
+
+  const styles = {
+    panel: {
+      borderTop: `1px solid ${theme.border}`,
+      background: theme.surface,
+      padding: 16,
+      display: "grid",
+      gap: 10,
+      fontSize: 12,
+      color: theme.subtle,
+    },
+    row: {
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+      flexWrap: "wrap",
+    },
+    list: {
+      listStyle: "none",
+      margin: 0,
+      padding: 0,
+      display: "grid",
+      gap: 4,
+      maxHeight: 220,
+      overflowY: "auto",
+    },
+    item: {
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+    },
+    input: {
+      width: 120,
+      font: "inherit",
+      fontSize: 12,
+      fontWeight: 700,
+      color: theme.text,
+      background: theme.background,
+      border: `1px solid ${theme.border}`,
+      borderRadius: 8,
+      padding: "4px 6px",
+    },
+    ans: {
+      width: 120,
+      padding: "4px 7px",
+      fontWeight: 700,
+      color: theme.text,
+    },
+    value: {
+      flex: 1,
+      minWidth: 0,
+      textAlign: "right",
+      fontWeight: 700,
+      color: theme.text,
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+    textButton: {
+      appearance: "none",
+      border: `1px solid ${theme.border}`,
+      background: theme.surface,
+      color: theme.primary,
+      borderRadius: 10,
+      padding: "4px 8px",
+      fontSize: 12,
+      fontWeight: 700,
+      cursor: "pointer",
+      textDecoration: "none",
+    },
+    message: {
+      flex: 1,
+      minWidth: 0,
+      textAlign: "right",
+      fontWeight: 600,
+      color: message && message.tone === "warning" ? theme.error : theme.subtle,
+    },
+  };
+
+  return (
+    <section style={styles.panel} aria-label="Variables">
+      <div style={styles.row}>
+        <input
+          type="text"
+          aria-label="Variable name"
+          placeholder="name"
+          spellCheck={false}
+          list="variable-names"
+          style={styles.input}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") recall();
+          }}
+        />
+        <datalist id="variable-names">
+          {[ANS, ...variables.named.map((v) => v.name)].map((n) => (
+            <option key={n} value={n} />
+          ))}
+        </datalist>
+        <button type="button" style={styles.textButton} aria-label="Store display as variable" onClick={store}>
+          Store
+        </button>
+        <button type="button" style={styles.textButton} aria-label="Recall variable" onClick={recall}>
+          Recall
+        </button>
+      </div>
+
+      <ul style={styles.list} aria-label="Variable list">
+        <li style={styles.item}>
+          <span style={styles.ans} title="The last result">
+            {ANS}
+          </span>
+          <span style={styles.value}>{format(variables.ans)}</span>
+          <button type="button" style={styles.textButton} aria-label={`Use ${ANS}`} onClick={() => onRecall(ANS)}>
+            Use
+          </button>
+        </li>
+        {variables.named.map((variable, index) => (
+          <li key={variable.name} style={styles.item}>
+            <VariableName
+              name={variable.name}
+              ariaLabel={`Name of variable ${index + 1}`}
+              style={styles.input}
+              onRename={(to) => rename(variable.name, to)}
+            />
+            <span style={styles.value}>{format(variable.value)}</span>
+            <button
+              type="button"
+              style={styles.textButton}
+              aria-label={`Use ${variable.name}`}
+              onClick={() => onRecall(variable.name)}
+            >
+              Use
+            </button>
+            <button
+              type="button"
+              style={styles.textButton}
+              aria-label={`Delete ${variable.name}`}
+              onClick={() => onDelete(variable.name)}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div style={styles.row}>
+        <label style={styles.textButton}>
+          Import…
+          <input
+            type="file"
+            accept="application/json,.json"
+            aria-label="Import variables file"
+            hidden
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <a
+          style={styles.textButton}
+          href={`data:application/json;charset=utf-8,${encodeURIComponent(exportVariables(variables))}`}
+          download="calculator-variables.json"
+        >
+          Export
+        </a>
+        <span role="status" style={styles.message}>
+          {message ? message.text : ""}
+        </span>
+      </div>
+    </section>
+  );
+}
+
+export default VariablesPanel;
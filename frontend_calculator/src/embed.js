@@ -0,0 +1,41 @@
+import React, { createRef } from "react";
+import { createRoot } from "react-dom/client";
+import { flushSync } from "react-dom";
+import Calculator from "./Calculator";
+
+/**
+ * Plain-JS embedding: mount the calculator widget into any element without writing React.
+ *
+ *   const calculator = mountCalculator(element, { initialValue: 42, theme: "dark", onResult: console.log });
+ *   calculator.press({ type: "op", value: "+" });
+ *   calculator.getState().value;
+ *
+ * Props are the <Calculator> props (see ./Calculator). The build also exposes this as
+ * window.OceanCalculator.mount for pages that load it with a script tag.
+ */
+
+// PUBLIC_INTERFACE
+export function mountCalculator(element, props = {}) {
+  /**
+   * Render a calculator into `element`. Returns its ref API (setValue, press, getState, clear) plus
+   * update(props), which merges new props, and unmount().
+   */
+  const root = createRoot(element);
+  const ref = createRef();
+  let current = props;
+  const render = () => root.render(<Calculator {...current} ref={ref} />);
+  // Rendered synchronously, so the API works as soon as this returns.
+  flushSync(render);
+
+  return {
+    setValue: (value) => ref.current.setValue(value),
+    press: (action) => ref.current.press(action),
+    getState: () => ref.current.getState(),
+    clear: () => ref.current.clear(),
+    update: (changes) => {
+      current = { ...current, ...changes };
+      flushSync(render);
+    },
+    unmount: () => root.unmount(),
+  };
+}
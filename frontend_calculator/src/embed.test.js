@@ -0,0 +1,37 @@
+import { act, screen, within } from '@testing-library/react';
+import { mountCalculator } from './embed';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('mountCalculator renders a widget that is driven without React', () => {
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  const onResult = jest.fn();
+
+  let calculator;
+  act(() => {
+    calculator = mountCalculator(element, { initialValue: 6, onResult });
+  });
+  expect(within(element).getByTestId('display')).toHaveTextContent(/^6$/);
+  expect(calculator.getState().value).toBe('6');
+
+  act(() => {
+    calculator.press({ type: 'op', value: '*' });
+    calculator.setValue(7);
+    calculator.press({ type: 'equals' });
+  });
+  expect(calculator.getState().value).toBe('42');
+  expect(onResult).toHaveBeenCalledWith('42', expect.objectContaining({ expression: '6 × 7' }));
+
+  act(() => calculator.update({ mode: 'programmer' }));
+  expect(within(element).getByRole('combobox', { name: 'Arithmetic' })).toHaveValue('programmer');
+
+  act(() => calculator.clear());
+  expect(calculator.getState().value).toBe('0');
+
+  act(() => calculator.unmount());
+  expect(screen.queryByRole('application', { name: 'Calculator' })).not.toBeInTheDocument();
+  element.remove();
+});
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import manifest from '../public/manifest.json';
+import { THEMES } from './calculator/theme';
+
+const publicDir = path.join(__dirname, '..', 'public');
+
+test('the installed app is named, standalone and in the light theme colors', () => {
+  expect(manifest).toMatchObject({
+    name: 'Ocean Calculator',
+    short_name: 'Calculator',
+    display: 'standalone',
+    start_url: '.',
+    theme_color: THEMES.light.primary,
+    background_color: THEMES.light.background,
+  });
+  const html = fs.readFileSync(path.join(publicDir, 'index.html'), 'utf8');
+  expect(html).toContain(`<meta name="theme-color" content="${THEMES.light.primary}" />`);
+});
+
+test('every manifest icon exists, with PNGs at install sizes and a maskable one', () => {
+  for (const icon of manifest.icons) {
+    const file = fs.readFileSync(path.join(publicDir, icon.src));
+    // A PNG's width and height follow its signature and IHDR header.
+    if (icon.type === 'image/png') expect(`${file.readUInt32BE(16)}x${file.readUInt32BE(20)}`).toBe(icon.sizes);
+  }
+  const pngSizes = manifest.icons.filter((icon) => icon.type === 'image/png').map((icon) => icon.sizes);
+  expect(pngSizes).toEqual(expect.arrayContaining(['192x192', '512x512']));
+  expect(manifest.icons.some((icon) => icon.purpose === 'maskable')).toBe(true);
+});
@@ -0,0 +1,75 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service worker: makes the calculator work offline once it has been opened.
+ *
+ * The build injects the list of its files (self.__WB_MANIFEST); they are precached on install, served from the
+ * cache afterwards, and page navigations get the cached index.html. The files copied from public/ (manifest and
+ * icons) are not in that list; they are fetched on install and refreshed as they are used. The Inter web font is
+ * cached as it is used.
+ * A new build installs a new worker that waits until the page asks it to take over (see
+ * ./serviceWorkerRegistration), so an open calculator never switches versions under the user.
+ */
+
+import { clientsClaim } from "workbox-core";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+const PUBLIC_FILES_CACHE = "public-files";
+const PUBLIC_FILES = [
+  "manifest.json",
+  "favicon.ico",
+  "icon.svg",
+  "icon-192.png",
+  "icon-512.png",
+  "icon-maskable-512.png",
+  "apple-touch-icon.png",
+].map((file) => `${process.env.PUBLIC_URL}/${file}`);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(PUBLIC_FILES_CACHE).then((cache) => cache.addAll(PUBLIC_FILES)));
+});
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && PUBLIC_FILES.includes(url.pathname),
+  new StaleWhileRevalidate({ cacheName: PUBLIC_FILES_CACHE })
+);
+
+// Navigations get the app shell, except for URLs that look like files (e.g. /robots.txt).
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== "navigate") return false;
+    if (url.pathname.startsWith("/_")) return false;
+    return !url.pathname.match(fileExtension);
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+registerRoute(
+  ({ url }) => url.origin === "https://fonts.googleapis.com",
+  new StaleWhileRevalidate({ cacheName: "google-fonts-stylesheets" })
+);
+
+registerRoute(
+  ({ url }) => url.origin === "https://fonts.gstatic.com",
+  new CacheFirst({
+    cacheName: "google-fonts",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 20, maxAgeSeconds: 365 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Sent by the page when the user accepts the update prompt.
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
@@ -0,0 +1,62 @@
+/**
+ * Registers the service worker (see ./service-worker) and reports when a new version is ready.
+ *
+ * The first install makes the calculator available offline (onSuccess). After that, a new build installs a
+ * worker that waits (onUpdate) until applyUpdate tells it to take over, and the page reloads onto the new version.
+ * The service worker container is a parameter so both functions can be driven without a browser.
+ */
+
+// PUBLIC_INTERFACE
+export const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+// PUBLIC_INTERFACE
+export async function register({ onUpdate, onSuccess } = {}, container = navigator.serviceWorker) {
+  /**
+   * Register the service worker. onUpdate(registration) is called when a new version is waiting, including one
+   * left waiting by an earlier visit; onSuccess(registration) when the first install finished. Resolves to the
+   * registration, or null when registering failed.
+   */
+  let registration;
+  try {
+    registration = await container.register(SERVICE_WORKER_URL);
+  } catch {
+    // The calculator still works; it just is not available offline.
+    return null;
+  }
+
+  const installed = () => {
+    // With no controller this is the first install; otherwise an older version is still running the page.
+    if (container.controller) {
+      if (onUpdate) onUpdate(registration);
+    } else if (onSuccess) onSuccess(registration);
+  };
+  const watched = new Set();
+  const watch = (worker) => {
+    if (!worker || watched.has(worker)) return;
+    watched.add(worker);
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed") installed();
+    });
+  };
+
+  if (registration.waiting && container.controller && onUpdate) onUpdate(registration);
+  watch(registration.installing);
+  registration.addEventListener("updatefound", () => watch(registration.installing));
+  return registration;
+}
+
+// PUBLIC_INTERFACE
+export function applyUpdate(
+  registration,
+  container = navigator.serviceWorker,
+  reload = () => window.location.reload()
+) {
+  /**
+   * Switch to the waiting version: it takes control and the page reloads once, onto the new build. Returns
+   * false when no version is waiting.
+   */
+  if (!registration || !registration.waiting) return false;
+  container.addEventListener("controllerchange", () => reload(), { once: true });
+  registration.waiting.postMessage({ type: "SKIP_WAITING" });
+  return true;
+}
@@ -0,0 +1,82 @@
+import { SERVICE_WORKER_URL, applyUpdate, register } from './serviceWorkerRegistration';
+
+class FakeWorker extends EventTarget {
+  state = 'installing';
+  postMessage = jest.fn();
+
+  finishInstall() {
+    this.state = 'installed';
+    this.dispatchEvent(new Event('statechange'));
+  }
+}
+
+class FakeRegistration extends EventTarget {
+  installing = null;
+  waiting = null;
+
+  // A new build was found: its worker starts installing.
+  findUpdate() {
+    this.installing = new FakeWorker();
+    this.dispatchEvent(new Event('updatefound'));
+    return this.installing;
+  }
+}
+
+const container = ({ controller = null, registration = new FakeRegistration() } = {}) =>
+  Object.assign(new EventTarget(), { controller, register: jest.fn(async () => registration) });
+
+test('the first install reports that the calculator works offline', async () => {
+  const sw = container();
+  const onSuccess = jest.fn();
+  const onUpdate = jest.fn();
+  const registration = await register({ onSuccess, onUpdate }, sw);
+  expect(sw.register).toHaveBeenCalledWith(SERVICE_WORKER_URL);
+
+  registration.findUpdate().finishInstall();
+  expect(onSuccess).toHaveBeenCalledWith(registration);
+  expect(onUpdate).not.toHaveBeenCalled();
+});
+
+test('a new version installed under a running one is offered as an update', async () => {
+  const sw = container({ controller: new FakeWorker() });
+  const onSuccess = jest.fn();
+  const onUpdate = jest.fn();
+  const registration = await register({ onSuccess, onUpdate }, sw);
+
+  const worker = registration.findUpdate();
+  expect(onUpdate).not.toHaveBeenCalled();
+  worker.finishInstall();
+  expect(onUpdate).toHaveBeenCalledTimes(1);
+  expect(onUpdate).toHaveBeenCalledWith(registration);
+  expect(onSuccess).not.toHaveBeenCalled();
+});
+
+test('a version left waiting by an earlier visit is offered right away', async () => {
+  const waiting = new FakeRegistration();
+  waiting.waiting = new FakeWorker();
+  const onUpdate = jest.fn();
+  await register({ onUpdate }, container({ controller: new FakeWorker(), registration: waiting }));
+  expect(onUpdate).toHaveBeenCalledWith(waiting);
+});
+
+test('a failed registration is not an error', async () => {
+  const sw = container();
+  sw.register.mockRejectedValue(new Error('SecurityError'));
+  await expect(register({}, sw)).resolves.toBeNull();
+});
+
+test('applyUpdate activates the waiting version and reloads once it has taken over', () => {
+  const sw = container();
+  const registration = new FakeRegistration();
+  const reload = jest.fn();
+  expect(applyUpdate(registration, sw, reload)).toBe(false);
+
+  registration.waiting = new FakeWorker();
+  expect(applyUpdate(registration, sw, reload)).toBe(true);
+  expect(registration.waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+  expect(reload).not.toHaveBeenCalled();
+
+  sw.dispatchEvent(new Event('controllerchange'));
+  sw.dispatchEvent(new Event('controllerchange'));
+  expect(reload).toHaveBeenCalledTimes(1);
+});